@@ -0,0 +1,132 @@
+const mongoose = require('mongoose');
+const AccessGrant = require('../models/AccessGrant');
+const Material = require('../models/Material');
+const Instructor = require('../models/Instructor');
+const User = require('../models/User');
+
+function pagination(query) {
+  const page = Math.max(1, parseInt(query.page || '1', 10));
+  const limit = Math.min(200, parseInt(query.limit || '50', 10));
+  return { page, limit, skip: (page - 1) * limit };
+}
+
+function describeGrant(grant, now = new Date()) {
+  return { ...grant, active: !grant.expiresAt || new Date(grant.expiresAt) > now };
+}
+
+// GET /api/admin/users/:id/grants
+exports.getUserGrants = async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) return res.status(400).json({ message: 'Invalid user id' });
+    const user = await User.findById(req.params.id).select('name phone codePrefix').lean();
+    if (!user) return res.status(404).json({ message: 'User not found' });
+
+    const grants = await AccessGrant.find({ userId: user._id })
+      .sort({ createdAt: -1 })
+      .populate('materialId', 'title')
+      .populate('instructorId', 'title')
+      .populate('grantedBy', 'name')
+      .lean();
+    return res.json({ user, grants: grants.map((g) => describeGrant(g)) });
+  } catch (err) {
+    console.error('getUserGrants error', err);
+    return res.status(500).json({ message: err.message });
+  }
+};
+
+// POST /api/admin/users/:id/grants
+// body: { materialId } or { instructorId }, and optionally { expiresAt } or { durationHours }, { note }
+// Granting a scope the user already has replaces its expiry.
+exports.grantAccess = async (req, res) => {
+  try {
+    const { materialId, instructorId, expiresAt, durationHours, note } = req.body;
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) return res.status(400).json({ message: 'Invalid user id' });
+    if (!materialId && !instructorId) return res.status(400).json({ message: 'materialId or instructorId required' });
+
+    const user = await User.findOne({ _id: req.params.id, deletedAt: null }).select('_id').lean();
+    if (!user) return res.status(404).json({ message: 'User not found' });
+
+    let scope;
+    if (instructorId) {
+      if (!mongoose.Types.ObjectId.isValid(instructorId)) return res.status(400).json({ message: 'Invalid instructorId' });
+      const instructor = await Instructor.findById(instructorId).select('materialId').lean();
+      if (!instructor) return res.status(404).json({ message: 'Instructor not found' });
+      scope = { materialId: instructor.materialId, instructorId: instructor._id };
+    } else {
+      if (!mongoose.Types.ObjectId.isValid(materialId)) return res.status(400).json({ message: 'Invalid materialId' });
+      if (!(await Material.exists({ _id: materialId }))) return res.status(404).json({ message: 'Material not found' });
+      scope = { materialId, instructorId: null };
+    }
+
+    let expires = null;
+    if (expiresAt) {
+      expires = new Date(expiresAt);
+      if (Number.isNaN(expires.getTime())) return res.status(400).json({ message: 'Invalid expiresAt' });
+    } else if (durationHours) {
+      const hours = Number(durationHours);
+      if (Number.isNaN(hours) || hours <= 0) return res.status(400).json({ message: 'durationHours must be a positive number' });
+      expires = new Date(Date.now() + hours * 60 * 60 * 1000);
+    }
+
+    const grant = await AccessGrant.findOneAndUpdate(
+      { userId: user._id, ...scope },
+      { $set: { expiresAt: expires, grantedBy: req.user._id, ...(note ? { note } : {}) } },
+      { new: true, upsert: true, setDefaultsOnInsert: true }
+    );
+    return res.status(201).json({ message: 'Access granted', grant });
+  } catch (err) {
+    console.error('grantAccess error', err);
+    return res.status(500).json({ message: err.message });
+  }
+};
+
+// DELETE /api/admin/users/:id/grants/:grantId
+exports.revokeAccess = async (req, res) => {
+  try {
+    const { id, grantId } = req.params;
+    if (!mongoose.Types.ObjectId.isValid(id) || !mongoose.Types.ObjectId.isValid(grantId)) {
+      return res.status(400).json({ message: 'Invalid id' });
+    }
+    const grant = await AccessGrant.findOneAndDelete({ _id: grantId, userId: id });
+    if (!grant) return res.status(404).json({ message: 'Grant not found' });
+    return res.json({ message: 'Access revoked' });
+  } catch (err) {
+    console.error('revokeAccess error', err);
+    return res.status(500).json({ message: err.message });
+  }
+};
+
+// GET /api/admin/grants?materialId=&instructorId=&active=true&page=1&limit=50
+// Who has been granted a material (or instructor)
+exports.getGrants = async (req, res) => {
+  try {
+    const filter = {};
+    for (const key of ['materialId', 'instructorId']) {
+      if (!req.query[key]) continue;
+      if (!mongoose.Types.ObjectId.isValid(req.query[key])) return res.status(400).json({ message: `Invalid ${key}` });
+      filter[key] = req.query[key];
+    }
+    const now = new Date();
+    if (req.query.active === 'true') filter.$or = [{ expiresAt: null }, { expiresAt: { $gt: now } }];
+    if (req.query.active === 'false') filter.expiresAt = { $lte: now };
+    const { page, limit, skip } = pagination(req.query);
+
+    const [grants, total] = await Promise.all([
+      AccessGrant.find(filter)
+        .sort({ createdAt: -1 })
+        .skip(skip)
+        .limit(limit)
+        .populate('userId', 'name phone codePrefix')
+        .populate('materialId', 'title')
+        .populate('instructorId', 'title')
+        .lean(),
+      AccessGrant.countDocuments(filter),
+    ]);
+    return res.json({ total, page, limit, grants: grants.map((g) => describeGrant(g, now)) });
+  } catch (err) {
+    console.error('getGrants error', err);
+    return res.status(500).json({ message: err.message });
+  }
+};
+
+module.exports = exports;
@@ -0,0 +1,173 @@
+const mongoose = require('mongoose');
+const User = require('../models/User');
+const { generateUserCode } = require('../utils/codeGenerator');
+const { codeFields } = require('../utils/userCode');
+const { ROLES, roleOf, permissionsOf } = require('../utils/adminRoles');
+const { invalidateUser } = require('../services/sessionService');
+const { clearDevices } = require('../services/devicePolicy');
+
+const ADMIN_FIELDS = 'name phone codePrefix adminRole adminDisabled adminCodeFromEnv devices createdAt updatedAt isAdmin';
+
+function describeAdmin(admin) {
+  const obj = admin.toJSON ? admin.toJSON() : admin;
+  return {
+    _id: obj._id,
+    name: obj.name,
+    phone: obj.phone,
+    codePrefix: obj.codePrefix || null,
+    role: roleOf(obj),
+    permissions: permissionsOf(obj),
+    disabled: !!obj.adminDisabled,
+    codeFromEnv: !!obj.adminCodeFromEnv,
+    devices: (obj.devices || []).length,
+    createdAt: obj.createdAt,
+    updatedAt: obj.updatedAt,
+  };
+}
+
+// Would this change leave no enabled super-admin?
+async function isLastSuperAdmin(admin) {
+  if (roleOf(admin) !== 'super_admin' || admin.adminDisabled) return false;
+  const others = await User.countDocuments({
+    _id: { $ne: admin._id },
+    isAdmin: true,
+    adminDisabled: { $ne: true },
+    adminRole: { $in: ['super_admin', null] },
+  });
+  return others === 0;
+}
+
+async function loadAdmin(req, res) {
+  if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+    res.status(400).json({ message: 'Invalid admin id' });
+    return null;
+  }
+  const admin = await User.findOne({ _id: req.params.id, isAdmin: true });
+  if (!admin) res.status(404).json({ message: 'Admin not found' });
+  return admin;
+}
+
+// GET /api/admin/admins
+exports.listAdmins = async (req, res) => {
+  try {
+    const admins = await User.find({ isAdmin: true }).select(ADMIN_FIELDS).sort({ createdAt: 1 }).lean();
+    return res.json({ roles: ROLES, admins: admins.map(describeAdmin) });
+  } catch (err) {
+    console.error('listAdmins error', err);
+    return res.status(500).json({ message: err.message });
+  }
+};
+
+// POST /api/admin/admins  body: { name, phone?, role }
+// The generated code is only returned in this response.
+exports.createAdmin = async (req, res) => {
+  try {
+    const { name, phone, role } = req.body;
+    if (!name) return res.status(400).json({ message: 'Name required' });
+    if (!ROLES.includes(role)) return res.status(400).json({ message: `role must be one of ${ROLES.join(', ')}` });
+
+    const code = generateUserCode();
+    const admin = await User.create({
+      name,
+      phone: phone || '0000000000',
+      ...codeFields(code),
+      isAdmin: true,
+      adminRole: role,
+      subscriptionType: 'permanent',
+      subscriptionExpires: null,
+    });
+    return res.status(201).json({ message: 'Admin created', admin: describeAdmin(admin), code });
+  } catch (err) {
+    if (err.code === 11000) {
+      return res.status(409).json({ message: 'Generated code collided, try again' });
+    }
+    console.error('createAdmin error', err);
+    return res.status(500).json({ message: err.message });
+  }
+};
+
+// PUT /api/admin/admins/:id  body: { name?, phone?, role? }
+exports.updateAdmin = async (req, res) => {
+  try {
+    const admin = await loadAdmin(req, res);
+    if (!admin) return undefined;
+    const { name, phone, role } = req.body;
+
+    if (typeof role !== 'undefined' && role !== roleOf(admin)) {
+      if (!ROLES.includes(role)) return res.status(400).json({ message: `role must be one of ${ROLES.join(', ')}` });
+      if (String(admin._id) === String(req.user._id)) return res.status(400).json({ message: 'You cannot change your own role' });
+      if (await isLastSuperAdmin(admin)) return res.status(400).json({ message: 'Cannot demote the last super-admin' });
+      admin.adminRole = role;
+    }
+    if (typeof name !== 'undefined') admin.name = name;
+    if (typeof phone !== 'undefined') admin.phone = phone;
+    await admin.save();
+    invalidateUser(admin._id);
+
+    return res.json({ message: 'Admin updated', admin: describeAdmin(admin) });
+  } catch (err) {
+    console.error('updateAdmin error', err);
+    return res.status(500).json({ message: err.message });
+  }
+};
+
+// POST /api/admin/admins/:id/disable — blocks login and ends every session
+exports.disableAdmin = async (req, res) => {
+  try {
+    const admin = await loadAdmin(req, res);
+    if (!admin) return undefined;
+    if (String(admin._id) === String(req.user._id)) return res.status(400).json({ message: 'You cannot disable yourself' });
+    if (await isLastSuperAdmin(admin)) return res.status(400).json({ message: 'Cannot disable the last super-admin' });
+
+    admin.adminDisabled = true;
+    admin.tokenVersion = (admin.tokenVersion || 0) + 1;
+    await clearDevices(admin);
+    invalidateUser(admin._id);
+
+    return res.json({ message: 'Admin disabled', admin: describeAdmin(admin) });
+  } catch (err) {
+    console.error('disableAdmin error', err);
+    return res.status(500).json({ message: err.message });
+  }
+};
+
+// POST /api/admin/admins/:id/enable
+exports.enableAdmin = async (req, res) => {
+  try {
+    const admin = await loadAdmin(req, res);
+    if (!admin) return undefined;
+    admin.adminDisabled = false;
+    await admin.save();
+    invalidateUser(admin._id);
+    return res.json({ message: 'Admin enabled', admin: describeAdmin(admin) });
+  } catch (err) {
+    console.error('enableAdmin error', err);
+    return res.status(500).json({ message: err.message });
+  }
+};
+
+// POST /api/admin/admins/:id/rotate-code — new login code, existing sessions end.
+// Rotating the ADMIN_CODE admin detaches it from the env var.
+exports.rotateAdminCode = async (req, res) => {
+  try {
+    const admin = await loadAdmin(req, res);
+    if (!admin) return undefined;
+
+    const code = generateUserCode();
+    const updated = await User.findByIdAndUpdate(
+      admin._id,
+      { ...codeFields(code), $unset: { code: 1 }, $inc: { tokenVersion: 1 }, adminCodeFromEnv: false, adminRole: roleOf(admin) },
+      { new: true }
+    );
+    invalidateUser(admin._id);
+    return res.json({ message: 'Admin code rotated', admin: describeAdmin(updated), code });
+  } catch (err) {
+    if (err.code === 11000) {
+      return res.status(409).json({ message: 'Generated code collided, try again' });
+    }
+    console.error('rotateAdminCode error', err);
+    return res.status(500).json({ message: err.message });
+  }
+};
+
+module.exports = exports;
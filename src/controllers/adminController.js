@@ -9,6 +9,7 @@ const PDFView = require('../models/PDFView');
 const LectureView = require('../models/LectureView');
 const Video = require('../models/Video');
 const VideoView = require('../models/VideoView');
+const { maskUserCode } = require('../utils/userCode');
 
 // GET /api/admin/stats
 exports.getStats = async (req, res) => {
@@ -20,8 +21,8 @@ exports.getStats = async (req, res) => {
       Lecture.countDocuments(),
       Video.countDocuments(),
       PDF.countDocuments(),
-      // exclude admin accounts from the public user count
-      User.countDocuments({ isAdmin: { $ne: true } }),
+      // exclude admin accounts and deleted users from the public user count
+      User.countDocuments({ isAdmin: { $ne: true }, deletedAt: null }),
       Enrollment.countDocuments(),
     ]);
 
@@ -64,14 +65,14 @@ exports.getActivity = async (req, res) => {
     const [recentPdfs, recentVideos, recentUsers] = await Promise.all([
       PDF.find().sort({ createdAt: -1 }).limit(limit).select('title lectureId createdAt'),
       Video.find().sort({ createdAt: -1 }).limit(limit).select('title lectureId createdAt'),
-      User.find().sort({ createdAt: -1 }).limit(limit).select('name code createdAt'),
+      User.find({ deletedAt: null }).sort({ createdAt: -1 }).limit(limit).select('name codePrefix createdAt'),
     ]);
 
     // Normalize into activity feed items
     const feed = [];
     recentPdfs.forEach(p => feed.push({ type: 'pdf', title: p.title, refId: p._id, lectureId: p.lectureId, createdAt: p.createdAt }));
     recentVideos.forEach(v => feed.push({ type: 'video', title: v.title, refId: v._id, lectureId: v.lectureId, createdAt: v.createdAt }));
-    recentUsers.forEach(u => feed.push({ type: 'user', name: u.name, code: u.code, refId: u._id, createdAt: u.createdAt }));
+    recentUsers.forEach(u => feed.push({ type: 'user', name: u.name, code: maskUserCode(u.codePrefix), refId: u._id, createdAt: u.createdAt }));
 
     // sort unified feed by createdAt desc and return top `limit`
     feed.sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
@@ -0,0 +1,66 @@
+const mongoose = require('mongoose');
+const AuditLog = require('../models/AuditLog');
+
+// Build an AuditLog filter from query params; returns { filter } or { error }
+function buildFilter(query) {
+  const filter = {};
+  for (const key of ['targetModel', 'targetId', 'method']) {
+    if (query[key]) filter[key] = String(query[key]);
+  }
+  // `action=material` matches every material.* action
+  if (query.action) {
+    const action = String(query.action);
+    filter.action = action.includes('.') ? action : { $regex: `^${action.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}\\.` };
+  }
+  if (query.actorId) {
+    if (!mongoose.Types.ObjectId.isValid(query.actorId)) return { error: 'Invalid actorId' };
+    filter.actorId = query.actorId;
+  }
+  if (query.from || query.to) {
+    filter.createdAt = {};
+    if (query.from) filter.createdAt.$gte = new Date(query.from);
+    if (query.to) filter.createdAt.$lte = new Date(query.to);
+  }
+  return { filter };
+}
+
+function pagination(query) {
+  const page = Math.max(1, parseInt(query.page || '1', 10));
+  const limit = Math.min(200, parseInt(query.limit || '50', 10));
+  return { page, limit, skip: (page - 1) * limit };
+}
+
+// GET /api/admin/audit-logs?actorId=&action=&targetModel=&targetId=&method=&from=&to=&page=1&limit=50
+// Full before/after snapshots are left out of the list; see getAuditLog.
+exports.getAuditLogs = async (req, res) => {
+  try {
+    const { filter, error } = buildFilter(req.query);
+    if (error) return res.status(400).json({ message: error });
+    const { page, limit, skip } = pagination(req.query);
+
+    const [entries, total] = await Promise.all([
+      AuditLog.find(filter).select('-before -after').sort({ createdAt: -1 }).skip(skip).limit(limit).lean(),
+      AuditLog.countDocuments(filter),
+    ]);
+
+    return res.json({ total, page, limit, entries });
+  } catch (err) {
+    console.error('getAuditLogs error', err);
+    return res.status(500).json({ message: err.message });
+  }
+};
+
+// GET /api/admin/audit-logs/:id
+exports.getAuditLog = async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) return res.status(400).json({ message: 'Invalid id' });
+    const entry = await AuditLog.findById(req.params.id).lean();
+    if (!entry) return res.status(404).json({ message: 'Audit log entry not found' });
+    return res.json(entry);
+  } catch (err) {
+    console.error('getAuditLog error', err);
+    return res.status(500).json({ message: err.message });
+  }
+};
+
+module.exports = exports;
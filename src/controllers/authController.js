@@ -1,87 +1,104 @@
 const User = require('../models/User');
 const Notification = require('../models/Notification');
 const { generateUserCode } = require('../utils/codeGenerator');
+const { codeFields, findUserByCode, hashUserCode, maskUserCode } = require('../utils/userCode');
+const { recordLoginEvent } = require('../services/loginMonitor');
+const { clientInfo, releaseAttempt } = require('../services/loginThrottle');
+const { issueTokens, refreshSession, revokeUserSessions, invalidateUser } = require('../services/sessionService');
+const { registerLogin, clearDevices } = require('../services/devicePolicy');
+const { resolvePlan, computeExpiry, planFields } = require('../services/planService');
+const { hasAnyAccess } = require('../services/contentAccess');
+const { isPaused, assignPlan, subscriptionStatus } = require('../services/subscriptionService');
+const { USER_PROJECTION, parseSort, parsePaging, buildUserFilter } = require('../services/userDirectory');
+const { softDeleteUser, restoreUser, purgeAt } = require('../services/userDeletion');
+const { roleOf, permissionsOf } = require('../utils/adminRoles');
+const crypto = require('crypto');
 const LectureView = require('../models/LectureView');
 const PDFView = require('../models/PDFView');
 const SubscriptionLog = require('../models/SubscriptionLog');
 
+// Resolve an admin login code. Named admins log in with their own code; ADMIN_CODE logs into
+// the bootstrap super-admin (created on first use) until that admin's code is rotated.
+async function findAdminForLogin(code) {
+  if (typeof code !== 'string' || !code) return null;
+  const admin = await findUserByCode(code, { isAdmin: true });
+  if (admin) return admin;
+
+  const adminCode = process.env.ADMIN_CODE;
+  // compare hashes so the check takes the same time however much of the code matches
+  const isEnvCode = !!adminCode && crypto.timingSafeEqual(Buffer.from(hashUserCode(code)), Buffer.from(hashUserCode(adminCode)));
+  if (!isEnvCode) return null;
+
+  // ADMIN_CODE changed since the hash was stored, or the admin predates roles
+  const envAdmin = await User.findOne({ isAdmin: true, $or: [{ adminCodeFromEnv: true }, { adminRole: null }] }).sort({ createdAt: 1 });
+  if (envAdmin) {
+    return User.findByIdAndUpdate(
+      envAdmin._id,
+      { ...codeFields(adminCode), $unset: { code: 1 }, adminCodeFromEnv: true, adminRole: envAdmin.adminRole || 'super_admin' },
+      { new: true }
+    );
+  }
+  // only bootstrap when no admin account exists at all
+  if (await User.exists({ isAdmin: true })) return null;
+  return User.create({
+    name: 'Admin',
+    phone: '0000000000',
+    ...codeFields(adminCode),
+    isAdmin: true,
+    adminRole: 'super_admin',
+    adminCodeFromEnv: true,
+    subscriptionType: 'permanent',
+    subscriptionExpires: null,
+  });
+}
+
 // Admin login
 exports.adminLogin = async (req, res) => {
   try {
     const { code, deviceId } = req.body;
     const headerDeviceId = req.headers['device-id'] || req.headers['device_id'];
     const effectiveDeviceId = deviceId || headerDeviceId || null;
-    const adminCode = process.env.ADMIN_CODE;
-
-    if (code !== adminCode) {
+    const admin = await findAdminForLogin(code);
+    if (!admin) {
+      await recordLoginEvent(req, { kind: 'admin', type: 'failed', reason: 'invalid_code', code });
       return res.status(401).json({ message: 'Invalid admin code' });
     }
-
-    // Find or create admin user
-    let admin = await User.findOne({ isAdmin: true });
-    if (!admin) {
-      const createObj = {
-        name: 'Admin',
-        phone: '0000000000',
-        code: adminCode,
-        isAdmin: true,
-        subscriptionType: 'permanent',
-        subscriptionExpires: null,
-      };
-      if (effectiveDeviceId) createObj.deviceId = effectiveDeviceId;
-      admin = await User.create(createObj);
-    } else {
-      // Update existing admin to ensure permanent subscription
-      admin = await User.findByIdAndUpdate(
-        admin._id,
-        { subscriptionType: 'permanent', subscriptionExpires: null },
-        { new: true }
-      );
+    await releaseAttempt(clientInfo(req));
+    if (admin.adminDisabled) {
+      await recordLoginEvent(req, { kind: 'admin', type: 'failed', reason: 'admin_disabled', userId: admin._id });
+      return res.status(403).json({ message: 'Admin account disabled' });
     }
 
-    // Enforce single-browser for admin as well
-
-    // Support up to 3 admin devices: normalize legacy field to array
-    admin.deviceIds = Array.isArray(admin.deviceIds) && admin.deviceIds.length > 0
-      ? admin.deviceIds
-      : (admin.deviceId ? [admin.deviceId] : []);
-    admin.sessionTokens = Array.isArray(admin.sessionTokens) && admin.sessionTokens.length > 0
-      ? admin.sessionTokens
-      : (admin.sessionToken ? [admin.sessionToken] : []);
-
-    if (effectiveDeviceId) {
-      if (!admin.deviceIds.includes(effectiveDeviceId)) {
-        const ADMIN_DEVICE_LIMIT = Number(process.env.ADMIN_SESSION_LIMIT || '3');
-        if (admin.deviceIds.length >= ADMIN_DEVICE_LIMIT) {
-          try {
-            await Notification.create({
-              title: 'محاولة دخول على حساب المدير من متصفح آخر',
-              recipients: [admin._id],
-            });
-          } catch (e) {
-            // ignore notification errors
-          }
-          return res.status(403).json({ message: `Admin already logged in on ${ADMIN_DEVICE_LIMIT - 1} other browsers` });
-        }
-        admin.deviceIds.push(effectiveDeviceId);
+    // Bind the device (admins may use several browsers, see services/devicePolicy)
+    const binding = await registerLogin(admin, {
+      deviceId: effectiveDeviceId,
+      name: req.body.deviceName,
+      userAgent: req.headers['user-agent'],
+      ip: req.ip,
+    });
+    if (!binding.ok) {
+      await recordLoginEvent(req, { kind: 'admin', type: 'device_mismatch', userId: admin._id });
+      try {
+        await Notification.create({
+          title: 'محاولة دخول على حساب المدير من متصفح آخر',
+          recipients: [admin._id],
+        });
+      } catch (e) {
+        // ignore notification errors
       }
+      return res.status(403).json({ message: `Admin already logged in on ${binding.limit} other browsers` });
     }
 
-    // Bind device and generate a fresh session token (support multiple tokens for admin)
-    const crypto = require('crypto');
-    const newSessionToken = crypto.randomUUID ? crypto.randomUUID() : crypto.randomBytes(16).toString('hex');
-    admin.sessionTokens = admin.sessionTokens || [];
-    admin.sessionTokens.push(newSessionToken);
-    // keep sessionTokens size capped (ADMIN_SESSION_LIMIT)
-    const ADMIN_SESSION_LIMIT = Number(process.env.ADMIN_SESSION_LIMIT || '3');
-    if (admin.sessionTokens.length > ADMIN_SESSION_LIMIT) admin.sessionTokens = admin.sessionTokens.slice(-ADMIN_SESSION_LIMIT);
-
-    // keep legacy fields for backwards compat (first values)
-    if (!admin.deviceId && admin.deviceIds.length > 0) admin.deviceId = admin.deviceIds[0];
-    admin.sessionToken = newSessionToken;
-    try { await admin.save(); } catch (e) { /* non-fatal */ }
-
-    return res.json({ message: 'Admin logged in', user: admin });
+    await recordLoginEvent(req, { kind: 'admin', type: 'login', userId: admin._id });
+    return res.json({
+      message: 'Admin logged in',
+      user: admin,
+      role: roleOf(admin),
+      permissions: permissionsOf(admin),
+      sessionToken: binding.sessionToken,
+      deviceId: binding.device.deviceId,
+      ...(await issueTokens(admin, { deviceId: binding.device.deviceId })),
+    });
   } catch (error) {
     return res.status(500).json({ message: error.message });
   }
@@ -95,13 +112,22 @@ exports.userLogin = async (req, res) => {
     const headerDeviceId = req.headers['device-id'] || req.headers['device_id'];
     const effectiveDeviceId = deviceId || headerDeviceId || null;
 
-    const user = await User.findOne({ code, isAdmin: false });
+    const user = await findUserByCode(code, { isAdmin: false });
     if (!user) {
+      await recordLoginEvent(req, { kind: 'user', type: 'failed', reason: 'invalid_code', code });
       return res.status(401).json({ message: 'Invalid user code' });
     }
-
-    // Enforce single-browser: if user already has a deviceId set and it's different, deny login
-    if (user.deviceId && effectiveDeviceId && user.deviceId !== effectiveDeviceId) {
+    await releaseAttempt(clientInfo(req));
+
+    // Bind the device; refuse new devices once the user's device limit is reached
+    const binding = await registerLogin(user, {
+      deviceId: effectiveDeviceId,
+      name: req.body.deviceName,
+      userAgent: req.headers['user-agent'],
+      ip: req.ip,
+    });
+    if (!binding.ok) {
+      await recordLoginEvent(req, { kind: 'user', type: 'device_mismatch', code, userId: user._id });
       try {
         await Notification.create({
           title: 'محاولة دخول من متصفح آخر',
@@ -110,81 +136,98 @@ exports.userLogin = async (req, res) => {
       } catch (e) {
         // ignore notification errors
       }
-      return res.status(403).json({ message: 'User already logged in on another browser' });
+      const message = binding.limit > 1
+        ? `User already logged in on ${binding.limit} other browsers`
+        : 'User already logged in on another browser';
+      return res.status(403).json({ message });
     }
 
-    // If user has no deviceId, bind this login to the provided deviceId (if provided)
-    // Bind device and generate a fresh session token
-    const crypto = require('crypto');
-    const newSessionToken = crypto.randomUUID ? crypto.randomUUID() : crypto.randomBytes(16).toString('hex');
-
-    if (!user.deviceId && effectiveDeviceId) {
-      user.deviceId = effectiveDeviceId;
-    }
-    user.sessionToken = newSessionToken;
-    try { await user.save(); } catch (e) { /* non-fatal */ }
-
-    // Check subscription expiry: permanent always allowed
-    if (user.subscriptionType !== 'permanent') {
-      const now = new Date();
-      if (!user.subscriptionExpires || new Date(user.subscriptionExpires) < now) {
-        return res.status(403).json({ message: 'Subscription expired' });
-      }
+    // Check subscription expiry against the user's plan (plans without a duration never expire);
+    // users with an unexpired material grant may log in too
+    if (!(await hasAnyAccess(user))) {
+      await recordLoginEvent(req, { kind: 'user', type: 'failed', reason: 'subscription_expired', code, userId: user._id });
+      return res.status(403).json({ message: isPaused(user) ? 'Subscription paused' : 'Subscription expired' });
     }
 
-    return res.json({ message: 'User logged in', user });
+    await recordLoginEvent(req, { kind: 'user', type: 'login', code, userId: user._id });
+    return res.json({
+      message: 'User logged in',
+      user,
+      sessionToken: binding.sessionToken,
+      deviceId: binding.device.deviceId,
+      ...(await issueTokens(user, { deviceId: binding.device.deviceId })),
+    });
   } catch (error) {
     return res.status(500).json({ message: error.message });
   }
 };
 
+// Exchange a refresh token for a new access/refresh token pair
+// POST /auth/refresh  body: { refreshToken }
+exports.refreshToken = async (req, res) => {
+  try {
+    const { refreshToken } = req.body || {};
+    if (!refreshToken) return res.status(400).json({ message: 'refreshToken required' });
+    const result = await refreshSession(String(refreshToken));
+    if (result.error) return res.status(result.status).json({ message: result.error });
+    const { user, ...tokens } = result;
+    return res.json({ message: 'Token refreshed', user, ...tokens });
+  } catch (err) {
+    console.error('refreshToken error', err);
+    return res.status(500).json({ message: err.message });
+  }
+};
+
+// Sign out everywhere: revoke every token issued to the current user
+// POST /auth/logout-all
+exports.logoutAll = async (req, res) => {
+  try {
+    await revokeUserSessions(req.user._id);
+    return res.json({ message: 'All sessions revoked' });
+  } catch (err) {
+    console.error('logoutAll error', err);
+    return res.status(500).json({ message: err.message });
+  }
+};
+
 // Create user (admin only)
 exports.createUser = async (req, res) => {
   try {
-    const { name, phone, subscriptionType } = req.body;
+    const { name, phone, subscriptionType, planId } = req.body;
 
     if (!name || !phone) {
       return res.status(400).json({ message: 'Name and phone required' });
     }
 
-    // determine subscription expiration based on optional subscriptionType
-    const now = new Date();
-    let subscriptionExpires = null;
-    let subType = 'none';
-    if (subscriptionType) {
-      subType = subscriptionType;
-      switch (subscriptionType) {
-        case 'hour':
-          subscriptionExpires = new Date(now.getTime() + 1 * 60 * 60 * 1000);
-          break;
-        case 'day':
-          subscriptionExpires = new Date(now.getTime() + 24 * 60 * 60 * 1000);
-          break;
-        case 'week':
-          subscriptionExpires = new Date(now.getTime() + 7 * 24 * 60 * 60 * 1000);
-          break;
-        case 'month':
-          subscriptionExpires = new Date(now.getTime() + 30 * 24 * 60 * 60 * 1000);
-          break;
-        case 'permanent':
-          subscriptionExpires = null;
-          break;
-        default:
-          subType = 'none';
-      }
+    // optional plan (by id, or by key via the older `subscriptionType` field)
+    let subscription = { subscriptionType: 'none', subscriptionExpires: null };
+    let plan = null;
+    if (planId || (subscriptionType && subscriptionType !== 'none')) {
+      const resolved = await resolvePlan({ planId, key: subscriptionType });
+      if (resolved.error) return res.status(400).json({ message: resolved.error });
+      plan = resolved.plan;
+      subscription = planFields(plan, computeExpiry(plan));
     }
 
     const code = generateUserCode();
     const user = await User.create({
       name,
       phone,
-      code,
+      ...codeFields(code),
       isAdmin: false,
-      subscriptionType: subType,
-      subscriptionExpires,
+      ...subscription,
     });
 
-    return res.status(201).json({ message: 'User created', user });
+    if (plan) {
+      try {
+        await SubscriptionLog.create({ userId: user._id, type: plan.key, planId: plan._id, expiresAt: user.subscriptionExpires, adminId: req.user ? req.user._id : undefined, note: 'Plan assigned on creation' });
+      } catch (e) {
+        console.error('Failed to create subscription log', e);
+      }
+    }
+
+    // only a hash is stored, so this response is the one chance to see the code
+    return res.status(201).json({ message: 'User created', user: { ...user.toJSON(), code } });
   } catch (error) {
     if (error.code === 11000) {
       return res.status(400).json({ message: 'User code already exists' });
@@ -194,10 +237,28 @@ exports.createUser = async (req, res) => {
 };
 
 // Get all users (admin only)
+// GET /auth/users?q=&subscriptionType=&expiresFrom=&expiresTo=&canDownloadVideos=&materialId=
+//   &activeSince=&inactiveSince=&sort=-lastActivityAt&page=1&limit=50
 exports.getAllUsers = async (req, res) => {
   try {
-    const users = await User.find({ isAdmin: false });
-    return res.json(users);
+    const { filter, error } = await buildUserFilter(req.query);
+    if (error) return res.status(400).json({ message: error });
+    const { sort, error: sortError } = parseSort(req.query.sort);
+    if (sortError) return res.status(400).json({ message: sortError });
+    const { page, limit, skip } = parsePaging(req.query);
+
+    const [users, total] = await Promise.all([
+      User.find(filter).select(USER_PROJECTION).populate('plan', 'key name durationHours').sort(sort).skip(skip).limit(limit).lean(),
+      User.countDocuments(filter),
+    ]);
+    const items = users.map((u) => ({
+      ...u,
+      code: maskUserCode(u.codePrefix),
+      subscriptionStatus: subscriptionStatus(u, u.plan),
+      deviceCount: (u.devices || []).length,
+      purgeAt: purgeAt(u),
+    }));
+    return res.json({ total, page, limit, users: items });
   } catch (error) {
     return res.status(500).json({ message: error.message });
   }
@@ -206,7 +267,7 @@ exports.getAllUsers = async (req, res) => {
 // Get user by ID
 exports.getUserById = async (req, res) => {
   try {
-    const user = await User.findById(req.params.id);
+    const user = await User.findById(req.params.id).select(USER_PROJECTION);
     if (!user) {
       return res.status(404).json({ message: 'User not found' });
     }
@@ -226,8 +287,8 @@ exports.updateUser = async (req, res) => {
     if (typeof phone !== 'undefined') updateObj.phone = phone;
     if (typeof canDownloadVideos !== 'undefined') updateObj.canDownloadVideos = !!canDownloadVideos;
 
-    const user = await User.findByIdAndUpdate(
-      req.params.id,
+    const user = await User.findOneAndUpdate(
+      { _id: req.params.id, deletedAt: null },
       updateObj,
       { new: true }
     );
@@ -236,6 +297,7 @@ exports.updateUser = async (req, res) => {
       return res.status(404).json({ message: 'User not found' });
     }
 
+    invalidateUser(user._id);
     return res.json({ message: 'User updated', user });
   } catch (error) {
     return res.status(500).json({ message: error.message });
@@ -246,50 +308,16 @@ exports.updateUser = async (req, res) => {
 // PUT /auth/users/:id/subscription
 exports.updateSubscription = async (req, res) => {
   try {
-    const { type } = req.body; // expected: 'hour'|'day'|'week'|'month'|'permanent'
-    if (!type) return res.status(400).json({ message: 'Subscription type required' });
-
-    const now = new Date();
-    let expires = null;
-
-    // load current user to allow extending from existing expiry
-    const existing = await User.findById(req.params.id).select('subscriptionExpires');
-    const base = (existing && existing.subscriptionExpires && new Date(existing.subscriptionExpires) > now)
-      ? new Date(existing.subscriptionExpires)
-      : now;
-
-    switch (type) {
-      case 'hour':
-        expires = new Date(base.getTime() + 1 * 60 * 60 * 1000);
-        break;
-      case 'day':
-        expires = new Date(base.getTime() + 24 * 60 * 60 * 1000);
-        break;
-      case 'week':
-        expires = new Date(base.getTime() + 7 * 24 * 60 * 60 * 1000);
-        break;
-      case 'month':
-        // approx 30 days
-        expires = new Date(base.getTime() + 30 * 24 * 60 * 60 * 1000);
-        break;
-      case 'permanent':
-        expires = null;
-        break;
-      default:
-        return res.status(400).json({ message: 'Invalid subscription type' });
-    }
+    // plan by id, or by key via the older `type` field ('hour', 'day', 'week', 'month', 'permanent', ...)
+    const { type, planId } = req.body;
+    if (!type && !planId) return res.status(400).json({ message: 'Subscription plan required' });
+    const { plan, error } = await resolvePlan({ planId, key: type });
+    if (error) return res.status(400).json({ message: error });
 
-    const update = { subscriptionType: type, subscriptionExpires: expires };
-
-    const user = await User.findByIdAndUpdate(req.params.id, update, { new: true });
-    if (!user) return res.status(404).json({ message: 'User not found' });
-
-    // record subscription change in log
-    try {
-      await SubscriptionLog.create({ userId: user._id, type, adminId: req.user ? req.user._id : undefined });
-    } catch (e) {
-      console.error('Failed to create subscription log', e);
-    }
+    // extends from the current expiry; sessions issued under the old subscription must log in again
+    const { user, status, error: assignError } = await assignPlan(req.params.id, plan, { adminId: req.user ? req.user._id : undefined, bumpTokenVersion: true });
+    if (assignError) return res.status(status).json({ message: assignError });
+    invalidateUser(user._id);
 
     return res.json({ message: 'Subscription updated', user });
   } catch (err) {
@@ -316,36 +344,65 @@ exports.getUserHistory = async (req, res) => {
   }
 };
 
-// Delete user (admin only)
+// Soft-delete user (admin only); purged for good after USER_DELETE_RETENTION_DAYS
 exports.deleteUser = async (req, res) => {
   try {
-    const user = await User.findByIdAndDelete(req.params.id);
-    if (!user) {
-      return res.status(404).json({ message: 'User not found' });
-    }
-    return res.json({ message: 'User deleted' });
+    const { user, status, error } = await softDeleteUser(req.params.id, { adminId: req.user ? req.user._id : undefined });
+    if (error) return res.status(status).json({ message: error });
+    return res.json({ message: 'User deleted', user: { _id: user._id, deletedAt: user.deletedAt, purgeAt: purgeAt(user) } });
+  } catch (error) {
+    return res.status(500).json({ message: error.message });
+  }
+};
+
+// Restore a soft-deleted user before it is purged (admin only)
+// POST /auth/users/:id/restore
+exports.restoreUser = async (req, res) => {
+  try {
+    const { user, status, error } = await restoreUser(req.params.id);
+    if (error) return res.status(status).json({ message: error });
+    return res.json({ message: 'User restored', user: await User.findById(user._id).select(USER_PROJECTION) });
   } catch (error) {
     return res.status(500).json({ message: error.message });
   }
 };
 
+// Issue a new code for a user (admin only); the old code stops working immediately.
+// POST /auth/users/:id/regenerate-code
+exports.regenerateUserCode = async (req, res) => {
+  try {
+    const existing = await User.findOne({ _id: req.params.id, deletedAt: null }).select('isAdmin');
+    if (!existing) return res.status(404).json({ message: 'User not found' });
+    if (existing.isAdmin) return res.status(400).json({ message: 'Rotate admin codes via /api/admin/admins/:id/rotate-code' });
+
+    const code = generateUserCode();
+    const user = await User.findByIdAndUpdate(
+      req.params.id,
+      { ...codeFields(code), $unset: { code: 1 }, $inc: { tokenVersion: 1 }, sessionToken: null, sessionTokens: [] },
+      { new: true }
+    );
+    invalidateUser(user._id);
+    return res.json({ message: 'User code regenerated', user: { ...user.toJSON(), code } });
+  } catch (err) {
+    if (err.code === 11000) {
+      return res.status(409).json({ message: 'Generated code collided, try again' });
+    }
+    console.error('regenerateUserCode error', err);
+    return res.status(500).json({ message: err.message });
+  }
+};
+
 // Reset device binding so the user can login from another browser (admin only)
 exports.resetDevice = async (req, res) => {
   try {
     const userId = req.params.id;
-    const user = await User.findById(userId);
+    const user = await User.findOne({ _id: userId, deletedAt: null });
     if (!user) return res.status(404).json({ message: 'User not found' });
 
-    if (user.isAdmin) {
-      user.deviceIds = [];
-      user.sessionTokens = [];
-      user.deviceId = null;
-      user.sessionToken = null;
-    } else {
-      user.deviceId = null;
-      user.sessionToken = null; // invalidate existing session tokens
-    }
-    await user.save();
+    // unbind every device and revoke access/refresh tokens issued to them
+    user.tokenVersion = (user.tokenVersion || 0) + 1;
+    await clearDevices(user);
+    invalidateUser(user._id);
 
     return res.json({ message: 'Device reset', user });
   } catch (err) {
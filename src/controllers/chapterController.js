@@ -1,6 +1,7 @@
 const Chapter = require('../models/Chapter');
 const { uploadImage, deleteFile } = require('../utils/cloudinaryUploader');
 const fs = require('fs');
+const { trashContent } = require('../services/trashService');
 
 // Create chapter (admin only)
 exports.createChapter = async (req, res) => {
@@ -229,27 +230,12 @@ exports.updateChapter = async (req, res) => {
 // Delete chapter (admin only)
 exports.deleteChapter = async (req, res) => {
   try {
-    const chapter = await Chapter.findById(req.params.id);
-    if (!chapter) {
+    // moves it and its subtree to the recycle bin; files are kept until the item is purged
+    const item = await trashContent('chapter', req.params.id, { adminId: req.user ? req.user._id : undefined });
+    if (!item) {
       return res.status(404).json({ message: 'Chapter not found' });
     }
-
-    // remove cloud image if present
-    let publicIdToDelete = chapter.thumbnailPublicId;
-    if (!publicIdToDelete && chapter.thumbnailUrl) {
-      const { getPublicIdFromUrl } = require('../utils/cloudinaryUploader');
-      publicIdToDelete = getPublicIdFromUrl(chapter.thumbnailUrl);
-    }
-    if (publicIdToDelete) {
-      try {
-        await deleteFile(publicIdToDelete);
-      } catch (e) {
-        // suppressed delete warning
-      }
-    }
-
-    await Chapter.findByIdAndDelete(req.params.id);
-    return res.json({ message: 'Chapter deleted' });
+    return res.json({ message: 'Chapter moved to trash', trashId: item._id, expiresAt: item.expiresAt, counts: item.counts });
   } catch (error) {
     return res.status(500).json({ message: error.message });
   }
@@ -0,0 +1,51 @@
+const mongoose = require('mongoose');
+const { KINDS, previewDelete } = require('../services/contentCascade');
+const { scanOrphans, fixOrphans } = require('../services/orphanScanner');
+
+function checkNames(value) {
+  if (!value) return [];
+  const list = Array.isArray(value) ? value : String(value).split(',');
+  return list.map((s) => String(s).trim()).filter(Boolean);
+}
+
+// GET /api/admin/content/:kind/:id/delete-preview (kind: material | instructor | chapter | lecture)
+// What deleting the item would remove: counts per collection and external files.
+exports.getDeletePreview = async (req, res) => {
+  try {
+    const { kind, id } = req.params;
+    if (!KINDS[kind]) return res.status(400).json({ message: `kind must be one of ${Object.keys(KINDS).join(', ')}` });
+    if (!mongoose.Types.ObjectId.isValid(id)) return res.status(400).json({ message: 'Invalid id' });
+    const preview = await previewDelete(kind, id);
+    if (!preview) return res.status(404).json({ message: 'Content not found' });
+    return res.json(preview);
+  } catch (err) {
+    console.error('getDeletePreview error', err);
+    return res.status(500).json({ message: err.message });
+  }
+};
+
+// GET /api/admin/orphans?checks=lectures.chapterId,pdfViews.pdfId
+exports.scanOrphans = async (req, res) => {
+  try {
+    const result = await scanOrphans(checkNames(req.query.checks));
+    if (result.error) return res.status(400).json({ message: result.error });
+    return res.json(result);
+  } catch (err) {
+    console.error('scanOrphans error', err);
+    return res.status(500).json({ message: err.message });
+  }
+};
+
+// POST /api/admin/orphans/fix { checks?: [names] } (all checks when omitted)
+exports.fixOrphans = async (req, res) => {
+  try {
+    const result = await fixOrphans(checkNames(req.body && req.body.checks));
+    if (result.error) return res.status(400).json({ message: result.error });
+    return res.json(result);
+  } catch (err) {
+    console.error('fixOrphans error', err);
+    return res.status(500).json({ message: err.message });
+  }
+};
+
+module.exports = exports;
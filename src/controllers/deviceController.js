@@ -0,0 +1,114 @@
+const mongoose = require('mongoose');
+const User = require('../models/User');
+const { getDeviceLimit, requestDeviceId, describeDevices, removeDevice } = require('../services/devicePolicy');
+const { invalidateUser } = require('../services/sessionService');
+
+function deviceSummary(user, currentDeviceId) {
+  return {
+    limit: getDeviceLimit(user),
+    maxDevicesOverride: user.maxDevices === null || typeof user.maxDevices === 'undefined' ? null : user.maxDevices,
+    lastSelfRemovalAt: user.deviceRemovedAt || null,
+    devices: describeDevices(user, currentDeviceId),
+  };
+}
+
+// GET /auth/devices — devices bound to the current user
+exports.getMyDevices = async (req, res) => {
+  try {
+    const user = await User.findById(req.user._id);
+    if (!user) return res.status(404).json({ message: 'User not found' });
+    return res.json(deviceSummary(user, requestDeviceId(req) || (req.auth && req.auth.did)));
+  } catch (err) {
+    console.error('getMyDevices error', err);
+    return res.status(500).json({ message: err.message });
+  }
+};
+
+// PUT /auth/devices/:deviceId  body: { name }
+exports.renameMyDevice = async (req, res) => {
+  try {
+    const name = typeof req.body.name === 'string' ? req.body.name.trim().slice(0, 100) : '';
+    if (!name) return res.status(400).json({ message: 'name required' });
+    const result = await User.updateOne(
+      { _id: req.user._id, 'devices.deviceId': req.params.deviceId },
+      { $set: { 'devices.$.name': name } }
+    );
+    if (!result.matchedCount) return res.status(404).json({ message: 'Device not found' });
+    invalidateUser(req.user._id);
+    return res.json({ message: 'Device renamed' });
+  } catch (err) {
+    console.error('renameMyDevice error', err);
+    return res.status(500).json({ message: err.message });
+  }
+};
+
+// DELETE /auth/devices/:deviceId — self-service removal (subject to a cooldown)
+exports.removeMyDevice = async (req, res) => {
+  try {
+    const user = await User.findById(req.user._id);
+    if (!user) return res.status(404).json({ message: 'User not found' });
+    const result = await removeDevice(user, req.params.deviceId, { bySelf: !user.isAdmin });
+    if (!result.ok) {
+      if (result.retryAfter) res.set('Retry-After', String(result.retryAfter));
+      return res.status(result.status).json({ message: result.message, retryAfter: result.retryAfter });
+    }
+    invalidateUser(user._id);
+    return res.json({ message: 'Device removed', ...deviceSummary(user, requestDeviceId(req)) });
+  } catch (err) {
+    console.error('removeMyDevice error', err);
+    return res.status(500).json({ message: err.message });
+  }
+};
+
+// GET /auth/users/:id/devices (admin)
+exports.getUserDevices = async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) return res.status(400).json({ message: 'Invalid user id' });
+    const user = await User.findById(req.params.id);
+    if (!user) return res.status(404).json({ message: 'User not found' });
+    return res.json({ userId: user._id, name: user.name, ...deviceSummary(user) });
+  } catch (err) {
+    console.error('getUserDevices error', err);
+    return res.status(500).json({ message: err.message });
+  }
+};
+
+// DELETE /auth/users/:id/devices/:deviceId (admin) — revoke a single device
+exports.revokeUserDevice = async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) return res.status(400).json({ message: 'Invalid user id' });
+    const user = await User.findOne({ _id: req.params.id, deletedAt: null });
+    if (!user) return res.status(404).json({ message: 'User not found' });
+    const result = await removeDevice(user, req.params.deviceId);
+    if (!result.ok) return res.status(result.status).json({ message: result.message });
+    invalidateUser(user._id);
+    return res.json({ message: 'Device revoked', ...deviceSummary(user) });
+  } catch (err) {
+    console.error('revokeUserDevice error', err);
+    return res.status(500).json({ message: err.message });
+  }
+};
+
+// PUT /auth/users/:id/device-limit (admin)  body: { maxDevices: number|null }  (null = policy default)
+exports.updateUserDeviceLimit = async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) return res.status(400).json({ message: 'Invalid user id' });
+    const { maxDevices } = req.body;
+    if (maxDevices !== null && (!Number.isInteger(Number(maxDevices)) || Number(maxDevices) < 1)) {
+      return res.status(400).json({ message: 'maxDevices must be a positive integer or null' });
+    }
+    const user = await User.findOneAndUpdate(
+      { _id: req.params.id, deletedAt: null },
+      { maxDevices: maxDevices === null ? null : Number(maxDevices) },
+      { new: true }
+    );
+    if (!user) return res.status(404).json({ message: 'User not found' });
+    invalidateUser(user._id);
+    return res.json({ message: 'Device limit updated', ...deviceSummary(user) });
+  } catch (err) {
+    console.error('updateUserDeviceLimit error', err);
+    return res.status(500).json({ message: err.message });
+  }
+};
+
+module.exports = exports;
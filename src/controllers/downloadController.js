@@ -0,0 +1,150 @@
+const mongoose = require('mongoose');
+const DownloadLog = require('../models/DownloadLog');
+const User = require('../models/User');
+const { getQuotaStatus } = require('../services/downloadQuotaService');
+
+// GET /api/admin/downloads?userId=&videoId=&status=&from=&to=&page=1&limit=50
+exports.getDownloadLogs = async (req, res) => {
+  try {
+    const page = Math.max(1, parseInt(req.query.page || '1', 10));
+    const limit = Math.min(200, parseInt(req.query.limit || '50', 10));
+    const skip = (page - 1) * limit;
+
+    const filter = {};
+    for (const key of ['userId', 'videoId']) {
+      if (!req.query[key]) continue;
+      if (!mongoose.Types.ObjectId.isValid(req.query[key])) return res.status(400).json({ message: `Invalid ${key}` });
+      filter[key] = req.query[key];
+    }
+    if (req.query.status) filter.status = req.query.status;
+    if (req.query.from || req.query.to) {
+      filter.createdAt = {};
+      if (req.query.from) filter.createdAt.$gte = new Date(req.query.from);
+      if (req.query.to) filter.createdAt.$lte = new Date(req.query.to);
+    }
+
+    const [logs, total] = await Promise.all([
+      DownloadLog.find(filter)
+        .sort({ createdAt: -1 })
+        .skip(skip)
+        .limit(limit)
+        .populate('userId', 'name phone codePrefix')
+        .populate('videoId', 'title lectureId')
+        .lean(),
+      DownloadLog.countDocuments(filter),
+    ]);
+
+    return res.json({ total, page, limit, logs });
+  } catch (err) {
+    console.error('getDownloadLogs error', err);
+    return res.status(500).json({ message: err.message });
+  }
+};
+
+// GET /api/admin/downloads/by-user?page=1&limit=50 — which students downloaded what
+exports.getDownloadsByUser = async (req, res) => {
+  try {
+    const page = Math.max(1, parseInt(req.query.page || '1', 10));
+    const limit = Math.min(200, parseInt(req.query.limit || '50', 10));
+    const skip = (page - 1) * limit;
+
+    const [rows, totalRows] = await Promise.all([
+      DownloadLog.aggregate([
+        { $group: {
+            _id: '$userId',
+            downloads: { $sum: { $cond: ['$counted', 1, 0] } },
+            completed: { $sum: { $cond: [{ $eq: ['$status', 'completed'] }, 1, 0] } },
+            bytesSent: { $sum: '$bytesSent' },
+            videoIds: { $addToSet: '$videoId' },
+            lastDownloadAt: { $max: '$createdAt' },
+        } },
+        { $sort: { lastDownloadAt: -1 } },
+        { $skip: skip },
+        { $limit: limit },
+        { $lookup: { from: 'users', localField: '_id', foreignField: '_id', as: 'user' } },
+        { $lookup: { from: 'videos', localField: 'videoIds', foreignField: '_id', as: 'videos' } },
+        { $project: {
+            _id: 0,
+            userId: '$_id',
+            user: { $let: { vars: { u: { $arrayElemAt: ['$user', 0] } }, in: { name: '$$u.name', phone: '$$u.phone', codePrefix: '$$u.codePrefix' } } },
+            downloads: 1,
+            completed: 1,
+            bytesSent: 1,
+            lastDownloadAt: 1,
+            videos: { $map: { input: '$videos', as: 'v', in: { _id: '$$v._id', title: '$$v.title' } } },
+        } },
+      ]),
+      DownloadLog.distinct('userId').then((ids) => ids.length),
+    ]);
+
+    return res.json({ total: totalRows, page, limit, users: rows });
+  } catch (err) {
+    console.error('getDownloadsByUser error', err);
+    return res.status(500).json({ message: err.message });
+  }
+};
+
+// GET /api/admin/users/:id/downloads — quota usage and recent downloads for one student
+exports.getUserDownloads = async (req, res) => {
+  try {
+    const user = await User.findById(req.params.id);
+    if (!user) return res.status(404).json({ message: 'User not found' });
+    const [quota, logs] = await Promise.all([
+      getQuotaStatus(user),
+      DownloadLog.find({ userId: user._id }).sort({ createdAt: -1 }).limit(200).populate('videoId', 'title lectureId').lean(),
+    ]);
+    return res.json({ quota, overrides: user.downloadQuota || {}, resetAt: user.downloadQuotaResetAt, logs });
+  } catch (err) {
+    console.error('getUserDownloads error', err);
+    return res.status(500).json({ message: err.message });
+  }
+};
+
+// PUT /api/admin/users/:id/download-quota  body: { perDay?, perPeriod? } (null = default, 0 = unlimited)
+exports.updateUserDownloadQuota = async (req, res) => {
+  try {
+    const update = {};
+    for (const key of ['perDay', 'perPeriod']) {
+      if (typeof req.body[key] === 'undefined') continue;
+      const raw = req.body[key];
+      if (raw === null || raw === '') {
+        update[`downloadQuota.${key}`] = null;
+        continue;
+      }
+      const n = parseInt(raw, 10);
+      if (Number.isNaN(n) || n < 0) return res.status(400).json({ message: `Invalid ${key}` });
+      update[`downloadQuota.${key}`] = n;
+    }
+    const user = await User.findOneAndUpdate({ _id: req.params.id, deletedAt: null }, { $set: update }, { new: true });
+    if (!user) return res.status(404).json({ message: 'User not found' });
+    return res.json({ message: 'Download quota updated', quota: await getQuotaStatus(user), overrides: user.downloadQuota });
+  } catch (err) {
+    console.error('updateUserDownloadQuota error', err);
+    return res.status(500).json({ message: err.message });
+  }
+};
+
+// POST /api/admin/users/:id/download-quota/reset — downloads so far no longer count
+exports.resetUserDownloadQuota = async (req, res) => {
+  try {
+    const user = await User.findOneAndUpdate({ _id: req.params.id, deletedAt: null }, { downloadQuotaResetAt: new Date() }, { new: true });
+    if (!user) return res.status(404).json({ message: 'User not found' });
+    return res.json({ message: 'Download quota reset', quota: await getQuotaStatus(user) });
+  } catch (err) {
+    console.error('resetUserDownloadQuota error', err);
+    return res.status(500).json({ message: err.message });
+  }
+};
+
+// GET /api/videos/download-quota — the authenticated student's own quota usage
+exports.getMyDownloadQuota = async (req, res) => {
+  try {
+    if (!req.user) return res.status(401).json({ message: 'Unauthenticated' });
+    return res.json({ canDownloadVideos: !!(req.user.isAdmin || req.user.canDownloadVideos), ...(await getQuotaStatus(req.user)) });
+  } catch (err) {
+    console.error('getMyDownloadQuota error', err);
+    return res.status(500).json({ message: err.message });
+  }
+};
+
+module.exports = exports;
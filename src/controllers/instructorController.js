@@ -1,6 +1,7 @@
 const Instructor = require('../models/Instructor');
 const { uploadImage, deleteFile } = require('../utils/cloudinaryUploader');
 const fs = require('fs');
+const { trashContent } = require('../services/trashService');
 
 // Create instructor (admin only)
 exports.createInstructor = async (req, res) => {
@@ -188,27 +189,12 @@ exports.updateInstructor = async (req, res) => {
 // Delete instructor (admin only)
 exports.deleteInstructor = async (req, res) => {
   try {
-    const instructor = await Instructor.findById(req.params.id);
-    if (!instructor) {
+    // moves it and its subtree to the recycle bin; files are kept until the item is purged
+    const item = await trashContent('instructor', req.params.id, { adminId: req.user ? req.user._id : undefined });
+    if (!item) {
       return res.status(404).json({ message: 'Instructor not found' });
     }
-
-    // remove cloud image if present
-    let publicIdToDelete = instructor.thumbnailPublicId;
-    if (!publicIdToDelete && instructor.thumbnailUrl) {
-      const { getPublicIdFromUrl } = require('../utils/cloudinaryUploader');
-      publicIdToDelete = getPublicIdFromUrl(instructor.thumbnailUrl);
-    }
-    if (publicIdToDelete) {
-      try {
-        await deleteFile(publicIdToDelete);
-        } catch (e) {
-          // suppressed delete warning
-        }
-    }
-
-    await Instructor.findByIdAndDelete(req.params.id);
-    return res.json({ message: 'Instructor deleted' });
+    return res.json({ message: 'Instructor moved to trash', trashId: item._id, expiresAt: item.expiresAt, counts: item.counts });
   } catch (error) {
     return res.status(500).json({ message: error.message });
   }
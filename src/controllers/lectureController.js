@@ -2,6 +2,8 @@ const Lecture = require('../models/Lecture');
 const Notification = require('../models/Notification');
 const { uploadImage, deleteFile } = require('../utils/cloudinaryUploader');
 const fs = require('fs');
+const { maskUserCode } = require('../utils/userCode');
+const { trashContent } = require('../services/trashService');
 
 // Create lecture (admin only)
 exports.createLecture = async (req, res) => {
@@ -229,11 +231,12 @@ exports.updateLecture = async (req, res) => {
 // Delete lecture (admin only)
 exports.deleteLecture = async (req, res) => {
   try {
-    const lecture = await Lecture.findByIdAndDelete(req.params.id);
-    if (!lecture) {
+    // moves it and its subtree to the recycle bin; files are kept until the item is purged
+    const item = await trashContent('lecture', req.params.id, { adminId: req.user ? req.user._id : undefined });
+    if (!item) {
       return res.status(404).json({ message: 'Lecture not found' });
     }
-    return res.json({ message: 'Lecture deleted' });
+    return res.json({ message: 'Lecture moved to trash', trashId: item._id, expiresAt: item.expiresAt, counts: item.counts });
   } catch (error) {
     return res.status(500).json({ message: error.message });
   }
@@ -244,11 +247,11 @@ exports.getLectureViewers = async (req, res) => {
   try {
     const lectureId = req.params.id;
     const LectureView = require('../models/LectureView');
-    const viewers = await LectureView.find({ lectureId }).populate('userId', 'name code');
+    const viewers = await LectureView.find({ lectureId }).populate('userId', 'name codePrefix');
     const result = viewers.map((v) => ({
       userId: v.userId?._id || null,
       name: v.userId?.name || null,
-      code: v.userId?.code || null,
+      code: maskUserCode(v.userId?.codePrefix),
       viewedAt: v.createdAt,
     }));
     return res.json(result);
@@ -0,0 +1,99 @@
+const mongoose = require('mongoose');
+const LoginEvent = require('../models/LoginEvent');
+const User = require('../models/User');
+const { getActiveLockouts, clearLockout } = require('../services/loginThrottle');
+const { evaluateSharing } = require('../services/loginMonitor');
+
+// Build a LoginEvent filter from query params; returns { filter } or { error }
+function buildFilter(query) {
+  const filter = {};
+  for (const key of ['ip', 'deviceId', 'kind', 'type', 'reason']) {
+    if (query[key]) filter[key] = String(query[key]);
+  }
+  if (query.userId) {
+    if (!mongoose.Types.ObjectId.isValid(query.userId)) return { error: 'Invalid userId' };
+    filter.userId = query.userId;
+  }
+  if (query.from || query.to) {
+    filter.createdAt = {};
+    if (query.from) filter.createdAt.$gte = new Date(query.from);
+    if (query.to) filter.createdAt.$lte = new Date(query.to);
+  }
+  return { filter };
+}
+
+function pagination(query) {
+  const page = Math.max(1, parseInt(query.page || '1', 10));
+  const limit = Math.min(200, parseInt(query.limit || '50', 10));
+  return { page, limit, skip: (page - 1) * limit };
+}
+
+// GET /api/admin/login-events?userId=&ip=&deviceId=&kind=&type=&reason=&from=&to=&page=1&limit=50
+exports.getLoginEvents = async (req, res) => {
+  try {
+    const { filter, error } = buildFilter(req.query);
+    if (error) return res.status(400).json({ message: error });
+    const { page, limit, skip } = pagination(req.query);
+
+    const [events, total] = await Promise.all([
+      LoginEvent.find(filter).sort({ createdAt: -1 }).skip(skip).limit(limit).populate('userId', 'name phone codePrefix').lean(),
+      LoginEvent.countDocuments(filter),
+    ]);
+
+    return res.json({ total, page, limit, events });
+  } catch (err) {
+    console.error('getLoginEvents error', err);
+    return res.status(500).json({ message: err.message });
+  }
+};
+
+// GET /api/admin/users/:id/login-events?type=&from=&to=&page=1&limit=50
+// Includes the current code-sharing evaluation for the user.
+exports.getUserLoginEvents = async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) return res.status(400).json({ message: 'Invalid user id' });
+    const { filter, error } = buildFilter({ ...req.query, userId: req.params.id });
+    if (error) return res.status(400).json({ message: error });
+    const { page, limit, skip } = pagination(req.query);
+
+    const user = await User.findById(req.params.id).select('name phone codePrefix').lean();
+    if (!user) return res.status(404).json({ message: 'User not found' });
+
+    const [events, total, sharing] = await Promise.all([
+      LoginEvent.find(filter).sort({ createdAt: -1 }).skip(skip).limit(limit).lean(),
+      LoginEvent.countDocuments(filter),
+      evaluateSharing(user._id),
+    ]);
+
+    return res.json({ user, sharing, total, page, limit, events });
+  } catch (err) {
+    console.error('getUserLoginEvents error', err);
+    return res.status(500).json({ message: err.message });
+  }
+};
+
+// GET /api/admin/login-events/lockouts — IPs and devices currently locked out
+exports.getLockouts = async (req, res) => {
+  try {
+    const lockouts = await getActiveLockouts();
+    return res.json(lockouts);
+  } catch (err) {
+    console.error('getLockouts error', err);
+    return res.status(500).json({ message: err.message });
+  }
+};
+
+// POST /api/admin/login-events/unlock  body: { ip?, deviceId? }
+exports.unlock = async (req, res) => {
+  try {
+    const { ip, deviceId } = req.body || {};
+    if (!ip && !deviceId) return res.status(400).json({ message: 'ip or deviceId required' });
+    const cleared = await clearLockout({ ip, deviceId });
+    return res.json({ message: 'Lockout cleared', cleared });
+  } catch (err) {
+    console.error('unlock error', err);
+    return res.status(500).json({ message: err.message });
+  }
+};
+
+module.exports = exports;
@@ -2,6 +2,7 @@ const Material = require('../models/Material');
 const Enrollment = require('../models/Enrollment');
 const { uploadImage, deleteFile } = require('../utils/cloudinaryUploader');
 const fs = require('fs');
+const { trashContent } = require('../services/trashService');
 
 // Create material (admin only)
 exports.createMaterial = async (req, res) => {
@@ -248,28 +249,12 @@ exports.updateMaterial = async (req, res) => {
 // Delete material (admin only)
 exports.deleteMaterial = async (req, res) => {
   try {
-    const material = await Material.findById(req.params.id);
-    if (!material) {
+    // moves it and its subtree to the recycle bin; files are kept until the item is purged
+    const item = await trashContent('material', req.params.id, { adminId: req.user ? req.user._id : undefined });
+    if (!item) {
       return res.status(404).json({ message: 'Material not found' });
     }
-
-    // remove cloud image if present
-    let publicIdToDelete = material.thumbnailPublicId;
-    if (!publicIdToDelete && material.thumbnailUrl) {
-      // try to extract from URL
-      const { getPublicIdFromUrl } = require('../utils/cloudinaryUploader');
-      publicIdToDelete = getPublicIdFromUrl(material.thumbnailUrl);
-    }
-    if (publicIdToDelete) {
-      try {
-        await deleteFile(publicIdToDelete);
-      } catch (e) {
-        // suppressed delete warning
-      }
-    }
-
-    await Material.findByIdAndDelete(req.params.id);
-    return res.json({ message: 'Material deleted' });
+    return res.json({ message: 'Material moved to trash', trashId: item._id, expiresAt: item.expiresAt, counts: item.counts });
   } catch (error) {
     return res.status(500).json({ message: error.message });
   }
@@ -5,6 +5,8 @@ const { deleteFile } = require('../utils/cloudinaryUploader');
 const fs = require('fs');
 const path = require('path');
 const PDFView = require('../models/PDFView');
+const { maskUserCode } = require('../utils/userCode');
+const { trashContent } = require('../services/trashService');
 
 // Normalize fileUrl which might be sent as a string or as an object from client widgets
 const resolveFileUrl = (input) => {
@@ -152,11 +154,11 @@ exports.viewPDF = async (req, res) => {
 exports.getPDFViewers = async (req, res) => {
   try {
     const pdfId = req.params.id;
-    const viewers = await PDFView.find({ pdfId }).populate('userId', 'name code');
+    const viewers = await PDFView.find({ pdfId }).populate('userId', 'name codePrefix');
     const result = viewers.map((v) => ({
       userId: v.userId?._id || null,
       name: v.userId?.name || null,
-      code: v.userId?.code || null,
+      code: maskUserCode(v.userId?.codePrefix),
       viewedAt: v.createdAt,
     }));
     return res.json(result);
@@ -212,32 +214,14 @@ exports.updatePDF = async (req, res) => {
   }
 };
 
-// Delete PDF (admin only) — also attempts to delete file from Supabase storage
+// Delete PDF (admin only) — moves it to the recycle bin; the Supabase file is kept until the item is purged
 exports.deletePDF = async (req, res) => {
   try {
-    const pdf = await PDF.findById(req.params.id);
-    if (!pdf) {
+    const item = await trashContent('pdf', req.params.id, { adminId: req.user ? req.user._id : undefined });
+    if (!item) {
       return res.status(404).json({ message: 'PDF not found' });
     }
-
-    // Try to remove file from Supabase (best-effort)
-    let storageResult = { ok: true };
-    try {
-      const { deletePdfByUrl } = require('../utils/supabasePdf');
-      if (pdf.fileUrl) {
-        storageResult = await deletePdfByUrl(pdf.fileUrl);
-      }
-    } catch (err) {
-      // Supabase delete helper failed (suppressed)
-      storageResult = { ok: false, error: err };
-    }
-
-    // Delete DB record regardless of storage outcome (but report status)
-    await PDF.findByIdAndDelete(req.params.id);
-
-    const response = { message: 'PDF deleted', storageDeleted: !!storageResult.ok };
-    if (!storageResult.ok) response.storageError = storageResult.error;
-    return res.json(response);
+    return res.json({ message: 'PDF moved to trash', trashId: item._id, expiresAt: item.expiresAt, counts: item.counts });
   } catch (error) {
     console.error('deletePDF error:', error);
     return res.status(500).json({ message: error.message, stack: error.stack });
@@ -0,0 +1,132 @@
+const mongoose = require('mongoose');
+const Plan = require('../models/Plan');
+const Material = require('../models/Material');
+const User = require('../models/User');
+const { invalidatePlans } = require('../services/planService');
+
+const EDITABLE_FIELDS = ['name', 'description', 'durationHours', 'price', 'currency', 'materials', 'maxDevices', 'active', 'order'];
+
+// Validate and normalise plan fields from a request body; returns { fields } or { error }
+async function readPlanFields(body) {
+  const fields = {};
+  for (const key of EDITABLE_FIELDS) {
+    if (typeof body[key] !== 'undefined') fields[key] = body[key];
+  }
+  for (const key of ['durationHours', 'maxDevices']) {
+    if (fields[key] === '' || fields[key] === null) fields[key] = null;
+    else if (typeof fields[key] !== 'undefined') {
+      const n = Number(fields[key]);
+      if (Number.isNaN(n) || n <= 0) return { error: `${key} must be a positive number or null` };
+      fields[key] = n;
+    }
+  }
+  if (typeof fields.price !== 'undefined') {
+    const n = Number(fields.price);
+    if (Number.isNaN(n) || n < 0) return { error: 'price must be a number >= 0' };
+    fields.price = n;
+  }
+  if (typeof fields.active !== 'undefined') fields.active = !!fields.active;
+  if (typeof fields.materials !== 'undefined') {
+    const ids = Array.isArray(fields.materials) ? fields.materials.map(String) : [];
+    if (ids.some((id) => !mongoose.Types.ObjectId.isValid(id))) return { error: 'Invalid material id' };
+    const found = await Material.countDocuments({ _id: { $in: ids } });
+    if (found !== new Set(ids).size) return { error: 'Unknown material in materials' };
+    fields.materials = Array.from(new Set(ids));
+  }
+  return { fields };
+}
+
+// GET /api/admin/plans?active=true
+exports.listPlans = async (req, res) => {
+  try {
+    const filter = {};
+    if (typeof req.query.active !== 'undefined') filter.active = req.query.active === 'true';
+    const plans = await Plan.find(filter).sort({ order: 1, createdAt: 1 }).populate('materials', 'title').lean();
+    const counts = await User.aggregate([
+      { $match: { plan: { $in: plans.map((p) => p._id) } } },
+      { $group: { _id: '$plan', count: { $sum: 1 } } },
+    ]);
+    const usersByPlan = new Map(counts.map((c) => [String(c._id), c.count]));
+    return res.json(plans.map((p) => ({ ...p, usersCount: usersByPlan.get(String(p._id)) || 0 })));
+  } catch (err) {
+    console.error('listPlans error', err);
+    return res.status(500).json({ message: err.message });
+  }
+};
+
+// GET /api/admin/plans/:id
+exports.getPlan = async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) return res.status(400).json({ message: 'Invalid plan id' });
+    const plan = await Plan.findById(req.params.id).populate('materials', 'title').lean();
+    if (!plan) return res.status(404).json({ message: 'Plan not found' });
+    const usersCount = await User.countDocuments({ plan: plan._id });
+    return res.json({ ...plan, usersCount });
+  } catch (err) {
+    console.error('getPlan error', err);
+    return res.status(500).json({ message: err.message });
+  }
+};
+
+// POST /api/admin/plans  body: { key, name, durationHours (null = never expires), price, currency, materials, maxDevices, active, order }
+exports.createPlan = async (req, res) => {
+  try {
+    const { key } = req.body;
+    if (!key || !req.body.name) return res.status(400).json({ message: 'key and name required' });
+    const { fields, error } = await readPlanFields(req.body);
+    if (error) return res.status(400).json({ message: error });
+
+    const plan = await Plan.create({ key, ...fields });
+    invalidatePlans();
+    return res.status(201).json(plan);
+  } catch (err) {
+    if (err.code === 11000) return res.status(400).json({ message: 'Plan key already exists' });
+    if (err.name === 'ValidationError') return res.status(400).json({ message: err.message });
+    console.error('createPlan error', err);
+    return res.status(500).json({ message: err.message });
+  }
+};
+
+// PUT /api/admin/plans/:id
+// The key is fixed once created (users and subscription logs refer to it).
+// Changing the duration affects future assignments only; current expiry dates are kept.
+exports.updatePlan = async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) return res.status(400).json({ message: 'Invalid plan id' });
+    const { fields, error } = await readPlanFields(req.body);
+    if (error) return res.status(400).json({ message: error });
+
+    const plan = await Plan.findByIdAndUpdate(req.params.id, fields, { new: true, runValidators: true });
+    if (!plan) return res.status(404).json({ message: 'Plan not found' });
+    invalidatePlans();
+    return res.json({ message: 'Plan updated', plan });
+  } catch (err) {
+    if (err.name === 'ValidationError') return res.status(400).json({ message: err.message });
+    console.error('updatePlan error', err);
+    return res.status(500).json({ message: err.message });
+  }
+};
+
+// DELETE /api/admin/plans/:id
+// Plans still assigned to users cannot be deleted; deactivate them instead.
+exports.deletePlan = async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) return res.status(400).json({ message: 'Invalid plan id' });
+    const plan = await Plan.findById(req.params.id);
+    if (!plan) return res.status(404).json({ message: 'Plan not found' });
+
+    const usersCount = await User.countDocuments({ plan: plan._id });
+    if (usersCount > 0) {
+      return res.status(409).json({ message: 'Plan is assigned to users; set active to false instead', usersCount });
+    }
+
+    await plan.deleteOne();
+    invalidatePlans();
+    return res.json({ message: 'Plan deleted' });
+  } catch (err) {
+    console.error('deletePlan error', err);
+    return res.status(500).json({ message: err.message });
+  }
+};
+
+module.exports = exports;
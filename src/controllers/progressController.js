@@ -0,0 +1,45 @@
+const mongoose = require('mongoose');
+const User = require('../models/User');
+const { getUserProgress } = require('../services/progressService');
+
+function parseMaterialId(req) {
+  const { materialId } = req.query;
+  if (!materialId) return { materialId: null };
+  if (!mongoose.Types.ObjectId.isValid(materialId)) return { error: 'Invalid materialId' };
+  return { materialId };
+}
+
+// GET /api/progress?materialId=  — completion tree for the current user
+exports.getMyProgress = async (req, res) => {
+  try {
+    const { materialId, error } = parseMaterialId(req);
+    if (error) return res.status(400).json({ message: error });
+    const progress = await getUserProgress(req.user, { materialId });
+    return res.json(progress);
+  } catch (err) {
+    console.error('getMyProgress error', err);
+    return res.status(500).json({ message: err.message });
+  }
+};
+
+// GET /api/admin/users/:id/progress?materialId=  — per-student progress report
+exports.getUserProgressReport = async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) return res.status(400).json({ message: 'Invalid user id' });
+    const { materialId, error } = parseMaterialId(req);
+    if (error) return res.status(400).json({ message: error });
+
+    // the whole user: progress covers the materials their plan and grants open
+    const user = await User.findById(req.params.id).select('-codeHash -devices').lean();
+    if (!user) return res.status(404).json({ message: 'User not found' });
+
+    const progress = await getUserProgress(user, { materialId });
+    const { _id, name, phone, codePrefix } = user;
+    return res.json({ user: { _id, name, phone, codePrefix }, ...progress });
+  } catch (err) {
+    console.error('getUserProgressReport error', err);
+    return res.status(500).json({ message: err.message });
+  }
+};
+
+module.exports = exports;
@@ -0,0 +1,35 @@
+const segmentCache = require('../utils/segmentCache');
+
+// GET /api/admin/segment-cache — hit/miss metrics and current size
+exports.getCacheStats = async (req, res) => {
+  try {
+    return res.json(await segmentCache.getStats());
+  } catch (err) {
+    console.error('getCacheStats error', err);
+    return res.status(500).json({ message: err.message });
+  }
+};
+
+// DELETE /api/admin/segment-cache/videos/:videoId
+exports.purgeVideoCache = async (req, res) => {
+  try {
+    const result = await segmentCache.purgeVideo(req.params.videoId);
+    return res.json({ ok: true, ...result });
+  } catch (err) {
+    console.error('purgeVideoCache error', err);
+    return res.status(500).json({ message: err.message });
+  }
+};
+
+// DELETE /api/admin/segment-cache
+exports.purgeAllCache = async (req, res) => {
+  try {
+    const result = await segmentCache.purgeAll();
+    return res.json({ ok: true, ...result });
+  } catch (err) {
+    console.error('purgeAllCache error', err);
+    return res.status(500).json({ message: err.message });
+  }
+};
+
+module.exports = exports;
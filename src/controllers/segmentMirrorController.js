@@ -0,0 +1,44 @@
+const Video = require('../models/Video');
+const { startSegmentMirror, getSegmentMirrorStatus, purgeSegmentMirror } = require('../services/segmentMirrorService');
+
+// POST /api/admin/videos/:videoId/mirror  body: { quality? }
+exports.startMirror = async (req, res) => {
+  try {
+    const { videoId } = req.params;
+    const { quality } = req.body || {};
+    const video = await Video.findById(videoId).select('_id').lean();
+    if (!video) return res.status(404).json({ message: 'video not found' });
+    const result = await startSegmentMirror(videoId, { quality });
+    if (!result.started) return res.status(409).json({ message: result.reason });
+    return res.status(202).json({ ok: true, ...result });
+  } catch (err) {
+    console.error('startMirror error', err);
+    return res.status(500).json({ message: err.message });
+  }
+};
+
+// GET /api/admin/videos/:videoId/mirror
+exports.getMirrorStatus = async (req, res) => {
+  try {
+    const status = await getSegmentMirrorStatus(req.params.videoId);
+    if (!status) return res.status(404).json({ message: 'video not found' });
+    return res.json(status);
+  } catch (err) {
+    console.error('getMirrorStatus error', err);
+    return res.status(500).json({ message: err.message });
+  }
+};
+
+// DELETE /api/admin/videos/:videoId/mirror?quality=720
+exports.purgeMirror = async (req, res) => {
+  try {
+    const result = await purgeSegmentMirror(req.params.videoId, { quality: req.query.quality });
+    if (!result.purged) return res.status(409).json({ message: result.reason });
+    return res.json({ ok: true, ...result });
+  } catch (err) {
+    console.error('purgeMirror error', err);
+    return res.status(500).json({ message: err.message });
+  }
+};
+
+module.exports = exports;
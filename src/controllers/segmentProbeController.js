@@ -0,0 +1,32 @@
+const Video = require('../models/Video');
+const { startSegmentProbe, getSegmentProbeStatus } = require('../services/segmentProbeService');
+
+// POST /api/admin/videos/:videoId/probe-durations  body: { mode?: 'full'|'sample', quality? }
+exports.startProbe = async (req, res) => {
+  try {
+    const { videoId } = req.params;
+    const { mode, quality } = req.body || {};
+    const video = await Video.findById(videoId).select('_id').lean();
+    if (!video) return res.status(404).json({ message: 'video not found' });
+    const result = await startSegmentProbe(videoId, { mode, quality });
+    if (!result.started) return res.status(409).json({ message: result.reason });
+    return res.status(202).json({ ok: true, ...result });
+  } catch (err) {
+    console.error('startProbe error', err);
+    return res.status(500).json({ message: err.message });
+  }
+};
+
+// GET /api/admin/videos/:videoId/probe-durations
+exports.getProbeStatus = async (req, res) => {
+  try {
+    const status = await getSegmentProbeStatus(req.params.videoId);
+    if (!status) return res.status(404).json({ message: 'video not found' });
+    return res.json(status);
+  } catch (err) {
+    console.error('getProbeStatus error', err);
+    return res.status(500).json({ message: err.message });
+  }
+};
+
+module.exports = exports;
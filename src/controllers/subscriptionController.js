@@ -0,0 +1,148 @@
+const User = require('../models/User');
+const SubscriptionLog = require('../models/SubscriptionLog');
+const { REMINDERS } = require('../services/subscriptionExpiryScheduler');
+const { invalidateUser } = require('../services/sessionService');
+const {
+  pauseSubscription, resumeSubscription, adjustSubscription, revokeSubscription,
+} = require('../services/subscriptionService');
+
+const USER_FIELDS = 'name phone codePrefix subscriptionType plan subscriptionExpires subscriptionNotice';
+// largest credit/shorten accepted in one correction (one year)
+const MAX_CORRECTION_HOURS = 366 * 24;
+
+function parseCorrectionHours(value) {
+  const hours = Number(value);
+  if (!Number.isFinite(hours) || hours <= 0 || hours > MAX_CORRECTION_HOURS) return null;
+  return hours;
+}
+
+// GET /api/admin/subscriptions/expirations?upcomingDays=7&recentDays=7&limit=200
+// Students whose subscription expires soon, and expirations recorded recently.
+exports.getExpirations = async (req, res) => {
+  try {
+    const upcomingDays = Math.max(0, Number(req.query.upcomingDays || '7'));
+    const recentDays = Math.max(0, Number(req.query.recentDays || '7'));
+    const limit = Math.min(1000, parseInt(req.query.limit || '200', 10));
+    const now = new Date();
+    const until = new Date(now.getTime() + upcomingDays * 24 * 60 * 60 * 1000);
+    const since = new Date(now.getTime() - recentDays * 24 * 60 * 60 * 1000);
+
+    const upcomingFilter = { isAdmin: { $ne: true }, subscriptionExpires: { $gt: now, $lte: until } };
+    const recentFilter = { action: 'expire', createdAt: { $gte: since } };
+    const [upcoming, upcomingTotal, recent, recentTotal] = await Promise.all([
+      User.find(upcomingFilter).select(USER_FIELDS).populate('plan', 'key name').sort({ subscriptionExpires: 1 }).limit(limit).lean(),
+      User.countDocuments(upcomingFilter),
+      SubscriptionLog.find(recentFilter).sort({ createdAt: -1 }).limit(limit).populate('userId', 'name phone codePrefix subscriptionType subscriptionExpires').lean(),
+      SubscriptionLog.countDocuments(recentFilter),
+    ]);
+
+    return res.json({
+      now,
+      reminders: REMINDERS.map((r) => r.key),
+      upcoming: {
+        total: upcomingTotal,
+        users: upcoming.map(({ subscriptionNotice, ...u }) => ({
+          ...u,
+          remindersSent: subscriptionNotice && subscriptionNotice.expiresAt
+            && new Date(subscriptionNotice.expiresAt).getTime() === new Date(u.subscriptionExpires).getTime()
+            ? subscriptionNotice.sent : [],
+        })),
+      },
+      recent: {
+        total: recentTotal,
+        expirations: recent.map((log) => ({
+          _id: log._id,
+          user: log.userId,
+          type: log.type,
+          expiresAt: log.expiresAt,
+          recordedAt: log.createdAt,
+          // renewed since, if the user's current expiry is later than the recorded one
+          renewed: !!(log.userId && log.userId.subscriptionExpires && new Date(log.userId.subscriptionExpires) > now),
+        })),
+      },
+    });
+  } catch (err) {
+    console.error('getExpirations error', err);
+    return res.status(500).json({ message: err.message });
+  }
+};
+
+// Run a subscription correction for :id; every correction requires a note explaining it
+async function correct(req, res, operation) {
+  const note = typeof req.body.note === 'string' ? req.body.note.trim() : '';
+  if (!note) return res.status(400).json({ message: 'note required' });
+  const result = await operation({ adminId: req.user._id, note });
+  if (result.error) return res.status(result.status).json({ message: result.error });
+  invalidateUser(result.user._id);
+  return res.json({ message: 'Subscription updated', user: result.user });
+}
+
+// POST /auth/users/:id/subscription/pause  body: { note }
+exports.pause = async (req, res) => {
+  try {
+    return await correct(req, res, (opts) => pauseSubscription(req.params.id, opts));
+  } catch (err) {
+    console.error('pauseSubscription error', err);
+    return res.status(500).json({ message: err.message });
+  }
+};
+
+// POST /auth/users/:id/subscription/resume  body: { note }
+exports.resume = async (req, res) => {
+  try {
+    return await correct(req, res, (opts) => resumeSubscription(req.params.id, opts));
+  } catch (err) {
+    console.error('resumeSubscription error', err);
+    return res.status(500).json({ message: err.message });
+  }
+};
+
+// POST /auth/users/:id/subscription/shorten  body: { hours } or { expiresAt }, { note }
+exports.shorten = async (req, res) => {
+  try {
+    let hours;
+    if (req.body.expiresAt) {
+      const target = new Date(req.body.expiresAt);
+      if (Number.isNaN(target.getTime())) return res.status(400).json({ message: 'Invalid expiresAt' });
+      const user = await User.findOne({ _id: req.params.id, deletedAt: null }).select('subscriptionExpires').lean();
+      if (!user) return res.status(404).json({ message: 'User not found' });
+      if (!user.subscriptionExpires) return res.status(400).json({ message: 'expiresAt cannot be used while the subscription is paused or has no end' });
+      hours = (target.getTime() - new Date(user.subscriptionExpires).getTime()) / (60 * 60 * 1000);
+      if (hours >= 0) return res.status(400).json({ message: 'expiresAt must be before the current expiry' });
+    } else {
+      if (typeof req.body.hours === 'undefined') return res.status(400).json({ message: 'hours or expiresAt required' });
+      const amount = parseCorrectionHours(Math.abs(Number(req.body.hours)));
+      if (amount === null) return res.status(400).json({ message: `hours must be a positive number up to ${MAX_CORRECTION_HOURS}` });
+      hours = -amount;
+    }
+    return await correct(req, res, (opts) => adjustSubscription(req.params.id, { ...opts, hours }));
+  } catch (err) {
+    console.error('shortenSubscription error', err);
+    return res.status(500).json({ message: err.message });
+  }
+};
+
+// POST /auth/users/:id/subscription/credit  body: { hours, note }
+// Corrective extension, e.g. for an outage; an expired subscription is credited from now.
+exports.credit = async (req, res) => {
+  try {
+    const hours = parseCorrectionHours(req.body.hours);
+    if (hours === null) return res.status(400).json({ message: `hours must be a positive number up to ${MAX_CORRECTION_HOURS}` });
+    return await correct(req, res, (opts) => adjustSubscription(req.params.id, { ...opts, hours }));
+  } catch (err) {
+    console.error('creditSubscription error', err);
+    return res.status(500).json({ message: err.message });
+  }
+};
+
+// POST /auth/users/:id/subscription/revoke  body: { note }
+exports.revoke = async (req, res) => {
+  try {
+    return await correct(req, res, (opts) => revokeSubscription(req.params.id, opts));
+  } catch (err) {
+    console.error('revokeSubscription error', err);
+    return res.status(500).json({ message: err.message });
+  }
+};
+
+module.exports = exports;
@@ -0,0 +1,70 @@
+const mongoose = require('mongoose');
+const TrashItem = require('../models/TrashItem');
+const { restoreTrash, purgeTrash } = require('../services/trashService');
+
+function pagination(query) {
+  const page = Math.max(1, parseInt(query.page || '1', 10));
+  const limit = Math.min(200, parseInt(query.limit || '50', 10));
+  return { page, limit, skip: (page - 1) * limit };
+}
+
+// GET /api/admin/trash?kind=&q=&page=1&limit=50
+exports.getTrash = async (req, res) => {
+  try {
+    const filter = {};
+    if (req.query.kind) filter.kind = String(req.query.kind);
+    if (req.query.q) filter.title = { $regex: String(req.query.q).replace(/[.*+?^${}()|[\]\\]/g, '\\$&'), $options: 'i' };
+    const { page, limit, skip } = pagination(req.query);
+    const [items, total] = await Promise.all([
+      TrashItem.find(filter).select('-files -materialRefs').sort({ createdAt: -1 }).skip(skip).limit(limit)
+        .populate('deletedBy', 'name')
+        .lean(),
+      TrashItem.countDocuments(filter),
+    ]);
+    return res.json({ total, page, limit, items });
+  } catch (err) {
+    console.error('getTrash error', err);
+    return res.status(500).json({ message: err.message });
+  }
+};
+
+// GET /api/admin/trash/:id (includes the external files that a purge will remove)
+exports.getTrashItem = async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) return res.status(400).json({ message: 'Invalid id' });
+    const item = await TrashItem.findById(req.params.id).populate('deletedBy', 'name').lean();
+    if (!item) return res.status(404).json({ message: 'Trash item not found' });
+    return res.json(item);
+  } catch (err) {
+    console.error('getTrashItem error', err);
+    return res.status(500).json({ message: err.message });
+  }
+};
+
+// POST /api/admin/trash/:id/restore
+exports.restoreTrashItem = async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) return res.status(400).json({ message: 'Invalid id' });
+    const { item, restored, status, error, parentTrashId } = await restoreTrash(req.params.id);
+    if (error) return res.status(status).json({ message: error, parentTrashId });
+    return res.json({ message: `${item.kind} restored`, kind: item.kind, _id: item.rootId, title: item.title, restored });
+  } catch (err) {
+    console.error('restoreTrashItem error', err);
+    return res.status(500).json({ message: err.message });
+  }
+};
+
+// DELETE /api/admin/trash/:id (permanent: also removes Cloudinary / Supabase / GridFS files)
+exports.purgeTrashItem = async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) return res.status(400).json({ message: 'Invalid id' });
+    const { item, storage, status, error } = await purgeTrash(req.params.id);
+    if (error) return res.status(status).json({ message: error });
+    return res.json({ message: `${item.kind} permanently deleted`, storage });
+  } catch (err) {
+    console.error('purgeTrashItem error', err);
+    return res.status(500).json({ message: err.message });
+  }
+};
+
+module.exports = exports;
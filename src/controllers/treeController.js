@@ -1,80 +1,64 @@
-const Material = require('../models/Material');
-const Instructor = require('../models/Instructor');
-const Chapter = require('../models/Chapter');
-const Lecture = require('../models/Lecture');
-const PDF = require('../models/PDF');
+const { loadContent, groupBy, getProgressIndex } = require('../services/progressService');
+const { getAccessIndex } = require('../services/contentAccess');
+
+// Completion flags for a tree node (none when there is no user to report on)
+function completionOf(progress, id) {
+  if (!progress) return {};
+  const p = progress.byId.get(String(id));
+  return { completed: !!(p && p.isCompleted), progress: p ? p.percent : 0 };
+}
 
 // Get full content tree
 exports.getContentTree = async (req, res) => {
   try {
-    const materials = await Material.find().sort({ order: 1 });
-
-    const tree = await Promise.all(
-      materials.map(async (material) => {
-        const instructors = await Instructor.find({
-          materialId: material._id,
-        }).sort({ order: 1 });
-
-        const instructorData = await Promise.all(
-          instructors.map(async (instructor) => {
-            const chapters = await Chapter.find({
-              instructorId: instructor._id,
-            }).sort({ order: 1 });
-
-            const chapterData = await Promise.all(
-              chapters.map(async (chapter) => {
-                const lectures = await Lecture.find({
-                  chapterId: chapter._id,
-                }).sort({ order: 1 });
-
-                const lectureData = await Promise.all(
-                  lectures.map(async (lecture) => {
-                    const pdfs = await PDF.find({
-                      lectureId: lecture._id,
-                    }).sort({ order: 1 });
-
-                    return {
-                      _id: lecture._id,
-                      title: lecture.title,
-                      thumbnailUrl: lecture.thumbnailUrl,
-                      order: lecture.order,
-                      pdfs: pdfs.map((p) => ({
-                        _id: p._id,
-                        title: p.title,
-                      })),
-                    };
-                  })
-                );
-
-                return {
-                  _id: chapter._id,
-                  title: chapter.title,
-                  thumbnailUrl: chapter.thumbnailUrl,
-                  order: chapter.order,
-                  lectures: lectureData,
-                };
-              })
-            );
+    // the whole catalog in a few bulk queries; progress is rolled up from the same content
+    const content = await loadContent();
+    const progress = req.user ? await getProgressIndex(req.user._id, content) : null;
+    // whether the user may open each material / instructor (plan or access grant)
+    const canAccess = req.user ? await getAccessIndex(req.user) : null;
+    const accessOf = (materialId, instructorId) => (canAccess ? { hasAccess: canAccess(materialId, instructorId) } : {});
 
-            return {
-              _id: instructor._id,
-              title: instructor.title,
-              thumbnailUrl: instructor.thumbnailUrl,
-              order: instructor.order,
-              chapters: chapterData,
-            };
-          })
-        );
+    const instructorsByMaterial = groupBy(content.instructors, 'materialId');
+    const chaptersByInstructor = groupBy(content.chapters, 'instructorId');
+    const lecturesByChapter = groupBy(content.lectures, 'chapterId');
+    const pdfsByLecture = groupBy(content.pdfs, 'lectureId');
+    const childrenOf = (map, parent) => map.get(String(parent._id)) || [];
 
-        return {
-          _id: material._id,
-          title: material.title,
-          thumbnailUrl: material.thumbnailUrl,
-          order: material.order,
-          instructors: instructorData,
-        };
-      })
-    );
+    const tree = content.materials.map((material) => ({
+      _id: material._id,
+      title: material.title,
+      thumbnailUrl: material.thumbnailUrl,
+      order: material.order,
+      ...completionOf(progress, material._id),
+      ...accessOf(material._id, null),
+      instructors: childrenOf(instructorsByMaterial, material).map((instructor) => ({
+        _id: instructor._id,
+        title: instructor.title,
+        thumbnailUrl: instructor.thumbnailUrl,
+        order: instructor.order,
+        ...completionOf(progress, instructor._id),
+        ...accessOf(material._id, instructor._id),
+        chapters: childrenOf(chaptersByInstructor, instructor).map((chapter) => ({
+          _id: chapter._id,
+          title: chapter.title,
+          thumbnailUrl: chapter.thumbnailUrl,
+          order: chapter.order,
+          ...completionOf(progress, chapter._id),
+          lectures: childrenOf(lecturesByChapter, chapter).map((lecture) => ({
+            _id: lecture._id,
+            title: lecture.title,
+            thumbnailUrl: lecture.thumbnailUrl,
+            order: lecture.order,
+            ...completionOf(progress, lecture._id),
+            pdfs: childrenOf(pdfsByLecture, lecture).map((p) => ({
+              _id: p._id,
+              title: p.title,
+              ...(progress ? { viewed: progress.viewedPdfs.has(String(p._id)) } : {}),
+            })),
+          })),
+        })),
+      })),
+    }));
 
     return res.json(tree);
   } catch (error) {
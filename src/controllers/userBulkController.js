@@ -0,0 +1,126 @@
+const User = require('../models/User');
+const LoginEvent = require('../models/LoginEvent');
+const LectureView = require('../models/LectureView');
+const PDFView = require('../models/PDFView');
+const VideoView = require('../models/VideoView');
+const { sendCsv } = require('../utils/csv');
+const { sendXlsx } = require('../utils/xlsx');
+const { maskUserCode } = require('../utils/userCode');
+const { getDevices } = require('../services/devicePolicy');
+const { subscriptionStatus } = require('../services/subscriptionService');
+const { importUsers } = require('../services/userImport');
+
+const EXPORT_MAX_USERS = 50000;
+
+function sendSheet(res, format, name, rows, columns) {
+  if (format === 'xlsx') return sendXlsx(res, `${name}.xlsx`, rows, columns);
+  return sendCsv(res, `${name}.csv`, rows, columns);
+}
+
+// POST /api/auth/users/import (multipart field "file": .csv or .xlsx; ?dryRun=true to validate only;
+// ?format=csv|xlsx to download the created users with their codes instead of JSON)
+// Columns: name, phone, plan (optional), materials (optional, separated by ; | or ,)
+exports.importUsers = async (req, res) => {
+  try {
+    if (!req.file) return res.status(400).json({ message: 'No file uploaded' });
+    const dryRun = req.query.dryRun === 'true' || req.body.dryRun === 'true';
+    const result = await importUsers(req.file, { adminId: req.user && req.user._id, dryRun });
+    if (result.error) return res.status(400).json({ message: result.error });
+
+    const format = req.query.format;
+    if (!dryRun && (format === 'csv' || format === 'xlsx')) {
+      // codes are only available now; the rows that failed are appended with their errors
+      const rows = [
+        ...result.users,
+        ...result.errors.map((e) => ({ row: e.row, name: e.name, phone: e.phone, error: e.errors.join('; ') })),
+      ];
+      return sendSheet(res, format, `imported-users-${new Date().toISOString().slice(0, 10)}`, rows, [
+        { header: 'row', value: (r) => r.row },
+        { header: 'name', value: (r) => r.name },
+        { header: 'phone', value: (r) => r.phone },
+        { header: 'code', value: (r) => r.code },
+        { header: 'plan', value: (r) => r.plan },
+        { header: 'subscriptionExpires', value: (r) => r.subscriptionExpires },
+        { header: 'materials', value: (r) => (r.materials || []).join('; ') },
+        { header: 'error', value: (r) => r.error },
+      ]);
+    }
+    return res.json(result);
+  } catch (err) {
+    console.error('importUsers error', err);
+    return res.status(500).json({ message: err.message });
+  }
+};
+
+// Latest date per user from an aggregation over `Model`
+async function latestByUser(Model, userIds, field, match = {}) {
+  const rows = await Model.aggregate([
+    { $match: { ...match, userId: { $in: userIds } } },
+    { $group: { _id: '$userId', at: { $max: `$${field}` } } },
+  ]);
+  return new Map(rows.map((r) => [String(r._id), r.at]));
+}
+
+function latest(...dates) {
+  const times = dates.filter(Boolean).map((d) => new Date(d).getTime());
+  return times.length > 0 ? new Date(Math.max(...times)) : null;
+}
+
+// GET /api/auth/users/export?format=csv|xlsx&subscriptionType=&status=active|expired|paused|permanent|none
+// Students with masked codes, subscription, devices and last activity (for the call center)
+exports.exportUsers = async (req, res) => {
+  try {
+    const format = req.query.format || 'csv';
+    if (!['csv', 'xlsx'].includes(format)) return res.status(400).json({ message: 'format must be csv or xlsx' });
+
+    const filter = { isAdmin: false, deletedAt: null };
+    if (req.query.subscriptionType) filter.subscriptionType = String(req.query.subscriptionType);
+    const users = await User.find(filter)
+      .select('name phone codePrefix plan subscriptionType subscriptionExpires subscriptionPause canDownloadVideos devices deviceId deviceIds lastActivityAt updatedAt createdAt')
+      .populate('plan', 'key name durationHours')
+      .sort({ createdAt: 1 })
+      .limit(EXPORT_MAX_USERS)
+      .lean();
+
+    const rows = users
+      .map((u) => ({ ...u, status: subscriptionStatus(u, u.plan) }))
+      .filter((u) => !req.query.status || u.status === req.query.status);
+    const userIds = rows.map((u) => u._id);
+
+    const [logins, lectures, pdfs, videos] = await Promise.all([
+      latestByUser(LoginEvent, userIds, 'createdAt', { type: 'login' }),
+      latestByUser(LectureView, userIds, 'updatedAt'),
+      latestByUser(PDFView, userIds, 'updatedAt'),
+      latestByUser(VideoView, userIds, 'updatedAt'),
+    ]);
+
+    for (const u of rows) {
+      const id = String(u._id);
+      u.deviceList = getDevices(u);
+      u.lastDeviceSeenAt = latest(...u.deviceList.map((d) => d.lastSeenAt));
+      u.lastLoginAt = logins.get(id) || null;
+      u.lastActivityAt = latest(u.lastActivityAt, u.lastLoginAt, u.lastDeviceSeenAt, lectures.get(id), pdfs.get(id), videos.get(id));
+    }
+
+    return sendSheet(res, format, `users-${new Date().toISOString().slice(0, 10)}`, rows, [
+      { header: 'name', value: (u) => u.name },
+      { header: 'phone', value: (u) => u.phone },
+      { header: 'code', value: (u) => maskUserCode(u.codePrefix) },
+      { header: 'plan', value: (u) => (u.plan ? u.plan.name : u.subscriptionType) },
+      { header: 'status', value: (u) => u.status },
+      { header: 'subscriptionExpires', value: (u) => u.subscriptionExpires },
+      { header: 'canDownloadVideos', value: (u) => (u.canDownloadVideos ? 'yes' : 'no') },
+      { header: 'devices', value: (u) => u.deviceList.length },
+      { header: 'deviceNames', value: (u) => u.deviceList.map((d) => d.name || d.deviceId).join('; ') },
+      { header: 'lastDeviceSeenAt', value: (u) => u.lastDeviceSeenAt },
+      { header: 'lastLoginAt', value: (u) => u.lastLoginAt },
+      { header: 'lastActivityAt', value: (u) => u.lastActivityAt },
+      { header: 'createdAt', value: (u) => u.createdAt },
+    ]);
+  } catch (err) {
+    console.error('exportUsers error', err);
+    return res.status(500).json({ message: err.message });
+  }
+};
+
+module.exports = exports;
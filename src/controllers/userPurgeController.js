@@ -0,0 +1,60 @@
+const mongoose = require('mongoose');
+const UserPurgeReport = require('../models/UserPurgeReport');
+const { runOnce } = require('../services/userPurgeScheduler');
+
+function pagination(query) {
+  const page = Math.max(1, parseInt(query.page || '1', 10));
+  const limit = Math.min(200, parseInt(query.limit || '50', 10));
+  return { page, limit, skip: (page - 1) * limit };
+}
+
+// GET /api/admin/users/purge-reports?page=1&limit=50
+// Per-user details are left out of the list; see getPurgeReport.
+exports.getPurgeReports = async (req, res) => {
+  try {
+    const { page, limit, skip } = pagination(req.query);
+    const [reports, total] = await Promise.all([
+      UserPurgeReport.aggregate([
+        { $sort: { createdAt: -1 } },
+        { $skip: skip },
+        { $limit: limit },
+        { $addFields: { purgedUsers: { $size: '$users' }, failed: { $size: '$failures' } } },
+        { $project: { users: 0 } },
+      ]),
+      UserPurgeReport.countDocuments(),
+    ]);
+    return res.json({ total, page, limit, reports });
+  } catch (err) {
+    console.error('getPurgeReports error', err);
+    return res.status(500).json({ message: err.message });
+  }
+};
+
+// GET /api/admin/users/purge-reports/:id
+exports.getPurgeReport = async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) return res.status(400).json({ message: 'Invalid id' });
+    const report = await UserPurgeReport.findById(req.params.id).lean();
+    if (!report) return res.status(404).json({ message: 'Purge report not found' });
+    return res.json(report);
+  } catch (err) {
+    console.error('getPurgeReport error', err);
+    return res.status(500).json({ message: err.message });
+  }
+};
+
+// POST /api/admin/users/purge?dryRun=true
+// Purge users whose retention window has ended now instead of waiting for the scheduler.
+exports.runPurge = async (req, res) => {
+  try {
+    const dryRun = req.query.dryRun === 'true' || req.body.dryRun === true;
+    const report = await runOnce({ trigger: 'manual', triggeredBy: req.user && req.user._id, dryRun });
+    if (!report) return res.status(409).json({ message: 'A purge is already running' });
+    return res.json(report);
+  } catch (err) {
+    console.error('runPurge error', err);
+    return res.status(500).json({ message: err.message });
+  }
+};
+
+module.exports = exports;
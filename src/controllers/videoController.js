@@ -4,7 +4,12 @@ const Chapter = require('../models/Chapter');
 const Notification = require('../models/Notification');
 const axios = require('axios');
 const gridfs = require('../utils/gridfs');
-// Segments are served directly (no token signing)
+const { signSegmentToken, verifySegmentToken } = require('../utils/segmentToken');
+const { estimateSegmentCountFromUrl, buildSegmentUrl, resolveSegmentCount, upstreamAxiosConfig } = require('../utils/segmentUrl');
+const segmentCache = require('../utils/segmentCache');
+const { trashContent } = require('../services/trashService');
+const { purgeSegmentMirror } = require('../services/segmentMirrorService');
+const fs = require('fs');
 
 function parseTtlToSeconds(ttl) {
   if (!ttl) return 120;
@@ -19,35 +24,90 @@ function parseTtlToSeconds(ttl) {
   return 120;
 }
 
-// Simple in-memory playlist cache: { key: { expires: ts, body: string } }
+// Short-lived in-memory cache of playlist layouts (segment count and durations) per video/quality:
+// { `${videoId}:${quality}`: { expires: ts, layout } }. Segment tokens are per user and are signed
+// on every request, so entries never hold user data and stay bounded by the catalog.
 const playlistCache = new Map();
+const PLAYLIST_CACHE_MAX_ENTRIES = 1000;
 
-function setPlaylistCache(key, body, ttlSeconds = 30) {
-  playlistCache.set(key, { body, expires: Date.now() + ttlSeconds * 1000 });
+function setPlaylistCache(key, layout, ttlSeconds = 30) {
+  playlistCache.delete(key);
+  if (playlistCache.size >= PLAYLIST_CACHE_MAX_ENTRIES) playlistCache.delete(playlistCache.keys().next().value);
+  playlistCache.set(key, { layout, expires: Date.now() + ttlSeconds * 1000 });
 }
 
 function getPlaylistCache(key) {
   const rec = playlistCache.get(key);
   if (!rec) return null;
   if (Date.now() > rec.expires) { playlistCache.delete(key); return null; }
-  return rec.body;
+  return rec.layout;
 }
 
-function estimateSegmentCountFromUrl(url) {
-  if (!url || typeof url !== 'string') return 1;
-  try {
-    // Find all digit groups in the filename and pick the largest (handles names like segment-41-v1-a1.ts)
-    const parts = url.split('/');
-    const last = parts[parts.length - 1];
-    const matches = last.match(/\d+/g);
-    if (matches && matches.length > 0) {
-      const nums = matches.map((s) => parseInt(s, 10)).filter((n) => !isNaN(n));
-      if (nums.length > 0) return Math.max(...nums);
+// Segment count, per-segment durations and target duration for one quality of a video
+function playlistLayout(video, q) {
+  const vidDuration = Number(video.duration) || 0;
+  const segmentCount = resolveSegmentCount(video, q);
+
+  // Build per-segment durations: prefer real durations measured by the ffprobe job; otherwise
+  // split the canonical video duration from DB evenly. This produces EXTINF values that sum to
+  // the known duration (with 3-decimal precision) and sets EXT-X-TARGETDURATION to the ceiling
+  // of the longest segment.
+  let segmentDurations = [];
+  if (Array.isArray(q.segmentDurations) && q.segmentDurations.length === segmentCount) {
+    segmentDurations = q.segmentDurations.map((d) => Number(Number(d).toFixed(3)));
+  } else if (vidDuration > 0 && segmentCount > 0) {
+    const per = vidDuration / segmentCount;
+    for (let i = 0; i < segmentCount; i++) segmentDurations.push(Number(per.toFixed(3)));
+    // adjust last segment to make the sum equal to vidDuration (prevent tiny rounding drift)
+    const sum = segmentDurations.reduce((a, b) => a + b, 0);
+    const diff = Number((vidDuration - sum).toFixed(3));
+    if (Math.abs(diff) > 0.0005) {
+      segmentDurations[segmentCount - 1] = Number((segmentDurations[segmentCount - 1] + diff).toFixed(3));
     }
-  } catch (err) {
-    // ignore
+  } else {
+    // fallback: 1s segments
+    for (let i = 0; i < Math.max(1, segmentCount); i++) segmentDurations.push(1);
   }
-  return 1;
+
+  const maxSegDur = Math.max(...segmentDurations, 1);
+  return { vidDuration, segmentCount, segmentDurations, targetDur: Math.ceil(maxSegDur) };
+}
+
+// Parse optional HLS variant metadata (bandwidth in bits/s, resolution as WIDTHxHEIGHT) from a quality payload
+function parseVariantMeta(q) {
+  const bw = parseInt(q.bandwidth || q.BANDWIDTH, 10);
+  const bandwidth = Number.isNaN(bw) || bw <= 0 ? null : bw;
+  const res = String(q.resolution || q.RESOLUTION || '').trim().toLowerCase();
+  const resolution = /^\d+x\d+$/.test(res) ? res : null;
+  return { bandwidth, resolution };
+}
+
+// Fallback variant metadata derived from a quality label like '720' or '720p' (16:9, typical H.264 bitrates)
+const DEFAULT_BANDWIDTH_BY_HEIGHT = { 144: 200000, 240: 400000, 360: 800000, 480: 1400000, 720: 2800000, 1080: 5000000, 1440: 9000000, 2160: 16000000 };
+function defaultVariantMeta(quality) {
+  const height = parseInt(String(quality), 10);
+  if (Number.isNaN(height) || height <= 0) return { bandwidth: 1000000, resolution: null };
+  const width = Math.round((height * 16) / 9 / 2) * 2;
+  const known = Object.keys(DEFAULT_BANDWIDTH_BY_HEIGHT).map(Number).sort((a, b) => a - b);
+  const nearest = known.find((h) => h >= height) || known[known.length - 1];
+  return { bandwidth: DEFAULT_BANDWIDTH_BY_HEIGHT[nearest], resolution: `${width}x${height}` };
+}
+
+// Percentage of the video actually watched (null when duration is unknown)
+function completionPercent(watchedSeconds, duration) {
+  const d = Number(duration) || 0;
+  if (d <= 0) return null;
+  return Math.min(100, Math.round(((Number(watchedSeconds) || 0) / d) * 100));
+}
+
+function formatProgress(view, duration) {
+  return {
+    lastPosition: view.lastPosition || 0,
+    watchedSeconds: view.watchedSeconds || 0,
+    completionPercent: completionPercent(view.watchedSeconds, duration),
+    completed: !!view.completedAt,
+    updatedAt: view.progressUpdatedAt || null,
+  };
 }
 
 // Admin: create video for lecture
@@ -70,7 +130,7 @@ exports.createVideo = async (req, res) => {
     const normalized = parsedQualities.map((q) => {
       const lastSegmentUrl = q.lastSegmentUrl || q.last_segment_url || q.url || '';
       const segmentCount = estimateSegmentCountFromUrl(lastSegmentUrl) || (q.segmentCount || 1);
-      return { quality: String(q.quality || q.q || ''), lastSegmentUrl, segmentCount };
+      return { quality: String(q.quality || q.q || ''), lastSegmentUrl, segmentCount, ...parseVariantMeta(q) };
     });
 
     const video = await Video.create({ title, duration: Number(duration) || 0, lectureId, qualities: normalized });
@@ -92,7 +152,19 @@ exports.createVideo = async (req, res) => {
 exports.getVideosByLecture = async (req, res) => {
   try {
     const { lectureId } = req.params;
-    const videos = await Video.find({ lectureId }).sort({ createdAt: 1 });
+    const videos = await Video.find({ lectureId }).sort({ createdAt: 1 }).lean();
+
+    // attach the user's resume position so players can continue where the student stopped
+    const userId = req.user && req.user._id;
+    if (userId && videos.length > 0) {
+      const VideoView = require('../models/VideoView');
+      const views = await VideoView.find({ userId, videoId: { $in: videos.map((v) => v._id) } }).lean();
+      const byVideo = new Map(views.map((v) => [String(v.videoId), v]));
+      for (const video of videos) {
+        const view = byVideo.get(String(video._id));
+        video.progress = view ? formatProgress(view, video.duration) : null;
+      }
+    }
     return res.json(videos);
   } catch (err) {
     console.error('getVideosByLecture error', err);
@@ -124,59 +196,63 @@ exports.getAllVideosAdmin = async (req, res) => {
 
 // Public availability endpoint removed.
 
-// Segment signing removed. Segments are served directly via playlist URLs.
+// Generate an HLS master playlist listing every stored quality as a variant stream (adaptive bitrate)
+exports.masterPlaylist = async (req, res) => {
+  try {
+    const { videoId } = req.params;
+    const video = await Video.findById(videoId).lean();
+    if (!video) return res.status(404).send('video not found');
+    const qualities = Array.isArray(video.qualities) ? video.qualities.filter((q) => q && q.quality) : [];
+    if (qualities.length === 0) return res.status(404).send('no qualities');
+
+    const variants = qualities.map((q) => {
+      const fallback = defaultVariantMeta(q.quality);
+      return {
+        quality: q.quality,
+        bandwidth: q.bandwidth || fallback.bandwidth,
+        resolution: q.resolution || fallback.resolution,
+      };
+    }).sort((a, b) => a.bandwidth - b.bandwidth);
+
+    // carry over query-string credentials (userCode/deviceId) so variant requests authenticate the same way
+    const qsIndex = req.originalUrl.indexOf('?');
+    const qs = qsIndex >= 0 ? req.originalUrl.slice(qsIndex) : '';
+
+    const lines = ['#EXTM3U', '#EXT-X-VERSION:3'];
+    for (const v of variants) {
+      const attrs = [`BANDWIDTH=${v.bandwidth}`];
+      if (v.resolution) attrs.push(`RESOLUTION=${v.resolution}`);
+      lines.push(`#EXT-X-STREAM-INF:${attrs.join(',')}`);
+      lines.push(`/api/videos/${videoId}/playlist/${encodeURIComponent(v.quality)}.m3u8${qs}`);
+    }
+
+    res.setHeader('content-type', 'application/vnd.apple.mpegurl');
+    return res.send(lines.join('\n'));
+  } catch (err) {
+    console.error('masterPlaylist error', err);
+    return res.status(500).send('playlist error');
+  }
+};
 
 // Generate an HLS playlist (m3u8) with signed URLs for each segment
 exports.playlist = async (req, res) => {
   try {
     const { videoId, quality } = req.params;
+    const user = req.user;
+    if (!user) return res.status(401).send('unauthenticated');
+    // the layout is shared by all users; tokens are signed below for this user
     const cacheKey = `${videoId}:${quality}`;
-    const cached = getPlaylistCache(cacheKey);
-    if (cached) {
-      res.setHeader('content-type', 'application/vnd.apple.mpegurl');
-      return res.send(cached);
-    }
-    const video = await Video.findById(videoId);
-    if (!video) return res.status(404).send('video not found');
-    const q = video.qualities.find((x) => String(x.quality) === String(quality));
-    if (!q) return res.status(404).send('quality not found');
-
-    // Determine segmentCount with priority:
-    // 1) explicit q.segmentCount (>1)
-    // 2) estimate from lastSegmentUrl if it looks correct
-    // 3) derive from stored video.duration using a default segment length
-    const vidDuration = Number(video.duration) || 0;
-    const defaultSegLen = Number(process.env.DEFAULT_SEGMENT_DURATION || 6); // seconds per segment when deriving from duration
-    let segmentCount = (q.segmentCount && q.segmentCount > 1) ? q.segmentCount : 0;
-    if (!segmentCount) {
-      const est = estimateSegmentCountFromUrl(q.lastSegmentUrl || q.last_segment_url || q.url || '');
-      if (est && est > 1) segmentCount = est;
+    let layout = getPlaylistCache(cacheKey);
+    if (!layout) {
+      const video = await Video.findById(videoId);
+      if (!video) return res.status(404).send('video not found');
+      const q = video.qualities.find((x) => String(x.quality) === String(quality));
+      if (!q) return res.status(404).send('quality not found');
+      layout = playlistLayout(video, q);
+      // cache briefly
+      setPlaylistCache(cacheKey, layout, 20);
     }
-    if ((!segmentCount || segmentCount < 1) && vidDuration > 0) {
-      segmentCount = Math.max(1, Math.ceil(vidDuration / Math.max(1, defaultSegLen)));
-    }
-    if (!segmentCount || segmentCount < 1) segmentCount = 1;
-
-    // Build per-segment durations using the canonical video duration from DB when available.
-    // This produces EXTINF values that sum to the known duration (with 3-decimal precision) and
-    // sets EXT-X-TARGETDURATION to the ceiling of the longest segment.
-    const segmentDurations = [];
-    if (vidDuration > 0 && segmentCount > 0) {
-      const per = vidDuration / segmentCount;
-      for (let i = 0; i < segmentCount; i++) segmentDurations.push(Number(per.toFixed(3)));
-      // adjust last segment to make the sum equal to vidDuration (prevent tiny rounding drift)
-      const sum = segmentDurations.reduce((a, b) => a + b, 0);
-      const diff = Number((vidDuration - sum).toFixed(3));
-      if (Math.abs(diff) > 0.0005) {
-        segmentDurations[segmentCount - 1] = Number((segmentDurations[segmentCount - 1] + diff).toFixed(3));
-      }
-    } else {
-      // fallback: 1s segments
-      for (let i = 0; i < Math.max(1, segmentCount); i++) segmentDurations.push(1);
-    }
-
-    const maxSegDur = Math.max(...segmentDurations, 1);
-    const targetDur = Math.ceil(maxSegDur);
+    const { vidDuration, segmentCount, segmentDurations, targetDur } = layout;
 
     // Build m3u8
     const lines = ['#EXTM3U', '#EXT-X-VERSION:3', '#EXT-X-PLAYLIST-TYPE:VOD', `#EXT-X-TARGETDURATION:${targetDur}`, '#EXT-X-MEDIA-SEQUENCE:1'];
@@ -186,9 +262,14 @@ exports.playlist = async (req, res) => {
     const configuredSeconds = parseTtlToSeconds(configuredTtl);
     const playlistSeconds = Math.max(1, Math.ceil(vidDuration) || (targetDur * segmentCount));
     const segTtlSeconds = Math.max(configuredSeconds, playlistSeconds + 30);
+    // Never sign past the end of the user's access (subscription or grant) so it stops streaming mid-playback
+    let expiresAt = Math.floor(Date.now() / 1000) + segTtlSeconds;
+    if (!user.isAdmin && req.access && req.access.expiresAt) {
+      expiresAt = Math.min(expiresAt, Math.floor(new Date(req.access.expiresAt).getTime() / 1000));
+    }
     for (let i = 1; i <= segmentCount; i++) {
-      // Direct segment URL (no signing)
-      const segUrl = `/api/videos/${videoId}/segments/${quality}/${i}`;
+      const token = signSegmentToken({ videoId, quality, segmentNumber: i, userId: user._id, expiresAt });
+      const segUrl = `/api/videos/${videoId}/segments/${quality}/${i}?token=${token}`;
       const dur = segmentDurations[i - 1] || 1;
       lines.push(`#EXTINF:${dur},`);
       lines.push(segUrl);
@@ -197,8 +278,6 @@ exports.playlist = async (req, res) => {
     lines.push('#EXT-X-ENDLIST');
 
     const body = lines.join('\n');
-    // cache briefly
-    setPlaylistCache(cacheKey, body, 20);
     // expose video duration and playlist total for debugging (DB duration and playlist total)
     try {
       res.setHeader('x-video-duration', String(vidDuration));
@@ -223,7 +302,12 @@ exports.playlist = async (req, res) => {
 exports.proxySegment = async (req, res) => {
   try {
     const { videoId, quality, segmentNumber } = req.params;
-    // Accept direct requests for segments and proxy upstream.
+    // Token is signed into the playlist for this user/segment and expires with the TTL or subscription
+    const verified = verifySegmentToken(req.query.token, { videoId, quality, segmentNumber });
+    if (!verified.ok) {
+      const status = verified.reason === 'missing' ? 401 : 403;
+      return res.status(status).json({ message: `segment token ${verified.reason}` });
+    }
 
     // Lookup the video and quality URL
     const video = await Video.findById(videoId);
@@ -232,35 +316,11 @@ exports.proxySegment = async (req, res) => {
     if (!q) return res.status(404).send('quality not found');
 
     // Construct segment url by replacing the numeric group most likely representing the segment index
-    let upstream = q.lastSegmentUrl;
-    const parts = upstream.split('/');
-    const last = parts.pop();
-
-    // Find all numeric groups with their positions
-    const matches = [...last.matchAll(/\d+/g)];
-    let newLast = last;
-    if (matches && matches.length > 0) {
-      // choose the numeric group with the largest numeric value (likely the segment index like 41 in segment-41-v1-a1)
-      let best = matches[0];
-      for (const mmm of matches) {
-        if (parseInt(mmm[0], 10) > parseInt(best[0], 10)) best = mmm;
-      }
-      const digits = best[0];
-      const idx = best.index;
-      const padded = String(segmentNumber).padStart(digits.length, '0');
-      newLast = last.slice(0, idx) + padded + last.slice(idx + digits.length);
-    } else {
-      // fallback: append segmentNumber before ext or at end
-      const mm = last.match(/(\.[^.]+)$/);
-      if (mm) newLast = last.replace(mm[1], `_${segmentNumber}${mm[1]}`);
-      else newLast = `${last}_${segmentNumber}`;
-    }
-    parts.push(newLast);
-    const finalUrl = parts.join('/');
+    const { url: finalUrl } = buildSegmentUrl(q.lastSegmentUrl, segmentNumber);
 
     // Try to serve from GridFS first (if mirrored there)
     try {
-      const gridFilename = `videos/${videoId}/${quality}/${newLast}`;
+      const gridFilename = gridfs.segmentFilename(videoId, quality, segmentNumber);
       const gf = await gridfs.findFileByName(gridFilename);
       if (gf) {
         const ds = gridfs.openDownloadStreamById(gf._id);
@@ -272,28 +332,49 @@ exports.proxySegment = async (req, res) => {
       // ignore GridFS errors and fall back to upstream
     }
 
-    // Proxy the request to upstream if not found in GridFS
-    // Allow disabling upstream TLS certificate checks via env VIDEO_ALLOW_INSECURE_UPSTREAM=true
-    const allowInsecure = String(process.env.VIDEO_ALLOW_INSECURE_UPSTREAM || '').toLowerCase() === 'true';
-    const https = require('https');
-    const axiosConfig = { responseType: 'stream' };
-    if (allowInsecure) {
-      axiosConfig.httpsAgent = new https.Agent({ rejectUnauthorized: false });
+    // Serve from the on-disk LRU cache when possible
+    const cacheKey = segmentCache.keyFor(videoId, quality, segmentNumber);
+    const cachedSeg = await segmentCache.get(cacheKey);
+    if (cachedSeg) {
+      const rs = fs.createReadStream(cachedSeg.file);
+      rs.on('open', () => {
+        segmentCache.recordHit(cachedSeg.size);
+        res.setHeader('content-type', cachedSeg.contentType);
+        res.setHeader('x-segment-cache', 'HIT');
+        rs.pipe(res);
+      });
+      rs.on('error', (e) => {
+        // evicted between lookup and open: fall back to a plain error (client retries)
+        if (!res.headersSent) return res.status(503).send('segment temporarily unavailable');
+        res.destroy(e);
+      });
+      return;
     }
-    // Try fetching with retries
-    const maxAttempts = 3;
-    let attempt = 0;
+
+    // Proxy the request to upstream if not found in GridFS or cache; concurrent misses share one fetch
+    const axiosConfig = upstreamAxiosConfig({ responseType: 'arraybuffer' });
     let lastErr = null;
-    for (; attempt < maxAttempts; attempt++) {
-      try {
-        const upstreamRes = await axios.get(finalUrl, axiosConfig);
-        res.setHeader('content-type', upstreamRes.headers['content-type'] || 'application/octet-stream');
-        upstreamRes.data.pipe(res);
-        return;
-      } catch (err) {
-        lastErr = err;
-        await new Promise((r) => setTimeout(r, 200 * (attempt + 1)));
-      }
+    try {
+      const fetched = await segmentCache.fetchOnce(cacheKey, async () => {
+        // Try fetching with retries
+        const maxAttempts = 3;
+        let err = null;
+        for (let attempt = 0; attempt < maxAttempts; attempt++) {
+          try {
+            const upstreamRes = await axios.get(finalUrl, axiosConfig);
+            return { body: Buffer.from(upstreamRes.data), contentType: upstreamRes.headers['content-type'] || 'application/octet-stream' };
+          } catch (e) {
+            err = e;
+            await new Promise((r) => setTimeout(r, 200 * (attempt + 1)));
+          }
+        }
+        throw err;
+      });
+      res.setHeader('content-type', fetched.contentType);
+      res.setHeader('x-segment-cache', 'MISS');
+      return res.send(fetched.body);
+    } catch (err) {
+      lastErr = err;
     }
     console.error('[proxySegment] all attempts failed for', finalUrl, 'lastErr:', lastErr && (lastErr.message || lastErr));
     // Provide additional diagnostic info in non-production to help debugging
@@ -318,45 +399,26 @@ exports.getVideoViewers = async (req, res) => {
   try {
     const { videoId } = req.params;
     const VideoView = require('../models/VideoView');
-    const views = await VideoView.find({ videoId }).sort({ createdAt: -1 }).populate('userId', 'name phone');
-    return res.json(views);
+    const [views, video] = await Promise.all([
+      VideoView.find({ videoId }).sort({ createdAt: -1 }).populate('userId', 'name phone').lean(),
+      Video.findById(videoId).select('duration').lean(),
+    ]);
+    const duration = video ? video.duration : 0;
+    return res.json(views.map((v) => ({ ...v, ...formatProgress(v, duration) })));
   } catch (err) {
     console.error('getVideoViewers error', err);
     return res.status(500).json({ message: err.message });
   }
 };
 
-// Admin: delete a video and unlink from lecture
+// Admin: move a video to the recycle bin (views and logs go with it; the GridFS mirror is kept until purge)
 exports.deleteVideo = async (req, res) => {
   try {
     const { videoId } = req.params;
     if (!videoId) return res.status(400).json({ message: 'videoId required' });
-    const VideoModel = require('../models/Video');
-    const LectureModel = require('../models/Lecture');
-
-    const video = await VideoModel.findById(videoId);
-    if (!video) return res.status(404).json({ message: 'video not found' });
-
-    // remove video doc
-    await VideoModel.findByIdAndDelete(videoId);
-
-    // remove reference from lecture.videos array if present
-    try {
-      await LectureModel.findByIdAndUpdate(video.lectureId, { $pull: { videos: { id: videoId } } });
-    } catch (e) {
-      // non-fatal
-      console.warn('Failed to unlink video from lecture', e && e.message);
-    }
-
-    // best-effort cleanup: remove VideoView entries
-    try {
-      const VideoView = require('../models/VideoView');
-      await VideoView.deleteMany({ videoId });
-    } catch (e) {
-      // ignore
-    }
-
-    return res.json({ ok: true });
+    const item = await trashContent('video', videoId, { adminId: req.user ? req.user._id : undefined });
+    if (!item) return res.status(404).json({ message: 'video not found' });
+    return res.json({ ok: true, trashId: item._id, expiresAt: item.expiresAt, counts: item.counts });
   } catch (err) {
     console.error('deleteVideo error', err && err.message ? err.message : err);
     return res.status(500).json({ message: err.message });
@@ -386,9 +448,26 @@ exports.updateVideo = async (req, res) => {
         quality: String(q.quality || q.q || ''),
         lastSegmentUrl: q.lastSegmentUrl || q.last_segment_url || q.url || '',
         segmentCount: q.segmentCount || q.segment_count || undefined,
+        ...parseVariantMeta(q),
       }));
     }
 
+    // keep probed segment durations for qualities whose upstream URL did not change;
+    // qualities that were removed or point at a new URL have stale GridFS mirrors
+    const changedQualities = [];
+    if (typeof parsedQualities !== 'undefined') {
+      const existing = await VideoModel.findById(videoId).select('qualities').lean();
+      const prevByQuality = new Map(((existing && existing.qualities) || []).map((q) => [String(q.quality), q]));
+      parsedQualities = parsedQualities.map((q) => {
+        const prev = prevByQuality.get(q.quality);
+        prevByQuality.delete(q.quality);
+        if (prev && prev.lastSegmentUrl !== q.lastSegmentUrl) changedQualities.push(q.quality);
+        if (!prev || prev.lastSegmentUrl !== q.lastSegmentUrl || !Array.isArray(prev.segmentDurations)) return q;
+        return { ...q, segmentDurations: prev.segmentDurations, durationsProbedAt: prev.durationsProbedAt };
+      });
+      changedQualities.push(...prevByQuality.keys());
+    }
+
     const update = {};
     if (typeof title !== 'undefined') update.title = title;
     if (typeof duration !== 'undefined') update.duration = Number(duration) || 0;
@@ -397,6 +476,23 @@ exports.updateVideo = async (req, res) => {
     const updated = await VideoModel.findByIdAndUpdate(videoId, update, { new: true });
     if (!updated) return res.status(404).json({ message: 'video not found' });
 
+    // upstream URLs may have changed: drop cached segments so they are refetched
+    if (typeof parsedQualities !== 'undefined') {
+      await segmentCache.purgeVideo(videoId).catch((e) => console.warn('segment cache purge failed', e && e.message));
+      for (const key of playlistCache.keys()) {
+        if (key.startsWith(`${videoId}:`)) playlistCache.delete(key);
+      }
+    }
+    // proxySegment serves GridFS before upstream, so mirrored segments of the old source must go
+    for (const quality of changedQualities) {
+      try {
+        const purged = await purgeSegmentMirror(videoId, { quality });
+        if (!purged.purged) console.warn('segment mirror purge skipped', videoId, quality, purged.reason);
+      } catch (e) {
+        console.warn('segment mirror purge failed', videoId, quality, e && e.message);
+      }
+    }
+
     // After an edit to a video's metadata/qualities we should re-check the lecture
     // in background; if all videos become working, `checkLectureVideos` will
     // create/send recovery notifications (existing logic).
@@ -452,13 +548,72 @@ exports.recordVideoView = async (req, res) => {
   }
 };
 
-// Stream a downloadable file by concatenating segments sequentially.
-// This lets the browser manage the download independently so refreshing
-// the original page doesn't cancel it. Requires auth + subscription.
+// Save playback progress for the authenticated user.
+// PUT /api/videos/:videoId/progress  body: { position, watchedSeconds? }
+// `watchedSeconds` is the client's running total of seconds actually played; it only grows.
+exports.updateVideoProgress = async (req, res) => {
+  try {
+    const VideoView = require('../models/VideoView');
+    const userId = req.user && req.user._id;
+    const { videoId } = req.params;
+    if (!userId) return res.status(401).json({ message: 'Unauthenticated' });
+
+    const position = Number(req.body.position);
+    if (!Number.isFinite(position) || position < 0) return res.status(400).json({ message: 'position (seconds) required' });
+    const watched = typeof req.body.watchedSeconds !== 'undefined' ? Number(req.body.watchedSeconds) : null;
+    if (watched !== null && (!Number.isFinite(watched) || watched < 0)) return res.status(400).json({ message: 'Invalid watchedSeconds' });
+
+    const video = await Video.findById(videoId).select('duration').lean();
+    if (!video) return res.status(404).json({ message: 'video not found' });
+    const duration = Number(video.duration) || 0;
+    const clamp = (n) => (duration > 0 ? Math.min(n, duration) : n);
+
+    const update = { $set: { lastPosition: clamp(position), progressUpdatedAt: new Date() } };
+    if (watched !== null) update.$max = { watchedSeconds: clamp(watched) };
+    let view = await VideoView.findOneAndUpdate({ userId, videoId }, update, { new: true, upsert: true, setDefaultsOnInsert: true });
+
+    const threshold = Number(process.env.VIDEO_COMPLETION_THRESHOLD || '90');
+    const percent = completionPercent(view.watchedSeconds, duration);
+    if (!view.completedAt && percent !== null && percent >= threshold) {
+      view = await VideoView.findByIdAndUpdate(view._id, { completedAt: new Date() }, { new: true });
+    }
+
+    return res.json(formatProgress(view, duration));
+  } catch (err) {
+    console.error('updateVideoProgress error', err);
+    return res.status(500).json({ message: err.message });
+  }
+};
+
+// Track bytes sent for a download response and settle its DownloadLog entry when the response ends
+function trackDownload(log) {
+  let bytesSent = 0;
+  let settled = false;
+  const settle = (status, error) => {
+    if (settled || !log) return;
+    settled = true;
+    const update = { status, bytesSent };
+    if (error) update.error = error;
+    const DownloadLog = require('../models/DownloadLog');
+    DownloadLog.updateOne({ _id: log._id }, { $set: update }).catch(() => {});
+  };
+  return {
+    count(chunk) { bytesSent += chunk.length; },
+    complete() { settle('completed'); },
+    fail(err) { settle('failed', err && (err.message || String(err))); },
+    abort() { settle('aborted'); },
+  };
+}
+
+// Download a video. Default format is MP4: segments are assembled and remuxed with system
+// ffmpeg into a cached file, served with Content-Length and HTTP Range so interrupted
+// downloads resume. `?format=ts` keeps the legacy raw MPEG-TS stream (no Range support).
+// Requires auth + subscription + download permission.
 exports.download = async (req, res) => {
   try {
     const { videoId } = req.params;
     const quality = req.query.quality || req.query.q;
+    const format = String(req.query.format || 'mp4').toLowerCase() === 'ts' ? 'ts' : 'mp4';
 
     // check permission: only admin or users allowed to download
     const user = req.user;
@@ -470,75 +625,144 @@ exports.download = async (req, res) => {
     const q = video.qualities.find((x) => String(x.quality) === String(quality)) || video.qualities[0];
     if (!q) return res.status(404).json({ message: 'quality not found' });
 
-    // Determine segment count
-    const segmentCount = (q.segmentCount && q.segmentCount > 1) ? q.segmentCount : estimateSegmentCountFromUrl(q.lastSegmentUrl || q.url || '');
-
     // Prepare response headers for download
     const rawTitle = (video && video.title) ? String(video.title) : 'video';
     const asciiTitle = rawTitle.replace(/[^a-z0-9\-_. ]/gi, '_');
     const qualityLabel = q.quality ? `${q.quality}p` : 'video';
-    const ext = '.ts';
+    const ext = format === 'mp4' ? '.mp4' : '.ts';
     const asciiFilename = `${asciiTitle}_${qualityLabel}${ext}`;
     const utfFilename = `${rawTitle}_${qualityLabel}${ext}`;
-    res.setHeader('Content-Type', 'video/MP2T');
-    // Provide both ASCII fallback and RFC5987 UTF-8 filename*
-    try {
-      res.setHeader('Content-Disposition', `attachment; filename="${asciiFilename}"; filename*=UTF-8''${encodeURIComponent(utfFilename)}`);
-    } catch (e) {
-      res.setHeader('Content-Disposition', `attachment; filename="${asciiFilename}"`);
-    }
-
-    // Build final segment URLs first so we can optionally compute total size
-    const finalUrls = [];
-    for (let i = 1; i <= Math.max(1, segmentCount); i++) {
-      const parts = (q.lastSegmentUrl || q.url || '').split('/');
-      const last = parts.pop();
-      const matches = [...last.matchAll(/\d+/g)];
-      let newLast = last;
-      if (matches && matches.length > 0) {
-        let best = matches[0];
-        for (const mmm of matches) if (parseInt(mmm[0],10) > parseInt(best[0],10)) best = mmm;
-        const digits = best[0];
-        const idx = best.index;
-        const padded = String(i).padStart(digits.length, '0');
-        newLast = last.slice(0, idx) + padded + last.slice(idx + digits.length);
-      } else {
-        const mm = last.match(/(\.[^.]+)$/);
-        if (mm) newLast = last.replace(mm[1], `_${i}${mm[1]}`);
-        else newLast = `${last}_${i}`;
+    const setDisposition = () => {
+      // Provide both ASCII fallback and RFC5987 UTF-8 filename*
+      try {
+        res.setHeader('Content-Disposition', `attachment; filename="${asciiFilename}"; filename*=UTF-8''${encodeURIComponent(utfFilename)}`);
+      } catch (e) {
+        res.setHeader('Content-Disposition', `attachment; filename="${asciiFilename}"`);
       }
-      parts.push(newLast);
-      finalUrls.push(parts.join('/'));
+    };
+
+    const isHead = req.method === 'HEAD';
+
+    // enforce download quota; a Range request past byte 0 is a resume of an earlier download
+    const rangeMatch = format === 'mp4' && typeof req.headers.range === 'string' ? req.headers.range.match(/^bytes=(\d*)-/) : null;
+    const isResume = !!rangeMatch && (rangeMatch[1] === '' || parseInt(rangeMatch[1], 10) > 0);
+    const { checkDownloadQuota } = require('../services/downloadQuotaService');
+    const quota = await checkDownloadQuota(user, video._id, { isResume });
+    if (!quota.allowed) {
+      return res.status(429).json({ message: 'Download quota exceeded', perDay: quota.perDay, perPeriod: quota.perPeriod });
     }
-    // Stream segments sequentially
-    const allowInsecure = String(process.env.VIDEO_ALLOW_INSECURE_UPSTREAM || '').toLowerCase() === 'true';
-    const https = require('https');
-    const axiosConfigStream = { responseType: 'stream' };
-    if (allowInsecure) axiosConfigStream.httpsAgent = new https.Agent({ rejectUnauthorized: false });
-    for (const finalUrl of finalUrls) {
-      if (res.headersSent && res.writableEnded) break;
+
+    const DownloadLog = require('../models/DownloadLog');
+    const startLog = async (fields) => {
+      if (isHead) return null;
       try {
-        const upstreamRes = await require('axios').get(finalUrl, axiosConfigStream);
-        // pipe upstream stream to client and wait until it finishes
-        await new Promise((resolve, reject) => {
-          upstreamRes.data.on('data', (chunk) => {
-            try { res.write(chunk); } catch (e) { /* client likely closed */ }
-          });
-          upstreamRes.data.on('end', resolve);
-          upstreamRes.data.on('error', reject);
-          // if client disconnects, stop streaming
-          req.on('close', () => {
-            try { if (upstreamRes.data && upstreamRes.data.destroy) upstreamRes.data.destroy(); } catch (e) {}
-            resolve();
-          });
+        return await DownloadLog.create({
+          userId: user._id,
+          videoId: video._id,
+          quality: q.quality,
+          format,
+          ip: req.ip,
+          userAgent: req.headers['user-agent'],
+          counted: quota.counted,
+          ...fields,
         });
-      } catch (err) {
-        console.error('[download] failed fetching segment', finalUrl, err && err.message);
-        break;
+      } catch (e) {
+        console.warn('DownloadLog create warning', e && e.message);
+        return null;
+      }
+    };
+    // count a download once per quota-consuming request (resumes of a counted download are free)
+    const countDownload = () => {
+      if (!quota.counted) return;
+      Video.updateOne({ _id: video._id }, { $inc: { downloadCount: 1 } }).catch(() => {});
+    };
+
+    if (format === 'ts') {
+      const segmentCount = resolveSegmentCount(video, q);
+      res.setHeader('Content-Type', 'video/MP2T');
+      setDisposition();
+      if (isHead) return res.end();
+
+      const log = await startLog({ rangeStart: 0 });
+      const tracker = trackDownload(log);
+      countDownload();
+      // if client disconnects, stop streaming the current segment
+      let clientClosed = false;
+      let current = null;
+      req.on('close', () => {
+        clientClosed = true;
+        if (current) { try { current.stream.destroy(); } catch (e) {} current.resolve(); }
+      });
+
+      // Stream segments sequentially
+      const { openSegmentStream } = require('../services/videoDownloadService');
+      for (let i = 1; i <= segmentCount; i++) {
+        if (clientClosed) break;
+        try {
+          const rs = await openSegmentStream(video._id, q, i);
+          if (clientClosed) { try { rs.destroy(); } catch (e) {} break; }
+          await new Promise((resolve, reject) => {
+            current = { stream: rs, resolve };
+            rs.on('data', (chunk) => { tracker.count(chunk); });
+            rs.on('end', resolve);
+            rs.on('error', reject);
+            rs.pipe(res, { end: false });
+          });
+          current = null;
+        } catch (err) {
+          // Abort the connection instead of ending cleanly so the client sees a failed (not truncated) download
+          console.error('[download] failed fetching segment', i, err && err.message);
+          tracker.fail(err);
+          res.destroy(err);
+          return;
+        }
       }
+      if (clientClosed) tracker.abort();
+      else tracker.complete();
+      try { res.end(); } catch (e) {}
+      return;
     }
 
-    try { res.end(); } catch (e) {}
+    const { isFfmpegAvailable } = require('../utils/systemFFmpeg');
+    if (!isFfmpegAvailable()) return res.status(503).json({ message: 'MP4 download unavailable (ffmpeg not installed); use format=ts' });
+
+    const { getMp4Download, parseRange } = require('../services/videoDownloadService');
+    let filePath = null;
+    try {
+      filePath = await getMp4Download(video, q);
+    } catch (err) {
+      console.error('[download] failed preparing mp4', String(video._id), q.quality, err && err.message);
+      return res.status(502).json({ message: 'Failed to prepare download', error: err && err.message });
+    }
+
+    const size = fs.statSync(filePath).size;
+    const range = parseRange(req.headers.range, size);
+    res.setHeader('Accept-Ranges', 'bytes');
+    res.setHeader('Content-Type', 'video/mp4');
+    setDisposition();
+    if (range && range.invalid) {
+      res.setHeader('Content-Range', `bytes */${size}`);
+      return res.status(416).end();
+    }
+    const start = range ? range.start : 0;
+    const end = range ? range.end : size - 1;
+    res.setHeader('Content-Length', String(end - start + 1));
+    if (range) {
+      res.status(206);
+      res.setHeader('Content-Range', `bytes ${start}-${end}/${size}`);
+    }
+    if (isHead) return res.end();
+
+    const log = await startLog({ rangeStart: start, totalBytes: size });
+    const tracker = trackDownload(log);
+    countDownload();
+
+    const rs = fs.createReadStream(filePath, { start, end });
+    rs.on('data', (chunk) => tracker.count(chunk));
+    rs.on('error', (err) => { tracker.fail(err); res.destroy(err); });
+    res.on('finish', () => tracker.complete());
+    res.on('close', () => { if (!res.writableFinished) { tracker.abort(); rs.destroy(); } });
+    rs.pipe(res);
     return;
   } catch (err) {
     console.error('download error', err && err.message);
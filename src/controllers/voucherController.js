@@ -0,0 +1,283 @@
+const mongoose = require('mongoose');
+const Voucher = require('../models/Voucher');
+const VoucherRedemption = require('../models/VoucherRedemption');
+const Plan = require('../models/Plan');
+const Material = require('../models/Material');
+const { findUserByCode } = require('../utils/userCode');
+const { sendCsv } = require('../utils/csv');
+const { recordLoginEvent } = require('../services/loginMonitor');
+const { clientInfo, releaseAttempt } = require('../services/loginThrottle');
+const { invalidateUser } = require('../services/sessionService');
+const { MAX_BATCH, generateVouchers, redeemVoucher } = require('../services/voucherService');
+
+function pagination(query) {
+  const page = Math.max(1, parseInt(query.page || '1', 10));
+  const limit = Math.min(200, parseInt(query.limit || '50', 10));
+  return { page, limit, skip: (page - 1) * limit };
+}
+
+function voucherStatus(v, now = new Date()) {
+  if (v.disabled) return 'disabled';
+  if (v.expiresAt && new Date(v.expiresAt) <= now) return 'expired';
+  if (v.redemptionsCount >= v.maxRedemptions) return 'used';
+  return 'active';
+}
+
+// Build a Voucher filter from query params; returns { filter } or { error }
+function buildVoucherFilter(query) {
+  const filter = {};
+  const now = new Date();
+  if (query.batchId) filter.batchId = String(query.batchId);
+  if (query.planId) {
+    if (!mongoose.Types.ObjectId.isValid(query.planId)) return { error: 'Invalid planId' };
+    filter.plan = query.planId;
+  }
+  if (query.code) filter.code = { $regex: String(query.code).toUpperCase().replace(/[^A-Z0-9-]/g, '') };
+  switch (query.status) {
+    case undefined:
+    case '':
+      break;
+    case 'disabled':
+      filter.disabled = true;
+      break;
+    case 'expired':
+      filter.disabled = false;
+      filter.expiresAt = { $lte: now };
+      break;
+    case 'used':
+      filter.disabled = false;
+      filter.$expr = { $gte: ['$redemptionsCount', '$maxRedemptions'] };
+      break;
+    case 'active':
+      filter.disabled = false;
+      filter.$or = [{ expiresAt: null }, { expiresAt: { $gt: now } }];
+      filter.$expr = { $lt: ['$redemptionsCount', '$maxRedemptions'] };
+      break;
+    default:
+      return { error: 'Invalid status' };
+  }
+  return { filter };
+}
+
+// Validate voucher settings from a request body; returns { fields } or { error }
+async function readVoucherFields(body) {
+  const fields = {};
+  if (typeof body.maxRedemptions !== 'undefined') {
+    const n = parseInt(body.maxRedemptions, 10);
+    if (Number.isNaN(n) || n < 1) return { error: 'maxRedemptions must be at least 1' };
+    fields.maxRedemptions = n;
+  }
+  if (typeof body.expiresAt !== 'undefined') {
+    fields.expiresAt = body.expiresAt ? new Date(body.expiresAt) : null;
+    if (fields.expiresAt && Number.isNaN(fields.expiresAt.getTime())) return { error: 'Invalid expiresAt' };
+  }
+  if (typeof body.materials !== 'undefined') {
+    const ids = Array.isArray(body.materials) ? Array.from(new Set(body.materials.map(String))) : [];
+    if (ids.some((id) => !mongoose.Types.ObjectId.isValid(id))) return { error: 'Invalid material id' };
+    if ((await Material.countDocuments({ _id: { $in: ids } })) !== ids.length) return { error: 'Unknown material in materials' };
+    fields.materials = ids;
+  }
+  if (typeof body.disabled !== 'undefined') fields.disabled = !!body.disabled;
+  if (typeof body.note !== 'undefined') fields.note = body.note;
+  return { fields };
+}
+
+// POST /api/admin/vouchers  body: { planId, count, maxRedemptions, expiresAt, materials, note }
+exports.createVouchers = async (req, res) => {
+  try {
+    const { planId } = req.body;
+    if (!planId || !mongoose.Types.ObjectId.isValid(planId)) return res.status(400).json({ message: 'planId required' });
+    const plan = await Plan.findById(planId).lean();
+    if (!plan) return res.status(404).json({ message: 'Plan not found' });
+    if (!plan.active) return res.status(400).json({ message: 'Plan is not active' });
+    const count = parseInt(req.body.count || '1', 10);
+    if (Number.isNaN(count) || count < 1 || count > MAX_BATCH) return res.status(400).json({ message: `count must be between 1 and ${MAX_BATCH}` });
+    const { fields, error } = await readVoucherFields(req.body);
+    if (error) return res.status(400).json({ message: error });
+
+    const { batchId, vouchers } = await generateVouchers({ ...fields, plan, count, createdBy: req.user._id });
+    return res.status(201).json({ message: 'Vouchers created', batchId, count: vouchers.length, vouchers });
+  } catch (err) {
+    console.error('createVouchers error', err);
+    return res.status(500).json({ message: err.message });
+  }
+};
+
+// GET /api/admin/vouchers?batchId=&planId=&status=active|used|expired|disabled&code=&page=1&limit=50
+exports.getVouchers = async (req, res) => {
+  try {
+    const { filter, error } = buildVoucherFilter(req.query);
+    if (error) return res.status(400).json({ message: error });
+    const { page, limit, skip } = pagination(req.query);
+
+    const [vouchers, total] = await Promise.all([
+      Voucher.find(filter).sort({ createdAt: -1 }).skip(skip).limit(limit).populate('plan', 'key name').lean(),
+      Voucher.countDocuments(filter),
+    ]);
+    const now = new Date();
+    return res.json({ total, page, limit, vouchers: vouchers.map((v) => ({ ...v, status: voucherStatus(v, now) })) });
+  } catch (err) {
+    console.error('getVouchers error', err);
+    return res.status(500).json({ message: err.message });
+  }
+};
+
+// GET /api/admin/vouchers/:id  (with its redemptions)
+exports.getVoucher = async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) return res.status(400).json({ message: 'Invalid voucher id' });
+    const voucher = await Voucher.findById(req.params.id).populate('plan', 'key name').populate('materials', 'title').lean();
+    if (!voucher) return res.status(404).json({ message: 'Voucher not found' });
+    const redemptions = await VoucherRedemption.find({ voucherId: voucher._id }).sort({ createdAt: -1 }).populate('userId', 'name phone codePrefix').lean();
+    return res.json({ ...voucher, status: voucherStatus(voucher), redemptions });
+  } catch (err) {
+    console.error('getVoucher error', err);
+    return res.status(500).json({ message: err.message });
+  }
+};
+
+// PUT /api/admin/vouchers/:id  body: { maxRedemptions, expiresAt, materials, disabled, note }
+exports.updateVoucher = async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) return res.status(400).json({ message: 'Invalid voucher id' });
+    const { fields, error } = await readVoucherFields(req.body);
+    if (error) return res.status(400).json({ message: error });
+    const voucher = await Voucher.findByIdAndUpdate(req.params.id, fields, { new: true, runValidators: true });
+    if (!voucher) return res.status(404).json({ message: 'Voucher not found' });
+    return res.json({ message: 'Voucher updated', voucher });
+  } catch (err) {
+    console.error('updateVoucher error', err);
+    return res.status(500).json({ message: err.message });
+  }
+};
+
+// DELETE /api/admin/vouchers/:id
+// Redeemed vouchers are kept for the redemption history; disable them instead.
+exports.deleteVoucher = async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) return res.status(400).json({ message: 'Invalid voucher id' });
+    const voucher = await Voucher.findById(req.params.id);
+    if (!voucher) return res.status(404).json({ message: 'Voucher not found' });
+    if (voucher.redemptionsCount > 0) return res.status(409).json({ message: 'Voucher has been redeemed; set disabled instead' });
+    await voucher.deleteOne();
+    return res.json({ message: 'Voucher deleted' });
+  } catch (err) {
+    console.error('deleteVoucher error', err);
+    return res.status(500).json({ message: err.message });
+  }
+};
+
+// GET /api/admin/vouchers/export.csv  (same filters as the list)
+exports.exportVouchers = async (req, res) => {
+  try {
+    const { filter, error } = buildVoucherFilter(req.query);
+    if (error) return res.status(400).json({ message: error });
+    const vouchers = await Voucher.find(filter).sort({ batchId: 1, createdAt: 1 }).limit(50000).populate('plan', 'key name').lean();
+    const now = new Date();
+    return sendCsv(res, `vouchers-${req.query.batchId || now.toISOString().slice(0, 10)}.csv`, vouchers, [
+      { header: 'code', value: (v) => v.code },
+      { header: 'batch', value: (v) => v.batchId },
+      { header: 'plan', value: (v) => (v.plan ? v.plan.key : '') },
+      { header: 'materials', value: (v) => (v.materials || []).join(' ') },
+      { header: 'status', value: (v) => voucherStatus(v, now) },
+      { header: 'redemptions', value: (v) => v.redemptionsCount },
+      { header: 'maxRedemptions', value: (v) => v.maxRedemptions },
+      { header: 'expiresAt', value: (v) => v.expiresAt },
+      { header: 'note', value: (v) => v.note },
+      { header: 'createdAt', value: (v) => v.createdAt },
+    ]);
+  } catch (err) {
+    console.error('exportVouchers error', err);
+    return res.status(500).json({ message: err.message });
+  }
+};
+
+// GET /api/admin/vouchers/redemptions?batchId=&voucherId=&userId=&planId=&from=&to=&page=1&limit=50
+// Redemptions plus totals per plan and per batch for the same filter.
+exports.getRedemptions = async (req, res) => {
+  try {
+    const filter = {};
+    if (req.query.batchId) filter.batchId = String(req.query.batchId);
+    for (const [param, field] of [['voucherId', 'voucherId'], ['userId', 'userId'], ['planId', 'planId']]) {
+      if (!req.query[param]) continue;
+      if (!mongoose.Types.ObjectId.isValid(req.query[param])) return res.status(400).json({ message: `Invalid ${param}` });
+      filter[field] = new mongoose.Types.ObjectId(String(req.query[param]));
+    }
+    if (req.query.from || req.query.to) {
+      filter.createdAt = {};
+      if (req.query.from) filter.createdAt.$gte = new Date(req.query.from);
+      if (req.query.to) filter.createdAt.$lte = new Date(req.query.to);
+    }
+    const { page, limit, skip } = pagination(req.query);
+
+    const [redemptions, total, byPlan, byBatch] = await Promise.all([
+      VoucherRedemption.find(filter).sort({ createdAt: -1 }).skip(skip).limit(limit)
+        .populate('userId', 'name phone codePrefix')
+        .populate('planId', 'key name price currency')
+        .lean(),
+      VoucherRedemption.countDocuments(filter),
+      VoucherRedemption.aggregate([
+        { $match: filter },
+        { $group: { _id: '$planId', count: { $sum: 1 } } },
+        { $lookup: { from: 'plans', localField: '_id', foreignField: '_id', as: 'plan' } },
+        { $project: { _id: 0, planId: '$_id', count: 1, plan: { $arrayElemAt: ['$plan', 0] } } },
+        { $project: { planId: 1, count: 1, key: '$plan.key', name: '$plan.name', value: { $multiply: ['$count', { $ifNull: ['$plan.price', 0] }] } } },
+      ]),
+      VoucherRedemption.aggregate([
+        { $match: filter },
+        { $group: { _id: '$batchId', count: { $sum: 1 }, first: { $min: '$createdAt' }, last: { $max: '$createdAt' } } },
+        { $sort: { last: -1 } },
+        { $limit: 100 },
+      ]),
+    ]);
+
+    return res.json({
+      total,
+      page,
+      limit,
+      byPlan,
+      byBatch: byBatch.map(({ _id, ...b }) => ({ batchId: _id, ...b })),
+      redemptions,
+    });
+  } catch (err) {
+    console.error('getRedemptions error', err);
+    return res.status(500).json({ message: err.message });
+  }
+};
+
+// POST /auth/vouchers/redeem  body: { voucher } (signed in), or { code, voucher } with the student's login code
+// so students whose subscription already ended can renew without an admin.
+exports.redeem = async (req, res) => {
+  try {
+    const { voucher, code } = req.body || {};
+    if (!voucher) return res.status(400).json({ message: 'Voucher code required' });
+
+    let user = req.user && !req.user.isAdmin ? req.user : null;
+    if (!user) {
+      if (!code) return res.status(401).json({ message: 'Authentication required' });
+      user = await findUserByCode(String(code), { isAdmin: { $ne: true } });
+      if (!user) {
+        await recordLoginEvent(req, { kind: 'user', type: 'failed', reason: 'invalid_code', code: String(code) });
+        return res.status(401).json({ message: 'Invalid code' });
+      }
+      await releaseAttempt(clientInfo(req));
+    }
+
+    const result = await redeemVoucher(user, voucher, { ip: req.ip });
+    if (result.error) return res.status(result.status).json({ message: result.error });
+    invalidateUser(user._id);
+
+    return res.json({
+      message: 'Voucher redeemed',
+      plan: { _id: result.plan._id, key: result.plan.key, name: result.plan.name },
+      materials: result.materials || [],
+      expiresAt: result.expiresAt,
+      ...(result.user ? { user: result.user } : {}),
+    });
+  } catch (err) {
+    console.error('redeemVoucher error', err);
+    return res.status(500).json({ message: err.message });
+  }
+};
+
+module.exports = exports;
@@ -0,0 +1,106 @@
+const mongoose = require('mongoose');
+const AuditLog = require('../models/AuditLog');
+const { roleOf } = require('../utils/adminRoles');
+
+// Never stored in audit entries, at any depth
+const SENSITIVE_KEYS = new Set(['code', 'codeHash', 'sessionToken', 'sessionTokens', 'accessToken', 'refreshToken', 'refreshJti', 'password']);
+// Long arrays (e.g. segment durations) are summarised instead of copied
+const MAX_ARRAY_LENGTH = 200;
+
+function sanitize(value) {
+  if (value === null || typeof value !== 'object') return value;
+  if (value instanceof Date) return value;
+  if (value instanceof mongoose.Types.ObjectId) return String(value);
+  if (Buffer.isBuffer(value)) return `[Buffer ${value.length} bytes]`;
+  if (Array.isArray(value)) {
+    if (value.length > MAX_ARRAY_LENGTH) return `[Array(${value.length})]`;
+    return value.map(sanitize);
+  }
+  const out = {};
+  for (const [k, v] of Object.entries(value)) {
+    if (SENSITIVE_KEYS.has(k)) continue;
+    out[k] = sanitize(v);
+  }
+  return out;
+}
+
+// Top-level fields that differ between two snapshots
+function diff(before, after) {
+  const changes = {};
+  const keys = new Set([...Object.keys(before || {}), ...Object.keys(after || {})]);
+  for (const key of keys) {
+    if (key === 'updatedAt' || key === '__v') continue;
+    const from = before ? before[key] : undefined;
+    const to = after ? after[key] : undefined;
+    if (JSON.stringify(from) !== JSON.stringify(to)) changes[key] = { from: from === undefined ? null : from, to: to === undefined ? null : to };
+  }
+  return Object.keys(changes).length > 0 ? changes : null;
+}
+
+async function snapshot(modelName, id) {
+  if (!modelName || !id || !mongoose.Types.ObjectId.isValid(id)) return null;
+  const doc = await mongoose.model(modelName).findById(id).lean();
+  return doc ? sanitize(doc) : null;
+}
+
+// Id of a created document in a JSON response: `{ _id }` or `{ message, <doc>: { _id } }`
+function createdIdFrom(body) {
+  if (!body || typeof body !== 'object') return null;
+  if (body._id) return String(body._id);
+  for (const v of Object.values(body)) {
+    if (v && typeof v === 'object' && !Array.isArray(v) && v._id) return String(v._id);
+  }
+  return null;
+}
+
+// Route middleware recording an AuditLog entry when an admin write succeeds.
+//  - action: dotted action name, e.g. 'lecture.update'
+//  - opts.model: Mongoose model of the target (before/after snapshots are taken when set)
+//  - opts.idParam: route param holding the target id (omit for creates: the id is read from the response)
+function audit(action, { model = null, idParam = null } = {}) {
+  return async (req, res, next) => {
+    const targetParam = idParam ? req.params[idParam] : null;
+    let before = null;
+    try {
+      before = await snapshot(model, targetParam);
+    } catch (e) {
+      // auditing must never block the request
+    }
+
+    let responseBody = null;
+    const originalJson = res.json.bind(res);
+    res.json = (body) => {
+      responseBody = body;
+      return originalJson(body);
+    };
+
+    res.on('finish', () => {
+      if (res.statusCode >= 400) return;
+      (async () => {
+        const targetId = targetParam || createdIdFrom(responseBody);
+        const after = await snapshot(model, targetId);
+        await AuditLog.create({
+          actorId: req.user && req.user._id,
+          actorName: req.user && req.user.name,
+          actorRole: roleOf(req.user),
+          action,
+          targetModel: model,
+          targetId: targetId ? String(targetId) : null,
+          before,
+          after,
+          changes: model ? diff(before, after) : null,
+          details: sanitize({ params: req.params, body: req.body }),
+          method: req.method,
+          path: req.originalUrl.split('?')[0],
+          statusCode: res.statusCode,
+          ip: req.ip,
+          userAgent: req.headers['user-agent'],
+        });
+      })().catch((e) => console.warn('audit log write failed', action, e && e.message));
+    });
+
+    next();
+  };
+}
+
+module.exports = { audit };
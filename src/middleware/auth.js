@@ -1,42 +1,105 @@
+// Access token from `Authorization: Bearer <token>` or query param (for browser downloads)
+function getAccessToken(req) {
+  const header = req.headers.authorization || '';
+  const m = header.match(/^Bearer\s+(.+)$/i);
+  if (m) return m[1].trim();
+  return req.query.accessToken || req.query.access_token || null;
+}
+
+// Sending the raw user code on every request is a migration aid only: off unless AUTH_ALLOW_USER_CODE=true
+function userCodeAuthAllowed() {
+  return String(process.env.AUTH_ALLOW_USER_CODE || 'false').toLowerCase() === 'true';
+}
+
+// Verify a signed access token and attach the user. Returns an { status, message } error or null.
+async function authenticateWithToken(req, token) {
+  const { authenticateAccessToken } = require('../services/sessionService');
+  const { requestDeviceId, getDevices, touchDevice } = require('../services/devicePolicy');
+  const result = await authenticateAccessToken(token);
+  if (result.error) return { status: result.status, message: result.error };
+  const { did } = result.payload;
+  // tokens from logins made without a device id predate device-bound sessions
+  if (!did) return { status: 401, message: 'Session expired, please log in again' };
+  const deviceId = requestDeviceId(req);
+  if (did && deviceId && did !== deviceId) {
+    return { status: 403, message: 'Access denied: token issued to a different device' };
+  }
+  // tokens of a device that has since been removed stop working
+  if (did && !getDevices(result.user).some((d) => d.deviceId === did)) {
+    return { status: 403, message: 'Access denied: device removed' };
+  }
+  if (result.user.isAdmin && result.user.adminDisabled) {
+    return { status: 403, message: 'Admin account disabled' };
+  }
+  touchDevice(result.user, did);
+  req.user = result.user;
+  req.auth = result.payload;
+  return null;
+}
+
+// Look up a raw user code sent with a request. Attempts count towards the same per-IP /
+// per-device lockout as /auth/user-login (services/loginThrottle), so this path cannot be used
+// to guess codes. Returns { user } or { status, message, retryAfter? }.
+async function authenticateWithCode(req, userCode) {
+  const { clientInfo, reserveAttempt, releaseAttempt } = require('../services/loginThrottle');
+  const { recordLoginEvent } = require('../services/loginMonitor');
+  const { findUserByCode } = require('../utils/userCode');
+  const client = clientInfo(req);
+  const lockout = await reserveAttempt(client);
+  if (lockout) {
+    const retryAfter = Math.max(1, Math.ceil((lockout.until.getTime() - Date.now()) / 1000));
+    return { status: 429, message: 'Too many failed login attempts, try again later', retryAfter };
+  }
+  const user = await findUserByCode(String(userCode));
+  if (!user) {
+    await recordLoginEvent(req, { kind: 'user', type: 'failed', reason: 'invalid_code', code: String(userCode) });
+    return { status: 401, message: 'Invalid user code' };
+  }
+  await releaseAttempt(client);
+  return { user };
+}
+
 // Check if request has a valid user token
 const authMiddleware = async (req, res, next) => {
+  const accessToken = getAccessToken(req);
+  if (accessToken) {
+    try {
+      const failure = await authenticateWithToken(req, accessToken);
+      if (failure) return res.status(failure.status).json({ message: failure.message });
+      return next();
+    } catch (error) {
+      return res.status(500).json({ message: 'Auth error' });
+    }
+  }
+
   // allow user code to come from header or query param (for browser downloads)
   const userCode = req.headers['user-code'] || req.query.userCode || req.query['user-code'];
   // DEBUG: log incoming header for diagnosis (remove in production)
 
-  // device id header used to enforce single-browser usage
-  const deviceId = req.headers['device-id'] || req.headers['device_id'] || req.query.deviceId || req.query['device-id'];
+  const { requestDeviceId, checkRequestDevice, touchDevice } = require('../services/devicePolicy');
+  // device id header used to enforce the device binding
+  const deviceId = requestDeviceId(req);
   // session token header used to validate active session
   const sessionToken = req.headers['session-token'] || req.headers['session_token'];
   
-  if (!userCode) {
-    return res.status(401).json({ message: 'User code required' });
+  if (!userCode || !userCodeAuthAllowed()) {
+    return res.status(401).json({ message: userCode ? 'Access token required' : 'User code required' });
   }
 
-  const User = require('../models/User');
   try {
-    const user = await User.findOne({ code: userCode });
-    // DEBUG: show whether user was found (remove in production)
+    const { user, status, message, retryAfter } = await authenticateWithCode(req, userCode);
     if (!user) {
-      return res.status(401).json({ message: 'Invalid user code' });
+      if (retryAfter) res.set('Retry-After', String(retryAfter));
+      return res.status(status).json(retryAfter ? { message, retryAfter } : { message });
     }
-    // normalize device ids and session tokens (support legacy single-field)
-    const userDeviceIds = Array.isArray(user.deviceIds) && user.deviceIds.length > 0
-      ? user.deviceIds
-      : (user.deviceId ? [user.deviceId] : []);
-    const userSessionTokens = Array.isArray(user.sessionTokens) && user.sessionTokens.length > 0
-      ? user.sessionTokens
-      : (user.sessionToken ? [user.sessionToken] : []);
-
-    // If user has registered device ids, require the incoming deviceId to be one of them
-    if (userDeviceIds.length > 0 && deviceId && !userDeviceIds.includes(deviceId)) {
-      return res.status(403).json({ message: 'Access denied: user bound to a different device' });
+    const denied = checkRequestDevice(user, { deviceId, sessionToken });
+    if (denied) {
+      return res.status(403).json({ message: denied });
     }
-
-    // If user has session tokens, require the incoming sessionToken to be one of them
-    if (userSessionTokens.length > 0 && sessionToken && !userSessionTokens.includes(sessionToken)) {
-      return res.status(403).json({ message: 'Access denied: session invalidated' });
+    if (user.isAdmin && user.adminDisabled) {
+      return res.status(403).json({ message: 'Admin account disabled' });
     }
+    touchDevice(user, deviceId);
     req.user = user;
     next();
   } catch (error) {
@@ -45,41 +108,53 @@ const authMiddleware = async (req, res, next) => {
 };
 
 
-// Check if user is admin
+// Check if user is an (enabled) admin of any role
 const adminMiddleware = (req, res, next) => {
-  if (!req.user || !req.user.isAdmin) {
+  if (!req.user || !req.user.isAdmin || req.user.adminDisabled) {
     return res.status(403).json({ message: 'Admin access only' });
   }
   next();
 };
 
-// Optional auth: if `user-code` header present, set `req.user`; otherwise continue anonymously
+// Require an admin whose role grants every listed permission (see utils/adminRoles)
+const requirePermission = (...permissions) => (req, res, next) => {
+  const { hasPermission } = require('../utils/adminRoles');
+  if (!req.user || !req.user.isAdmin || req.user.adminDisabled) {
+    return res.status(403).json({ message: 'Admin access only' });
+  }
+  if (!permissions.every((p) => hasPermission(req.user, p))) {
+    return res.status(403).json({ message: 'Insufficient permissions', required: permissions });
+  }
+  next();
+};
+
+// Optional auth: if an access token or `user-code` header is present, set `req.user`; otherwise continue anonymously
 const optionalAuth = async (req, res, next) => {
+  const accessToken = getAccessToken(req);
+  if (accessToken) {
+    try {
+      // invalid or revoked tokens simply leave the request anonymous
+      await authenticateWithToken(req, accessToken);
+    } catch (error) {
+      // optionalAuth error (suppressed in production logs)
+    }
+    return next();
+  }
+
+  const { requestDeviceId, checkRequestDevice } = require('../services/devicePolicy');
   const userCode = req.headers['user-code'] || req.query.userCode || req.query['user-code'];
-  const deviceId = req.headers['device-id'] || req.headers['device_id'] || req.query.deviceId || req.query['device-id'];
+  const deviceId = requestDeviceId(req);
   const sessionToken = req.headers['session-token'] || req.headers['session_token'] || req.query.sessionToken || req.query['session-token'];
-  if (!userCode) {
+  if (!userCode || !userCodeAuthAllowed()) {
     return next();
   }
 
-  const User = require('../models/User');
   try {
-    const user = await User.findOne({ code: userCode });
-    if (user) {
-      const userDeviceIds = Array.isArray(user.deviceIds) && user.deviceIds.length > 0
-        ? user.deviceIds
-        : (user.deviceId ? [user.deviceId] : []);
-      const userSessionTokens = Array.isArray(user.sessionTokens) && user.sessionTokens.length > 0
-        ? user.sessionTokens
-        : (user.sessionToken ? [user.sessionToken] : []);
-
-      if (userDeviceIds.length > 0 && deviceId && !userDeviceIds.includes(deviceId)) {
-        // do not attach user if device doesn't match
-      } else if (userSessionTokens.length > 0 && sessionToken && !userSessionTokens.includes(sessionToken)) {
-        // do not attach user if session token invalid
-      } else {
-        req.user = user;
-      }
+    // locked out clients and invalid codes stay anonymous (invalid codes still count towards the lockout)
+    const { user } = await authenticateWithCode(req, userCode);
+    // do not attach user if the device or session token doesn't match
+    if (user && !checkRequestDevice(user, { deviceId, sessionToken }) && !(user.isAdmin && user.adminDisabled)) {
+      req.user = user;
     }
   } catch (error) {
     // optionalAuth error (suppressed in production logs)
@@ -90,42 +165,36 @@ const optionalAuth = async (req, res, next) => {
 module.exports = {
   authMiddleware,
   adminMiddleware,
+  requirePermission,
   optionalAuth,
 };
 
-// Middleware to ensure the authenticated user's subscription/code is not expired
-const checkSubscription = (req, res, next) => {
+// Middleware to ensure the authenticated user's subscription/code is not expired.
+// The user's plan decides the rules (plans without a duration never expire); users holding an
+// unexpired material grant pass too. Content routes use requireAccess (middleware/contentAccess)
+// instead, which also checks the material.
+const checkSubscription = async (req, res, next) => {
   try {
     const user = req.user;
     if (!user) {
       return res.status(401).json({ message: 'User required' });
     }
 
-    // Permanent subscriptions always allowed
-    if (user.subscriptionType === 'permanent') {
-      return next();
-    }
-
-    // If there's no expiration date or it's in the past, deny access
-    if (!user.subscriptionExpires) {
-      return res.status(403).json({ message: 'Subscription expired' });
-    }
-
-    const now = new Date();
-    const expires = new Date(user.subscriptionExpires);
-    if (expires < now) {
-      return res.status(403).json({ message: 'Subscription expired' });
+    const { hasAnyAccess } = require('../services/contentAccess');
+    const { isPaused } = require('../services/subscriptionService');
+    if (!(await hasAnyAccess(user))) {
+      return res.status(403).json({ message: isPaused(user) ? 'Subscription paused' : 'Subscription expired' });
     }
-
-    return next();
   } catch (err) {
     return res.status(500).json({ message: 'Subscription check error' });
   }
+  return next();
 };
 
 module.exports = {
   authMiddleware,
   adminMiddleware,
+  requirePermission,
   optionalAuth,
   checkSubscription,
 };
@@ -0,0 +1,27 @@
+const mongoose = require('mongoose');
+const { resolveContent, checkAccess } = require('../services/contentAccess');
+
+// Enforce per-material access for content routes (replaces checkSubscription there).
+// `kind` is what the route param `param` identifies: material, instructor, chapter, lecture,
+// pdf or video. On success `req.access` = { materialId, instructorId, via, expiresAt }.
+const requireAccess = (kind, param) => async (req, res, next) => {
+  try {
+    if (!req.user) return res.status(401).json({ message: 'User required' });
+    const id = req.params[param];
+    if (!mongoose.Types.ObjectId.isValid(id)) return res.status(400).json({ message: `Invalid ${kind} id` });
+
+    const target = await resolveContent(kind, id);
+    // missing content: let the handler answer 404 in its usual format
+    if (!target) return next();
+
+    const access = await checkAccess(req.user, target);
+    if (!access.allowed) return res.status(403).json({ message: access.reason, materialId: target.materialId });
+    req.access = { ...target, via: access.via, expiresAt: access.expiresAt };
+  } catch (err) {
+    console.error('requireAccess error', err);
+    return res.status(500).json({ message: 'Access check error' });
+  }
+  return next();
+};
+
+module.exports = { requireAccess };
@@ -0,0 +1,22 @@
+const { clientInfo, reserveAttempt } = require('../services/loginThrottle');
+
+// Count a code attempt and reject it when the IP / device is locked out after repeated invalid
+// codes. Handlers give the attempt back (loginThrottle.releaseAttempt) once the code is valid.
+// Requests already authenticated by a token send no code and are not counted.
+const loginRateLimit = async (req, res, next) => {
+  if (req.user) return next();
+  try {
+    const lockout = await reserveAttempt(clientInfo(req));
+    if (lockout) {
+      const retryAfter = Math.max(1, Math.ceil((lockout.until.getTime() - Date.now()) / 1000));
+      res.set('Retry-After', String(retryAfter));
+      return res.status(429).json({ message: 'Too many failed login attempts, try again later', retryAfter });
+    }
+  } catch (err) {
+    console.error('loginRateLimit error', err);
+    return res.status(500).json({ message: 'Login check error' });
+  }
+  return next();
+};
+
+module.exports = { loginRateLimit };
@@ -0,0 +1,24 @@
+const multer = require('multer');
+const path = require('path');
+
+// In-memory upload of one CSV/XLSX file for admin imports
+const MAX_FILE_MB = Number(process.env.IMPORT_MAX_FILE_MB || '5');
+
+const fileFilter = (req, file, cb) => {
+  const ext = path.extname(file.originalname || '').toLowerCase();
+  if (ext === '.csv' || ext === '.xlsx') {
+    cb(null, true);
+  } else {
+    cb(new Error('Only .csv and .xlsx files are supported'), false);
+  }
+};
+
+const spreadsheetUpload = multer({
+  storage: multer.memoryStorage(),
+  fileFilter,
+  limits: {
+    fileSize: MAX_FILE_MB * 1024 * 1024,
+  },
+});
+
+module.exports = spreadsheetUpload;
@@ -0,0 +1,24 @@
+const mongoose = require('mongoose');
+
+// Access to one material (or one instructor within it) granted to a user by an admin,
+// independent of the user's plan. See services/contentAccess.
+const accessGrantSchema = new mongoose.Schema(
+  {
+    userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+    materialId: { type: mongoose.Schema.Types.ObjectId, ref: 'Material', required: true },
+    // set for instructor-level grants; null grants the whole material
+    instructorId: { type: mongoose.Schema.Types.ObjectId, ref: 'Instructor', default: null },
+    // null means the grant does not expire
+    expiresAt: { type: Date, default: null },
+    grantedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    note: { type: String },
+  },
+  { timestamps: true }
+);
+
+// one grant per user and scope; granting again updates it
+accessGrantSchema.index({ userId: 1, materialId: 1, instructorId: 1 }, { unique: true });
+accessGrantSchema.index({ materialId: 1 });
+accessGrantSchema.index({ expiresAt: 1 });
+
+module.exports = mongoose.model('AccessGrant', accessGrantSchema);
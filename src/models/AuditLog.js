@@ -0,0 +1,40 @@
+const mongoose = require('mongoose');
+
+// One entry per successful admin write (see middleware/audit).
+// Kept forever unless AUDIT_LOG_RETENTION_DAYS is set.
+const RETENTION_DAYS = Number(process.env.AUDIT_LOG_RETENTION_DAYS || '0');
+
+const auditLogSchema = new mongoose.Schema(
+  {
+    actorId: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    actorName: { type: String },
+    actorRole: { type: String },
+    // e.g. 'material.create', 'user.subscription.update'
+    action: { type: String, required: true },
+    targetModel: { type: String, default: null },
+    targetId: { type: String, default: null },
+    before: { type: mongoose.Schema.Types.Mixed, default: null },
+    after: { type: mongoose.Schema.Types.Mixed, default: null },
+    // { field: { from, to } } for top-level fields that changed
+    changes: { type: mongoose.Schema.Types.Mixed, default: null },
+    // route params and (sanitized) request body
+    details: { type: mongoose.Schema.Types.Mixed, default: null },
+    method: { type: String },
+    path: { type: String },
+    statusCode: { type: Number },
+    ip: { type: String },
+    userAgent: { type: String },
+  },
+  { timestamps: { createdAt: true, updatedAt: false } }
+);
+
+if (RETENTION_DAYS > 0) {
+  auditLogSchema.index({ createdAt: 1 }, { expireAfterSeconds: RETENTION_DAYS * 24 * 60 * 60 });
+} else {
+  auditLogSchema.index({ createdAt: -1 });
+}
+auditLogSchema.index({ actorId: 1, createdAt: -1 });
+auditLogSchema.index({ targetModel: 1, targetId: 1, createdAt: -1 });
+auditLogSchema.index({ action: 1, createdAt: -1 });
+
+module.exports = mongoose.model('AuditLog', auditLogSchema);
@@ -0,0 +1,26 @@
+const mongoose = require('mongoose');
+
+const downloadLogSchema = new mongoose.Schema(
+  {
+    userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+    videoId: { type: mongoose.Schema.Types.ObjectId, ref: 'Video', required: true },
+    quality: { type: String },
+    format: { type: String, enum: ['mp4', 'ts'], default: 'mp4' },
+    // byte offset requested via HTTP Range (0 for a fresh download, >0 for a resume)
+    rangeStart: { type: Number, default: 0 },
+    // whether this request consumed download quota (fresh download, not a resume of a counted one)
+    counted: { type: Boolean, default: false },
+    bytesSent: { type: Number, default: 0 },
+    totalBytes: { type: Number, default: null },
+    status: { type: String, enum: ['started', 'completed', 'aborted', 'failed'], default: 'started' },
+    error: { type: String },
+    ip: { type: String },
+    userAgent: { type: String },
+  },
+  { timestamps: true }
+);
+
+downloadLogSchema.index({ userId: 1, createdAt: -1 });
+downloadLogSchema.index({ videoId: 1, createdAt: -1 });
+
+module.exports = mongoose.model('DownloadLog', downloadLogSchema);
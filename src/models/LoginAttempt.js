@@ -0,0 +1,20 @@
+const mongoose = require('mongoose');
+
+// Code attempt counter of one IP or device within the current window, behind the login lockout
+// (services/loginThrottle). Incremented atomically before a code is looked up and given back
+// when the code is valid, so only invalid codes remain counted.
+const loginAttemptSchema = new mongoose.Schema({
+  scope: { type: String, enum: ['ip', 'device'], required: true },
+  value: { type: String, required: true },
+  count: { type: Number, default: 0 },
+  windowStart: { type: Date },
+  lockedUntil: { type: Date, default: null },
+  // removed by MongoDB once neither the window nor a lockout can still apply
+  expiresAt: { type: Date },
+});
+
+loginAttemptSchema.index({ scope: 1, value: 1 }, { unique: true });
+loginAttemptSchema.index({ lockedUntil: 1 });
+loginAttemptSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('LoginAttempt', loginAttemptSchema);
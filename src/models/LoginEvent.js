@@ -0,0 +1,28 @@
+const mongoose = require('mongoose');
+
+// Every login, failed attempt and device mismatch on /auth/user-login and /auth/admin-login.
+// Kept for LOGIN_EVENT_RETENTION_DAYS (default 90).
+const RETENTION_DAYS = Number(process.env.LOGIN_EVENT_RETENTION_DAYS || process.env.LOGIN_ATTEMPT_RETENTION_DAYS || '90');
+
+const loginEventSchema = new mongoose.Schema(
+  {
+    kind: { type: String, enum: ['user', 'admin'], required: true },
+    type: { type: String, enum: ['login', 'failed', 'device_mismatch'], required: true },
+    // why a login failed, e.g. 'invalid_code', 'subscription_expired'
+    reason: { type: String, default: null },
+    userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    ip: { type: String },
+    deviceId: { type: String },
+    userAgent: { type: String },
+    // only the display prefix of the submitted code is kept
+    codePrefix: { type: String },
+  },
+  { timestamps: true }
+);
+
+loginEventSchema.index({ userId: 1, createdAt: -1 });
+loginEventSchema.index({ ip: 1, createdAt: -1 });
+loginEventSchema.index({ deviceId: 1, createdAt: -1 });
+loginEventSchema.index({ createdAt: 1 }, { expireAfterSeconds: RETENTION_DAYS * 24 * 60 * 60 });
+
+module.exports = mongoose.model('LoginEvent', loginEventSchema);
@@ -0,0 +1,65 @@
+const mongoose = require('mongoose');
+
+// Subscription plan. Users reference a plan (`user.plan`) and keep its key in
+// `user.subscriptionType`; the plan's rules drive subscription checks (services/planService).
+const planSchema = new mongoose.Schema(
+  {
+    // stable identifier, e.g. 'month'; also what older clients send as `subscriptionType`
+    key: {
+      type: String,
+      required: true,
+      unique: true,
+      trim: true,
+      lowercase: true,
+      match: /^[a-z0-9_-]+$/,
+    },
+    name: {
+      type: String,
+      required: true,
+    },
+    description: {
+      type: String,
+      default: null,
+    },
+    // length of one subscription period; null means the plan never expires
+    durationHours: {
+      type: Number,
+      default: null,
+      min: 0,
+    },
+    price: {
+      type: Number,
+      default: 0,
+      min: 0,
+    },
+    currency: {
+      type: String,
+      default: null,
+    },
+    // materials the plan gives access to; empty means the whole catalog
+    materials: [
+      {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Material',
+      },
+    ],
+    // devices per user on this plan; null falls back to the device policy defaults
+    maxDevices: {
+      type: Number,
+      default: null,
+      min: 1,
+    },
+    // inactive plans cannot be assigned, but users already on them keep their rules
+    active: {
+      type: Boolean,
+      default: true,
+    },
+    order: {
+      type: Number,
+      default: 0,
+    },
+  },
+  { timestamps: true }
+);
+
+module.exports = mongoose.model('Plan', planSchema);
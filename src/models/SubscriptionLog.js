@@ -3,11 +3,24 @@ const mongoose = require('mongoose');
 const subscriptionLogSchema = new mongoose.Schema(
   {
     userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
-    type: { type: String, enum: ['hour','day','week','month','permanent'], required: true },
+    // key of the plan assigned (see models/Plan)
+    type: { type: String, required: true },
+    planId: { type: mongoose.Schema.Types.ObjectId, ref: 'Plan' },
+    // what happened: 'assign' (admin set/extended the plan), 'redeem' (student redeemed a voucher),
+    // 'expire' (recorded by the expiry scheduler), or an admin correction: 'pause', 'resume',
+    // 'shorten', 'credit', 'revoke'
+    action: { type: String, default: 'assign' },
+    // hours added (credit) or removed (shorten, negative) by a correction
+    adjustmentHours: { type: Number },
+    // subscription expiry after this entry
+    expiresAt: { type: Date },
     adminId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: false },
     note: { type: String }
   },
   { timestamps: true }
 );
 
+subscriptionLogSchema.index({ userId: 1, createdAt: -1 });
+subscriptionLogSchema.index({ action: 1, createdAt: -1 });
+
 module.exports = mongoose.model('SubscriptionLog', subscriptionLogSchema);
@@ -0,0 +1,16 @@
+const mongoose = require('mongoose');
+
+// One document removed with a TrashItem, stored as it was so it can be inserted back
+const trashDocumentSchema = new mongoose.Schema(
+  {
+    trashId: { type: mongoose.Schema.Types.ObjectId, ref: 'TrashItem', required: true },
+    // model name the document belongs to, e.g. 'Lecture', 'PDFView'
+    model: { type: String, required: true },
+    doc: { type: mongoose.Schema.Types.Mixed, required: true },
+  },
+  { timestamps: false, minimize: false }
+);
+
+trashDocumentSchema.index({ trashId: 1, model: 1 });
+
+module.exports = mongoose.model('TrashDocument', trashDocumentSchema);
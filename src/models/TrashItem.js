@@ -0,0 +1,35 @@
+const mongoose = require('mongoose');
+
+// A deleted material, instructor, chapter, lecture, PDF or video waiting in the recycle bin
+// (services/trashService). The documents of its subtree and the records referencing it are
+// kept as TrashDocuments; its external files are only removed when the item is purged.
+const trashItemSchema = new mongoose.Schema(
+  {
+    kind: { type: String, enum: ['material', 'instructor', 'chapter', 'lecture', 'pdf', 'video'], required: true },
+    rootId: { type: mongoose.Schema.Types.ObjectId, required: true },
+    title: { type: String },
+    // parent of the deleted item (materialId / instructorId / chapterId / lectureId), needed to restore it
+    parentId: { type: mongoose.Schema.Types.ObjectId, default: null },
+    // documents kept per collection, e.g. { lectures: 3, pdfs: 5, lectureViews: 120 }
+    counts: { type: mongoose.Schema.Types.Mixed },
+    // external files to remove on purge: { cloudinary: [publicIds], supabase: [urls], gridfsPrefixes: [] }
+    files: { type: mongoose.Schema.Types.Mixed },
+    // plans / vouchers the deleted material was pulled from, and those the delete deactivated /
+    // disabled because the material was all they listed
+    materialRefs: {
+      plans: [{ type: mongoose.Schema.Types.ObjectId, ref: 'Plan' }],
+      vouchers: [{ type: mongoose.Schema.Types.ObjectId, ref: 'Voucher' }],
+      deactivatedPlans: [{ type: mongoose.Schema.Types.ObjectId, ref: 'Plan' }],
+      disabledVouchers: [{ type: mongoose.Schema.Types.ObjectId, ref: 'Voucher' }],
+    },
+    deletedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    expiresAt: { type: Date, required: true },
+  },
+  { timestamps: true }
+);
+
+trashItemSchema.index({ createdAt: -1 });
+trashItemSchema.index({ expiresAt: 1 });
+trashItemSchema.index({ rootId: 1 });
+
+module.exports = mongoose.model('TrashItem', trashItemSchema);
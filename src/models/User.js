@@ -1,5 +1,21 @@
 const mongoose = require('mongoose');
 
+const deviceSchema = new mongoose.Schema(
+  {
+    deviceId: { type: String, required: true },
+    name: { type: String, default: null },
+    userAgent: { type: String, default: null },
+    ip: { type: String, default: null },
+    // current session token on this device (legacy `session-token` header)
+    sessionToken: { type: String, default: null },
+    // id (jti) of the only refresh token currently valid for this device
+    refreshJti: { type: String, default: null },
+    addedAt: { type: Date, default: Date.now },
+    lastSeenAt: { type: Date, default: Date.now },
+  },
+  { _id: false }
+);
+
 const userSchema = new mongoose.Schema(
   {
     name: {
@@ -10,52 +26,166 @@ const userSchema = new mongoose.Schema(
       type: String,
       required: true,
     },
+    // Plaintext code of accounts created before codes were hashed (cleared on migration)
     code: {
       type: String,
-      required: true,
+      default: undefined,
+    },
+    // HMAC of the user code (see utils/userCode); the code itself is only shown once
+    codeHash: {
+      type: String,
       unique: true,
+      sparse: true,
+      select: false,
+    },
+    // First digits of the code, safe to display and search by
+    codePrefix: {
+      type: String,
+      index: true,
     },
     isAdmin: {
       type: Boolean,
       default: false,
     },
+    // Admin role (see utils/adminRoles); null on admins created before roles = super_admin
+    adminRole: {
+      type: String,
+      enum: ['super_admin', 'content_editor', 'support', 'analytics_viewer', null],
+      default: null,
+    },
+    // Disabled admins cannot log in or use existing sessions
+    adminDisabled: {
+      type: Boolean,
+      default: false,
+    },
+    // The admin whose code comes from the ADMIN_CODE env var (cleared when the code is rotated)
+    adminCodeFromEnv: {
+      type: Boolean,
+      default: false,
+    },
     // whether this user is allowed to download videos (admin always allowed)
     canDownloadVideos: {
       type: Boolean,
       default: false,
     },
-      // Subscription expiration (null means no subscription / permanent if subscriptionType === 'permanent')
+    // Per-user download quota overrides (null = use DOWNLOAD_QUOTA_PER_DAY / DOWNLOAD_QUOTA_PER_PERIOD, 0 = unlimited)
+    downloadQuota: {
+      perDay: { type: Number, default: null },
+      perPeriod: { type: Number, default: null },
+    },
+    // Downloads before this time are not counted against the quota (admin reset)
+    downloadQuotaResetAt: {
+      type: Date,
+      default: null,
+    },
+      // Subscription expiration (null means no subscription, or never for plans without a duration)
       subscriptionExpires: {
         type: Date,
         default: null,
       },
+      // Assigned subscription plan (see models/Plan); its rules drive checkSubscription
+      plan: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Plan',
+        default: null,
+      },
+      // Key of the assigned plan ('none' when no plan was ever assigned)
       subscriptionType: {
         type: String,
-        enum: ['none','hour','day','week','month','permanent'],
         default: 'none',
       },
-      // Device identifier for single-browser enforcement
-      deviceId: {
-        type: String,
-        default: null,
+      // Set while an admin has paused the subscription: the time that was left is restored on resume
+      // (subscriptionExpires is null meanwhile, so the subscription grants no access)
+      subscriptionPause: {
+        pausedAt: { type: Date, default: null },
+        remainingMs: { type: Number, default: null },
       },
-      // Session token to invalidate old sessions when a new login occurs
-      sessionToken: {
+      // Expiry reminders already sent for `expiresAt` (see services/subscriptionExpiryScheduler);
+      // a new expiry date starts a fresh set
+      subscriptionNotice: {
+        expiresAt: { type: Date, default: null },
+        sent: { type: [String], default: [] },
+      },
+      // Legacy device binding fields; migrated into `devices` by services/devicePolicy
+      deviceId: {
         type: String,
         default: null,
       },
-      // Support multiple device ids for admins (allow up to 3)
       deviceIds: {
         type: [String],
         default: [],
       },
-      // Support multiple session tokens for multi-device sessions (admins)
       sessionTokens: {
         type: [String],
         default: [],
       },
+      // Session token of the latest login made without a device id
+      sessionToken: {
+        type: String,
+        default: null,
+      },
+      // Browsers/devices this account is bound to (limit resolved by services/devicePolicy)
+      devices: {
+        type: [deviceSchema],
+        default: [],
+      },
+      // Per-user device limit override (null = policy default for the user's tier)
+      maxDevices: {
+        type: Number,
+        default: null,
+      },
+      // Last self-service device removal (for the removal cooldown)
+      deviceRemovedAt: {
+        type: Date,
+        default: null,
+      },
+      // Last authenticated request or login (written at most every DEVICE_LAST_SEEN_INTERVAL_SECONDS)
+      lastActivityAt: {
+        type: Date,
+        default: null,
+      },
+      // Soft delete (see services/userDeletion): set while the user can still be restored
+      deletedAt: {
+        type: Date,
+        default: null,
+      },
+      deletedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        default: null,
+      },
+      // Set when the purge job claims the user; from then on it can no longer be restored
+      purgeStartedAt: {
+        type: Date,
+        default: null,
+      },
+      // Incremented to revoke every issued access/refresh token (see services/sessionService)
+      tokenVersion: {
+        type: Number,
+        default: 0,
+      },
   },
   { timestamps: true }
 );
 
+userSchema.index({ subscriptionExpires: 1 });
+userSchema.index({ lastActivityAt: -1 });
+// not sparse: most queries look for `deletedAt: null`, which a sparse index cannot answer
+userSchema.index({ deletedAt: 1 });
+
+// never expose the code, its hash or session tokens (current or legacy fields) in API responses;
+// logins return the caller's own session token separately
+userSchema.set('toJSON', {
+  transform: (doc, ret) => {
+    delete ret.code;
+    delete ret.codeHash;
+    delete ret.sessionToken;
+    delete ret.sessionTokens;
+    delete ret.deviceId;
+    delete ret.deviceIds;
+    if (Array.isArray(ret.devices)) ret.devices = ret.devices.map(({ sessionToken, refreshJti, ...d }) => d);
+    return ret;
+  },
+});
+
 module.exports = mongoose.model('User', userSchema);
@@ -0,0 +1,36 @@
+const mongoose = require('mongoose');
+
+// One run of the user purge job (services/userPurgeScheduler): which soft-deleted users were
+// removed for good and how many related documents were deleted or updated per collection.
+const userPurgeReportSchema = new mongoose.Schema(
+  {
+    // 'scheduled' or 'manual' (run from the admin API)
+    trigger: { type: String, default: 'scheduled' },
+    triggeredBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    retentionDays: { type: Number },
+    // users deleted before this time were purged
+    cutoff: { type: Date },
+    startedAt: { type: Date },
+    finishedAt: { type: Date },
+    users: [
+      {
+        _id: false,
+        userId: { type: mongoose.Schema.Types.ObjectId },
+        name: { type: String },
+        phone: { type: String },
+        deletedAt: { type: Date },
+        deletedBy: { type: mongoose.Schema.Types.ObjectId },
+        // documents removed/updated for this user, per collection
+        counts: { type: mongoose.Schema.Types.Mixed },
+      },
+    ],
+    // totals per collection over all purged users
+    totals: { type: mongoose.Schema.Types.Mixed },
+    failures: [{ _id: false, userId: { type: mongoose.Schema.Types.ObjectId }, message: { type: String } }],
+  },
+  { timestamps: true }
+);
+
+userPurgeReportSchema.index({ createdAt: -1 });
+
+module.exports = mongoose.model('UserPurgeReport', userPurgeReportSchema);
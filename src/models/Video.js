@@ -4,8 +4,28 @@ const qualitySchema = new mongoose.Schema({
   quality: { type: String, required: true },
   lastSegmentUrl: { type: String, required: true },
   segmentCount: { type: Number, default: 1 },
+  // HLS variant metadata used by the master playlist (#EXT-X-STREAM-INF)
+  bandwidth: { type: Number, default: null }, // peak bits per second
+  resolution: { type: String, default: null }, // e.g. '1280x720'
+  // Real per-segment durations (seconds) measured with ffprobe; used for EXTINF when present
+  segmentDurations: { type: [Number], default: undefined },
+  durationsProbedAt: { type: Date },
 });
 
+// Progress of admin-triggered background jobs (segment duration probe, GridFS mirroring)
+const jobProgressSchema = new mongoose.Schema({
+  status: { type: String, enum: ['idle', 'running', 'done', 'failed'], default: 'idle' },
+  mode: { type: String, default: null }, // probe: 'full' | 'sample'
+  quality: { type: String, default: null }, // quality currently being processed
+  processed: { type: Number, default: 0 },
+  total: { type: Number, default: 0 },
+  failed: { type: Number, default: 0 },
+  skipped: { type: Number, default: 0 }, // mirror: segments already present (resume)
+  error: { type: String, default: null },
+  startedAt: { type: Date },
+  finishedAt: { type: Date },
+}, { _id: false });
+
 const videoSchema = new mongoose.Schema(
   {
     title: { type: String, required: true },
@@ -17,6 +37,9 @@ const videoSchema = new mongoose.Schema(
       status: { type: String, enum: ['unknown', 'checking', 'working', 'broken'], default: 'unknown' },
       statusUpdatedAt: { type: Date },
       // statusUpdatedAt holds last check time; history removed to avoid large logs
+      segmentProbe: { type: jobProgressSchema, default: () => ({}) },
+      // GridFS mirror of upstream segments (see services/segmentMirrorService)
+      segmentMirror: { type: jobProgressSchema, default: () => ({}) },
   },
   { timestamps: true }
 );
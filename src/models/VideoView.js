@@ -12,6 +12,23 @@ const videoViewSchema = new mongoose.Schema(
       ref: 'Video',
       required: true,
     },
+    // Playback progress reported by the player (seconds)
+    lastPosition: {
+      type: Number,
+      default: 0,
+    },
+    watchedSeconds: {
+      type: Number,
+      default: 0,
+    },
+    progressUpdatedAt: {
+      type: Date,
+    },
+    // set once watchedSeconds reaches VIDEO_COMPLETION_THRESHOLD percent of the duration
+    completedAt: {
+      type: Date,
+      default: null,
+    },
   },
   { timestamps: true }
 );
@@ -0,0 +1,27 @@
+const mongoose = require('mongoose');
+
+// Voucher code a student redeems for a plan period (see services/voucherService).
+// Vouchers are generated in batches; `batchId` groups one generation run for export/reporting.
+const voucherSchema = new mongoose.Schema(
+  {
+    // stored in canonical form, e.g. "K7QM-2XHD-9PWT" (see utils/codeGenerator)
+    code: { type: String, required: true, unique: true },
+    batchId: { type: String, required: true },
+    plan: { type: mongoose.Schema.Types.ObjectId, ref: 'Plan', required: true },
+    // when set, redeeming grants these materials for one plan period instead of extending the subscription
+    materials: [{ type: mongoose.Schema.Types.ObjectId, ref: 'Material' }],
+    maxRedemptions: { type: Number, default: 1, min: 1 },
+    redemptionsCount: { type: Number, default: 0 },
+    // null means the voucher does not expire
+    expiresAt: { type: Date, default: null },
+    disabled: { type: Boolean, default: false },
+    note: { type: String },
+    createdBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  },
+  { timestamps: true }
+);
+
+voucherSchema.index({ batchId: 1 });
+voucherSchema.index({ plan: 1 });
+
+module.exports = mongoose.model('Voucher', voucherSchema);
@@ -0,0 +1,24 @@
+const mongoose = require('mongoose');
+
+// One student redeeming one voucher
+const voucherRedemptionSchema = new mongoose.Schema(
+  {
+    voucherId: { type: mongoose.Schema.Types.ObjectId, ref: 'Voucher', required: true },
+    code: { type: String, required: true },
+    batchId: { type: String },
+    userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+    planId: { type: mongoose.Schema.Types.ObjectId, ref: 'Plan' },
+    materials: [{ type: mongoose.Schema.Types.ObjectId, ref: 'Material' }],
+    // subscription (or material grant) expiry right after redeeming
+    expiresAt: { type: Date, default: null },
+    ip: { type: String },
+  },
+  { timestamps: true }
+);
+
+// a student can redeem each voucher once
+voucherRedemptionSchema.index({ voucherId: 1, userId: 1 }, { unique: true });
+voucherRedemptionSchema.index({ userId: 1, createdAt: -1 });
+voucherRedemptionSchema.index({ batchId: 1, createdAt: -1 });
+
+module.exports = mongoose.model('VoucherRedemption', voucherRedemptionSchema);
@@ -1,25 +1,110 @@
 const express = require('express');
 const adminController = require('../controllers/adminController');
-const { authMiddleware, adminMiddleware } = require('../middleware/auth');
+const { authMiddleware, requirePermission } = require('../middleware/auth');
+const { audit } = require('../middleware/audit');
 
 const router = express.Router();
 
 // Protected admin routes
-router.get('/stats', authMiddleware, adminMiddleware, adminController.getStats);
-router.get('/activity', authMiddleware, adminMiddleware, adminController.getActivity);
-router.get('/stats/timeseries', authMiddleware, adminMiddleware, adminController.getTimeSeries);
+router.get('/stats', authMiddleware, requirePermission('analytics:read'), adminController.getStats);
+router.get('/activity', authMiddleware, requirePermission('analytics:read'), adminController.getActivity);
+router.get('/stats/timeseries', authMiddleware, requirePermission('analytics:read'), adminController.getTimeSeries);
 
 // Admin: create video for a lecture
 const videoController = require('../controllers/videoController');
-router.post('/lectures/:lectureId/videos', authMiddleware, adminMiddleware, videoController.createVideo);
+router.post('/lectures/:lectureId/videos', authMiddleware, requirePermission('content:write'), audit('video.create', { model: 'Video' }), videoController.createVideo);
 
 // Video status admin actions
 const videoStatusController = require('../controllers/videoStatusController');
-router.post('/videos/:videoId/recheck', authMiddleware, adminMiddleware, videoStatusController.recheckVideo);
-router.post('/lectures/:lectureId/recheck', authMiddleware, adminMiddleware, videoStatusController.recheckLecture);
-router.get('/lectures/:lectureId/notify-debug', authMiddleware, adminMiddleware, videoStatusController.getLectureNotifyDebug);
+router.post('/videos/:videoId/recheck', authMiddleware, requirePermission('videos:manage'), audit('video.recheck', { model: 'Video', idParam: 'videoId' }), videoStatusController.recheckVideo);
+router.post('/lectures/:lectureId/recheck', authMiddleware, requirePermission('videos:manage'), audit('lecture.recheck', { model: 'Lecture', idParam: 'lectureId' }), videoStatusController.recheckLecture);
+router.get('/lectures/:lectureId/notify-debug', authMiddleware, requirePermission('videos:manage'), videoStatusController.getLectureNotifyDebug);
+// Segment duration probe (ffprobe) per video: trigger and progress
+const segmentProbeController = require('../controllers/segmentProbeController');
+router.post('/videos/:videoId/probe-durations', authMiddleware, requirePermission('videos:manage'), audit('video.probe.start', { model: 'Video', idParam: 'videoId' }), segmentProbeController.startProbe);
+router.get('/videos/:videoId/probe-durations', authMiddleware, requirePermission('videos:manage'), segmentProbeController.getProbeStatus);
+// GridFS segment mirror per video: start/resume, progress, purge (?quality= limits purge to one quality)
+const segmentMirrorController = require('../controllers/segmentMirrorController');
+router.post('/videos/:videoId/mirror', authMiddleware, requirePermission('videos:manage'), audit('video.mirror.start', { model: 'Video', idParam: 'videoId' }), segmentMirrorController.startMirror);
+router.get('/videos/:videoId/mirror', authMiddleware, requirePermission('videos:manage'), segmentMirrorController.getMirrorStatus);
+router.delete('/videos/:videoId/mirror', authMiddleware, requirePermission('videos:manage'), audit('video.mirror.purge', { model: 'Video', idParam: 'videoId' }), segmentMirrorController.purgeMirror);
+// Segment disk cache: metrics and purge (per video or everything)
+const segmentCacheController = require('../controllers/segmentCacheController');
+router.get('/segment-cache', authMiddleware, requirePermission('videos:manage'), segmentCacheController.getCacheStats);
+router.delete('/segment-cache/videos/:videoId', authMiddleware, requirePermission('videos:manage'), audit('segmentCache.purgeVideo'), segmentCacheController.purgeVideoCache);
+router.delete('/segment-cache', authMiddleware, requirePermission('videos:manage'), audit('segmentCache.purgeAll'), segmentCacheController.purgeAllCache);
+// Video download log (filter by userId, videoId, status, date range)
+const downloadController = require('../controllers/downloadController');
+router.get('/downloads', authMiddleware, requirePermission('downloads:read'), downloadController.getDownloadLogs);
+router.get('/downloads/by-user', authMiddleware, requirePermission('downloads:read'), downloadController.getDownloadsByUser);
+// Per-student download quota: usage, overrides and reset
+router.get('/users/:id/downloads', authMiddleware, requirePermission('downloads:read'), downloadController.getUserDownloads);
+router.put('/users/:id/download-quota', authMiddleware, requirePermission('downloads:manage'), audit('user.downloadQuota.update', { model: 'User', idParam: 'id' }), downloadController.updateUserDownloadQuota);
+router.post('/users/:id/download-quota/reset', authMiddleware, requirePermission('downloads:manage'), audit('user.downloadQuota.reset', { model: 'User', idParam: 'id' }), downloadController.resetUserDownloadQuota);
+// Per-student progress report (completion per material/instructor/chapter/lecture)
+const progressController = require('../controllers/progressController');
+router.get('/users/:id/progress', authMiddleware, requirePermission('progress:read'), progressController.getUserProgressReport);
+// Login events (logins, failures, device mismatches), code-sharing checks and lockouts
+const loginEventController = require('../controllers/loginEventController');
+router.get('/login-events', authMiddleware, requirePermission('logins:read'), loginEventController.getLoginEvents);
+router.get('/login-events/lockouts', authMiddleware, requirePermission('logins:read'), loginEventController.getLockouts);
+router.post('/login-events/unlock', authMiddleware, requirePermission('logins:manage'), audit('login.unlock'), loginEventController.unlock);
+router.get('/users/:id/login-events', authMiddleware, requirePermission('logins:read'), loginEventController.getUserLoginEvents);
+// Admin accounts and roles (super-admin only)
+const adminAccountController = require('../controllers/adminAccountController');
+router.get('/admins', authMiddleware, requirePermission('admins:manage'), adminAccountController.listAdmins);
+router.post('/admins', authMiddleware, requirePermission('admins:manage'), audit('admin.create', { model: 'User' }), adminAccountController.createAdmin);
+router.put('/admins/:id', authMiddleware, requirePermission('admins:manage'), audit('admin.update', { model: 'User', idParam: 'id' }), adminAccountController.updateAdmin);
+router.post('/admins/:id/disable', authMiddleware, requirePermission('admins:manage'), audit('admin.disable', { model: 'User', idParam: 'id' }), adminAccountController.disableAdmin);
+router.post('/admins/:id/enable', authMiddleware, requirePermission('admins:manage'), audit('admin.enable', { model: 'User', idParam: 'id' }), adminAccountController.enableAdmin);
+router.post('/admins/:id/rotate-code', authMiddleware, requirePermission('admins:manage'), audit('admin.code.rotate', { model: 'User', idParam: 'id' }), adminAccountController.rotateAdminCode);
+// Subscription plans (duration, price, included materials, device limit)
+const planController = require('../controllers/planController');
+router.get('/plans', authMiddleware, requirePermission('plans:read'), planController.listPlans);
+router.get('/plans/:id', authMiddleware, requirePermission('plans:read'), planController.getPlan);
+router.post('/plans', authMiddleware, requirePermission('plans:manage'), audit('plan.create', { model: 'Plan' }), planController.createPlan);
+router.put('/plans/:id', authMiddleware, requirePermission('plans:manage'), audit('plan.update', { model: 'Plan', idParam: 'id' }), planController.updatePlan);
+router.delete('/plans/:id', authMiddleware, requirePermission('plans:manage'), audit('plan.delete', { model: 'Plan', idParam: 'id' }), planController.deletePlan);
+// Per-material / per-instructor access grants
+const accessGrantController = require('../controllers/accessGrantController');
+router.get('/grants', authMiddleware, requirePermission('users:read'), accessGrantController.getGrants);
+router.get('/users/:id/grants', authMiddleware, requirePermission('users:read'), accessGrantController.getUserGrants);
+router.post('/users/:id/grants', authMiddleware, requirePermission('subscriptions:manage'), audit('grant.create', { model: 'AccessGrant' }), accessGrantController.grantAccess);
+router.delete('/users/:id/grants/:grantId', authMiddleware, requirePermission('subscriptions:manage'), audit('grant.revoke', { model: 'AccessGrant', idParam: 'grantId' }), accessGrantController.revokeAccess);
+// Subscription expirations: upcoming and recently expired students
+const subscriptionController = require('../controllers/subscriptionController');
+router.get('/subscriptions/expirations', authMiddleware, requirePermission('users:read'), subscriptionController.getExpirations);
+// Vouchers: batch generation, CRUD, CSV export and redemption reports
+const voucherController = require('../controllers/voucherController');
+router.get('/vouchers', authMiddleware, requirePermission('vouchers:manage'), voucherController.getVouchers);
+router.post('/vouchers', authMiddleware, requirePermission('vouchers:manage'), audit('voucher.create'), voucherController.createVouchers);
+router.get('/vouchers/export.csv', authMiddleware, requirePermission('vouchers:manage'), voucherController.exportVouchers);
+router.get('/vouchers/redemptions', authMiddleware, requirePermission('vouchers:manage'), voucherController.getRedemptions);
+router.get('/vouchers/:id', authMiddleware, requirePermission('vouchers:manage'), voucherController.getVoucher);
+router.put('/vouchers/:id', authMiddleware, requirePermission('vouchers:manage'), audit('voucher.update', { model: 'Voucher', idParam: 'id' }), voucherController.updateVoucher);
+router.delete('/vouchers/:id', authMiddleware, requirePermission('vouchers:manage'), audit('voucher.delete', { model: 'Voucher', idParam: 'id' }), voucherController.deleteVoucher);
+// Purge of soft-deleted students (runs on a schedule; reports of every run)
+const userPurgeController = require('../controllers/userPurgeController');
+router.get('/users/purge-reports', authMiddleware, requirePermission('users:purge'), userPurgeController.getPurgeReports);
+router.get('/users/purge-reports/:id', authMiddleware, requirePermission('users:purge'), userPurgeController.getPurgeReport);
+router.post('/users/purge', authMiddleware, requirePermission('users:purge'), audit('user.purge'), userPurgeController.runPurge);
+// Content delete previews and orphaned reference cleanup
+const contentMaintenanceController = require('../controllers/contentMaintenanceController');
+router.get('/content/:kind/:id/delete-preview', authMiddleware, requirePermission('content:write'), contentMaintenanceController.getDeletePreview);
+router.get('/orphans', authMiddleware, requirePermission('maintenance:manage'), contentMaintenanceController.scanOrphans);
+router.post('/orphans/fix', authMiddleware, requirePermission('maintenance:manage'), audit('orphans.fix'), contentMaintenanceController.fixOrphans);
+// Recycle bin of deleted content (restore, or delete permanently with its files)
+const trashController = require('../controllers/trashController');
+router.get('/trash', authMiddleware, requirePermission('content:write'), trashController.getTrash);
+router.get('/trash/:id', authMiddleware, requirePermission('content:write'), trashController.getTrashItem);
+router.post('/trash/:id/restore', authMiddleware, requirePermission('content:write'), audit('trash.restore', { model: 'TrashItem', idParam: 'id' }), trashController.restoreTrashItem);
+router.delete('/trash/:id', authMiddleware, requirePermission('content:write'), audit('trash.purge', { model: 'TrashItem', idParam: 'id' }), trashController.purgeTrashItem);
+// Audit log of admin writes (filter by actor, action, target, date range)
+const auditLogController = require('../controllers/auditLogController');
+router.get('/audit-logs', authMiddleware, requirePermission('audit:read'), auditLogController.getAuditLogs);
+router.get('/audit-logs/:id', authMiddleware, requirePermission('audit:read'), auditLogController.getAuditLog);
 // Admin: video status summary
-router.get('/videos/status-summary', authMiddleware, adminMiddleware, adminController.getVideoStatusSummary);
+router.get('/videos/status-summary', authMiddleware, requirePermission('analytics:read'), adminController.getVideoStatusSummary);
 
 // Removed video status history and probe metrics endpoints to reduce stored logs
 
@@ -29,13 +114,13 @@ router.get('/videos/status-summary', authMiddleware, adminMiddleware, adminContr
 
 // Admin: get lecture by id (no subscription check) - used by admin UI redirects
 const lectureController = require('../controllers/lectureController');
-router.get('/lectures/:id', authMiddleware, adminMiddleware, lectureController.getLectureById);
+router.get('/lectures/:id', authMiddleware, requirePermission('content:read'), lectureController.getLectureById);
 
 // Validation endpoints removed from admin API.
 // Admin: list all videos for dashboard
-router.get('/videos', authMiddleware, adminMiddleware, videoController.getAllVideosAdmin);
+router.get('/videos', authMiddleware, requirePermission('content:read'), videoController.getAllVideosAdmin);
 // All validation-job routes removed.
 // Admin: update video metadata
-router.put('/videos/:videoId', authMiddleware, adminMiddleware, videoController.updateVideo);
+router.put('/videos/:videoId', authMiddleware, requirePermission('content:write'), audit('video.update', { model: 'Video', idParam: 'videoId' }), videoController.updateVideo);
 // Admin: manual override removed — will be part of new validator UI/service.
 module.exports = router;
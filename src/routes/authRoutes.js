@@ -1,23 +1,57 @@
 const express = require('express');
 const authController = require('../controllers/authController');
-const { authMiddleware, adminMiddleware } = require('../middleware/auth');
+const { authMiddleware, optionalAuth, requirePermission } = require('../middleware/auth');
+const { audit } = require('../middleware/audit');
+const { loginRateLimit } = require('../middleware/loginRateLimit');
 
 const router = express.Router();
 
 // Public auth routes
-router.post('/admin-login', authController.adminLogin);
-router.post('/user-login', authController.userLogin);
+// (locked out per IP / device after repeated invalid codes)
+router.post('/admin-login', loginRateLimit, authController.adminLogin);
+router.post('/user-login', loginRateLimit, authController.userLogin);
+router.post('/refresh', authController.refreshToken);
+router.post('/logout-all', authMiddleware, authController.logoutAll);
 
-// Admin only routes (require authMiddleware + adminMiddleware)
-router.post('/create-user', authMiddleware, adminMiddleware, authController.createUser);
-router.get('/users', authMiddleware, adminMiddleware, authController.getAllUsers);
-router.get('/users/:id', authMiddleware, adminMiddleware, authController.getUserById);
-router.get('/users/:id/history', authMiddleware, adminMiddleware, authController.getUserHistory);
-router.put('/users/:id', authMiddleware, adminMiddleware, authController.updateUser);
-router.put('/users/:id/subscription', authMiddleware, adminMiddleware, authController.updateSubscription);
-router.delete('/users/:id', authMiddleware, adminMiddleware, authController.deleteUser);
+// Redeem a voucher (signed in, or with the student's login code in the body; rate limited like logins)
+const voucherController = require('../controllers/voucherController');
+router.post('/vouchers/redeem', optionalAuth, loginRateLimit, voucherController.redeem);
 
-// Reset deviceId for a user (admin only)
-router.put('/users/:id/reset-device', authMiddleware, adminMiddleware, authController.resetDevice);
+// Self-service device management
+const deviceController = require('../controllers/deviceController');
+router.get('/devices', authMiddleware, deviceController.getMyDevices);
+router.put('/devices/:deviceId', authMiddleware, deviceController.renameMyDevice);
+router.delete('/devices/:deviceId', authMiddleware, deviceController.removeMyDevice);
+
+// Admin only routes (require authMiddleware + the route's admin permission)
+router.post('/create-user', authMiddleware, requirePermission('users:write'), audit('user.create', { model: 'User' }), authController.createUser);
+router.get('/users', authMiddleware, requirePermission('users:read'), authController.getAllUsers);
+// Bulk import / export (before /users/:id)
+const userBulkController = require('../controllers/userBulkController');
+const spreadsheetUpload = require('../middleware/spreadsheetUpload');
+router.post('/users/import', authMiddleware, requirePermission('users:write'), audit('user.import'), spreadsheetUpload.single('file'), userBulkController.importUsers);
+router.get('/users/export', authMiddleware, requirePermission('users:read'), userBulkController.exportUsers);
+router.get('/users/:id', authMiddleware, requirePermission('users:read'), authController.getUserById);
+router.get('/users/:id/history', authMiddleware, requirePermission('users:read'), authController.getUserHistory);
+router.put('/users/:id', authMiddleware, requirePermission('users:write'), audit('user.update', { model: 'User', idParam: 'id' }), authController.updateUser);
+router.put('/users/:id/subscription', authMiddleware, requirePermission('subscriptions:manage'), audit('user.subscription.update', { model: 'User', idParam: 'id' }), authController.updateSubscription);
+// Subscription corrections (each requires a note and is recorded in the subscription log)
+const subscriptionController = require('../controllers/subscriptionController');
+router.post('/users/:id/subscription/pause', authMiddleware, requirePermission('subscriptions:manage'), audit('user.subscription.pause', { model: 'User', idParam: 'id' }), subscriptionController.pause);
+router.post('/users/:id/subscription/resume', authMiddleware, requirePermission('subscriptions:manage'), audit('user.subscription.resume', { model: 'User', idParam: 'id' }), subscriptionController.resume);
+router.post('/users/:id/subscription/shorten', authMiddleware, requirePermission('subscriptions:manage'), audit('user.subscription.shorten', { model: 'User', idParam: 'id' }), subscriptionController.shorten);
+router.post('/users/:id/subscription/credit', authMiddleware, requirePermission('subscriptions:manage'), audit('user.subscription.credit', { model: 'User', idParam: 'id' }), subscriptionController.credit);
+router.post('/users/:id/subscription/revoke', authMiddleware, requirePermission('subscriptions:manage'), audit('user.subscription.revoke', { model: 'User', idParam: 'id' }), subscriptionController.revoke);
+router.delete('/users/:id', authMiddleware, requirePermission('users:write'), audit('user.delete', { model: 'User', idParam: 'id' }), authController.deleteUser);
+router.post('/users/:id/restore', authMiddleware, requirePermission('users:write'), audit('user.restore', { model: 'User', idParam: 'id' }), authController.restoreUser);
+// Issue a new login code (codes are stored hashed and cannot be shown again)
+router.post('/users/:id/regenerate-code', authMiddleware, requirePermission('users:write'), audit('user.code.regenerate', { model: 'User', idParam: 'id' }), authController.regenerateUserCode);
+
+// Reset all devices of a user (admin only)
+router.put('/users/:id/reset-device', authMiddleware, requirePermission('devices:manage'), audit('user.devices.reset', { model: 'User', idParam: 'id' }), authController.resetDevice);
+// Inspect / revoke individual devices and override the device limit (admin only)
+router.get('/users/:id/devices', authMiddleware, requirePermission('users:read'), deviceController.getUserDevices);
+router.delete('/users/:id/devices/:deviceId', authMiddleware, requirePermission('devices:manage'), audit('user.device.revoke', { model: 'User', idParam: 'id' }), deviceController.revokeUserDevice);
+router.put('/users/:id/device-limit', authMiddleware, requirePermission('devices:manage'), audit('user.deviceLimit.update', { model: 'User', idParam: 'id' }), deviceController.updateUserDeviceLimit);
 
 module.exports = router;
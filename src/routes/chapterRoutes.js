@@ -1,14 +1,15 @@
 const express = require('express');
 const chapterController = require('../controllers/chapterController');
-const { adminMiddleware } = require('../middleware/auth');
+const { requirePermission } = require('../middleware/auth');
+const { audit } = require('../middleware/audit');
 const upload = require('../middleware/uploadMiddleware');
 
 const router = express.Router();
 
 // Admin only routes
-router.post('/', adminMiddleware, upload.single('thumbnail'), chapterController.createChapter);
-router.put('/:id', adminMiddleware, upload.single('thumbnail'), chapterController.updateChapter);
-router.delete('/:id', adminMiddleware, chapterController.deleteChapter);
+router.post('/', requirePermission('content:write'), audit('chapter.create', { model: 'Chapter' }), upload.single('thumbnail'), chapterController.createChapter);
+router.put('/:id', requirePermission('content:write'), audit('chapter.update', { model: 'Chapter', idParam: 'id' }), upload.single('thumbnail'), chapterController.updateChapter);
+router.delete('/:id', requirePermission('content:write'), audit('chapter.delete', { model: 'Chapter', idParam: 'id' }), chapterController.deleteChapter);
 
 // Public routes
 router.get('/instructor/:instructorId', chapterController.getChaptersByInstructor);
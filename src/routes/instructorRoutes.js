@@ -1,14 +1,15 @@
 const express = require('express');
 const instructorController = require('../controllers/instructorController');
-const { adminMiddleware } = require('../middleware/auth');
+const { requirePermission } = require('../middleware/auth');
+const { audit } = require('../middleware/audit');
 const upload = require('../middleware/uploadMiddleware');
 
 const router = express.Router();
 
 // Admin only routes
-router.post('/', adminMiddleware, upload.single('thumbnail'), instructorController.createInstructor);
-router.put('/:id', adminMiddleware, upload.single('thumbnail'), instructorController.updateInstructor);
-router.delete('/:id', adminMiddleware, instructorController.deleteInstructor);
+router.post('/', requirePermission('content:write'), audit('instructor.create', { model: 'Instructor' }), upload.single('thumbnail'), instructorController.createInstructor);
+router.put('/:id', requirePermission('content:write'), audit('instructor.update', { model: 'Instructor', idParam: 'id' }), upload.single('thumbnail'), instructorController.updateInstructor);
+router.delete('/:id', requirePermission('content:write'), audit('instructor.delete', { model: 'Instructor', idParam: 'id' }), instructorController.deleteInstructor);
 
 // Public routes
 router.get('/material/:materialId', instructorController.getInstructorsByMaterial);
@@ -1,21 +1,23 @@
 const express = require('express');
 const lectureController = require('../controllers/lectureController');
-const { adminMiddleware, authMiddleware, checkSubscription } = require('../middleware/auth');
+const { requirePermission, authMiddleware } = require('../middleware/auth');
+const { requireAccess } = require('../middleware/contentAccess');
+const { audit } = require('../middleware/audit');
 const upload = require('../middleware/uploadMiddleware');
 
 const router = express.Router();
 
 // Admin only routes
-router.post('/', adminMiddleware, upload.single('thumbnail'), lectureController.createLecture);
-router.put('/:id', adminMiddleware, upload.single('thumbnail'), lectureController.updateLecture);
-router.delete('/:id', adminMiddleware, lectureController.deleteLecture);
+router.post('/', requirePermission('content:write'), audit('lecture.create', { model: 'Lecture' }), upload.single('thumbnail'), lectureController.createLecture);
+router.put('/:id', requirePermission('content:write'), audit('lecture.update', { model: 'Lecture', idParam: 'id' }), upload.single('thumbnail'), lectureController.updateLecture);
+router.delete('/:id', requirePermission('content:write'), audit('lecture.delete', { model: 'Lecture', idParam: 'id' }), lectureController.deleteLecture);
 
-// Protected routes: require valid user code and active subscription
-router.get('/chapter/:chapterId', authMiddleware, checkSubscription, lectureController.getLecturesByChapter);
-router.get('/:id', authMiddleware, checkSubscription, lectureController.getLectureById);
+// Protected routes: require a valid session and access to the lecture's material
+router.get('/chapter/:chapterId', authMiddleware, requireAccess('chapter', 'chapterId'), lectureController.getLecturesByChapter);
+router.get('/:id', authMiddleware, requireAccess('lecture', 'id'), lectureController.getLectureById);
 // Admin: get viewers for a lecture
-router.get('/:id/viewers', authMiddleware, adminMiddleware, lectureController.getLectureViewers);
+router.get('/:id/viewers', authMiddleware, requirePermission('analytics:read'), lectureController.getLectureViewers);
 // Record a view for the lecture (protected)
-router.post('/:id/view', authMiddleware, checkSubscription, lectureController.recordLectureView);
+router.post('/:id/view', authMiddleware, requireAccess('lecture', 'id'), lectureController.recordLectureView);
 
 module.exports = router;
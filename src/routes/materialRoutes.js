@@ -1,20 +1,22 @@
 const express = require('express');
 const materialController = require('../controllers/materialController');
-const { adminMiddleware } = require('../middleware/auth');
-const { authMiddleware, checkSubscription } = require('../middleware/auth');
+const { requirePermission } = require('../middleware/auth');
+const { authMiddleware } = require('../middleware/auth');
+const { requireAccess } = require('../middleware/contentAccess');
+const { audit } = require('../middleware/audit');
 const upload = require('../middleware/uploadMiddleware');
 
 const router = express.Router();
 
 // Admin only routes
-router.post('/', adminMiddleware, upload.single('thumbnail'), materialController.createMaterial);
-router.put('/:id', adminMiddleware, upload.single('thumbnail'), materialController.updateMaterial);
-router.delete('/:id', adminMiddleware, materialController.deleteMaterial);
+router.post('/', requirePermission('content:write'), audit('material.create', { model: 'Material' }), upload.single('thumbnail'), materialController.createMaterial);
+router.put('/:id', requirePermission('content:write'), audit('material.update', { model: 'Material', idParam: 'id' }), upload.single('thumbnail'), materialController.updateMaterial);
+router.delete('/:id', requirePermission('content:write'), audit('material.delete', { model: 'Material', idParam: 'id' }), materialController.deleteMaterial);
 
 // Public routes
 router.get('/', materialController.getAllMaterials);
 router.get('/:id/students-count', materialController.getStudentsCount);
-router.post('/:id/enroll', authMiddleware, checkSubscription, materialController.enrollToMaterial);
-router.get('/:id', authMiddleware, checkSubscription, materialController.getMaterialById);
+router.post('/:id/enroll', authMiddleware, requireAccess('material', 'id'), materialController.enrollToMaterial);
+router.get('/:id', authMiddleware, requireAccess('material', 'id'), materialController.getMaterialById);
 
 module.exports = router;
@@ -1,7 +1,7 @@
 const express = require('express');
 const router = express.Router();
 const notificationsController = require('../controllers/notificationsController');
-const { authMiddleware, adminMiddleware } = require('../middleware/auth');
+const { authMiddleware, requirePermission } = require('../middleware/auth');
 
 router.get('/', notificationsController.getNotifications);
 // marking as read requires authentication
@@ -9,6 +9,6 @@ router.put('/:id/read', authMiddleware, notificationsController.markAsRead);
 // mark all as read
 router.put('/read-all', authMiddleware, notificationsController.markAllRead);
 // delete all notifications (admin only)
-router.delete('/delete-all', authMiddleware, adminMiddleware, notificationsController.deleteAllNotifications);
+router.delete('/delete-all', authMiddleware, requirePermission('notifications:manage'), notificationsController.deleteAllNotifications);
 
 module.exports = router;
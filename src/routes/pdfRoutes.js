@@ -1,22 +1,24 @@
 const express = require('express');
 const pdfController = require('../controllers/pdfController');
-const { adminMiddleware, authMiddleware, optionalAuth, checkSubscription } = require('../middleware/auth');
+const { requirePermission, authMiddleware, optionalAuth } = require('../middleware/auth');
+const { requireAccess } = require('../middleware/contentAccess');
+const { audit } = require('../middleware/audit');
 const upload = require('../middleware/uploadMiddleware');
 
 const router = express.Router();
 
 // Admin only routes (require auth then admin check)
-router.post('/', authMiddleware, adminMiddleware, upload.single('file'), pdfController.createPDF);
-router.put('/:id', authMiddleware, adminMiddleware, upload.single('file'), pdfController.updatePDF);
-router.delete('/:id', authMiddleware, adminMiddleware, pdfController.deletePDF);
+router.post('/', authMiddleware, requirePermission('content:write'), audit('pdf.create', { model: 'PDF' }), upload.single('file'), pdfController.createPDF);
+router.put('/:id', authMiddleware, requirePermission('content:write'), audit('pdf.update', { model: 'PDF', idParam: 'id' }), upload.single('file'), pdfController.updatePDF);
+router.delete('/:id', authMiddleware, requirePermission('content:write'), audit('pdf.delete', { model: 'PDF', idParam: 'id' }), pdfController.deletePDF);
 
 // Admin: get viewers list for a PDF
-router.get('/:id/viewers', authMiddleware, adminMiddleware, pdfController.getPDFViewers);
+router.get('/:id/viewers', authMiddleware, requirePermission('analytics:read'), pdfController.getPDFViewers);
 
-// Protected routes: require valid user code and active subscription
-router.get('/lecture/:lectureId', authMiddleware, checkSubscription, pdfController.getPDFsByLecture);
-router.get('/:id', authMiddleware, checkSubscription, pdfController.getPDFById);
-// Record view (requires active subscription)
-router.post('/:id/view', authMiddleware, checkSubscription, pdfController.viewPDF);
+// Protected routes: require a valid session and access to the material
+router.get('/lecture/:lectureId', authMiddleware, requireAccess('lecture', 'lectureId'), pdfController.getPDFsByLecture);
+router.get('/:id', authMiddleware, requireAccess('pdf', 'id'), pdfController.getPDFById);
+// Record view (requires access to the material)
+router.post('/:id/view', authMiddleware, requireAccess('pdf', 'id'), pdfController.viewPDF);
 
 module.exports = router;
@@ -0,0 +1,10 @@
+const express = require('express');
+
+const progressController = require('../controllers/progressController');
+
+const router = express.Router();
+
+// Completion per material / instructor / chapter / lecture for the current user
+router.get('/', progressController.getMyProgress);
+
+module.exports = router;
@@ -5,7 +5,7 @@ const { authMiddleware, checkSubscription } = require('../middleware/auth');
 
 const router = express.Router();
 
-// Protected route to get full content tree (require active subscription)
+// Protected route to get full content tree (requires an active subscription or access grant)
 router.get('/', authMiddleware, checkSubscription, treeController.getContentTree);
 
 module.exports = router;
\ No newline at end of file
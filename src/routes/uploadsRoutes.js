@@ -1,10 +1,11 @@
 const express = require('express');
 const upload = require('../middleware/uploadMiddleware');
 const uploadController = require('../controllers/uploadController');
+const { requirePermission } = require('../middleware/auth');
 
 const router = express.Router();
 
-// POST /api/uploads/pdf - admin only (controller will check req.user if needed)
-router.post('/pdf', upload.single('file'), uploadController.uploadPdf);
+// POST /api/uploads/pdf - admin only
+router.post('/pdf', requirePermission('content:write'), upload.single('file'), uploadController.uploadPdf);
 
 module.exports = router;
@@ -1,33 +1,43 @@
 const express = require('express');
 const videoController = require('../controllers/videoController');
-const { authMiddleware, optionalAuth, adminMiddleware, checkSubscription } = require('../middleware/auth');
+const { authMiddleware, optionalAuth, requirePermission } = require('../middleware/auth');
+const { requireAccess } = require('../middleware/contentAccess');
+const { audit } = require('../middleware/audit');
 
 const router = express.Router();
 
-// Protected: get videos by lecture (require active subscription)
-router.get('/lecture/:lectureId', authMiddleware, checkSubscription, videoController.getVideosByLecture);
+// Protected: get videos by lecture (requires access to the material)
+router.get('/lecture/:lectureId', authMiddleware, requireAccess('lecture', 'lectureId'), videoController.getVideosByLecture);
 // Lightweight availability summary (public read, no playback blocking)
 const videoStatusController = require('../controllers/videoStatusController');
 router.get('/lecture/:lectureId/availability', videoStatusController.getLectureAvailability);
 
+// Master playlist listing every quality as a variant stream (adaptive bitrate)
+router.get('/:videoId/master.m3u8', authMiddleware, requireAccess('video', 'videoId'), videoController.masterPlaylist);
+
 // Playlist (m3u8) for a given quality (signed segment URLs inside)
-// Require a valid user code and active subscription so playlists aren't accessible for expired codes
-router.get('/:videoId/playlist/:quality.m3u8', videoController.playlist);
+// Require a valid session and access to the material so playlists aren't accessible once access ends
+router.get('/:videoId/playlist/:quality.m3u8', authMiddleware, requireAccess('video', 'videoId'), videoController.playlist);
 
 // Admin: list viewers for a video
-router.get('/:videoId/viewers', authMiddleware, adminMiddleware, videoController.getVideoViewers);
+router.get('/:videoId/viewers', authMiddleware, requirePermission('analytics:read'), videoController.getVideoViewers);
 // Admin: delete a video
-router.delete('/:videoId', authMiddleware, adminMiddleware, videoController.deleteVideo);
+router.delete('/:videoId', authMiddleware, requirePermission('content:write'), audit('video.delete', { model: 'Video', idParam: 'videoId' }), videoController.deleteVideo);
 // Admin: request a revalidation for a video (removed)
 // Admin: update video metadata (title, duration)
-router.put('/:videoId', authMiddleware, adminMiddleware, videoController.updateVideo);
+router.put('/:videoId', authMiddleware, requirePermission('content:write'), audit('video.update', { model: 'Video', idParam: 'videoId' }), videoController.updateVideo);
 // Validation endpoints removed. Replaced by new validator service later.
-// Record a view for a specific video (requires subscription)
-router.post('/:videoId/view', authMiddleware, checkSubscription, videoController.recordVideoView);
-// Download assembled file (streams segments sequentially). Requires active session/subscription and download permission.
-router.get('/:videoId/download', authMiddleware, checkSubscription, videoController.download);
+// Record a view for a specific video (requires access to the material)
+router.post('/:videoId/view', authMiddleware, requireAccess('video', 'videoId'), videoController.recordVideoView);
+// Save resume position / watched seconds for the current user
+router.put('/:videoId/progress', authMiddleware, requireAccess('video', 'videoId'), videoController.updateVideoProgress);
+// Own download quota usage (requires active session)
+const downloadController = require('../controllers/downloadController');
+router.get('/download-quota', authMiddleware, downloadController.getMyDownloadQuota);
+// Download assembled file (streams segments sequentially). Requires an active session, access to the material and download permission.
+router.get('/:videoId/download', authMiddleware, requireAccess('video', 'videoId'), videoController.download);
 
-// Proxy a segment using direct URL
+// Proxy a segment; access is granted by the signed, expiring token embedded in the playlist
 router.get('/:videoId/segments/:quality/:segmentNumber', videoController.proxySegment);
 
 module.exports = router;
@@ -18,6 +18,7 @@ const treeRoutes = require('./routes/treeRoutes');
 const adminRoutes = require('./routes/adminRoutes');
 const notificationsRoutes = require('./routes/notificationsRoutes');
 const searchRoutes = require('./routes/searchRoutes');
+const progressRoutes = require('./routes/progressRoutes');
 
 // Middleware
 const { authMiddleware, optionalAuth, adminMiddleware } = require('./middleware/auth');
@@ -25,6 +26,11 @@ const { authMiddleware, optionalAuth, adminMiddleware } = require('./middleware/
 const app = express();
 const PORT = process.env.PORT || 5000;
 const FRONTEND_URL = process.env.FRONTEND_URL;
+// Behind a reverse proxy set TRUST_PROXY (e.g. `1`) so req.ip is the client address (login lockouts)
+if (process.env.TRUST_PROXY) {
+  const hops = Number(process.env.TRUST_PROXY);
+  app.set('trust proxy', Number.isNaN(hops) ? process.env.TRUST_PROXY : hops);
+}
 // =====================
 // CORS (STRICT)
 // =====================
@@ -47,14 +53,15 @@ app.use(
       'device_id',
       'session-token',
       'session_token',
+      'Range',
     ],
     methods: ['GET', 'POST', 'PUT', 'DELETE'],
   })
 );
 
-// Expose certain headers to the browser (so frontend can read Content-Length / Content-Disposition)
+// Expose certain headers to the browser (so frontend can read Content-Length / Content-Disposition / ranges)
 app.use((req, res, next) => {
-  res.header('Access-Control-Expose-Headers', 'Content-Length, Content-Disposition');
+  res.header('Access-Control-Expose-Headers', 'Content-Length, Content-Disposition, Content-Range, Accept-Ranges');
   next();
 });
 
@@ -102,6 +109,30 @@ function startServer() {
       console.warn('Could not verify ffprobe availability', e && e.message);
     }
 
+    // Hash any user codes still stored in plaintext
+    try {
+      const { migrateLegacyUserCodes } = require('./utils/userCode');
+      migrateLegacyUserCodes().catch((e) => console.warn('User code migration failed', e && e.message));
+    } catch (e) {
+      console.warn('User code migration not available', e && e.message);
+    }
+
+    // Fill in lastActivityAt for users recorded before it existed
+    try {
+      const { backfillLastActivity } = require('./services/userDirectory');
+      backfillLastActivity().catch((e) => console.warn('lastActivityAt backfill failed', e && e.message));
+    } catch (e) {
+      console.warn('lastActivityAt backfill not available', e && e.message);
+    }
+
+    // Create the default subscription plans on first start and link existing users to them
+    try {
+      const { ensureDefaultPlans } = require('./services/planService');
+      ensureDefaultPlans().catch((e) => console.warn('Plan setup failed', e && e.message));
+    } catch (e) {
+      console.warn('Plan setup not available', e && e.message);
+    }
+
     // Start the Video Status scheduler (lightweight in-process probe loop)
     try {
       const { startScheduler } = require('./services/videoStatusScheduler');
@@ -109,6 +140,32 @@ function startServer() {
     } catch (e) {
       console.warn('Failed to start video status scheduler', e && e.message);
     }
+
+    // Subscription expiry reminders and expiration records
+    try {
+      const { startScheduler: startExpiryScheduler } = require('./services/subscriptionExpiryScheduler');
+      startExpiryScheduler();
+    } catch (e) {
+      console.warn('Failed to start subscription expiry scheduler', e && e.message);
+    }
+
+    // Purge of soft-deleted users after their retention window
+    try {
+      const { migrateDeletedAtIndex } = require('./services/userDeletion');
+      migrateDeletedAtIndex().catch((e) => console.warn('deletedAt index migration failed', e && e.message));
+      const { startScheduler: startUserPurgeScheduler } = require('./services/userPurgeScheduler');
+      startUserPurgeScheduler();
+    } catch (e) {
+      console.warn('Failed to start user purge scheduler', e && e.message);
+    }
+
+    // Purge of expired recycle bin items and their files
+    try {
+      const { startScheduler: startTrashScheduler } = require('./services/trashScheduler');
+      startTrashScheduler();
+    } catch (e) {
+      console.warn('Failed to start trash purge scheduler', e && e.message);
+    }
   });
 }
 
@@ -159,6 +216,7 @@ app.use('/api/instructors', authMiddleware, instructorRoutes);
 app.use('/api/chapters', authMiddleware, chapterRoutes);
 app.use('/api/lectures', authMiddleware, lectureRoutes);
 app.use('/api/uploads', authMiddleware, uploadsRoutes);
+app.use('/api/progress', authMiddleware, progressRoutes);
 // Allow public access to GET notifications (broadcasts). Protect write endpoints separately.
 app.use('/api/notifications', optionalAuth, notificationsRoutes);
 
@@ -0,0 +1,126 @@
+const Instructor = require('../models/Instructor');
+const Chapter = require('../models/Chapter');
+const Lecture = require('../models/Lecture');
+const PDF = require('../models/PDF');
+const Video = require('../models/Video');
+const AccessGrant = require('../models/AccessGrant');
+const { getUserPlan, isSubscriptionActive, isPermanent, planCoversMaterial } = require('./planService');
+const { isPaused } = require('./subscriptionService');
+
+// Per-material access. A user may open content of a material when either
+//  - they hold an unexpired AccessGrant for the material, or for the instructor the content
+//    belongs to, or
+//  - their subscription is active and their plan covers the material (plans without
+//    materials cover the whole catalog, unless ACCESS_REQUIRE_GRANT is set).
+// Configurable via env vars:
+//  - ACCESS_REQUIRE_GRANT (default false): plans only give access to the materials they list
+const REQUIRE_GRANT = process.env.ACCESS_REQUIRE_GRANT === 'true';
+// content rarely moves between parents, so resolved ancestors are cached briefly
+const RESOLVE_CACHE_MS = 60 * 1000;
+const RESOLVE_CACHE_MAX_ENTRIES = 10000;
+
+// `${kind}:${id}` -> { value: { materialId, instructorId } | null, at }
+const resolved = new Map();
+
+async function resolveUncached(kind, id) {
+  switch (kind) {
+    case 'material':
+      return { materialId: String(id), instructorId: null };
+    case 'instructor': {
+      const instructor = await Instructor.findById(id).select('materialId').lean();
+      return instructor ? { materialId: String(instructor.materialId), instructorId: String(instructor._id) } : null;
+    }
+    case 'chapter': {
+      const chapter = await Chapter.findById(id).select('instructorId').lean();
+      return chapter ? resolveContent('instructor', chapter.instructorId) : null;
+    }
+    case 'lecture': {
+      const lecture = await Lecture.findById(id).select('chapterId').lean();
+      return lecture ? resolveContent('chapter', lecture.chapterId) : null;
+    }
+    case 'pdf': {
+      const pdf = await PDF.findById(id).select('lectureId').lean();
+      return pdf ? resolveContent('lecture', pdf.lectureId) : null;
+    }
+    case 'video': {
+      const video = await Video.findById(id).select('lectureId').lean();
+      return video ? resolveContent('lecture', video.lectureId) : null;
+    }
+    default:
+      throw new Error(`Unknown content kind: ${kind}`);
+  }
+}
+
+// Material (and instructor) a piece of content belongs to, or null when it does not exist
+async function resolveContent(kind, id) {
+  const key = `${kind}:${id}`;
+  const hit = resolved.get(key);
+  if (hit && Date.now() - hit.at < RESOLVE_CACHE_MS) return hit.value;
+  const value = await resolveUncached(kind, id);
+  if (resolved.size >= RESOLVE_CACHE_MAX_ENTRIES) resolved.clear();
+  resolved.set(key, { value, at: Date.now() });
+  return value;
+}
+
+function activeGrantFilter(userId, now = new Date()) {
+  return { userId, $or: [{ expiresAt: null }, { expiresAt: { $gt: now } }] };
+}
+
+// Unexpired grants of a user (optionally for one material)
+async function getActiveGrants(userId, { materialId } = {}) {
+  const filter = activeGrantFilter(userId);
+  if (materialId) filter.materialId = materialId;
+  return AccessGrant.find(filter).lean();
+}
+
+// Material-level targets (no instructorId) are covered by any grant on the material, so
+// instructor-level grants still open the material page
+function grantCovers(grant, { materialId, instructorId }) {
+  if (String(grant.materialId) !== String(materialId)) return false;
+  return !grant.instructorId || !instructorId || String(grant.instructorId) === String(instructorId);
+}
+
+// Latest expiry among grants (null when any of them never expires)
+function latestExpiry(grants) {
+  if (grants.some((g) => !g.expiresAt)) return null;
+  return new Date(Math.max(...grants.map((g) => new Date(g.expiresAt).getTime())));
+}
+
+function planGivesAccess(plan, materialId) {
+  if (REQUIRE_GRANT && (!plan || !Array.isArray(plan.materials) || plan.materials.length === 0)) return false;
+  return planCoversMaterial(plan, materialId);
+}
+
+// Decide access to `target` ({ materialId, instructorId }).
+// Returns { allowed, via: 'admin' | 'grant' | 'plan' | null, expiresAt } where expiresAt is
+// when this access ends (null for no end), or { allowed: false, reason }.
+async function checkAccess(user, target) {
+  if (user.isAdmin) return { allowed: true, via: 'admin', expiresAt: null };
+
+  const grants = (await getActiveGrants(user._id, { materialId: target.materialId })).filter((g) => grantCovers(g, target));
+  if (grants.length > 0) return { allowed: true, via: 'grant', expiresAt: latestExpiry(grants) };
+
+  const plan = await getUserPlan(user);
+  if (!(await isSubscriptionActive(user, plan))) return { allowed: false, reason: isPaused(user) ? 'Subscription paused' : 'Subscription expired' };
+  if (!planGivesAccess(plan, target.materialId)) return { allowed: false, reason: 'Material not included in your plan' };
+  const permanent = plan ? isPermanent(plan) : user.subscriptionType === 'permanent';
+  return { allowed: true, via: 'plan', expiresAt: permanent ? null : user.subscriptionExpires };
+}
+
+// Whether the user can open anything at all: an active subscription or any active grant
+async function hasAnyAccess(user) {
+  if (await isSubscriptionActive(user)) return true;
+  return !!(await AccessGrant.exists(activeGrantFilter(user._id)));
+}
+
+// Access lookup for listing many materials/instructors at once (e.g. the content tree):
+// returns (materialId, instructorId?) => boolean
+async function getAccessIndex(user) {
+  if (user.isAdmin) return () => true;
+  const [grants, plan] = await Promise.all([getActiveGrants(user._id), getUserPlan(user)]);
+  const subscribed = await isSubscriptionActive(user, plan);
+  return (materialId, instructorId = null) => grants.some((g) => grantCovers(g, { materialId, instructorId }))
+    || (subscribed && planGivesAccess(plan, materialId));
+}
+
+module.exports = { resolveContent, getActiveGrants, checkAccess, hasAnyAccess, getAccessIndex };
@@ -0,0 +1,258 @@
+const Material = require('../models/Material');
+const Instructor = require('../models/Instructor');
+const Chapter = require('../models/Chapter');
+const Lecture = require('../models/Lecture');
+const PDF = require('../models/PDF');
+const Video = require('../models/Video');
+const Enrollment = require('../models/Enrollment');
+const ChapterView = require('../models/ChapterView');
+const LectureView = require('../models/LectureView');
+const PDFView = require('../models/PDFView');
+const VideoView = require('../models/VideoView');
+const DownloadLog = require('../models/DownloadLog');
+const AccessGrant = require('../models/AccessGrant');
+const Notification = require('../models/Notification');
+const Plan = require('../models/Plan');
+const Voucher = require('../models/Voucher');
+const { deleteFile, getPublicIdFromUrl } = require('../utils/cloudinaryUploader');
+const { deletePdfByUrl } = require('../utils/supabasePdf');
+const gridfs = require('../utils/gridfs');
+const segmentCache = require('../utils/segmentCache');
+
+// Deletes a material, instructor, chapter, lecture, PDF or video together with everything below it
+// (instructors > chapters > lectures > PDFs / videos), the views, enrollments, grants,
+// download logs and notifications pointing at them, and the external files they own:
+// Cloudinary thumbnails, Supabase PDFs and GridFS segment mirrors.
+// `previewDelete` returns the same plan without changing anything.
+// Plans and vouchers are never left with an empty material list (which would mean the whole
+// catalog / a plain subscription extension): when every listed material is deleted, the ids
+// stay and the plan is deactivated or the voucher disabled for an admin to review.
+
+const KINDS = {
+  material: Material,
+  instructor: Instructor,
+  chapter: Chapter,
+  lecture: Lecture,
+  pdf: PDF,
+  video: Video,
+};
+
+const SUPABASE_PDF_PATH = '/storage/v1/object/public/pdfs/';
+
+const ids = (docs) => docs.map((d) => d._id);
+
+function thumbnailPublicId(doc) {
+  if (doc.thumbnailPublicId) return doc.thumbnailPublicId;
+  if (doc.thumbnailUrl && doc.thumbnailUrl.includes('res.cloudinary.com')) return getPublicIdFromUrl(doc.thumbnailUrl);
+  return null;
+}
+
+// Load the subtree of one content item; returns null when it does not exist
+async function collectTree(kind, id) {
+  const Model = KINDS[kind];
+  if (!Model) throw new Error(`Unsupported content kind: ${kind}`);
+  const root = await Model.findById(id).lean();
+  if (!root) return null;
+
+  const tree = { kind, root, materials: [], instructors: [], chapters: [], lectures: [], pdfs: [], videos: [] };
+  if (kind === 'material') tree.materials = [root];
+  if (kind === 'instructor') tree.instructors = [root];
+  if (kind === 'chapter') tree.chapters = [root];
+  if (kind === 'lecture') tree.lectures = [root];
+  if (kind === 'pdf') tree.pdfs = [root];
+  if (kind === 'video') tree.videos = [root];
+
+  if (tree.materials.length > 0) tree.instructors = await Instructor.find({ materialId: { $in: ids(tree.materials) } }).lean();
+  if (tree.instructors.length > 0) tree.chapters = tree.chapters.concat(await Chapter.find({ instructorId: { $in: ids(tree.instructors) } }).lean());
+  if (tree.chapters.length > 0) tree.lectures = tree.lectures.concat(await Lecture.find({ chapterId: { $in: ids(tree.chapters) } }).lean());
+  if (tree.lectures.length > 0) {
+    const lectureIds = ids(tree.lectures);
+    [tree.pdfs, tree.videos] = await Promise.all([
+      PDF.find({ lectureId: { $in: lectureIds } }).lean(),
+      Video.find({ lectureId: { $in: lectureIds } }).lean(),
+    ]);
+  }
+  return tree;
+}
+
+// Filters for every related collection, keyed like the counts in the preview
+function relatedFilters(tree) {
+  const materialIds = ids(tree.materials);
+  const instructorIds = ids(tree.instructors);
+  const chapterIds = ids(tree.chapters);
+  const lectureIds = ids(tree.lectures);
+  const pdfIds = ids(tree.pdfs);
+  const videoIds = ids(tree.videos);
+  return {
+    enrollments: [Enrollment, { materialId: { $in: materialIds } }],
+    accessGrants: [AccessGrant, { $or: [{ materialId: { $in: materialIds } }, { instructorId: { $in: instructorIds } }] }],
+    chapterViews: [ChapterView, { chapterId: { $in: chapterIds } }],
+    lectureViews: [LectureView, { lectureId: { $in: lectureIds } }],
+    pdfViews: [PDFView, { pdfId: { $in: pdfIds } }],
+    videoViews: [VideoView, { videoId: { $in: videoIds } }],
+    downloadLogs: [DownloadLog, { videoId: { $in: videoIds } }],
+    notifications: [Notification, { $or: [
+      { materialId: { $in: materialIds } },
+      { instructorId: { $in: instructorIds } },
+      { chapterId: { $in: chapterIds } },
+      { lectureId: { $in: lectureIds } },
+      { videoId: { $in: videoIds } },
+    ] }],
+  };
+}
+
+// Plans / vouchers listing some of `materialIds` and at least one other material
+const keepsOthers = (materialIds) => ({ materials: { $in: materialIds, $elemMatch: { $nin: materialIds } } });
+// ... and those that list nothing else
+const listsOnly = (materialIds) => ({ materials: { $in: materialIds, $not: { $elemMatch: { $nin: materialIds } } } });
+
+// Remove deleted materials from plans and vouchers; returns
+// { plansUpdated, plansDeactivated, vouchersUpdated, vouchersDisabled }.
+// The ids of the plans deactivated and vouchers disabled here are appended to `switchedOff`
+// ({ plans, vouchers }) so a restore can switch exactly those back on.
+async function detachMaterials(materialIds, switchedOff = { plans: [], vouchers: [] }) {
+  if (materialIds.length === 0) return { plansUpdated: 0, plansDeactivated: 0, vouchersUpdated: 0, vouchersDisabled: 0 };
+  const pull = { $pull: { materials: { $in: materialIds } } };
+  const planIds = await Plan.distinct('_id', { ...listsOnly(materialIds), active: true });
+  const voucherIds = await Voucher.distinct('_id', { ...listsOnly(materialIds), disabled: { $ne: true } });
+  const counts = {
+    plansUpdated: (await Plan.updateMany(keepsOthers(materialIds), pull)).modifiedCount || 0,
+    plansDeactivated: planIds.length > 0 ? (await Plan.updateMany({ _id: { $in: planIds } }, { $set: { active: false } })).modifiedCount || 0 : 0,
+    vouchersUpdated: (await Voucher.updateMany(keepsOthers(materialIds), pull)).modifiedCount || 0,
+    vouchersDisabled: voucherIds.length > 0 ? (await Voucher.updateMany({ _id: { $in: voucherIds } }, { $set: { disabled: true } })).modifiedCount || 0 : 0,
+  };
+  switchedOff.plans.push(...planIds);
+  switchedOff.vouchers.push(...voucherIds);
+  return counts;
+}
+
+// External files owned by the subtree
+function externalFiles(tree) {
+  const cloudinary = [...tree.materials, ...tree.instructors, ...tree.chapters, ...tree.lectures]
+    .map(thumbnailPublicId)
+    .filter(Boolean);
+  const supabase = tree.pdfs.map((p) => p.fileUrl)
+    .concat(...tree.lectures.map((l) => (l.pdfs || []).map((p) => p.url)))
+    .filter((url) => url && url.includes(SUPABASE_PDF_PATH));
+  const gridfsPrefixes = tree.videos.map((v) => gridfs.segmentPrefix(v._id));
+  return { cloudinary: Array.from(new Set(cloudinary)), supabase: Array.from(new Set(supabase)), gridfsPrefixes };
+}
+
+async function describe(tree) {
+  const counts = {
+    materials: tree.materials.length,
+    instructors: tree.instructors.length,
+    chapters: tree.chapters.length,
+    lectures: tree.lectures.length,
+    pdfs: tree.pdfs.length,
+    videos: tree.videos.length,
+  };
+  for (const [name, [Model, filter]] of Object.entries(relatedFilters(tree))) {
+    counts[name] = await Model.countDocuments(filter);
+  }
+  const materialIds = ids(tree.materials);
+  const hasMaterials = materialIds.length > 0;
+  counts.plansUpdated = hasMaterials ? await Plan.countDocuments(keepsOthers(materialIds)) : 0;
+  counts.plansDeactivated = hasMaterials ? await Plan.countDocuments({ ...listsOnly(materialIds), active: true }) : 0;
+  counts.vouchersUpdated = hasMaterials ? await Voucher.countDocuments(keepsOthers(materialIds)) : 0;
+  counts.vouchersDisabled = hasMaterials ? await Voucher.countDocuments({ ...listsOnly(materialIds), disabled: { $ne: true } }) : 0;
+  const files = externalFiles(tree);
+  let gridfsFiles = 0;
+  const errors = [];
+  for (const prefix of files.gridfsPrefixes) {
+    try {
+      gridfsFiles += await gridfs.countFilesByPrefix(prefix);
+    } catch (e) {
+      console.error('delete preview: gridfs count failed', prefix, e);
+      errors.push({ type: 'gridfs', ref: prefix, error: e.message });
+    }
+  }
+  return {
+    kind: tree.kind,
+    id: tree.root._id,
+    title: tree.root.title,
+    counts,
+    files: { ...files, gridfsFiles, errors },
+  };
+}
+
+// Dry run: { kind, id, title, counts: { <collection>: n }, files: { cloudinary, supabase, gridfsPrefixes, gridfsFiles, errors } },
+// or null when the item does not exist
+async function previewDelete(kind, id) {
+  const tree = await collectTree(kind, id);
+  return tree ? describe(tree) : null;
+}
+
+// Remove the documents of a collected subtree and everything referencing it; returns counts.
+// Local segment cache purges that fail are logged and appended to `failed` ({ type, ref, error }),
+// plans / vouchers switched off by `detachMaterials` to `switchedOff`.
+async function removeDocuments(tree, failed = [], switchedOff = { plans: [], vouchers: [] }) {
+  const counts = {};
+  for (const [name, [Model, filter]] of Object.entries(relatedFilters(tree))) {
+    counts[name] = (await Model.deleteMany(filter)).deletedCount || 0;
+  }
+  const materialIds = ids(tree.materials);
+  if (materialIds.length > 0) Object.assign(counts, await detachMaterials(materialIds, switchedOff));
+  // leaves first, so an interrupted delete never leaves children without a parent
+  counts.videos = (await Video.deleteMany({ _id: { $in: ids(tree.videos) } })).deletedCount || 0;
+  counts.pdfs = (await PDF.deleteMany({ _id: { $in: ids(tree.pdfs) } })).deletedCount || 0;
+  counts.lectures = (await Lecture.deleteMany({ _id: { $in: ids(tree.lectures) } })).deletedCount || 0;
+  counts.chapters = (await Chapter.deleteMany({ _id: { $in: ids(tree.chapters) } })).deletedCount || 0;
+  counts.instructors = (await Instructor.deleteMany({ _id: { $in: ids(tree.instructors) } })).deletedCount || 0;
+  counts.materials = (await Material.deleteMany({ _id: { $in: materialIds } })).deletedCount || 0;
+  for (const v of tree.videos) {
+    try {
+      await segmentCache.purgeVideo(String(v._id));
+    } catch (e) {
+      console.error('segment cache purge failed', String(v._id), e);
+      failed.push({ type: 'segmentCache', ref: String(v._id), error: e.message });
+    }
+  }
+  return counts;
+}
+
+// Best-effort removal of external files; returns { deleted: { ... }, failed: [{ type, ref, error }] }
+async function removeExternalFiles(files) {
+  const result = { deleted: { cloudinary: 0, supabase: 0, gridfsFiles: 0 }, failed: [] };
+  for (const publicId of files.cloudinary || []) {
+    try {
+      await deleteFile(publicId);
+      result.deleted.cloudinary += 1;
+    } catch (e) {
+      result.failed.push({ type: 'cloudinary', ref: publicId, error: e.message });
+    }
+  }
+  for (const url of files.supabase || []) {
+    try {
+      const r = await deletePdfByUrl(url);
+      if (r && r.ok) result.deleted.supabase += 1;
+      else result.failed.push({ type: 'supabase', ref: url, error: String((r && r.error && (r.error.message || r.error)) || 'delete failed') });
+    } catch (e) {
+      result.failed.push({ type: 'supabase', ref: url, error: e.message });
+    }
+  }
+  for (const prefix of files.gridfsPrefixes || []) {
+    try {
+      const r = await gridfs.deleteFilesByPrefix(prefix);
+      result.deleted.gridfsFiles += (r && r.deleted) || 0;
+    } catch (e) {
+      result.failed.push({ type: 'gridfs', ref: prefix, error: e.message });
+    }
+  }
+  return result;
+}
+
+// Delete a content item and its subtree. Returns null when it does not exist, otherwise
+// { kind, id, title, counts, files, storage } where `storage` reports the external deletes.
+async function deleteContent(kind, id) {
+  const tree = await collectTree(kind, id);
+  if (!tree) return null;
+  const files = externalFiles(tree);
+  const failed = [];
+  const counts = await removeDocuments(tree, failed);
+  const storage = await removeExternalFiles(files);
+  storage.failed.unshift(...failed);
+  return { kind, id: tree.root._id, title: tree.root.title, counts, files, storage };
+}
+
+module.exports = { KINDS, collectTree, relatedFilters, previewDelete, removeDocuments, detachMaterials, removeExternalFiles, externalFiles, deleteContent };
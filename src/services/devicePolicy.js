@@ -0,0 +1,192 @@
+const crypto = require('crypto');
+const User = require('../models/User');
+const { getUserPlanCached } = require('./planService');
+
+// Device binding policy shared by login and the auth middlewares.
+// A user may be bound to a limited number of browsers/devices (`user.devices`); logging in
+// from a new device beyond the limit is refused until a device is removed.
+// Configurable via env vars:
+//  - DEVICE_LIMIT_DEFAULT (default 1): devices per regular user
+//  - DEVICE_LIMIT_ADMIN (default ADMIN_SESSION_LIMIT or 3): devices per admin
+//  - DEVICE_LIMIT_BY_TIER: per plan key overrides, e.g. "month:2,permanent:3" (a plan's own
+//    maxDevices takes precedence)
+//  - DEVICE_REMOVAL_COOLDOWN_HOURS (default 24): wait between self-service removals
+//  - DEVICE_LAST_SEEN_INTERVAL_SECONDS (default 300): how often lastSeenAt is written
+const DEFAULT_LIMIT = Number(process.env.DEVICE_LIMIT_DEFAULT || '1');
+const ADMIN_LIMIT = Number(process.env.DEVICE_LIMIT_ADMIN || process.env.ADMIN_SESSION_LIMIT || '3');
+const REMOVAL_COOLDOWN_MS = Number(process.env.DEVICE_REMOVAL_COOLDOWN_HOURS || '24') * 60 * 60 * 1000;
+const LAST_SEEN_INTERVAL_MS = Number(process.env.DEVICE_LAST_SEEN_INTERVAL_SECONDS || '300') * 1000;
+
+function parseTierLimits(value) {
+  const out = {};
+  for (const part of String(value || '').split(',')) {
+    const [tier, limit] = part.split(':').map((s) => s && s.trim());
+    if (tier && limit && !Number.isNaN(Number(limit))) out[tier] = Number(limit);
+  }
+  return out;
+}
+
+const TIER_LIMITS = parseTierLimits(process.env.DEVICE_LIMIT_BY_TIER);
+
+function getDeviceLimit(user) {
+  if (user.maxDevices !== null && typeof user.maxDevices !== 'undefined') return Math.max(1, Number(user.maxDevices) || 1);
+  if (user.isAdmin) return ADMIN_LIMIT;
+  const plan = getUserPlanCached(user);
+  if (plan && plan.maxDevices) return plan.maxDevices;
+  if (typeof TIER_LIMITS[user.subscriptionType] !== 'undefined') return TIER_LIMITS[user.subscriptionType];
+  return DEFAULT_LIMIT;
+}
+
+// Device id sent by the client (header, or query for browser downloads)
+function requestDeviceId(req) {
+  const id = req.headers['device-id'] || req.headers['device_id'] || req.query.deviceId || req.query['device-id'];
+  return id ? String(id) : null;
+}
+
+// Bound devices, including ones only recorded in the legacy deviceId/deviceIds fields
+function getDevices(user) {
+  if (Array.isArray(user.devices) && user.devices.length > 0) return user.devices;
+  const legacy = Array.isArray(user.deviceIds) && user.deviceIds.length > 0
+    ? user.deviceIds
+    : (user.deviceId ? [user.deviceId] : []);
+  return legacy.map((deviceId) => ({ deviceId, name: null, addedAt: user.updatedAt || null, lastSeenAt: null, sessionToken: null }));
+}
+
+// Move legacy fields into `devices` on a document that is about to be saved
+function migrateLegacyDevices(user) {
+  user.devices = getDevices(user).map((d) => ({ ...(d.toObject ? d.toObject() : d) }));
+  user.deviceId = null;
+  user.deviceIds = [];
+  user.sessionTokens = [];
+}
+
+function newSessionToken() {
+  return crypto.randomUUID ? crypto.randomUUID() : crypto.randomBytes(16).toString('hex');
+}
+
+// Device id for clients that send none: derived from the user and the user agent, so repeated
+// logins from the same browser reuse one device slot instead of filling the limit
+function fallbackDeviceId(user, userAgent) {
+  const digest = crypto.createHash('sha256').update(`${user._id}:${userAgent || ''}`).digest('hex');
+  return `auto-${digest.slice(0, 32)}`;
+}
+
+// Bind a login to a device (saves `user`). Returns { ok: true, sessionToken, device }
+// or { ok: false, limit } when the device is new and the limit is reached.
+// Clients that send no device id are bound by `fallbackDeviceId` (returned in `device.deviceId`).
+async function registerLogin(user, { deviceId, name, userAgent, ip } = {}) {
+  migrateLegacyDevices(user);
+  const sessionToken = newSessionToken();
+  if (!deviceId) deviceId = fallbackDeviceId(user, userAgent);
+
+  const now = new Date();
+  let device = user.devices.find((d) => d.deviceId === deviceId);
+  if (!device) {
+    const limit = getDeviceLimit(user);
+    if (user.devices.length >= limit) return { ok: false, limit };
+    user.devices.push({ deviceId, name: name || null, userAgent: userAgent || null, ip: ip || null, addedAt: now });
+    device = user.devices[user.devices.length - 1];
+  }
+  device.sessionToken = sessionToken;
+  device.lastSeenAt = now;
+  user.lastActivityAt = now;
+  // token of the latest login, still accepted from older clients by checkRequestDevice
+  user.sessionToken = sessionToken;
+  if (name) device.name = name;
+  if (userAgent) device.userAgent = userAgent;
+  if (ip) device.ip = ip;
+  await user.save();
+  return { ok: true, sessionToken, device };
+}
+
+// Validate the device id / legacy session token of a request for `user`.
+// Returns null when allowed, otherwise a message for a 403 response.
+function checkRequestDevice(user, { deviceId, sessionToken }) {
+  const devices = getDevices(user);
+  if (devices.length > 0 && deviceId && !devices.some((d) => d.deviceId === deviceId)) {
+    return 'Access denied: user bound to a different device';
+  }
+  // without a device id, the session token must belong to one of the bound devices
+  if (devices.length > 0 && !deviceId && !(sessionToken && devices.some((d) => d.sessionToken === sessionToken))) {
+    return 'Access denied: device id required';
+  }
+  if (sessionToken) {
+    const known = devices.map((d) => d.sessionToken).concat(user.sessionToken, user.sessionTokens || []).filter(Boolean);
+    if (known.length > 0 && !known.includes(sessionToken)) return 'Access denied: session invalidated';
+  }
+  return null;
+}
+
+// `${userId}:${deviceId}` -> time lastSeenAt / lastActivityAt was last written by this process
+const lastTouched = new Map();
+
+// Record activity of a user (and the device it came from, when bound), at most once per
+// DEVICE_LAST_SEEN_INTERVAL_SECONDS (best-effort)
+function touchDevice(user, deviceId) {
+  const device = deviceId && Array.isArray(user.devices) ? user.devices.find((d) => d.deviceId === deviceId) : null;
+  const key = `${user._id}:${device ? deviceId : ''}`;
+  const seen = device ? device.lastSeenAt : user.lastActivityAt;
+  const last = Math.max(lastTouched.get(key) || 0, seen ? new Date(seen).getTime() : 0);
+  if (Date.now() - last < LAST_SEEN_INTERVAL_MS) return;
+  if (lastTouched.size > 10000) lastTouched.clear();
+  lastTouched.set(key, Date.now());
+  const now = new Date();
+  const update = device
+    ? User.updateOne({ _id: user._id, 'devices.deviceId': deviceId }, { $set: { 'devices.$.lastSeenAt': now, lastActivityAt: now } })
+    : User.updateOne({ _id: user._id }, { $set: { lastActivityAt: now } });
+  update.catch(() => {});
+}
+
+// Device list safe to return to clients
+function describeDevices(user, currentDeviceId) {
+  return getDevices(user).map((d) => ({
+    deviceId: d.deviceId,
+    name: d.name || null,
+    userAgent: d.userAgent || null,
+    ip: d.ip || null,
+    addedAt: d.addedAt || null,
+    lastSeenAt: d.lastSeenAt || null,
+    current: !!currentDeviceId && d.deviceId === currentDeviceId,
+  }));
+}
+
+// Remove one device from a user (loaded without `.lean()`).
+// Self-service removals (`bySelf`) are limited to one per DEVICE_REMOVAL_COOLDOWN_HOURS.
+// Returns { ok: true } or { ok: false, status, message, retryAfter? }
+async function removeDevice(user, deviceId, { bySelf = false } = {}) {
+  migrateLegacyDevices(user);
+  const index = user.devices.findIndex((d) => d.deviceId === deviceId);
+  if (index === -1) return { ok: false, status: 404, message: 'Device not found' };
+
+  if (bySelf && user.deviceRemovedAt && REMOVAL_COOLDOWN_MS > 0) {
+    const readyAt = new Date(user.deviceRemovedAt).getTime() + REMOVAL_COOLDOWN_MS;
+    if (readyAt > Date.now()) {
+      return { ok: false, status: 429, message: 'Device removal cooldown active', retryAfter: Math.ceil((readyAt - Date.now()) / 1000) };
+    }
+  }
+
+  user.devices.splice(index, 1);
+  if (bySelf) user.deviceRemovedAt = new Date();
+  await user.save();
+  return { ok: true };
+}
+
+// Unbind every device and drop all legacy session tokens
+async function clearDevices(user) {
+  migrateLegacyDevices(user);
+  user.devices = [];
+  user.sessionToken = null;
+  await user.save();
+}
+
+module.exports = {
+  getDeviceLimit,
+  requestDeviceId,
+  getDevices,
+  registerLogin,
+  checkRequestDevice,
+  touchDevice,
+  describeDevices,
+  removeDevice,
+  clearDevices,
+};
@@ -0,0 +1,75 @@
+const DownloadLog = require('../models/DownloadLog');
+const SubscriptionLog = require('../models/SubscriptionLog');
+
+// Download quotas: N downloads per calendar day and/or per subscription period.
+// Every fresh download of a video consumes quota (DownloadLog.counted = true); Range
+// resumes of a video already counted in the current window are free.
+// Configurable via env vars (per-user overrides live on `user.downloadQuota`):
+//  - DOWNLOAD_QUOTA_PER_DAY (default 0 = unlimited)
+//  - DOWNLOAD_QUOTA_PER_PERIOD (default 0 = unlimited)
+function resolveLimit(override, envValue) {
+  if (override !== null && typeof override !== 'undefined') return Math.max(0, Number(override) || 0);
+  return Math.max(0, Number(envValue || '0') || 0);
+}
+
+function startOfDay(d = new Date()) {
+  const out = new Date(d);
+  out.setHours(0, 0, 0, 0);
+  return out;
+}
+
+// Actions that start a new subscription period; corrections (credit, shorten, pause, ...) and
+// expirations do not. Entries written before `action` existed are assignments.
+const PERIOD_ACTIONS = ['assign', 'redeem'];
+
+// Current subscription period starts at the latest assignment/redemption (or account creation)
+async function getPeriodStart(user) {
+  const filter = { userId: user._id, $or: [{ action: { $in: PERIOD_ACTIONS } }, { action: { $exists: false } }] };
+  const last = await SubscriptionLog.findOne(filter).sort({ createdAt: -1 }).select('createdAt').lean();
+  return (last && last.createdAt) || user.createdAt || new Date(0);
+}
+
+function countedFilter(userId, since) {
+  return { userId, counted: true, status: { $ne: 'failed' }, createdAt: { $gte: since } };
+}
+
+// Later of two dates (quota resets move the counting window forward)
+function later(a, b) {
+  if (!b) return a;
+  return new Date(Math.max(new Date(a).getTime(), new Date(b).getTime()));
+}
+
+async function getQuotaStatus(user) {
+  const quota = user.downloadQuota || {};
+  const perDayLimit = resolveLimit(quota.perDay, process.env.DOWNLOAD_QUOTA_PER_DAY);
+  const perPeriodLimit = resolveLimit(quota.perPeriod, process.env.DOWNLOAD_QUOTA_PER_PERIOD);
+
+  const dayStart = later(startOfDay(), user.downloadQuotaResetAt);
+  const periodStart = later(await getPeriodStart(user), user.downloadQuotaResetAt);
+  const [usedToday, usedPeriod] = await Promise.all([
+    DownloadLog.countDocuments(countedFilter(user._id, dayStart)),
+    DownloadLog.countDocuments(countedFilter(user._id, periodStart)),
+  ]);
+
+  const describe = (limit, used) => ({ limit: limit || null, used, remaining: limit ? Math.max(0, limit - used) : null });
+  const perDay = { ...describe(perDayLimit, usedToday), since: dayStart, resetsAt: new Date(startOfDay().getTime() + 24 * 60 * 60 * 1000) };
+  const perPeriod = { ...describe(perPeriodLimit, usedPeriod), since: periodStart };
+  const allowed = (!perDayLimit || usedToday < perDayLimit) && (!perPeriodLimit || usedPeriod < perPeriodLimit);
+  return { allowed, perDay, perPeriod };
+}
+
+// Decide whether `user` may start a download of `videoId` and whether it consumes quota.
+// Admins are never limited. A resume (`isResume`) of a video already counted in the current
+// window is free and allowed even when the quota is exhausted.
+async function checkDownloadQuota(user, videoId, { isResume = false } = {}) {
+  if (user.isAdmin) return { allowed: true, counted: !isResume };
+  const status = await getQuotaStatus(user);
+  let counted = true;
+  if (isResume) {
+    const since = status.perDay.since < status.perPeriod.since ? status.perDay.since : status.perPeriod.since;
+    counted = !(await DownloadLog.exists({ ...countedFilter(user._id, since), videoId }));
+  }
+  return { ...status, allowed: status.allowed || !counted, counted };
+}
+
+module.exports = { getQuotaStatus, checkDownloadQuota };
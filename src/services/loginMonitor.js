@@ -0,0 +1,100 @@
+const LoginEvent = require('../models/LoginEvent');
+const Notification = require('../models/Notification');
+const User = require('../models/User');
+const { sendNotification } = require('../utils/notificationBus');
+const { codePrefixOf } = require('../utils/userCode');
+const { clientInfo } = require('./loginThrottle');
+
+// Records login events and flags likely code sharing: one account used from many IPs or
+// devices, or repeatedly refused on new browsers, within a short window. Flags are sent to
+// admins as adminOnly notifications (stored + realtime via notificationBus).
+// Configurable via env vars:
+//  - SHARING_WINDOW_HOURS (default 24)
+//  - SHARING_MAX_IPS (default 5): distinct IPs per user in the window
+//  - SHARING_MAX_DEVICES (default 3): distinct device ids per user in the window
+//  - SHARING_MAX_MISMATCHES (default 3): device mismatches per user in the window
+//  - SHARING_NOTIFY_SUPPRESSION_HOURS (default SHARING_WINDOW_HOURS): one notification per user and rule
+const WINDOW_MS = Number(process.env.SHARING_WINDOW_HOURS || '24') * 60 * 60 * 1000;
+const MAX_IPS = Number(process.env.SHARING_MAX_IPS || '5');
+const MAX_DEVICES = Number(process.env.SHARING_MAX_DEVICES || '3');
+const MAX_MISMATCHES = Number(process.env.SHARING_MAX_MISMATCHES || '3');
+const SUPPRESSION_MS = Number(process.env.SHARING_NOTIFY_SUPPRESSION_HOURS || process.env.SHARING_WINDOW_HOURS || '24') * 60 * 60 * 1000;
+
+// Activity of one user in the detection window and the rules it breaks
+async function evaluateSharing(userId) {
+  const since = new Date(Date.now() - WINDOW_MS);
+  const events = await LoginEvent.find({ userId, type: { $in: ['login', 'device_mismatch'] }, createdAt: { $gte: since } })
+    .select('type ip deviceId')
+    .lean();
+  const ips = new Set(events.map((e) => e.ip).filter(Boolean));
+  const devices = new Set(events.map((e) => e.deviceId).filter(Boolean));
+  const mismatches = events.filter((e) => e.type === 'device_mismatch').length;
+
+  const flags = [];
+  if (MAX_IPS && ips.size >= MAX_IPS) flags.push({ rule: 'many_ips', count: ips.size, limit: MAX_IPS });
+  if (MAX_DEVICES && devices.size >= MAX_DEVICES) flags.push({ rule: 'many_devices', count: devices.size, limit: MAX_DEVICES });
+  if (MAX_MISMATCHES && mismatches >= MAX_MISMATCHES) flags.push({ rule: 'device_mismatches', count: mismatches, limit: MAX_MISMATCHES });
+
+  return { since, windowHours: WINDOW_MS / 3600000, ips: Array.from(ips), devices: Array.from(devices), mismatches, flags };
+}
+
+const RULE_LABELS = {
+  many_ips: 'عناوين IP مختلفة',
+  many_devices: 'أجهزة مختلفة',
+  device_mismatches: 'محاولات دخول مرفوضة من متصفحات أخرى',
+};
+
+async function notifyAdmins(userId, flag) {
+  const since = new Date(Date.now() - SUPPRESSION_MS);
+  const recent = await Notification.findOne({
+    adminOnly: true,
+    'data.type': 'code_sharing',
+    'data.userId': String(userId),
+    'data.rule': flag.rule,
+    createdAt: { $gte: since },
+  }).select('_id').lean();
+  if (recent) return;
+
+  const user = await User.findById(userId).select('name phone').lean();
+  const title = `اشتباه في مشاركة الكود: ${(user && user.name) || 'مستخدم غير معروف'}`;
+  const body = `${flag.count} ${RULE_LABELS[flag.rule]} خلال آخر ${WINDOW_MS / 3600000} ساعة${user && user.phone ? ` — ${user.phone}` : ''}`;
+  const data = { type: 'code_sharing', userId: String(userId), rule: flag.rule, count: flag.count, limit: flag.limit };
+  await Notification.create({ title, body, adminOnly: true, data });
+  try {
+    sendNotification({ title, body, adminOnly: true, meta: data, timestamp: new Date() });
+  } catch (e) {
+    console.warn('sendNotification (code sharing) failed', e && e.message);
+  }
+}
+
+async function checkSharing(userId) {
+  try {
+    const { flags } = await evaluateSharing(userId);
+    for (const flag of flags) await notifyAdmins(userId, flag);
+  } catch (e) {
+    console.warn('checkSharing failed', String(userId), e && e.message);
+  }
+}
+
+// Record a login event for the current request. Never throws; sharing checks run in the background.
+async function recordLoginEvent(req, { kind, type, reason, code, userId }) {
+  try {
+    const { ip, deviceId, userAgent } = clientInfo(req);
+    await LoginEvent.create({
+      kind,
+      type,
+      reason: reason || null,
+      userId,
+      ip,
+      deviceId,
+      userAgent,
+      codePrefix: code ? codePrefixOf(code) : undefined,
+    });
+  } catch (e) {
+    console.warn('recordLoginEvent failed', e && e.message);
+    return;
+  }
+  if (userId && type !== 'failed') checkSharing(userId);
+}
+
+module.exports = { recordLoginEvent, evaluateSharing };
@@ -0,0 +1,96 @@
+const LoginAttempt = require('../models/LoginAttempt');
+
+// Brute-force protection for /auth/user-login, /auth/admin-login and every other place a raw code
+// is accepted. Every attempt is counted per IP and per device (models/LoginAttempt) before the
+// code is checked and given back when it is valid; too many invalid codes within the window
+// lock that IP/device out. The IP limit also holds for clients that rotate their device id.
+// Configurable via env vars:
+//  - LOGIN_MAX_ATTEMPTS_PER_IP (default 20)
+//  - LOGIN_MAX_ATTEMPTS_PER_DEVICE (default 5)
+//  - LOGIN_WINDOW_MINUTES (default 15)
+//  - LOGIN_LOCKOUT_MINUTES (default 15)
+const MAX_PER_IP = Number(process.env.LOGIN_MAX_ATTEMPTS_PER_IP || '20');
+const MAX_PER_DEVICE = Number(process.env.LOGIN_MAX_ATTEMPTS_PER_DEVICE || '5');
+const WINDOW_MS = Number(process.env.LOGIN_WINDOW_MINUTES || '15') * 60 * 1000;
+const LOCKOUT_MS = Number(process.env.LOGIN_LOCKOUT_MINUTES || '15') * 60 * 1000;
+
+function clientInfo(req) {
+  const deviceId = (req.body && req.body.deviceId) || req.headers['device-id'] || req.headers['device_id'] || null;
+  return { ip: req.ip || null, deviceId: deviceId ? String(deviceId) : null, userAgent: req.headers['user-agent'] || null };
+}
+
+const SCOPES = [['ip', 'ip', MAX_PER_IP], ['device', 'deviceId', MAX_PER_DEVICE]];
+
+// Atomically add one attempt to the counter of `scope`/`value`, starting a new window when the
+// current one is over. Returns the counter after the update.
+async function increment(scope, value, now) {
+  const since = new Date(now.getTime() - WINDOW_MS);
+  const stale = { $lt: [{ $ifNull: ['$windowStart', new Date(0)] }, since] };
+  const update = [{ $set: {
+    count: { $cond: [stale, 1, { $add: [{ $ifNull: ['$count', 0] }, 1] }] },
+    windowStart: { $cond: [stale, now, '$windowStart'] },
+    expiresAt: new Date(now.getTime() + WINDOW_MS + LOCKOUT_MS),
+  } }];
+  const options = { upsert: true, new: true, lean: true };
+  try {
+    return await LoginAttempt.findOneAndUpdate({ scope, value }, update, options);
+  } catch (e) {
+    // two first attempts raced on the upsert: the counter exists now
+    if (e.code !== 11000) throw e;
+    return LoginAttempt.findOneAndUpdate({ scope, value }, update, options);
+  }
+}
+
+// Lockout end time for one counter after this attempt, or null
+async function lockedUntil(counter, max, now) {
+  if (counter.lockedUntil && counter.lockedUntil > now) return counter.lockedUntil;
+  if (counter.count <= max) return null;
+  // the count restarts at the end of the lockout; attempts made while locked out count towards it
+  const until = new Date(now.getTime() + LOCKOUT_MS);
+  await LoginAttempt.updateOne(
+    { _id: counter._id, $or: [{ lockedUntil: null }, { lockedUntil: { $lte: now } }] },
+    { $set: { lockedUntil: until, count: 0, windowStart: until, expiresAt: new Date(until.getTime() + WINDOW_MS + LOCKOUT_MS) } }
+  );
+  return until;
+}
+
+// Count a code attempt of the client before the code is looked up, so concurrent guesses cannot
+// all pass the check. Returns { scope: 'ip'|'device', until } when the client is locked out,
+// otherwise null. A valid code must be given back with `releaseAttempt`.
+async function reserveAttempt(info) {
+  const now = new Date();
+  let lockout = null;
+  for (const [scope, field, max] of SCOPES) {
+    if (!info[field] || !max) continue;
+    const until = await lockedUntil(await increment(scope, info[field], now), max, now);
+    if (until && (!lockout || until > lockout.until)) lockout = { scope, until };
+  }
+  return lockout;
+}
+
+// Give back the attempt reserved for a client whose code turned out to be valid (best-effort)
+async function releaseAttempt(info) {
+  for (const [scope, field, max] of SCOPES) {
+    if (!info[field] || !max) continue;
+    await LoginAttempt.updateOne({ scope, value: info[field], count: { $gt: 0 } }, { $inc: { count: -1 } })
+      .catch((e) => console.warn('releaseAttempt failed', scope, e && e.message));
+  }
+}
+
+// IPs / devices currently locked out
+async function getActiveLockouts() {
+  const locked = await LoginAttempt.find({ lockedUntil: { $gt: new Date() } }).sort({ lockedUntil: -1 }).lean();
+  return locked.map((l) => ({ scope: l.scope, value: l.value, until: l.lockedUntil }));
+}
+
+// Lift a lockout and reset its counters; returns the number of counters removed
+async function clearLockout({ ip, deviceId }) {
+  const or = [];
+  if (ip) or.push({ scope: 'ip', value: String(ip) });
+  if (deviceId) or.push({ scope: 'device', value: String(deviceId) });
+  if (or.length === 0) return 0;
+  const result = await LoginAttempt.deleteMany({ $or: or });
+  return result.deletedCount || 0;
+}
+
+module.exports = { clientInfo, reserveAttempt, releaseAttempt, getActiveLockouts, clearLockout };
@@ -0,0 +1,166 @@
+const User = require('../models/User');
+const Material = require('../models/Material');
+const Instructor = require('../models/Instructor');
+const Chapter = require('../models/Chapter');
+const Lecture = require('../models/Lecture');
+const PDF = require('../models/PDF');
+const Video = require('../models/Video');
+const Enrollment = require('../models/Enrollment');
+const ChapterView = require('../models/ChapterView');
+const LectureView = require('../models/LectureView');
+const PDFView = require('../models/PDFView');
+const VideoView = require('../models/VideoView');
+const DownloadLog = require('../models/DownloadLog');
+const AccessGrant = require('../models/AccessGrant');
+const SubscriptionLog = require('../models/SubscriptionLog');
+const Notification = require('../models/Notification');
+const Plan = require('../models/Plan');
+const Voucher = require('../models/Voucher');
+const VoucherRedemption = require('../models/VoucherRedemption');
+const { deleteContent, detachMaterials } = require('./contentCascade');
+
+// Finds documents whose references point at documents that no longer exist, and fixes them:
+//  - content whose parent is gone is deleted with its subtree and files (services/contentCascade)
+//  - records about a missing user / content item are deleted
+//  - missing ids in reference arrays are pulled; a missing plan on a user is cleared and
+//    vouchers for a missing plan are disabled
+//  - missing materials of plans / vouchers go through contentCascade.detachMaterials, which
+//    deactivates / disables them instead of leaving an empty (= unrestricted) material list
+// Checks run in order, so fixing parents first also removes their orphaned children.
+const SAMPLE_SIZE = 20;
+
+const CHECKS = [
+  { name: 'instructors.materialId', Model: Instructor, field: 'materialId', Target: Material, fix: 'content', kind: 'instructor' },
+  { name: 'chapters.instructorId', Model: Chapter, field: 'instructorId', Target: Instructor, fix: 'content', kind: 'chapter' },
+  { name: 'lectures.chapterId', Model: Lecture, field: 'chapterId', Target: Chapter, fix: 'content', kind: 'lecture' },
+  { name: 'pdfs.lectureId', Model: PDF, field: 'lectureId', Target: Lecture, fix: 'content', kind: 'pdf' },
+  { name: 'videos.lectureId', Model: Video, field: 'lectureId', Target: Lecture, fix: 'content', kind: 'video' },
+  { name: 'enrollments.materialId', Model: Enrollment, field: 'materialId', Target: Material, fix: 'delete' },
+  { name: 'enrollments.userId', Model: Enrollment, field: 'userId', Target: User, fix: 'delete' },
+  { name: 'chapterViews.chapterId', Model: ChapterView, field: 'chapterId', Target: Chapter, fix: 'delete' },
+  { name: 'chapterViews.userId', Model: ChapterView, field: 'userId', Target: User, fix: 'delete' },
+  { name: 'lectureViews.lectureId', Model: LectureView, field: 'lectureId', Target: Lecture, fix: 'delete' },
+  { name: 'lectureViews.userId', Model: LectureView, field: 'userId', Target: User, fix: 'delete' },
+  { name: 'pdfViews.pdfId', Model: PDFView, field: 'pdfId', Target: PDF, fix: 'delete' },
+  { name: 'pdfViews.userId', Model: PDFView, field: 'userId', Target: User, fix: 'delete' },
+  { name: 'videoViews.videoId', Model: VideoView, field: 'videoId', Target: Video, fix: 'delete' },
+  { name: 'videoViews.userId', Model: VideoView, field: 'userId', Target: User, fix: 'delete' },
+  { name: 'downloadLogs.videoId', Model: DownloadLog, field: 'videoId', Target: Video, fix: 'delete' },
+  { name: 'downloadLogs.userId', Model: DownloadLog, field: 'userId', Target: User, fix: 'delete' },
+  { name: 'accessGrants.materialId', Model: AccessGrant, field: 'materialId', Target: Material, fix: 'delete' },
+  { name: 'accessGrants.instructorId', Model: AccessGrant, field: 'instructorId', Target: Instructor, fix: 'delete' },
+  { name: 'accessGrants.userId', Model: AccessGrant, field: 'userId', Target: User, fix: 'delete' },
+  { name: 'subscriptionLogs.userId', Model: SubscriptionLog, field: 'userId', Target: User, fix: 'delete' },
+  { name: 'voucherRedemptions.userId', Model: VoucherRedemption, field: 'userId', Target: User, fix: 'delete' },
+  { name: 'voucherRedemptions.voucherId', Model: VoucherRedemption, field: 'voucherId', Target: Voucher, fix: 'delete' },
+  { name: 'notifications.materialId', Model: Notification, field: 'materialId', Target: Material, fix: 'delete' },
+  { name: 'notifications.instructorId', Model: Notification, field: 'instructorId', Target: Instructor, fix: 'delete' },
+  { name: 'notifications.chapterId', Model: Notification, field: 'chapterId', Target: Chapter, fix: 'delete' },
+  { name: 'notifications.lectureId', Model: Notification, field: 'lectureId', Target: Lecture, fix: 'delete' },
+  { name: 'notifications.videoId', Model: Notification, field: 'videoId', Target: Video, fix: 'delete' },
+  { name: 'notifications.recipients', Model: Notification, field: 'recipients', Target: User, fix: 'pull' },
+  { name: 'notifications.readBy', Model: Notification, field: 'readBy', Target: User, fix: 'pull' },
+  { name: 'plans.materials', Model: Plan, field: 'materials', Target: Material, fix: 'materials' },
+  { name: 'vouchers.materials', Model: Voucher, field: 'materials', Target: Material, fix: 'materials' },
+  { name: 'vouchers.plan', Model: Voucher, field: 'plan', Target: Plan, fix: 'disable' },
+  { name: 'users.plan', Model: User, field: 'plan', Target: Plan, fix: 'unset' },
+];
+
+// Referenced ids of `check.field` that do not exist in `check.Target`. Resolved in an
+// aggregation (streamed with a cursor) so large collections never hit the 16 MB limit of `distinct`.
+async function missingIds(check) {
+  const cursor = check.Model.aggregate([
+    { $match: { [check.field]: { $ne: null } } },
+    { $project: { ref: `$${check.field}` } },
+    { $unwind: '$ref' },
+    { $match: { ref: { $ne: null } } },
+    { $group: { _id: '$ref' } },
+    { $lookup: { from: check.Target.collection.collectionName, localField: '_id', foreignField: '_id', as: 'found' } },
+    { $match: { found: { $size: 0 } } },
+    { $project: { _id: 1 } },
+  ]).allowDiskUse(true).cursor();
+  const missing = [];
+  for await (const row of cursor) missing.push(row._id);
+  return missing;
+}
+
+async function scanCheck(check) {
+  const missing = await missingIds(check);
+  const filter = { [check.field]: { $in: missing } };
+  const [documents, sample] = missing.length > 0
+    ? await Promise.all([
+      check.Model.countDocuments(filter),
+      check.Model.find(filter).select('_id').limit(SAMPLE_SIZE).lean(),
+    ])
+    : [0, []];
+  return {
+    name: check.name,
+    collection: check.Model.collection.collectionName,
+    field: check.field,
+    target: check.Target.modelName,
+    fix: check.fix,
+    missingIds: missing.length,
+    documents,
+    sample: sample.map((d) => d._id),
+  };
+}
+
+function selectChecks(names) {
+  if (!names || names.length === 0) return { checks: CHECKS };
+  const unknown = names.filter((n) => !CHECKS.some((c) => c.name === n));
+  if (unknown.length > 0) return { error: `Unknown check(s): ${unknown.join(', ')}` };
+  return { checks: CHECKS.filter((c) => names.includes(c.name)) };
+}
+
+// { checks: [{ name, collection, field, target, fix, missingIds, documents, sample }], totalDocuments }
+// or { error } for unknown check names
+async function scanOrphans(names) {
+  const { checks, error } = selectChecks(names);
+  if (error) return { error };
+  const results = [];
+  for (const check of checks) results.push(await scanCheck(check));
+  return { scannedAt: new Date(), checks: results, totalDocuments: results.reduce((n, r) => n + r.documents, 0) };
+}
+
+async function fixCheck(check) {
+  const missing = await missingIds(check);
+  const result = { name: check.name, fix: check.fix, fixed: 0 };
+  if (missing.length === 0) return result;
+  const filter = { [check.field]: { $in: missing } };
+
+  if (check.fix === 'content') {
+    result.storageFailures = [];
+    const docs = await check.Model.find(filter).select('_id').lean();
+    for (const doc of docs) {
+      const outcome = await deleteContent(check.kind, doc._id);
+      if (!outcome) continue;
+      result.fixed += 1;
+      result.storageFailures.push(...outcome.storage.failed);
+    }
+  } else if (check.fix === 'delete') {
+    result.fixed = (await check.Model.deleteMany(filter)).deletedCount || 0;
+  } else if (check.fix === 'pull') {
+    result.fixed = (await check.Model.updateMany(filter, { $pull: { [check.field]: { $in: missing } } })).modifiedCount || 0;
+  } else if (check.fix === 'materials') {
+    const detached = await detachMaterials(missing);
+    result.fixed = check.Model === Plan
+      ? detached.plansUpdated + detached.plansDeactivated
+      : detached.vouchersUpdated + detached.vouchersDisabled;
+  } else if (check.fix === 'unset') {
+    result.fixed = (await check.Model.updateMany(filter, { $set: { [check.field]: null } })).modifiedCount || 0;
+  } else if (check.fix === 'disable') {
+    result.fixed = (await check.Model.updateMany({ ...filter, disabled: { $ne: true } }, { $set: { disabled: true } })).modifiedCount || 0;
+  }
+  return result;
+}
+
+// Fix the given checks (all by default); returns { checks: [{ name, fix, fixed }], totalFixed } or { error }
+async function fixOrphans(names) {
+  const { checks, error } = selectChecks(names);
+  if (error) return { error };
+  const results = [];
+  for (const check of checks) results.push(await fixCheck(check));
+  return { fixedAt: new Date(), checks: results, totalFixed: results.reduce((n, r) => n + r.fixed, 0) };
+}
+
+module.exports = { CHECKS, scanOrphans, fixOrphans };
@@ -0,0 +1,138 @@
+const Plan = require('../models/Plan');
+
+// Subscription plans: lookup, expiry calculation and the access rules used by checkSubscription.
+// Plans are few and read on every protected request, so all of them are kept in memory and
+// reloaded every PLAN_CACHE_SECONDS (default 60) or right after an admin change.
+const CACHE_MS = Number(process.env.PLAN_CACHE_SECONDS || '60') * 1000;
+
+// Plans matching the durations that used to be hard-coded in authController
+const DEFAULT_PLANS = [
+  { key: 'hour', name: 'Hour', durationHours: 1, order: 1 },
+  { key: 'day', name: 'Day', durationHours: 24, order: 2 },
+  { key: 'week', name: 'Week', durationHours: 7 * 24, order: 3 },
+  { key: 'month', name: 'Month', durationHours: 30 * 24, order: 4 },
+  { key: 'permanent', name: 'Permanent', durationHours: null, order: 5 },
+];
+
+let cache = { byId: new Map(), byKey: new Map(), loadedAt: 0 };
+let loading = null;
+
+function reloadPlans() {
+  if (!loading) {
+    loading = Plan.find({}).lean()
+      .then((plans) => {
+        cache = {
+          byId: new Map(plans.map((p) => [String(p._id), p])),
+          byKey: new Map(plans.map((p) => [p.key, p])),
+          loadedAt: Date.now(),
+        };
+        return cache;
+      })
+      .finally(() => { loading = null; });
+  }
+  return loading;
+}
+
+// Drop the cache after a plan was created, updated or deleted
+function invalidatePlans() {
+  cache = { ...cache, loadedAt: 0 };
+  reloadPlans().catch((e) => console.warn('plan reload failed', e && e.message));
+}
+
+async function loadedPlans() {
+  if (Date.now() - cache.loadedAt > CACHE_MS) await reloadPlans();
+  return cache;
+}
+
+// Plan of a user: `user.plan`, or for users assigned before plans existed, the plan whose key
+// is their `subscriptionType`. Returns null when the user has no (known) plan.
+async function getUserPlan(user) {
+  const { byId, byKey } = await loadedPlans();
+  return planFrom(user, byId, byKey);
+}
+
+// Same as getUserPlan from the in-memory cache only, for synchronous callers (device policy).
+// May be stale by up to PLAN_CACHE_SECONDS; a reload is started when it is.
+function getUserPlanCached(user) {
+  if (Date.now() - cache.loadedAt > CACHE_MS) reloadPlans().catch(() => {});
+  return planFrom(user, cache.byId, cache.byKey);
+}
+
+function planFrom(user, byId, byKey) {
+  if (!user) return null;
+  const planId = user.plan && (user.plan._id || user.plan);
+  if (planId && byId.has(String(planId))) return byId.get(String(planId));
+  return byKey.get(user.subscriptionType) || null;
+}
+
+// Resolve the plan an admin asked for, by id or key; returns { plan } or { error }
+async function resolvePlan({ planId, key }) {
+  const { byId, byKey } = await loadedPlans();
+  const plan = planId ? byId.get(String(planId)) : byKey.get(String(key || '').toLowerCase());
+  if (!plan) return { error: 'Unknown plan' };
+  if (!plan.active) return { error: 'Plan is not active' };
+  return { plan };
+}
+
+function isPermanent(plan) {
+  return plan.durationHours === null || typeof plan.durationHours === 'undefined';
+}
+
+// Expiry after one period of `plan` starting at `base` (null for permanent plans)
+function computeExpiry(plan, base = new Date()) {
+  if (isPermanent(plan)) return null;
+  return new Date(new Date(base).getTime() + plan.durationHours * 60 * 60 * 1000);
+}
+
+// Fields to set on a User when assigning `plan`
+function planFields(plan, expires) {
+  return { plan: plan._id, subscriptionType: plan.key, subscriptionExpires: expires };
+}
+
+// Whether the user's subscription currently grants access. Admins always have access.
+async function isSubscriptionActive(user, plan) {
+  if (!user) return false;
+  if (user.isAdmin) return true;
+  const userPlan = typeof plan === 'undefined' ? await getUserPlan(user) : plan;
+  const permanent = userPlan ? isPermanent(userPlan) : user.subscriptionType === 'permanent';
+  if (permanent) return true;
+  return !!user.subscriptionExpires && new Date(user.subscriptionExpires) > new Date();
+}
+
+// Whether `plan` includes `materialId` (plans without materials cover the whole catalog)
+function planCoversMaterial(plan, materialId) {
+  if (!plan || !Array.isArray(plan.materials) || plan.materials.length === 0) return true;
+  return plan.materials.some((m) => String(m) === String(materialId));
+}
+
+// Create the default plans when the collection is empty, and link users assigned before
+// plans existed to the plan matching their subscriptionType
+async function ensureDefaultPlans() {
+  const User = require('../models/User');
+  if ((await Plan.estimatedDocumentCount()) === 0) {
+    await Plan.insertMany(DEFAULT_PLANS, { ordered: false }).catch((e) => {
+      if (e.code !== 11000) throw e;
+    });
+  }
+  const { byKey } = await reloadPlans();
+  let linked = 0;
+  for (const plan of byKey.values()) {
+    const r = await User.updateMany({ plan: null, subscriptionType: plan.key }, { $set: { plan: plan._id } });
+    linked += r.modifiedCount || 0;
+  }
+  if (linked > 0) console.log(`linked ${linked} user(s) to their subscription plan`);
+}
+
+module.exports = {
+  reloadPlans,
+  invalidatePlans,
+  getUserPlan,
+  getUserPlanCached,
+  resolvePlan,
+  isPermanent,
+  computeExpiry,
+  planFields,
+  isSubscriptionActive,
+  planCoversMaterial,
+  ensureDefaultPlans,
+};
@@ -0,0 +1,153 @@
+const Material = require('../models/Material');
+const Instructor = require('../models/Instructor');
+const Chapter = require('../models/Chapter');
+const Lecture = require('../models/Lecture');
+const PDF = require('../models/PDF');
+const Video = require('../models/Video');
+const LectureView = require('../models/LectureView');
+const PDFView = require('../models/PDFView');
+const VideoView = require('../models/VideoView');
+const { getAccessIndex } = require('./contentAccess');
+
+// Rolls LectureView / PDFView / VideoView up into completion per lecture, chapter,
+// instructor and material. Every PDF and every video of a lecture is one unit: a PDF is
+// done once opened, a video once VideoView.completedAt is set. A lecture with no PDFs or
+// videos is a single unit, done once the lecture itself was opened.
+
+function stats(total, completed) {
+  return {
+    total,
+    completed,
+    percent: total > 0 ? Math.round((completed / total) * 100) : 0,
+    isCompleted: total > 0 && completed >= total,
+  };
+}
+
+function groupBy(items, field) {
+  const out = new Map();
+  for (const item of items) {
+    const key = String(item[field]);
+    if (!out.has(key)) out.set(key, []);
+    out.get(key).push(item);
+  }
+  return out;
+}
+
+// Load the content hierarchy with a handful of bulk queries (optionally one material only).
+// `canAccess` ((materialId, instructorId?) => boolean, see contentAccess.getAccessIndex) limits
+// it to the materials and instructors a user may open.
+async function loadContent({ materialId, canAccess } = {}) {
+  let materials = await Material.find(materialId ? { _id: materialId } : {}).select('title thumbnailUrl order').sort({ order: 1 }).lean();
+  if (canAccess) materials = materials.filter((m) => canAccess(m._id));
+  let instructors = await Instructor.find({ materialId: { $in: materials.map((m) => m._id) } }).select('title thumbnailUrl order materialId').sort({ order: 1 }).lean();
+  if (canAccess) instructors = instructors.filter((i) => canAccess(i.materialId, i._id));
+  const chapters = await Chapter.find({ instructorId: { $in: instructors.map((i) => i._id) } }).select('title thumbnailUrl order instructorId').sort({ order: 1 }).lean();
+  const lectures = await Lecture.find({ chapterId: { $in: chapters.map((c) => c._id) } }).select('title thumbnailUrl order chapterId').sort({ order: 1 }).lean();
+  const lectureIds = lectures.map((l) => l._id);
+  const [pdfs, videos] = await Promise.all([
+    PDF.find({ lectureId: { $in: lectureIds } }).select('title order lectureId').sort({ order: 1 }).lean(),
+    Video.find({ lectureId: { $in: lectureIds } }).select('title duration lectureId').sort({ createdAt: 1 }).lean(),
+  ]);
+  return { materials, instructors, chapters, lectures, pdfs, videos };
+}
+
+async function loadActivity(userId) {
+  const [lectureViews, pdfViews, videoViews] = await Promise.all([
+    LectureView.find({ userId }).select('lectureId updatedAt').lean(),
+    PDFView.find({ userId }).select('pdfId updatedAt').lean(),
+    VideoView.find({ userId }).select('videoId watchedSeconds lastPosition completedAt progressUpdatedAt updatedAt').lean(),
+  ]);
+  const dates = [...lectureViews, ...pdfViews, ...videoViews].map((v) => v.progressUpdatedAt || v.updatedAt).filter(Boolean);
+  return {
+    lectures: new Set(lectureViews.map((v) => String(v.lectureId))),
+    pdfs: new Set(pdfViews.map((v) => String(v.pdfId))),
+    videos: new Map(videoViews.map((v) => [String(v.videoId), v])),
+    lastActivityAt: dates.length > 0 ? new Date(Math.max(...dates.map((d) => new Date(d).getTime()))) : null,
+  };
+}
+
+function rollUp(content, activity) {
+  const pdfsByLecture = groupBy(content.pdfs, 'lectureId');
+  const videosByLecture = groupBy(content.videos, 'lectureId');
+  const lecturesByChapter = groupBy(content.lectures, 'chapterId');
+  const chaptersByInstructor = groupBy(content.chapters, 'instructorId');
+  const instructorsByMaterial = groupBy(content.instructors, 'materialId');
+
+  const sum = (nodes) => nodes.reduce((acc, n) => ({ total: acc.total + n.total, completed: acc.completed + n.completed }), { total: 0, completed: 0 });
+
+  const lectureNode = (lecture) => {
+    const id = String(lecture._id);
+    const pdfs = (pdfsByLecture.get(id) || []).map((p) => ({ _id: p._id, title: p.title, viewed: activity.pdfs.has(String(p._id)) }));
+    const videos = (videosByLecture.get(id) || []).map((v) => {
+      const view = activity.videos.get(String(v._id));
+      const duration = Number(v.duration) || 0;
+      return {
+        _id: v._id,
+        title: v.title,
+        completed: !!(view && view.completedAt),
+        lastPosition: view ? view.lastPosition || 0 : 0,
+        completionPercent: view && duration > 0 ? Math.min(100, Math.round(((view.watchedSeconds || 0) / duration) * 100)) : 0,
+      };
+    });
+    const opened = activity.lectures.has(id);
+    const total = pdfs.length + videos.length;
+    const done = pdfs.filter((p) => p.viewed).length + videos.filter((v) => v.completed).length;
+    const s = total > 0 ? stats(total, done) : stats(1, opened ? 1 : 0);
+    return { _id: lecture._id, title: lecture.title, order: lecture.order, opened, ...s, pdfs, videos };
+  };
+
+  const chapterNode = (chapter) => {
+    const lectures = (lecturesByChapter.get(String(chapter._id)) || []).map(lectureNode);
+    const s = sum(lectures);
+    return { _id: chapter._id, title: chapter.title, order: chapter.order, ...stats(s.total, s.completed), lectures };
+  };
+
+  const instructorNode = (instructor) => {
+    const chapters = (chaptersByInstructor.get(String(instructor._id)) || []).map(chapterNode);
+    const s = sum(chapters);
+    return { _id: instructor._id, title: instructor.title, order: instructor.order, ...stats(s.total, s.completed), chapters };
+  };
+
+  const materials = content.materials.map((material) => {
+    const instructors = (instructorsByMaterial.get(String(material._id)) || []).map(instructorNode);
+    const s = sum(instructors);
+    return { _id: material._id, title: material.title, order: material.order, ...stats(s.total, s.completed), instructors };
+  });
+
+  const s = sum(materials);
+  return { overall: stats(s.total, s.completed), lastActivityAt: activity.lastActivityAt, materials };
+}
+
+// Full progress tree for a user over the content they may open:
+// { overall, lastActivityAt, materials: [...instructors > chapters > lectures] }
+async function getUserProgress(user, { materialId } = {}) {
+  const canAccess = await getAccessIndex(user);
+  const [content, activity] = await Promise.all([loadContent({ materialId, canAccess }), loadActivity(user._id)]);
+  return rollUp(content, activity);
+}
+
+// Flat lookup of completion by content id (materials, instructors, chapters, lectures)
+// plus the set of viewed PDF ids over already loaded `content` (see loadContent), for
+// decorating other responses such as the content tree.
+async function getProgressIndex(userId, content) {
+  const progress = rollUp(content, await loadActivity(userId));
+  const byId = new Map();
+  const viewedPdfs = new Set();
+  const pick = (n) => ({ total: n.total, completed: n.completed, percent: n.percent, isCompleted: n.isCompleted });
+  for (const m of progress.materials) {
+    byId.set(String(m._id), pick(m));
+    for (const i of m.instructors) {
+      byId.set(String(i._id), pick(i));
+      for (const c of i.chapters) {
+        byId.set(String(c._id), pick(c));
+        for (const l of c.lectures) {
+          byId.set(String(l._id), pick(l));
+          for (const p of l.pdfs) if (p.viewed) viewedPdfs.add(String(p._id));
+        }
+      }
+    }
+  }
+  return { byId, viewedPdfs, overall: progress.overall };
+}
+
+module.exports = { loadContent, groupBy, getUserProgress, getProgressIndex };
@@ -0,0 +1,121 @@
+const axios = require('axios');
+const Video = require('../models/Video');
+const gridfs = require('../utils/gridfs');
+const { buildSegmentUrl, resolveSegmentCount, upstreamAxiosConfig } = require('../utils/segmentUrl');
+
+// Copies upstream segments into GridFS so `proxySegment` can serve them if the upstream
+// host goes away. Segments already present in GridFS are skipped, so re-running a job
+// resumes where a previous (interrupted) run stopped.
+// Configurable via env vars:
+//  - SEGMENT_MIRROR_TIMEOUT_MS (default 30000): upstream fetch timeout per segment
+//  - SEGMENT_MIRROR_DELAY_MS (default 100): pause between segments to avoid upstream throttling
+const FETCH_TIMEOUT_MS = Number(process.env.SEGMENT_MIRROR_TIMEOUT_MS || '30000');
+const DELAY_MS = Number(process.env.SEGMENT_MIRROR_DELAY_MS || '100');
+
+// videoIds with a mirror job running in this process
+const running = new Set();
+
+async function setProgress(videoId, fields) {
+  const $set = {};
+  for (const [k, v] of Object.entries(fields)) $set[`segmentMirror.${k}`] = v;
+  try { await Video.updateOne({ _id: videoId }, { $set }); } catch (e) { /* progress is best-effort */ }
+}
+
+async function mirrorSegment(videoId, quality, url, segmentNumber) {
+  const maxAttempts = 3;
+  let lastErr = null;
+  for (let attempt = 0; attempt < maxAttempts; attempt++) {
+    try {
+      const upstreamRes = await axios.get(url, upstreamAxiosConfig({ responseType: 'stream', timeout: FETCH_TIMEOUT_MS }));
+      const contentType = upstreamRes.headers['content-type'] || 'video/MP2T';
+      return await gridfs.uploadStreamFromStream(videoId, quality, segmentNumber, upstreamRes.data, contentType);
+    } catch (err) {
+      lastErr = err;
+      await new Promise((r) => setTimeout(r, 500 * (attempt + 1)));
+    }
+  }
+  throw lastErr;
+}
+
+async function runMirror(videoId, { quality }) {
+  const video = await Video.findById(videoId);
+  if (!video) throw new Error('video not found');
+  const qualities = (video.qualities || []).filter((q) => q && q.lastSegmentUrl && (!quality || String(q.quality) === String(quality)));
+  if (qualities.length === 0) throw new Error('no matching qualities');
+
+  const plan = qualities.map((q) => ({ q, count: resolveSegmentCount(video, q) }));
+  const total = plan.reduce((sum, p) => sum + p.count, 0);
+  let processed = 0;
+  let failed = 0;
+  let skipped = 0;
+  await setProgress(videoId, { total, processed, failed, skipped });
+
+  for (const { q, count } of plan) {
+    await setProgress(videoId, { quality: q.quality });
+    for (let i = 1; i <= count; i++) {
+      const existing = await gridfs.findFileByName(gridfs.segmentFilename(videoId, q.quality, i));
+      if (existing) {
+        skipped += 1;
+      } else {
+        try {
+          await mirrorSegment(videoId, q.quality, buildSegmentUrl(q.lastSegmentUrl, i).url, i);
+        } catch (e) {
+          failed += 1;
+          console.warn('[segmentMirror] segment failed', String(videoId), q.quality, i, e && e.message);
+        }
+        if (DELAY_MS > 0) await new Promise((r) => setTimeout(r, DELAY_MS));
+      }
+      processed += 1;
+      if (processed % 10 === 0 || processed === total) await setProgress(videoId, { processed, failed, skipped });
+    }
+  }
+
+  await setProgress(videoId, {
+    status: failed > 0 ? 'failed' : 'done',
+    quality: null,
+    processed,
+    failed,
+    skipped,
+    error: failed > 0 ? `${failed} segment(s) failed; run again to resume` : null,
+    finishedAt: new Date(),
+  });
+}
+
+// Start a background mirror job. Returns immediately; progress is stored on `video.segmentMirror`.
+async function startSegmentMirror(videoId, opts = {}) {
+  const key = String(videoId);
+  if (running.has(key)) return { started: false, reason: 'already running' };
+  const quality = opts.quality ? String(opts.quality) : null;
+
+  running.add(key);
+  await setProgress(videoId, { status: 'running', quality, processed: 0, total: 0, failed: 0, skipped: 0, error: null, startedAt: new Date(), finishedAt: null });
+  runMirror(videoId, { quality })
+    .catch(async (e) => {
+      console.error('[segmentMirror] job failed', key, e && e.message);
+      await setProgress(videoId, { status: 'failed', error: e && e.message, finishedAt: new Date() });
+    })
+    .finally(() => running.delete(key));
+  return { started: true, quality };
+}
+
+async function getSegmentMirrorStatus(videoId) {
+  const video = await Video.findById(videoId).select('segmentMirror qualities duration').lean();
+  if (!video) return null;
+  const qualities = await Promise.all((video.qualities || []).map(async (q) => {
+    const segmentCount = resolveSegmentCount(video, q);
+    const mirrored = await gridfs.countFilesByPrefix(gridfs.segmentPrefix(videoId, q.quality));
+    return { quality: q.quality, segmentCount, mirrored, complete: mirrored >= segmentCount };
+  }));
+  return { running: running.has(String(videoId)), job: video.segmentMirror || null, qualities };
+}
+
+// Remove mirrored segments for a video (or a single quality)
+async function purgeSegmentMirror(videoId, opts = {}) {
+  if (running.has(String(videoId))) return { purged: false, reason: 'mirror job running' };
+  const quality = opts.quality ? String(opts.quality) : null;
+  const result = await gridfs.deleteFilesByPrefix(gridfs.segmentPrefix(videoId, quality));
+  if (!quality) await setProgress(videoId, { status: 'idle', quality: null, processed: 0, total: 0, failed: 0, skipped: 0, error: null });
+  return { purged: true, quality, ...result };
+}
+
+module.exports = { startSegmentMirror, getSegmentMirrorStatus, purgeSegmentMirror };
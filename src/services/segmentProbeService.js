@@ -0,0 +1,150 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const axios = require('axios');
+const Video = require('../models/Video');
+const { probeFile } = require('../utils/systemFFprobe');
+const { buildSegmentUrl, resolveSegmentCount, upstreamAxiosConfig } = require('../utils/segmentUrl');
+
+// Measures real per-segment durations with ffprobe and stores them on each quality
+// (`qualities[].segmentDurations`) so playlists emit accurate EXTINF values.
+// Configurable via env vars:
+//  - SEGMENT_PROBE_SAMPLE_SIZE (default 5): segments probed per quality in 'sample' mode
+//  - SEGMENT_PROBE_TIMEOUT_MS (default 20000): upstream fetch timeout per segment
+const SAMPLE_SIZE = Math.max(2, Number(process.env.SEGMENT_PROBE_SAMPLE_SIZE || '5'));
+const FETCH_TIMEOUT_MS = Number(process.env.SEGMENT_PROBE_TIMEOUT_MS || '20000');
+
+// videoIds with a probe job running in this process
+const running = new Set();
+
+// Download one segment to a temp file and return its duration in seconds
+async function probeSegmentDuration(url) {
+  const tmpPath = path.join(os.tmpdir(), `segprobe-${Date.now()}-${Math.round(Math.random() * 1e9)}.ts`);
+  try {
+    const upstreamRes = await axios.get(url, upstreamAxiosConfig({ responseType: 'arraybuffer', timeout: FETCH_TIMEOUT_MS }));
+    await fs.promises.writeFile(tmpPath, Buffer.from(upstreamRes.data));
+    const info = await probeFile(tmpPath);
+    const duration = Number(info && info.format && info.format.duration);
+    if (!duration || Number.isNaN(duration)) throw new Error('ffprobe returned no duration');
+    return duration;
+  } finally {
+    await fs.promises.unlink(tmpPath).catch(() => {});
+  }
+}
+
+// Evenly spaced 1-based segment indexes, always including the first and last segment
+function pickSampleIndexes(count, size) {
+  if (count <= size) return Array.from({ length: count }, (_, i) => i + 1);
+  const out = new Set([1, count]);
+  const step = (count - 1) / (size - 1);
+  for (let i = 1; i < size - 1; i++) out.add(1 + Math.round(i * step));
+  return Array.from(out).sort((a, b) => a - b);
+}
+
+function median(values) {
+  if (!values.length) return 0;
+  const sorted = values.slice().sort((a, b) => a - b);
+  const mid = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+}
+
+// Build a full durations array from measured values; unmeasured segments get the
+// median of measured non-final segments (HLS encoders cut fixed-length segments except the last).
+function fillDurations(count, measured) {
+  const bodyValues = Object.keys(measured).map(Number).filter((i) => i !== count).map((i) => measured[i]);
+  const typical = median(bodyValues.length ? bodyValues : Object.values(measured));
+  const out = [];
+  for (let i = 1; i <= count; i++) {
+    const d = typeof measured[i] === 'number' ? measured[i] : typical;
+    out.push(Number(d.toFixed(3)));
+  }
+  return out;
+}
+
+async function setProgress(videoId, fields) {
+  const $set = {};
+  for (const [k, v] of Object.entries(fields)) $set[`segmentProbe.${k}`] = v;
+  try { await Video.updateOne({ _id: videoId }, { $set }); } catch (e) { /* progress is best-effort */ }
+}
+
+async function runProbe(videoId, { mode, quality }) {
+  const video = await Video.findById(videoId);
+  if (!video) throw new Error('video not found');
+  const qualities = (video.qualities || []).filter((q) => q && q.lastSegmentUrl && (!quality || String(q.quality) === String(quality)));
+  if (qualities.length === 0) throw new Error('no matching qualities');
+
+  const plan = qualities.map((q) => {
+    const count = resolveSegmentCount(video, q);
+    const indexes = mode === 'sample' ? pickSampleIndexes(count, SAMPLE_SIZE) : Array.from({ length: count }, (_, i) => i + 1);
+    return { q, count, indexes };
+  });
+  const total = plan.reduce((sum, p) => sum + p.indexes.length, 0);
+  let processed = 0;
+  let failed = 0;
+  let stored = 0;
+  await setProgress(videoId, { total, processed, failed });
+
+  for (const { q, count, indexes } of plan) {
+    await setProgress(videoId, { quality: q.quality });
+    const measured = {};
+    for (const i of indexes) {
+      try {
+        measured[i] = await probeSegmentDuration(buildSegmentUrl(q.lastSegmentUrl, i).url);
+      } catch (e) {
+        failed += 1;
+        console.warn('[segmentProbe] segment failed', String(videoId), q.quality, i, e && e.message);
+      }
+      processed += 1;
+      if (processed % 10 === 0 || processed === total) await setProgress(videoId, { processed, failed });
+    }
+
+    if (Object.keys(measured).length === 0) continue;
+    await Video.updateOne(
+      { _id: videoId },
+      { $set: { 'qualities.$[q].segmentDurations': fillDurations(count, measured), 'qualities.$[q].durationsProbedAt': new Date() } },
+      { arrayFilters: [{ 'q._id': q._id }] }
+    );
+    stored += 1;
+  }
+
+  await setProgress(videoId, {
+    status: stored > 0 ? 'done' : 'failed',
+    quality: null,
+    processed,
+    failed,
+    error: stored > 0 ? null : 'no segment could be probed',
+    finishedAt: new Date(),
+  });
+}
+
+// Start a background probe job. Returns immediately; progress is stored on `video.segmentProbe`.
+async function startSegmentProbe(videoId, opts = {}) {
+  const key = String(videoId);
+  if (running.has(key)) return { started: false, reason: 'already running' };
+  const mode = opts.mode === 'sample' ? 'sample' : 'full';
+  const quality = opts.quality ? String(opts.quality) : null;
+
+  running.add(key);
+  await setProgress(videoId, { status: 'running', mode, quality, processed: 0, total: 0, failed: 0, error: null, startedAt: new Date(), finishedAt: null });
+  runProbe(videoId, { mode, quality })
+    .catch(async (e) => {
+      console.error('[segmentProbe] job failed', key, e && e.message);
+      await setProgress(videoId, { status: 'failed', error: e && e.message, finishedAt: new Date() });
+    })
+    .finally(() => running.delete(key));
+  return { started: true, mode, quality };
+}
+
+async function getSegmentProbeStatus(videoId) {
+  const video = await Video.findById(videoId).select('segmentProbe qualities duration').lean();
+  if (!video) return null;
+  const qualities = (video.qualities || []).map((q) => ({
+    quality: q.quality,
+    segmentCount: resolveSegmentCount(video, q),
+    probedSegments: Array.isArray(q.segmentDurations) ? q.segmentDurations.length : 0,
+    durationsProbedAt: q.durationsProbedAt || null,
+  }));
+  return { running: running.has(String(videoId)), job: video.segmentProbe || null, qualities };
+}
+
+module.exports = { startSegmentProbe, getSegmentProbeStatus };
@@ -0,0 +1,95 @@
+const crypto = require('crypto');
+const User = require('../models/User');
+const { signAccessToken, signRefreshToken, verifyToken, secondsUntilExpiry } = require('../utils/authTokens');
+
+// Token-based sessions. Access tokens are verified locally; the user document behind them is
+// kept in a short-lived in-process cache so most requests do not query Mongo. Bumping
+// `user.tokenVersion` revokes every token issued before (and drops the cached user here).
+// Refresh tokens rotate: each device stores the jti of its one valid refresh token, and
+// presenting an already-redeemed one is treated as theft and revokes every session.
+// Configurable via env vars:
+//  - AUTH_USER_CACHE_SECONDS (default 30; 0 disables the cache)
+const CACHE_TTL_MS = Number(process.env.AUTH_USER_CACHE_SECONDS || '30') * 1000;
+const CACHE_MAX_ENTRIES = 5000;
+
+// userId -> { user: plain object, at }
+const cache = new Map();
+
+function invalidateUser(userId) {
+  cache.delete(String(userId));
+}
+
+async function loadUser(userId) {
+  const key = String(userId);
+  const hit = cache.get(key);
+  if (hit && Date.now() - hit.at < CACHE_TTL_MS) return User.hydrate(hit.user);
+
+  const user = await User.findById(userId).lean();
+  if (!user || user.deletedAt) {
+    cache.delete(key);
+    return null;
+  }
+  if (CACHE_TTL_MS > 0) {
+    if (cache.size >= CACHE_MAX_ENTRIES) cache.delete(cache.keys().next().value);
+    cache.set(key, { user, at: Date.now() });
+  }
+  return User.hydrate(user);
+}
+
+function signPair(user, deviceId, jti) {
+  const accessToken = signAccessToken(user, { deviceId });
+  const refreshToken = signRefreshToken(user, { deviceId, jti });
+  return { accessToken, refreshToken, expiresIn: secondsUntilExpiry(accessToken) };
+}
+
+// New token pair for a device; replaces (and so invalidates) the device's previous refresh token
+async function issueTokens(user, { deviceId } = {}) {
+  const jti = crypto.randomUUID();
+  await User.updateOne({ _id: user._id, 'devices.deviceId': deviceId }, { $set: { 'devices.$.refreshJti': jti } });
+  invalidateUser(user._id);
+  return signPair(user, deviceId, jti);
+}
+
+// Resolve an access token to a user. Returns { user, payload } or { error, status }
+async function authenticateAccessToken(token) {
+  const result = verifyToken('access', token);
+  if (!result.ok) return { status: 401, error: result.reason === 'expired' ? 'Access token expired' : 'Invalid access token' };
+  const user = await loadUser(result.payload.sub);
+  if (!user) return { status: 401, error: 'User not found' };
+  if ((user.tokenVersion || 0) !== result.payload.tv) return { status: 401, error: 'Session revoked' };
+  return { user, payload: result.payload };
+}
+
+// Exchange a refresh token for a new token pair (always re-reads the user from Mongo)
+async function refreshSession(refreshToken) {
+  const result = verifyToken('refresh', refreshToken);
+  if (!result.ok) return { status: 401, error: result.reason === 'expired' ? 'Refresh token expired' : 'Invalid refresh token' };
+  if (!result.payload.did) return { status: 401, error: 'Session expired, please log in again' };
+  invalidateUser(result.payload.sub);
+  const user = await loadUser(result.payload.sub);
+  if (!user) return { status: 401, error: 'User not found' };
+  if ((user.tokenVersion || 0) !== result.payload.tv) return { status: 401, error: 'Session revoked' };
+
+  // Swap the stored jti only if it is still the one in this token, so a refresh token is redeemed once
+  const { did, jti } = result.payload;
+  const next = crypto.randomUUID();
+  const rotated = await User.updateOne(
+    { _id: user._id, devices: { $elemMatch: { deviceId: did, refreshJti: jti || null } } },
+    { $set: { 'devices.$.refreshJti': next } }
+  );
+  if (!rotated.modifiedCount) {
+    if (!(user.devices || []).some((d) => d.deviceId === did)) return { status: 401, error: 'Device removed, please log in again' };
+    await revokeUserSessions(user._id);
+    return { status: 401, error: 'Refresh token already used; all sessions were signed out' };
+  }
+  invalidateUser(user._id);
+  return { user, ...signPair(user, did, next) };
+}
+
+// Invalidate every access/refresh token issued to a user so far
+async function revokeUserSessions(userId) {
+  await User.updateOne({ _id: userId }, { $inc: { tokenVersion: 1 } });
+  invalidateUser(userId);
+}
+
+module.exports = { issueTokens, authenticateAccessToken, refreshSession, revokeUserSessions, invalidateUser };
@@ -0,0 +1,191 @@
+const User = require('../models/User');
+const Notification = require('../models/Notification');
+const SubscriptionLog = require('../models/SubscriptionLog');
+const { sendNotification } = require('../utils/notificationBus');
+
+// Reminds students before their subscription expires and records expirations.
+// Runs in-process next to the video status scheduler. Sent reminders are tracked per expiry
+// date on the user (`subscriptionNotice`), so extending a subscription re-arms them. Each
+// reminder / expiration is claimed on the user before anything is sent or logged, so
+// overlapping runs (or several instances) handle it at most once.
+// Configurable via env vars:
+//  - SUBSCRIPTION_REMINDERS (default "3d,1d,2h"): how long before expiry to remind (d = days, h = hours)
+//  - SUBSCRIPTION_EXPIRY_CHECK_INTERVAL_MINS (default 15)
+//  - SUBSCRIPTION_EXPIRY_LOOKBACK_DAYS (default 7): expirations older than this when first seen are not notified/logged
+const CHECK_INTERVAL_MINS = Number(process.env.SUBSCRIPTION_EXPIRY_CHECK_INTERVAL_MINS || '15');
+const LOOKBACK_MS = Number(process.env.SUBSCRIPTION_EXPIRY_LOOKBACK_DAYS || '7') * 24 * 60 * 60 * 1000;
+const BATCH_SIZE = 500;
+
+function parseReminders(value) {
+  const out = [];
+  for (const part of String(value).split(',')) {
+    const m = part.trim().match(/^(\d+)\s*([dh])$/i);
+    if (!m) continue;
+    const n = Number(m[1]);
+    const unit = m[2].toLowerCase();
+    out.push({ key: `${n}${unit}`, n, unit, ms: n * (unit === 'd' ? 24 : 1) * 60 * 60 * 1000 });
+  }
+  // shortest first: the first one a user is within is the one to send
+  return out.sort((a, b) => a.ms - b.ms);
+}
+
+const REMINDERS = parseReminders(process.env.SUBSCRIPTION_REMINDERS || '3d,1d,2h');
+
+let _timer = null;
+let _running = false;
+
+// "3 أيام", "يومين", "ساعة", ...
+function arabicDuration({ n, unit }) {
+  const [one, two, few] = unit === 'd' ? ['يوم', 'يومين', 'أيام'] : ['ساعة', 'ساعتين', 'ساعات'];
+  if (n === 1) return one;
+  if (n === 2) return two;
+  return `${n} ${n <= 10 ? few : one}`;
+}
+
+// Reminders already sent for the user's current expiry date
+function sentFor(user) {
+  const notice = user.subscriptionNotice || {};
+  if (!notice.expiresAt || !user.subscriptionExpires) return [];
+  return new Date(notice.expiresAt).getTime() === new Date(user.subscriptionExpires).getTime() ? notice.sent || [] : [];
+}
+
+// Atomically record `keys` as sent for the user's current expiry. Returns false when `key` was
+// already claimed (by another run) or the expiry changed meanwhile (e.g. an admin extended it).
+async function claim(user, key, keys = [key]) {
+  const expiresAt = user.subscriptionExpires;
+  const notice = user.subscriptionNotice || {};
+  const current = !!notice.expiresAt && new Date(notice.expiresAt).getTime() === new Date(expiresAt).getTime();
+  const result = current
+    ? await User.updateOne(
+      { _id: user._id, subscriptionExpires: expiresAt, 'subscriptionNotice.expiresAt': expiresAt, 'subscriptionNotice.sent': { $ne: key } },
+      { $addToSet: { 'subscriptionNotice.sent': { $each: keys } } }
+    )
+    : await User.updateOne(
+      { _id: user._id, subscriptionExpires: expiresAt, 'subscriptionNotice.expiresAt': { $ne: expiresAt } },
+      { $set: { subscriptionNotice: { expiresAt, sent: keys } } }
+    );
+  return result.modifiedCount > 0;
+}
+
+async function notifyUser(user, { title, body, data }) {
+  await Notification.create({ title, body, recipients: [user._id], data });
+  try {
+    sendNotification({ title, body, recipients: [String(user._id)], meta: data, timestamp: new Date() });
+  } catch (e) {
+    console.warn('sendNotification (subscription expiry) failed', e && e.message);
+  }
+}
+
+// `$expr` matching users who have not been sent `key` for their current expiry
+function notSent(key) {
+  return { $not: [{ $and: [
+    { $eq: ['$subscriptionNotice.expiresAt', '$subscriptionExpires'] },
+    { $in: [key, { $ifNull: ['$subscriptionNotice.sent', []] }] },
+  ] }] };
+}
+
+// Users whose currently due reminder has not been sent: each reminder is due from its own
+// offset until the next shorter one, so handled users never fill a batch
+function dueReminderFilter(now) {
+  return REMINDERS.map((reminder, i) => ({
+    subscriptionExpires: {
+      $gt: new Date(now.getTime() + (i > 0 ? REMINDERS[i - 1].ms : 0)),
+      $lte: new Date(now.getTime() + reminder.ms),
+    },
+    $expr: notSent(reminder.key),
+  }));
+}
+
+async function sendReminders(now) {
+  if (REMINDERS.length === 0) return 0;
+  const users = await User.find({
+    isAdmin: { $ne: true },
+    deletedAt: null,
+    $or: dueReminderFilter(now),
+  }).select('_id subscriptionExpires subscriptionNotice').sort({ subscriptionExpires: 1 }).limit(BATCH_SIZE).lean();
+
+  let sent = 0;
+  for (const user of users) {
+    const remaining = new Date(user.subscriptionExpires).getTime() - now.getTime();
+    const due = REMINDERS.filter((r) => remaining <= r.ms);
+    const reminder = due[0];
+    if (!reminder || sentFor(user).includes(reminder.key)) continue;
+    try {
+      // longer reminders that are also due are skipped rather than sent late
+      if (!(await claim(user, reminder.key, due.map((r) => r.key)))) continue;
+      await notifyUser(user, {
+        title: 'اشتراكك ينتهي قريباً',
+        body: `ينتهي اشتراكك خلال ${arabicDuration(reminder)}`,
+        data: { type: 'subscription_expiring', reminder: reminder.key, expiresAt: user.subscriptionExpires },
+      });
+      sent += 1;
+    } catch (e) {
+      console.warn('subscription reminder failed', String(user._id), e && e.message);
+    }
+  }
+  return sent;
+}
+
+async function handleExpirations(now) {
+  const users = await User.find({
+    isAdmin: { $ne: true },
+    deletedAt: null,
+    subscriptionExpires: { $gt: new Date(now.getTime() - LOOKBACK_MS), $lte: now },
+    $expr: notSent('expired'),
+  }).select('_id subscriptionExpires subscriptionNotice subscriptionType plan').limit(BATCH_SIZE).lean();
+
+  let expired = 0;
+  for (const user of users) {
+    try {
+      if (!(await claim(user, 'expired'))) continue;
+      await SubscriptionLog.create({
+        userId: user._id,
+        type: user.subscriptionType,
+        planId: user.plan || undefined,
+        action: 'expire',
+        expiresAt: user.subscriptionExpires,
+        note: 'Subscription expired',
+      });
+      await notifyUser(user, {
+        title: 'انتهى اشتراكك',
+        body: 'انتهت مدة اشتراكك، تواصل معنا للتجديد',
+        data: { type: 'subscription_expired', expiresAt: user.subscriptionExpires },
+      });
+      expired += 1;
+    } catch (e) {
+      console.warn('subscription expiry handling failed', String(user._id), e && e.message);
+    }
+  }
+  return expired;
+}
+
+async function runOnce() {
+  if (_running) return null;
+  _running = true;
+  try {
+    const now = new Date();
+    const reminded = await sendReminders(now);
+    const expired = await handleExpirations(now);
+    if (reminded || expired) console.log(`subscription expiry: ${reminded} reminder(s), ${expired} expiration(s)`);
+    return { reminded, expired };
+  } catch (e) {
+    console.error('subscriptionExpiryScheduler runOnce error', e && e.message);
+    return null;
+  } finally {
+    _running = false;
+  }
+}
+
+function startScheduler() {
+  const ms = Math.max(60 * 1000, CHECK_INTERVAL_MINS * 60 * 1000);
+  setTimeout(() => { runOnce().catch(() => {}); }, 10000);
+  _timer = setInterval(() => { runOnce().catch(() => {}); }, ms);
+  console.log('Subscription expiry scheduler started, interval mins=', CHECK_INTERVAL_MINS);
+}
+
+function stopScheduler() {
+  if (_timer) clearInterval(_timer);
+  _timer = null;
+}
+
+module.exports = { startScheduler, stopScheduler, runOnce, REMINDERS };
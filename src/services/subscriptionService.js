@@ -0,0 +1,140 @@
+const User = require('../models/User');
+const SubscriptionLog = require('../models/SubscriptionLog');
+const { getUserPlan, isPermanent, computeExpiry, planFields } = require('./planService');
+
+// Changes to a student's subscription: assigning a plan, and admin corrections (pause/resume,
+// shorten, credit and revoke). Every operation writes a SubscriptionLog entry with the admin
+// (if any) and a note. Functions return { user } or { status, error }.
+const HOUR_MS = 60 * 60 * 1000;
+
+function isPaused(user) {
+  return !!(user && user.subscriptionPause && user.subscriptionPause.pausedAt);
+}
+
+async function logChange(user, { action, adminId, note, adjustmentHours }) {
+  await SubscriptionLog.create({
+    userId: user._id,
+    type: user.subscriptionType,
+    planId: user.plan || undefined,
+    action,
+    expiresAt: user.subscriptionExpires,
+    adjustmentHours,
+    adminId,
+    note,
+  });
+}
+
+// Give `user` one period of `plan`, extending from the current expiry (or from the time left on
+// a paused subscription, which is resumed). `bumpTokenVersion` signs out existing sessions.
+async function assignPlan(userId, plan, { adminId, note, action = 'assign', bumpTokenVersion = false } = {}) {
+  const now = new Date();
+  const existing = await User.findOne({ _id: userId, deletedAt: null }).select('subscriptionExpires subscriptionPause').lean();
+  if (!existing) return { status: 404, error: 'User not found' };
+
+  const paused = isPaused(existing);
+  let base = now;
+  if (paused) base = new Date(now.getTime() + Math.max(0, existing.subscriptionPause.remainingMs || 0));
+  else if (existing.subscriptionExpires && new Date(existing.subscriptionExpires) > now) base = new Date(existing.subscriptionExpires);
+
+  const update = planFields(plan, computeExpiry(plan, base));
+  if (paused) update.subscriptionPause = { pausedAt: null, remainingMs: null };
+  if (bumpTokenVersion) update.$inc = { tokenVersion: 1 };
+
+  const user = await User.findOneAndUpdate({ _id: userId, deletedAt: null }, update, { new: true });
+  if (!user) return { status: 404, error: 'User not found' };
+  try {
+    await logChange(user, { action, adminId, note });
+  } catch (e) {
+    console.error('Failed to create subscription log', e);
+  }
+  return { user };
+}
+
+// 'none' | 'active' | 'permanent' | 'paused' | 'expired' for a user and their plan (see planService.getUserPlan)
+function subscriptionStatus(user, plan) {
+  if (isPaused(user)) return 'paused';
+  const permanent = plan ? isPermanent(plan) : user.subscriptionType === 'permanent';
+  if (permanent) return 'permanent';
+  if (!user.subscriptionExpires) return 'none';
+  return new Date(user.subscriptionExpires) > new Date() ? 'active' : 'expired';
+}
+
+// Load a student whose subscription has an end that can be moved
+async function loadAdjustable(userId) {
+  const user = await User.findOne({ _id: userId, isAdmin: { $ne: true }, deletedAt: null });
+  if (!user) return { status: 404, error: 'User not found' };
+  const plan = await getUserPlan(user);
+  const permanent = plan ? isPermanent(plan) : user.subscriptionType === 'permanent';
+  if (permanent) return { status: 400, error: 'Subscription does not expire' };
+  if (!isPaused(user) && !user.subscriptionExpires) return { status: 400, error: 'User has no subscription' };
+  return { user };
+}
+
+// Stop the clock: keep the time left and remove access until resumed
+async function pauseSubscription(userId, { adminId, note }) {
+  const { user, status, error } = await loadAdjustable(userId);
+  if (error) return { status, error };
+  if (isPaused(user)) return { status: 409, error: 'Subscription already paused' };
+  const remainingMs = new Date(user.subscriptionExpires).getTime() - Date.now();
+  if (remainingMs <= 0) return { status: 400, error: 'Subscription already expired' };
+
+  user.subscriptionPause = { pausedAt: new Date(), remainingMs };
+  user.subscriptionExpires = null;
+  await user.save();
+  await logChange(user, { action: 'pause', adminId, note });
+  return { user };
+}
+
+// Restart the clock with the time that was left when paused
+async function resumeSubscription(userId, { adminId, note }) {
+  const user = await User.findOne({ _id: userId, isAdmin: { $ne: true }, deletedAt: null });
+  if (!user) return { status: 404, error: 'User not found' };
+  if (!isPaused(user)) return { status: 409, error: 'Subscription is not paused' };
+
+  user.subscriptionExpires = new Date(Date.now() + Math.max(0, user.subscriptionPause.remainingMs || 0));
+  user.subscriptionPause = { pausedAt: null, remainingMs: null };
+  await user.save();
+  await logChange(user, { action: 'resume', adminId, note });
+  return { user };
+}
+
+// Move the end of the subscription by `hours` (negative shortens). Applies to the stored
+// remaining time while paused. The end is never moved into the past.
+async function adjustSubscription(userId, { hours, adminId, note }) {
+  const { user, status, error } = await loadAdjustable(userId);
+  if (error) return { status, error };
+  const deltaMs = hours * HOUR_MS;
+
+  if (isPaused(user)) {
+    user.subscriptionPause = { pausedAt: user.subscriptionPause.pausedAt, remainingMs: Math.max(0, (user.subscriptionPause.remainingMs || 0) + deltaMs) };
+  } else {
+    const current = new Date(user.subscriptionExpires).getTime();
+    // credit on an expired subscription counts from now
+    const base = hours > 0 ? Math.max(current, Date.now()) : current;
+    user.subscriptionExpires = new Date(Math.max(Date.now(), base + deltaMs));
+  }
+  await user.save();
+  await logChange(user, { action: hours > 0 ? 'credit' : 'shorten', adminId, note, adjustmentHours: hours });
+  return { user };
+}
+
+// End the subscription now (permanent plans included); the plan assignment is removed
+async function revokeSubscription(userId, { adminId, note }) {
+  const user = await User.findOne({ _id: userId, isAdmin: { $ne: true }, deletedAt: null });
+  if (!user) return { status: 404, error: 'User not found' };
+  if (user.subscriptionType === 'none' && !user.subscriptionExpires && !isPaused(user)) {
+    return { status: 400, error: 'User has no subscription' };
+  }
+
+  const previous = { subscriptionType: user.subscriptionType, plan: user.plan };
+  user.subscriptionExpires = null;
+  user.subscriptionPause = { pausedAt: null, remainingMs: null };
+  user.subscriptionType = 'none';
+  user.plan = null;
+  await user.save();
+  // log under the plan that was revoked
+  await logChange({ ...previous, _id: user._id, subscriptionExpires: null }, { action: 'revoke', adminId, note });
+  return { user };
+}
+
+module.exports = { isPaused, subscriptionStatus, assignPlan, pauseSubscription, resumeSubscription, adjustSubscription, revokeSubscription };
@@ -0,0 +1,52 @@
+const TrashItem = require('../models/TrashItem');
+const { purgeTrash } = require('./trashService');
+
+// Purges recycle bin items whose retention window has ended (see services/trashService),
+// including their external files.
+// Configurable via env vars:
+//  - TRASH_PURGE_INTERVAL_HOURS (default 6)
+const INTERVAL_HOURS = Number(process.env.TRASH_PURGE_INTERVAL_HOURS || '6');
+const BATCH_SIZE = 100;
+
+let _timer = null;
+let _running = false;
+
+async function runOnce() {
+  if (_running) return null;
+  _running = true;
+  try {
+    const due = await TrashItem.find({ expiresAt: { $lte: new Date() } }).select('_id').sort({ expiresAt: 1 }).limit(BATCH_SIZE).lean();
+    let purged = 0;
+    let fileFailures = 0;
+    for (const { _id } of due) {
+      try {
+        const { storage } = await purgeTrash(_id);
+        if (storage) fileFailures += storage.failed.length;
+        purged += 1;
+      } catch (e) {
+        console.warn('trash purge failed', String(_id), e && e.message);
+      }
+    }
+    if (purged) console.log(`trash: ${purged} expired item(s) purged, ${fileFailures} file(s) could not be removed`);
+    return { purged, fileFailures };
+  } catch (e) {
+    console.error('trashScheduler runOnce error', e && e.message);
+    return null;
+  } finally {
+    _running = false;
+  }
+}
+
+function startScheduler() {
+  const ms = Math.max(10 * 60 * 1000, INTERVAL_HOURS * 60 * 60 * 1000);
+  setTimeout(() => { runOnce().catch(() => {}); }, 90000);
+  _timer = setInterval(() => { runOnce().catch(() => {}); }, ms);
+  console.log('Trash purge scheduler started, interval hours=', INTERVAL_HOURS);
+}
+
+function stopScheduler() {
+  if (_timer) clearInterval(_timer);
+  _timer = null;
+}
+
+module.exports = { startScheduler, stopScheduler, runOnce };
@@ -0,0 +1,187 @@
+const mongoose = require('mongoose');
+const TrashItem = require('../models/TrashItem');
+const TrashDocument = require('../models/TrashDocument');
+const User = require('../models/User');
+const Material = require('../models/Material');
+const Instructor = require('../models/Instructor');
+const Chapter = require('../models/Chapter');
+const Lecture = require('../models/Lecture');
+const Plan = require('../models/Plan');
+const Voucher = require('../models/Voucher');
+const { collectTree, relatedFilters, externalFiles, removeDocuments, removeExternalFiles } = require('./contentCascade');
+
+// Recycle bin for deleted content. Deleting a material, instructor, chapter, lecture, PDF or video copies its
+// subtree and every record referencing it into TrashDocuments before removing them (see
+// services/contentCascade), and keeps its Cloudinary / Supabase / GridFS files. Restoring inserts
+// the documents back; purging (by an admin, or automatically after the retention window,
+// see services/trashScheduler) removes the snapshot and the external files.
+// Configurable via env vars:
+//  - TRASH_RETENTION_DAYS (default 30)
+const RETENTION_DAYS = Number(process.env.TRASH_RETENTION_DAYS || '30');
+const BATCH_SIZE = 500;
+
+const PARENTS = {
+  instructor: { field: 'materialId', Model: Material },
+  chapter: { field: 'instructorId', Model: Instructor },
+  lecture: { field: 'chapterId', Model: Chapter },
+  pdf: { field: 'lectureId', Model: Lecture },
+  video: { field: 'lectureId', Model: Lecture },
+};
+
+// content first, parents before children, so a restore never creates orphans
+const CONTENT = [['materials', 'Material'], ['instructors', 'Instructor'], ['chapters', 'Chapter'], ['lectures', 'Lecture'], ['pdfs', 'PDF'], ['videos', 'Video']];
+
+async function saveDocuments(trashId, model, docs) {
+  for (let i = 0; i < docs.length; i += BATCH_SIZE) {
+    await TrashDocument.collection.insertMany(docs.slice(i, i + BATCH_SIZE).map((doc) => ({ trashId, model, doc })));
+  }
+}
+
+// Snapshot the related records matched by `filter` (streamed in batches); returns how many were kept
+async function saveRelated(trashId, Model, filter) {
+  let batch = [];
+  let count = 0;
+  for await (const doc of Model.find(filter).lean().cursor()) {
+    batch.push(doc);
+    if (batch.length >= BATCH_SIZE) {
+      await saveDocuments(trashId, Model.modelName, batch);
+      count += batch.length;
+      batch = [];
+    }
+  }
+  await saveDocuments(trashId, Model.modelName, batch);
+  return count + batch.length;
+}
+
+// Move a content item and its subtree to the trash. Returns the TrashItem, or null when not found.
+async function trashContent(kind, id, { adminId } = {}) {
+  const tree = await collectTree(kind, id);
+  if (!tree) return null;
+  const parent = PARENTS[kind];
+  const item = await TrashItem.create({
+    kind,
+    rootId: tree.root._id,
+    title: tree.root.title,
+    parentId: parent ? tree.root[parent.field] : null,
+    files: externalFiles(tree),
+    deletedBy: adminId,
+    expiresAt: new Date(Date.now() + RETENTION_DAYS * 24 * 60 * 60 * 1000),
+  });
+
+  try {
+    const counts = {};
+    for (const [key, model] of CONTENT) {
+      await saveDocuments(item._id, model, tree[key]);
+      counts[key] = tree[key].length;
+    }
+    for (const [name, [Model, filter]] of Object.entries(relatedFilters(tree))) {
+      counts[name] = await saveRelated(item._id, Model, filter);
+    }
+    const materialIds = tree.materials.map((m) => m._id);
+    if (materialIds.length > 0) {
+      item.materialRefs = {
+        plans: await Plan.distinct('_id', { materials: { $in: materialIds } }),
+        vouchers: await Voucher.distinct('_id', { materials: { $in: materialIds } }),
+      };
+    }
+    item.counts = counts;
+    await item.save();
+  } catch (e) {
+    // nothing was removed yet: drop the partial snapshot
+    await TrashDocument.deleteMany({ trashId: item._id }).catch(() => {});
+    await TrashItem.deleteOne({ _id: item._id }).catch(() => {});
+    throw e;
+  }
+
+  const switchedOff = { plans: [], vouchers: [] };
+  await removeDocuments(tree, [], switchedOff);
+  if (switchedOff.plans.length > 0 || switchedOff.vouchers.length > 0) {
+    item.materialRefs.deactivatedPlans = switchedOff.plans;
+    item.materialRefs.disabledVouchers = switchedOff.vouchers;
+    await item.save().catch((e) => console.error('trash: failed to record switched-off plans/vouchers', String(item._id), e));
+  }
+  return item;
+}
+
+// Insert documents back, skipping ones that already exist again
+async function insertBack(Model, docs) {
+  if (docs.length === 0) return 0;
+  try {
+    const r = await Model.collection.insertMany(docs, { ordered: false });
+    return r.insertedCount;
+  } catch (e) {
+    const writeErrors = e.writeErrors ? [].concat(e.writeErrors) : [];
+    const duplicatesOnly = writeErrors.length > 0 ? writeErrors.every((w) => w.code === 11000) : e.code === 11000;
+    if (!duplicatesOnly) throw e;
+    return e.result && typeof e.result.insertedCount === 'number' ? e.result.insertedCount : docs.length - writeErrors.length;
+  }
+}
+
+// Records of users purged meanwhile are not restored
+async function withExistingUsers(docs) {
+  const userIds = Array.from(new Set(docs.map((d) => d.userId).filter(Boolean).map(String)));
+  if (userIds.length === 0) return docs;
+  const existing = new Set((await User.find({ _id: { $in: userIds } }).distinct('_id')).map(String));
+  return docs.filter((d) => !d.userId || existing.has(String(d.userId)));
+}
+
+async function restoreModel(trashId, model) {
+  const Model = mongoose.model(model);
+  let restored = 0;
+  let batch = [];
+  const flush = async () => {
+    restored += await insertBack(Model, await withExistingUsers(batch));
+    batch = [];
+  };
+  for await (const row of TrashDocument.find({ trashId, model }).lean().cursor()) {
+    batch.push(row.doc);
+    if (batch.length >= BATCH_SIZE) await flush();
+  }
+  await flush();
+  return restored;
+}
+
+// Restore a trashed item. Returns { item, restored: { <model>: n } } or { status, error }
+async function restoreTrash(trashId) {
+  const item = await TrashItem.findById(trashId);
+  if (!item) return { status: 404, error: 'Trash item not found' };
+  const parent = PARENTS[item.kind];
+  if (parent && item.parentId && !(await parent.Model.exists({ _id: item.parentId }))) {
+    const parentInTrash = await TrashItem.findOne({ rootId: item.parentId }).select('_id kind title').lean();
+    return parentInTrash
+      ? { status: 409, error: `Restore the ${parentInTrash.kind} "${parentInTrash.title}" first`, parentTrashId: parentInTrash._id }
+      : { status: 409, error: `The ${parent.Model.modelName.toLowerCase()} this ${item.kind} belonged to no longer exists` };
+  }
+
+  const order = CONTENT.map(([, model]) => model);
+  const rank = (model) => (order.includes(model) ? order.indexOf(model) : order.length);
+  const models = (await TrashDocument.distinct('model', { trashId: item._id })).sort((a, b) => rank(a) - rank(b));
+  const restored = {};
+  for (const model of models) restored[model] = await restoreModel(item._id, model);
+
+  if (item.kind === 'material' && item.materialRefs) {
+    const { plans, vouchers, deactivatedPlans, disabledVouchers } = item.materialRefs;
+    if (plans.length > 0) await Plan.updateMany({ _id: { $in: plans } }, { $addToSet: { materials: item.rootId } });
+    if (vouchers.length > 0) await Voucher.updateMany({ _id: { $in: vouchers } }, { $addToSet: { materials: item.rootId } });
+    // switch back on what the delete switched off, and nothing an admin had disabled before
+    if (deactivatedPlans.length > 0) await Plan.updateMany({ _id: { $in: deactivatedPlans } }, { $set: { active: true } });
+    if (disabledVouchers.length > 0) await Voucher.updateMany({ _id: { $in: disabledVouchers } }, { $set: { disabled: false } });
+  }
+
+  await TrashDocument.deleteMany({ trashId: item._id });
+  await TrashItem.deleteOne({ _id: item._id });
+  return { item, restored };
+}
+
+// Permanently delete a trashed item and its external files.
+// Returns { item, storage } or { status, error }
+async function purgeTrash(trashId) {
+  const item = await TrashItem.findById(trashId);
+  if (!item) return { status: 404, error: 'Trash item not found' };
+  const storage = await removeExternalFiles(item.files || {});
+  await TrashDocument.deleteMany({ trashId: item._id });
+  await TrashItem.deleteOne({ _id: item._id });
+  return { item, storage };
+}
+
+module.exports = { RETENTION_DAYS, trashContent, restoreTrash, purgeTrash };
@@ -0,0 +1,106 @@
+const User = require('../models/User');
+const Enrollment = require('../models/Enrollment');
+const LectureView = require('../models/LectureView');
+const ChapterView = require('../models/ChapterView');
+const PDFView = require('../models/PDFView');
+const VideoView = require('../models/VideoView');
+const DownloadLog = require('../models/DownloadLog');
+const LoginEvent = require('../models/LoginEvent');
+const SubscriptionLog = require('../models/SubscriptionLog');
+const AccessGrant = require('../models/AccessGrant');
+const VoucherRedemption = require('../models/VoucherRedemption');
+const Notification = require('../models/Notification');
+const { revokeUserSessions } = require('./sessionService');
+
+// Students are soft-deleted first (`deletedAt`): they can no longer log in and existing tokens
+// are revoked, but an admin can restore them until the retention window ends. After that the
+// purge job (services/userPurgeScheduler) removes the user and everything that references it.
+// Audit log entries are kept.
+// Configurable via env vars:
+//  - USER_DELETE_RETENTION_DAYS (default 30)
+const RETENTION_DAYS = Number(process.env.USER_DELETE_RETENTION_DAYS || '30');
+
+// Returns { user } or { status, error }
+async function softDeleteUser(userId, { adminId } = {}) {
+  const user = await User.findById(userId).select('isAdmin deletedAt');
+  if (!user) return { status: 404, error: 'User not found' };
+  if (user.isAdmin) return { status: 400, error: 'Disable admins via /api/admin/admins/:id/disable' };
+  if (user.deletedAt) return { status: 409, error: 'User already deleted' };
+  const updated = await User.findByIdAndUpdate(userId, { deletedAt: new Date(), deletedBy: adminId || null }, { new: true });
+  await revokeUserSessions(userId);
+  return { user: updated };
+}
+
+// Returns { user } or { status, error }
+async function restoreUser(userId) {
+  const user = await User.findOneAndUpdate(
+    { _id: userId, deletedAt: { $ne: null }, purgeStartedAt: null },
+    { deletedAt: null, deletedBy: null },
+    { new: true }
+  );
+  if (!user) {
+    const existing = await User.findById(userId).select('purgeStartedAt').lean();
+    if (!existing) return { status: 404, error: 'User not found' };
+    return existing.purgeStartedAt ? { status: 409, error: 'User is being purged' } : { status: 409, error: 'User is not deleted' };
+  }
+  return { user };
+}
+
+// When a soft-deleted user will be purged
+function purgeAt(user) {
+  if (!user.deletedAt) return null;
+  return new Date(new Date(user.deletedAt).getTime() + RETENTION_DAYS * 24 * 60 * 60 * 1000);
+}
+
+// Delete a user soft-deleted before `cutoff` and every document that references it; returns
+// counts per collection, or null when the user is not due (restored meanwhile, or gone).
+// The user is claimed (`purgeStartedAt`) before anything is deleted, so a concurrent restore
+// cannot bring back a user whose records are already gone; a failed purge is retried by the next run.
+async function purgeUser(userId, cutoff = new Date(Date.now() - RETENTION_DAYS * 24 * 60 * 60 * 1000)) {
+  const claimed = await User.updateOne(
+    { _id: userId, deletedAt: { $ne: null, $lte: cutoff } },
+    { $set: { purgeStartedAt: new Date() } }
+  );
+  if (claimed.matchedCount === 0) return null;
+
+  const counts = {};
+  const byUser = { userId };
+  for (const [name, Model] of [
+    ['enrollments', Enrollment],
+    ['lectureViews', LectureView],
+    ['chapterViews', ChapterView],
+    ['pdfViews', PDFView],
+    ['videoViews', VideoView],
+    ['downloadLogs', DownloadLog],
+    ['loginEvents', LoginEvent],
+    ['subscriptionLogs', SubscriptionLog],
+    ['accessGrants', AccessGrant],
+    ['voucherRedemptions', VoucherRedemption],
+  ]) {
+    counts[name] = (await Model.deleteMany(byUser)).deletedCount || 0;
+  }
+
+  // an empty recipients list means "everyone", so notifications sent only to this user are deleted
+  counts.notificationsDeleted = (await Notification.deleteMany({ recipients: { $eq: [userId] } })).deletedCount || 0;
+  counts.notificationsUpdated = (await Notification.updateMany(
+    { $or: [{ recipients: userId }, { readBy: userId }] },
+    { $pull: { recipients: userId, readBy: userId } }
+  )).modifiedCount || 0;
+
+  counts.users = (await User.deleteOne({ _id: userId, purgeStartedAt: { $ne: null } })).deletedCount || 0;
+  return counts;
+}
+
+// Startup migration: replace the sparse `deletedAt_1` index of earlier releases with the plain one
+// declared on the model (index options cannot be changed in place)
+async function migrateDeletedAtIndex() {
+  const indexes = await User.collection.indexes().catch(() => []);
+  const old = indexes.find((i) => i.name === 'deletedAt_1' && i.sparse);
+  if (!old) return false;
+  await User.collection.dropIndex('deletedAt_1');
+  await User.createIndexes();
+  console.log('rebuilt users.deletedAt_1 index without sparse');
+  return true;
+}
+
+module.exports = { RETENTION_DAYS, softDeleteUser, restoreUser, purgeAt, purgeUser, migrateDeletedAtIndex };
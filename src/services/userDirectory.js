@@ -0,0 +1,146 @@
+const mongoose = require('mongoose');
+const Enrollment = require('../models/Enrollment');
+const AccessGrant = require('../models/AccessGrant');
+const LoginEvent = require('../models/LoginEvent');
+const { hashUserCode, codePrefixOf } = require('../utils/userCode');
+
+// Query building for the admin user directory (GET /auth/users).
+// Secrets (session tokens, legacy device fields, code hashes) are never selected.
+const USER_PROJECTION = '-code -codeHash -sessionToken -sessionTokens -deviceId -deviceIds -devices.sessionToken -devices.refreshJti -subscriptionNotice';
+
+const SORT_FIELDS = ['name', 'phone', 'createdAt', 'subscriptionExpires', 'lastActivityAt', 'subscriptionType'];
+
+function escapeRegex(text) {
+  return String(text).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+function parseDate(value, name) {
+  const date = new Date(value);
+  if (Number.isNaN(date.getTime())) return { error: `Invalid ${name}` };
+  return { date };
+}
+
+const DEFAULT_LIMIT = 50;
+const MAX_LIMIT = 200;
+const BACKFILL_BATCH_SIZE = 500;
+
+// page / limit query params -> { page, limit, skip }; missing or invalid values use the defaults
+function parsePaging(query) {
+  const page = parseInt(query.page, 10);
+  const limit = parseInt(query.limit, 10);
+  const safePage = Number.isFinite(page) && page > 0 ? page : 1;
+  const safeLimit = Number.isFinite(limit) && limit > 0 ? Math.min(MAX_LIMIT, limit) : DEFAULT_LIMIT;
+  return { page: safePage, limit: safeLimit, skip: (safePage - 1) * safeLimit };
+}
+
+// "name", "-lastActivityAt" -> { sort } or { error }
+function parseSort(value) {
+  if (!value) return { sort: { createdAt: -1 } };
+  const field = String(value).replace(/^-/, '');
+  if (!SORT_FIELDS.includes(field)) return { error: `sort must be one of ${SORT_FIELDS.join(', ')} (prefix with - for descending)` };
+  return { sort: { [field]: String(value).startsWith('-') ? -1 : 1, _id: 1 } };
+}
+
+// Name / phone substring, or a user code (its prefix, or the full code)
+function searchFilter(q) {
+  const text = String(q).trim();
+  if (!text) return null;
+  const or = [{ name: { $regex: escapeRegex(text), $options: 'i' } }];
+  const digits = text.replace(/[\s\-+]/g, '');
+  if (/^\d+$/.test(digits)) {
+    or.push({ phone: { $regex: escapeRegex(digits) } });
+    const prefix = codePrefixOf(digits);
+    if (digits.length <= prefix.length) or.push({ codePrefix: { $regex: `^${escapeRegex(digits)}` } });
+    else or.push({ codeHash: hashUserCode(digits) });
+  }
+  return { $or: or };
+}
+
+// Build a User filter from directory query params; returns { filter } or { error }
+//  - q: name, phone or code
+//  - subscriptionType: plan key(s), comma separated
+//  - expiresFrom / expiresTo: subscription expiry range
+//  - canDownloadVideos: true | false
+//  - materialId: enrolled in (or granted) a material
+//  - activeSince / inactiveSince: last activity after / before (never active counts as inactive)
+//  - deleted: true lists soft-deleted users instead
+async function buildUserFilter(query) {
+  const and = [{ isAdmin: false, deletedAt: String(query.deleted) === 'true' ? { $ne: null } : null }];
+
+  if (query.q) {
+    const search = searchFilter(query.q);
+    if (search) and.push(search);
+  }
+  if (query.subscriptionType) {
+    and.push({ subscriptionType: { $in: String(query.subscriptionType).split(',').map((s) => s.trim()).filter(Boolean) } });
+  }
+  if (query.expiresFrom || query.expiresTo) {
+    const range = {};
+    for (const [param, op] of [['expiresFrom', '$gte'], ['expiresTo', '$lte']]) {
+      if (!query[param]) continue;
+      const { date, error } = parseDate(query[param], param);
+      if (error) return { error };
+      range[op] = date;
+    }
+    and.push({ subscriptionExpires: range });
+  }
+  if (typeof query.canDownloadVideos !== 'undefined' && query.canDownloadVideos !== '') {
+    if (!['true', 'false'].includes(String(query.canDownloadVideos))) return { error: 'canDownloadVideos must be true or false' };
+    and.push({ canDownloadVideos: String(query.canDownloadVideos) === 'true' });
+  }
+  if (query.materialId) {
+    if (!mongoose.Types.ObjectId.isValid(query.materialId)) return { error: 'Invalid materialId' };
+    const [enrolled, granted] = await Promise.all([
+      Enrollment.distinct('userId', { materialId: query.materialId }),
+      AccessGrant.distinct('userId', { materialId: query.materialId }),
+    ]);
+    and.push({ _id: { $in: [...enrolled, ...granted] } });
+  }
+  if (query.activeSince) {
+    const { date, error } = parseDate(query.activeSince, 'activeSince');
+    if (error) return { error };
+    and.push({ lastActivityAt: { $gte: date } });
+  }
+  if (query.inactiveSince) {
+    const { date, error } = parseDate(query.inactiveSince, 'inactiveSince');
+    if (error) return { error };
+    and.push({ $or: [{ lastActivityAt: { $lt: date } }, { lastActivityAt: null }] });
+  }
+
+  return { filter: and.length === 1 ? and[0] : { $and: and } };
+}
+
+const latest = (dates) => dates.filter(Boolean).reduce((max, d) => (!max || new Date(d) > max ? new Date(d) : max), null);
+
+// One-off startup migration: users recorded before `lastActivityAt` existed get the later of their
+// last login (LoginEvent, within its retention) and their devices' lastSeenAt. Users with
+// neither stay empty. Returns how many users were updated.
+async function backfillLastActivity() {
+  const User = require('../models/User');
+  let updated = 0;
+  let batch = [];
+  const flush = async () => {
+    const ids = batch.map((u) => u._id);
+    const logins = await LoginEvent.aggregate([
+      { $match: { userId: { $in: ids }, type: 'login' } },
+      { $group: { _id: '$userId', at: { $max: '$createdAt' } } },
+    ]);
+    const lastLogin = new Map(logins.map((l) => [String(l._id), l.at]));
+    const ops = [];
+    for (const u of batch) {
+      const at = latest([lastLogin.get(String(u._id)), ...(u.devices || []).map((d) => d.lastSeenAt)]);
+      if (at) ops.push({ updateOne: { filter: { _id: u._id, lastActivityAt: null }, update: { $set: { lastActivityAt: at } } } });
+    }
+    if (ops.length > 0) updated += (await User.bulkWrite(ops, { ordered: false })).modifiedCount || 0;
+    batch = [];
+  };
+  for await (const u of User.find({ lastActivityAt: null }).select('_id devices.lastSeenAt').lean().cursor()) {
+    batch.push(u);
+    if (batch.length >= BACKFILL_BATCH_SIZE) await flush();
+  }
+  if (batch.length > 0) await flush();
+  if (updated > 0) console.log(`backfilled lastActivityAt for ${updated} user(s)`);
+  return updated;
+}
+
+module.exports = { USER_PROJECTION, parseSort, parsePaging, buildUserFilter, backfillLastActivity };
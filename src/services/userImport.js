@@ -0,0 +1,198 @@
+const path = require('path');
+const User = require('../models/User');
+const Plan = require('../models/Plan');
+const Material = require('../models/Material');
+const AccessGrant = require('../models/AccessGrant');
+const SubscriptionLog = require('../models/SubscriptionLog');
+const { parseCsv } = require('../utils/csv');
+const { readXlsxRows } = require('../utils/xlsx');
+const { generateUserCode } = require('../utils/codeGenerator');
+const { codeFields } = require('../utils/userCode');
+const { computeExpiry, planFields } = require('./planService');
+
+// Bulk student import from CSV/XLSX. The first row is a header with (in any order):
+//   name, phone, plan (key or name, optional), materials (titles or ids separated by ; | or ,, optional)
+// Every row is validated; valid rows are created, invalid ones are reported with their
+// spreadsheet row number. Materials become access grants ending with the row's subscription.
+// Configurable via env vars:
+//  - IMPORT_MAX_ROWS (default 5000)
+const MAX_ROWS = Number(process.env.IMPORT_MAX_ROWS || '5000');
+
+const HEADER_ALIASES = {
+  name: ['name', 'full name', 'student', 'الاسم'],
+  phone: ['phone', 'mobile', 'phone number', 'الهاتف', 'رقم الهاتف', 'الموبايل'],
+  plan: ['plan', 'subscription', 'subscriptiontype', 'الخطة', 'الاشتراك'],
+  materials: ['materials', 'material', 'المواد', 'المادة'],
+};
+
+function readRows(file) {
+  const ext = path.extname(file.originalname || '').toLowerCase();
+  if (ext === '.xlsx') return readXlsxRows(file.buffer, { maxRows: MAX_ROWS + 1 });
+  return parseCsv(file.buffer.toString('utf8'));
+}
+
+// header row -> { name, phone, plan?, materials? } column indexes, or { error }
+function mapColumns(header) {
+  const columns = {};
+  header.forEach((cell, index) => {
+    const label = String(cell || '').trim().toLowerCase();
+    for (const [key, aliases] of Object.entries(HEADER_ALIASES)) {
+      if (aliases.includes(label) && typeof columns[key] === 'undefined') columns[key] = index;
+    }
+  });
+  const missing = ['name', 'phone'].filter((k) => typeof columns[k] === 'undefined');
+  if (missing.length > 0) return { error: `Missing column(s): ${missing.join(', ')}` };
+  return { columns };
+}
+
+// Digits with an optional leading +; returns { phone } or { error }
+function normalizePhone(value) {
+  const raw = String(value || '').trim();
+  if (!raw) return { error: 'phone is required' };
+  if (/e\+?\d+$/i.test(raw)) return { error: 'phone was stored as a number; format the phone column as text' };
+  const phone = raw.replace(/[\s\-().]/g, '');
+  if (!/^\+?\d{7,15}$/.test(phone)) return { error: `invalid phone "${raw}"` };
+  return { phone };
+}
+
+async function loadLookups() {
+  const [plans, materials] = await Promise.all([
+    Plan.find({ active: true }).lean(),
+    Material.find({}).select('title').lean(),
+  ]);
+  const planByName = new Map();
+  for (const p of plans) {
+    planByName.set(p.key.toLowerCase(), p);
+    planByName.set(String(p.name).trim().toLowerCase(), p);
+  }
+  const materialByName = new Map();
+  for (const m of materials) {
+    materialByName.set(String(m._id), m);
+    materialByName.set(String(m.title).trim().toLowerCase(), m);
+  }
+  return { planByName, materialByName };
+}
+
+// Validate all data rows; returns [{ row, name, phone, plan, materials, errors }]
+async function validateRows(rows, columns) {
+  const { planByName, materialByName } = await loadLookups();
+  const cell = (r, key) => (typeof columns[key] === 'undefined' ? '' : String(r[columns[key]] || '').trim());
+
+  const parsed = [];
+  const seenPhones = new Map();
+  rows.forEach((r, i) => {
+    if (r.every((c) => !String(c || '').trim())) return;
+    const item = { row: i + 2, name: cell(r, 'name'), errors: [], materials: [] };
+    if (!item.name) item.errors.push('name is required');
+
+    const { phone, error } = normalizePhone(cell(r, 'phone'));
+    if (error) item.errors.push(error);
+    item.phone = phone;
+    if (phone) {
+      if (seenPhones.has(phone)) item.errors.push(`duplicate phone (also on row ${seenPhones.get(phone)})`);
+      else seenPhones.set(phone, item.row);
+    }
+
+    const planName = cell(r, 'plan');
+    if (planName) {
+      item.plan = planByName.get(planName.toLowerCase()) || null;
+      if (!item.plan) item.errors.push(`unknown or inactive plan "${planName}"`);
+    }
+
+    for (const name of cell(r, 'materials').split(/[;|,،]/).map((s) => s.trim()).filter(Boolean)) {
+      const material = materialByName.get(name) || materialByName.get(name.toLowerCase());
+      if (!material) item.errors.push(`unknown material "${name}"`);
+      else if (!item.materials.some((m) => String(m._id) === String(material._id))) item.materials.push(material);
+    }
+    parsed.push(item);
+  });
+
+  // phones already registered
+  const phones = parsed.map((p) => p.phone).filter(Boolean);
+  const existing = new Set((await User.find({ phone: { $in: phones } }).select('phone').lean()).map((u) => u.phone));
+  for (const item of parsed) {
+    if (item.phone && existing.has(item.phone)) item.errors.push('phone already registered');
+  }
+  return parsed;
+}
+
+async function createStudent(item, adminId) {
+  const subscription = item.plan ? planFields(item.plan, computeExpiry(item.plan)) : { subscriptionType: 'none', subscriptionExpires: null };
+  let user;
+  let code;
+  // retry on the (unlikely) code collision
+  for (let attempt = 0; !user; attempt++) {
+    code = generateUserCode();
+    try {
+      user = await User.create({ name: item.name, phone: item.phone, ...codeFields(code), isAdmin: false, ...subscription });
+    } catch (e) {
+      if (e.code !== 11000 || attempt >= 2) throw e;
+    }
+  }
+
+  if (item.plan) {
+    await SubscriptionLog.create({
+      userId: user._id, type: item.plan.key, planId: item.plan._id, expiresAt: user.subscriptionExpires, adminId, note: 'Bulk import',
+    });
+  }
+  if (item.materials.length > 0) {
+    await AccessGrant.insertMany(item.materials.map((m) => ({
+      userId: user._id, materialId: m._id, expiresAt: user.subscriptionExpires, grantedBy: adminId, note: 'Bulk import',
+    })));
+  }
+  return { user, code };
+}
+
+// Import students from an uploaded file ({ originalname, buffer }).
+// Returns { total, created, failed, dryRun, errors: [{ row, errors }], users: [{ row, _id, name, phone, code, plan, materials }] }
+// or { error } when the file itself cannot be used.
+async function importUsers(file, { adminId, dryRun = false } = {}) {
+  let rows;
+  try {
+    rows = readRows(file);
+  } catch (e) {
+    return { error: `Could not read file: ${e.message}` };
+  }
+  if (rows.length < 2) return { error: 'File has no data rows' };
+  if (rows.length - 1 > MAX_ROWS) return { error: `Too many rows (max ${MAX_ROWS})` };
+  const { columns, error } = mapColumns(rows[0]);
+  if (error) return { error };
+
+  const items = await validateRows(rows.slice(1), columns);
+  const errors = items.filter((i) => i.errors.length > 0).map((i) => ({ row: i.row, name: i.name, phone: i.phone, errors: i.errors }));
+  const valid = items.filter((i) => i.errors.length === 0);
+
+  const users = [];
+  if (!dryRun) {
+    for (const item of valid) {
+      try {
+        const { user, code } = await createStudent(item, adminId);
+        users.push({
+          row: item.row,
+          _id: user._id,
+          name: user.name,
+          phone: user.phone,
+          code,
+          plan: item.plan ? item.plan.key : null,
+          subscriptionExpires: user.subscriptionExpires,
+          materials: item.materials.map((m) => m.title),
+        });
+      } catch (e) {
+        errors.push({ row: item.row, name: item.name, phone: item.phone, errors: [e.message] });
+      }
+    }
+  }
+  errors.sort((a, b) => a.row - b.row);
+
+  return {
+    total: items.length,
+    valid: valid.length,
+    created: users.length,
+    failed: errors.length,
+    dryRun,
+    errors,
+    users,
+  };
+}
+
+module.exports = { importUsers };
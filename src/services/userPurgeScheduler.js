@@ -0,0 +1,79 @@
+const User = require('../models/User');
+const UserPurgeReport = require('../models/UserPurgeReport');
+const { RETENTION_DAYS, purgeUser } = require('./userDeletion');
+
+// Permanently removes users soft-deleted more than USER_DELETE_RETENTION_DAYS ago, with their
+// related documents (see services/userDeletion), and stores a UserPurgeReport for every run
+// that purged or failed to purge someone.
+// Configurable via env vars:
+//  - USER_PURGE_INTERVAL_HOURS (default 6)
+const INTERVAL_HOURS = Number(process.env.USER_PURGE_INTERVAL_HOURS || '6');
+const BATCH_SIZE = 200;
+
+let _timer = null;
+let _running = false;
+
+function addCounts(totals, counts) {
+  for (const [name, n] of Object.entries(counts)) totals[name] = (totals[name] || 0) + n;
+  return totals;
+}
+
+// Purge due users once. `dryRun` lists them without deleting anything.
+// Returns the report (saved unless dryRun or nothing happened), or null when a run is in progress.
+async function runOnce({ trigger = 'scheduled', triggeredBy, dryRun = false } = {}) {
+  if (_running) return null;
+  _running = true;
+  try {
+    const startedAt = new Date();
+    const cutoff = new Date(startedAt.getTime() - RETENTION_DAYS * 24 * 60 * 60 * 1000);
+    const due = await User.find({ deletedAt: { $ne: null, $lte: cutoff } })
+      .select('name phone deletedAt deletedBy')
+      .sort({ deletedAt: 1 })
+      .limit(BATCH_SIZE)
+      .lean();
+
+    const report = { trigger, triggeredBy, retentionDays: RETENTION_DAYS, cutoff, startedAt, users: [], totals: {}, failures: [] };
+    for (const user of due) {
+      const entry = { userId: user._id, name: user.name, phone: user.phone, deletedAt: user.deletedAt, deletedBy: user.deletedBy };
+      if (dryRun) {
+        report.users.push(entry);
+        continue;
+      }
+      try {
+        entry.counts = await purgeUser(user._id, cutoff);
+        if (!entry.counts) continue; // restored since it was listed
+        addCounts(report.totals, entry.counts);
+        report.users.push(entry);
+      } catch (e) {
+        console.warn('user purge failed', String(user._id), e && e.message);
+        report.failures.push({ userId: user._id, message: e.message });
+      }
+    }
+    report.finishedAt = new Date();
+
+    if (dryRun) return { ...report, dryRun: true };
+    if (report.users.length === 0 && report.failures.length === 0) return report;
+    const saved = await UserPurgeReport.create(report);
+    console.log(`user purge: ${report.users.length} user(s) purged, ${report.failures.length} failure(s)`);
+    return saved.toObject();
+  } catch (e) {
+    console.error('userPurgeScheduler runOnce error', e && e.message);
+    throw e;
+  } finally {
+    _running = false;
+  }
+}
+
+function startScheduler() {
+  const ms = Math.max(10 * 60 * 1000, INTERVAL_HOURS * 60 * 60 * 1000);
+  setTimeout(() => { runOnce().catch(() => {}); }, 60000);
+  _timer = setInterval(() => { runOnce().catch(() => {}); }, ms);
+  console.log('User purge scheduler started, interval hours=', INTERVAL_HOURS, 'retention days=', RETENTION_DAYS);
+}
+
+function stopScheduler() {
+  if (_timer) clearInterval(_timer);
+  _timer = null;
+}
+
+module.exports = { startScheduler, stopScheduler, runOnce };
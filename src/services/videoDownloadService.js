@@ -0,0 +1,167 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const crypto = require('crypto');
+const axios = require('axios');
+const gridfs = require('../utils/gridfs');
+const { buildSegmentUrl, resolveSegmentCount, upstreamAxiosConfig } = require('../utils/segmentUrl');
+const { remuxToMp4 } = require('../utils/systemFFmpeg');
+
+// Builds downloadable MP4 files (segments concatenated, then remuxed by system ffmpeg) and
+// keeps them in an on-disk cache so Content-Length is known and HTTP Range resumes work.
+// Configurable via env vars:
+//  - DOWNLOAD_CACHE_DIR (default <tmpdir>/coursati-downloads)
+//  - DOWNLOAD_CACHE_MAX_AGE_HOURS (default 24): built files unused for longer are removed
+//  - DOWNLOAD_CACHE_MAX_MB (default 5120): least recently used files are removed above this total size
+//  - DOWNLOAD_SEGMENT_TIMEOUT_MS (default 30000): upstream fetch timeout per segment
+const CACHE_DIR = process.env.DOWNLOAD_CACHE_DIR || path.join(os.tmpdir(), 'coursati-downloads');
+const MAX_AGE_MS = Number(process.env.DOWNLOAD_CACHE_MAX_AGE_HOURS || '24') * 60 * 60 * 1000;
+const MAX_CACHE_BYTES = Number(process.env.DOWNLOAD_CACHE_MAX_MB || '5120') * 1024 * 1024;
+const SEGMENT_TIMEOUT_MS = Number(process.env.DOWNLOAD_SEGMENT_TIMEOUT_MS || '30000');
+
+// cache key -> Promise<filePath> for builds in progress (concurrent requests share one build)
+const building = new Map();
+
+// Open a readable stream for one segment: GridFS mirror first, then upstream with retries
+async function openSegmentStream(videoId, q, segmentNumber) {
+  try {
+    const gf = await gridfs.findFileByName(gridfs.segmentFilename(videoId, q.quality, segmentNumber));
+    if (gf) return gridfs.openDownloadStreamById(gf._id);
+  } catch (e) {
+    // ignore GridFS errors and fall back to upstream
+  }
+
+  const url = buildSegmentUrl(q.lastSegmentUrl, segmentNumber).url;
+  const maxAttempts = 3;
+  let lastErr = null;
+  for (let attempt = 0; attempt < maxAttempts; attempt++) {
+    try {
+      const upstreamRes = await axios.get(url, upstreamAxiosConfig({ responseType: 'stream', timeout: SEGMENT_TIMEOUT_MS }));
+      return upstreamRes.data;
+    } catch (err) {
+      lastErr = err;
+      await new Promise((r) => setTimeout(r, 200 * (attempt + 1)));
+    }
+  }
+  const err = new Error(`segment ${segmentNumber} fetch failed: ${lastErr && lastErr.message}`);
+  err.cause = lastErr;
+  throw err;
+}
+
+function appendStream(readStream, writeStream) {
+  return new Promise((resolve, reject) => {
+    const onWriteError = (err) => { readStream.destroy(); reject(err); };
+    writeStream.once('error', onWriteError);
+    readStream.on('error', (err) => { writeStream.removeListener('error', onWriteError); reject(err); });
+    readStream.on('end', () => { writeStream.removeListener('error', onWriteError); resolve(); });
+    readStream.pipe(writeStream, { end: false });
+  });
+}
+
+function cacheKeyFor(video, q, segmentCount) {
+  const h = crypto.createHash('sha1').update(`${q.lastSegmentUrl}|${segmentCount}`).digest('hex').slice(0, 12);
+  return `${video._id}-${String(q.quality).replace(/[^a-z0-9]/gi, '_')}-${h}`;
+}
+
+// Remove files unused for MAX_AGE_MS, then the least recently used built MP4s until the cache
+// fits in MAX_CACHE_BYTES. `keep` (a file about to be served) is never removed.
+function pruneCache(keep) {
+  try {
+    const cutoff = Date.now() - MAX_AGE_MS;
+    const built = [];
+    for (const name of fs.readdirSync(CACHE_DIR)) {
+      const full = path.join(CACHE_DIR, name);
+      try {
+        const st = fs.statSync(full);
+        if (st.mtimeMs < cutoff && full !== keep) fs.unlinkSync(full);
+        else if (/\.mp4$/.test(name) && !/\.part\.mp4$/.test(name)) built.push({ full, size: st.size, mtimeMs: st.mtimeMs });
+      } catch (e) {
+        // file may be in use or already gone
+      }
+    }
+    let total = built.reduce((n, f) => n + f.size, 0);
+    for (const file of built.sort((a, b) => a.mtimeMs - b.mtimeMs)) {
+      if (total <= MAX_CACHE_BYTES) break;
+      if (file.full === keep) continue;
+      try {
+        fs.unlinkSync(file.full);
+        total -= file.size;
+      } catch (e) {
+        // already gone
+      }
+    }
+  } catch (e) {
+    // cache dir missing or unreadable
+  }
+}
+
+async function build(video, q, segmentCount, outPath) {
+  const suffix = `${process.pid}-${Date.now()}`;
+  const tsPath = `${outPath}.${suffix}.ts`;
+  const partPath = `${outPath}.${suffix}.part.mp4`;
+  try {
+    const ws = fs.createWriteStream(tsPath);
+    try {
+      for (let i = 1; i <= segmentCount; i++) {
+        const rs = await openSegmentStream(video._id, q, i);
+        await appendStream(rs, ws);
+      }
+    } finally {
+      await new Promise((resolve) => ws.end(resolve));
+    }
+    await remuxToMp4(tsPath, partPath);
+    fs.renameSync(partPath, outPath);
+    pruneCache(outPath);
+    return outPath;
+  } finally {
+    for (const p of [tsPath, partPath]) {
+      try { if (fs.existsSync(p)) fs.unlinkSync(p); } catch (e) {}
+    }
+  }
+}
+
+// Return the path of a ready MP4 for video/quality, building it if needed.
+// Throws if any segment cannot be fetched or ffmpeg fails (never returns a truncated file).
+async function getMp4Download(video, q) {
+  const segmentCount = resolveSegmentCount(video, q);
+  const key = cacheKeyFor(video, q, segmentCount);
+  const outPath = path.join(CACHE_DIR, `${key}.mp4`);
+
+  if (fs.existsSync(outPath)) {
+    // refresh mtime so frequently downloaded files survive pruning
+    try { const now = new Date(); fs.utimesSync(outPath, now, now); } catch (e) {}
+    return outPath;
+  }
+  if (building.has(key)) return building.get(key);
+
+  fs.mkdirSync(CACHE_DIR, { recursive: true });
+  pruneCache();
+  const promise = build(video, q, segmentCount, outPath).finally(() => building.delete(key));
+  building.set(key, promise);
+  return promise;
+}
+
+// Parse a single `Range: bytes=...` header against a file size.
+// Returns null when absent/unsupported (serve whole file), { start, end } when satisfiable,
+// or { invalid: true } when it cannot be satisfied (416).
+function parseRange(header, size) {
+  if (!header || typeof header !== 'string') return null;
+  const m = header.trim().match(/^bytes=(\d*)-(\d*)$/);
+  if (!m) return null; // multi-range and other units are not supported
+  let start;
+  let end;
+  if (m[1] === '' && m[2] === '') return { invalid: true };
+  if (m[1] === '') {
+    const suffix = parseInt(m[2], 10);
+    if (!suffix) return { invalid: true };
+    start = Math.max(0, size - suffix);
+    end = size - 1;
+  } else {
+    start = parseInt(m[1], 10);
+    end = m[2] === '' ? size - 1 : Math.min(parseInt(m[2], 10), size - 1);
+  }
+  if (start >= size || start > end) return { invalid: true };
+  return { start, end };
+}
+
+module.exports = { getMp4Download, openSegmentStream, parseRange };
@@ -0,0 +1,120 @@
+const crypto = require('crypto');
+const Voucher = require('../models/Voucher');
+const VoucherRedemption = require('../models/VoucherRedemption');
+const Plan = require('../models/Plan');
+const AccessGrant = require('../models/AccessGrant');
+const SubscriptionLog = require('../models/SubscriptionLog');
+const { generateVoucherCode, normalizeVoucherCode } = require('../utils/codeGenerator');
+const { computeExpiry } = require('./planService');
+const { assignPlan } = require('./subscriptionService');
+
+// Voucher generation and redemption. A voucher gives one period of its plan: without materials
+// it extends the student's subscription like an admin assignment; with materials it grants
+// those materials (AccessGrant) for one period instead. Functions return { ... } or { status, error }.
+const MAX_BATCH = 1000;
+
+// Create `count` vouchers sharing one batch id
+async function generateVouchers({ plan, materials = [], count = 1, maxRedemptions = 1, expiresAt = null, note, createdBy }) {
+  const n = Math.min(MAX_BATCH, Math.max(1, Number(count) || 1));
+  const batchId = `${new Date().toISOString().slice(0, 10).replace(/-/g, '')}-${crypto.randomBytes(3).toString('hex')}`;
+
+  const codes = new Set();
+  while (codes.size < n) {
+    const candidates = [];
+    while (codes.size + candidates.length < n) candidates.push(generateVoucherCode());
+    // drop (very unlikely) collisions with existing vouchers and regenerate
+    const taken = new Set((await Voucher.find({ code: { $in: candidates } }).select('code').lean()).map((v) => v.code));
+    for (const c of candidates) if (!taken.has(c)) codes.add(c);
+  }
+
+  const vouchers = await Voucher.insertMany(Array.from(codes).map((code) => ({
+    code, batchId, plan: plan._id, materials, maxRedemptions, expiresAt, note, createdBy,
+  })));
+  return { batchId, vouchers };
+}
+
+async function grantMaterials(user, plan, materials, note) {
+  let latest = null;
+  for (const materialId of materials) {
+    const existing = await AccessGrant.findOne({ userId: user._id, materialId, instructorId: null }).lean();
+    // a grant without expiry stays that way
+    if (existing && !existing.expiresAt) continue;
+    const base = existing && new Date(existing.expiresAt) > new Date() ? existing.expiresAt : new Date();
+    const expiresAt = computeExpiry(plan, base);
+    await AccessGrant.findOneAndUpdate(
+      { userId: user._id, materialId, instructorId: null },
+      { $set: { expiresAt, note } },
+      { upsert: true, setDefaultsOnInsert: true }
+    );
+    if (expiresAt && (!latest || expiresAt > latest)) latest = expiresAt;
+  }
+  return latest;
+}
+
+async function applyVoucher(user, voucher, plan) {
+  const note = `Voucher ${voucher.code}`;
+  if (voucher.materials && voucher.materials.length > 0) {
+    const expiresAt = await grantMaterials(user, plan, voucher.materials, note);
+    await SubscriptionLog.create({
+      userId: user._id, type: plan.key, planId: plan._id, action: 'redeem', expiresAt, note: `${note} (materials)`,
+    });
+    return { expiresAt, materials: voucher.materials };
+  }
+  const result = await assignPlan(user._id, plan, { action: 'redeem', note });
+  if (result.error) throw new Error(result.error);
+  return { expiresAt: result.user.subscriptionExpires, user: result.user };
+}
+
+// Redeem `rawCode` for `user`. Returns { redemption, voucher, plan, expiresAt } or { status, error }.
+async function redeemVoucher(user, rawCode, { ip } = {}) {
+  const code = normalizeVoucherCode(rawCode);
+  if (!code) return { status: 400, error: 'Voucher code required' };
+  const voucher = await Voucher.findOne({ code }).lean();
+  if (!voucher) return { status: 404, error: 'Invalid voucher code' };
+  if (voucher.disabled) return { status: 400, error: 'Voucher disabled' };
+  if (voucher.expiresAt && new Date(voucher.expiresAt) <= new Date()) return { status: 400, error: 'Voucher expired' };
+  if (await VoucherRedemption.exists({ voucherId: voucher._id, userId: user._id })) {
+    return { status: 409, error: 'Voucher already redeemed' };
+  }
+  const plan = await Plan.findById(voucher.plan).lean();
+  if (!plan) return { status: 400, error: 'Voucher plan no longer exists' };
+
+  // reserve one redemption atomically so the limit holds under concurrent redeems
+  const reserved = await Voucher.findOneAndUpdate(
+    { _id: voucher._id, disabled: false, $expr: { $lt: ['$redemptionsCount', '$maxRedemptions'] } },
+    { $inc: { redemptionsCount: 1 } },
+    { new: true }
+  );
+  if (!reserved) return { status: 409, error: 'Voucher fully redeemed' };
+
+  let redemption;
+  try {
+    redemption = await VoucherRedemption.create({
+      voucherId: voucher._id,
+      code: voucher.code,
+      batchId: voucher.batchId,
+      userId: user._id,
+      planId: plan._id,
+      materials: voucher.materials,
+      ip,
+    });
+  } catch (e) {
+    await Voucher.updateOne({ _id: voucher._id }, { $inc: { redemptionsCount: -1 } });
+    if (e.code === 11000) return { status: 409, error: 'Voucher already redeemed' };
+    throw e;
+  }
+
+  try {
+    const applied = await applyVoucher(user, voucher, plan);
+    redemption.expiresAt = applied.expiresAt;
+    await redemption.save();
+    return { redemption, voucher: reserved, plan, ...applied };
+  } catch (e) {
+    // give the redemption back if the subscription could not be changed
+    await VoucherRedemption.deleteOne({ _id: redemption._id });
+    await Voucher.updateOne({ _id: voucher._id }, { $inc: { redemptionsCount: -1 } });
+    throw e;
+  }
+}
+
+module.exports = { MAX_BATCH, generateVouchers, redeemVoucher };
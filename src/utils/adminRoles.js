@@ -0,0 +1,54 @@
+// Admin roles and the permissions each one grants. Routes check permissions (see
+// `requirePermission` in middleware/auth), never roles, so roles can be reshaped here.
+const PERMISSIONS = [
+  'content:read',         // admin views of content (lectures, video list)
+  'content:write',        // create/update/delete materials, instructors, chapters, lectures, PDFs, videos
+  'videos:manage',        // video status checks, duration probes, segment mirror and cache
+  'notifications:manage', // bulk notification maintenance
+  'users:read',           // student directory and history
+  'users:write',          // create/update/delete students, regenerate codes
+  'users:purge',          // purge soft-deleted students now and read purge reports (super-admin only)
+  'subscriptions:manage', // change subscriptions
+  'plans:read',           // list subscription plans
+  'plans:manage',         // create/update/delete subscription plans
+  'vouchers:manage',      // generate/export vouchers and view redemptions
+  'devices:manage',       // reset/revoke devices, device limits
+  'downloads:read',       // download logs and quota usage
+  'downloads:manage',     // download quota overrides/resets
+  'logins:read',          // login events and lockouts
+  'logins:manage',        // lift lockouts
+  'progress:read',        // per-student progress reports
+  'analytics:read',       // dashboard stats and viewers
+  'admins:manage',        // admin accounts (super-admin only)
+  'audit:read',           // audit log of admin writes (super-admin only)
+  'maintenance:manage',   // orphaned reference scans and fixes (super-admin only)
+];
+
+const ROLE_PERMISSIONS = {
+  super_admin: PERMISSIONS,
+  content_editor: ['content:read', 'content:write', 'videos:manage', 'notifications:manage', 'analytics:read'],
+  support: [
+    'content:read', 'plans:read', 'users:read', 'users:write', 'subscriptions:manage', 'devices:manage',
+    'downloads:read', 'downloads:manage', 'logins:read', 'logins:manage', 'progress:read', 'analytics:read',
+  ],
+  analytics_viewer: ['content:read', 'plans:read', 'users:read', 'downloads:read', 'logins:read', 'progress:read', 'analytics:read'],
+};
+
+const ROLES = Object.keys(ROLE_PERMISSIONS);
+
+// Admins created before roles existed are super-admins
+function roleOf(user) {
+  if (!user || !user.isAdmin) return null;
+  return user.adminRole || 'super_admin';
+}
+
+function permissionsOf(user) {
+  if (!user || !user.isAdmin || user.adminDisabled) return [];
+  return ROLE_PERMISSIONS[roleOf(user)] || [];
+}
+
+function hasPermission(user, permission) {
+  return permissionsOf(user).includes(permission);
+}
+
+module.exports = { PERMISSIONS, ROLES, ROLE_PERMISSIONS, roleOf, permissionsOf, hasPermission };
@@ -0,0 +1,65 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+
+// Signed access / refresh tokens (JWT, HS256).
+// Payload: { sub: userId, tv: tokenVersion, adm: isAdmin, did: deviceId, typ: 'access'|'refresh' }
+// Refresh tokens also carry a `jti` so each one can be redeemed only once (see sessionService).
+// Configurable via env vars:
+//  - JWT_ACCESS_SECRET / JWT_REFRESH_SECRET (fall back to JWT_SECRET; required in production)
+//  - JWT_ACCESS_TTL (default 15m), JWT_REFRESH_TTL (default 30d) — any `jsonwebtoken` expiresIn value
+const ACCESS_TTL = process.env.JWT_ACCESS_TTL || '15m';
+const REFRESH_TTL = process.env.JWT_REFRESH_TTL || '30d';
+const _devSecrets = {};
+
+function getSecret(kind) {
+  const secret = kind === 'refresh'
+    ? process.env.JWT_REFRESH_SECRET || process.env.JWT_SECRET
+    : process.env.JWT_ACCESS_SECRET || process.env.JWT_SECRET;
+  if (secret) return secret;
+  if (process.env.NODE_ENV === 'production') {
+    throw new Error('JWT secret is not configured');
+  }
+  if (!_devSecrets[kind]) {
+    _devSecrets[kind] = crypto.randomBytes(32).toString('hex');
+    console.warn(`JWT ${kind} secret not set; using a random per-process secret (sessions reset on restart)`);
+  }
+  return _devSecrets[kind];
+}
+
+function sign(kind, user, deviceId, jti) {
+  const payload = { tv: user.tokenVersion || 0, adm: !!user.isAdmin, typ: kind };
+  if (deviceId) payload.did = String(deviceId);
+  if (jti) payload.jti = jti;
+  return jwt.sign(payload, getSecret(kind), {
+    subject: String(user._id),
+    expiresIn: kind === 'refresh' ? REFRESH_TTL : ACCESS_TTL,
+    algorithm: 'HS256',
+  });
+}
+
+function signAccessToken(user, { deviceId } = {}) {
+  return sign('access', user, deviceId);
+}
+
+function signRefreshToken(user, { deviceId, jti } = {}) {
+  return sign('refresh', user, deviceId, jti);
+}
+
+// Returns { ok: true, payload } or { ok: false, reason: 'expired'|'invalid' }
+function verifyToken(kind, token) {
+  try {
+    const payload = jwt.verify(token, getSecret(kind), { algorithms: ['HS256'] });
+    if (payload.typ !== kind) return { ok: false, reason: 'invalid' };
+    return { ok: true, payload };
+  } catch (e) {
+    return { ok: false, reason: e && e.name === 'TokenExpiredError' ? 'expired' : 'invalid' };
+  }
+}
+
+// Seconds until a signed token expires (for `expiresIn` in login responses)
+function secondsUntilExpiry(token) {
+  const decoded = jwt.decode(token);
+  return decoded && decoded.exp ? Math.max(0, decoded.exp - Math.floor(Date.now() / 1000)) : null;
+}
+
+module.exports = { signAccessToken, signRefreshToken, verifyToken, secondsUntilExpiry };
@@ -186,8 +186,8 @@ const getPublicIdFromUrl = (url) => {
     const parts = url.split('/upload/');
     if (parts.length < 2) return null;
     const afterUpload = parts[1];
-    // remove transformations and version prefix: find '/v' followed by digits and a slash
-    const vMatch = afterUpload.match(/\/v\d+\//);
+    // remove transformations and version prefix: 'v' + digits + '/' at the start or after a slash
+    const vMatch = afterUpload.match(/(^|\/)v\d+\//);
     let publicPath = afterUpload;
     if (vMatch && vMatch.index != null) {
       publicPath = afterUpload.slice(vMatch.index + vMatch[0].length);
@@ -1,8 +1,31 @@
+const crypto = require('crypto');
+
 // Generate a random 9-digit code
 function generateUserCode() {
-  return Math.floor(100000000 + Math.random() * 900000000).toString();
+  return crypto.randomInt(100000000, 1000000000).toString();
+}
+
+// Voucher codes: unambiguous uppercase letters/digits in groups, e.g. "K7QM-2XHD-9PWT"
+const VOUCHER_ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+
+function generateVoucherCode(groups = 3, groupLength = 4) {
+  const parts = [];
+  for (let g = 0; g < groups; g++) {
+    let part = '';
+    for (let i = 0; i < groupLength; i++) part += VOUCHER_ALPHABET[crypto.randomInt(VOUCHER_ALPHABET.length)];
+    parts.push(part);
+  }
+  return parts.join('-');
+}
+
+// Canonical form of a voucher code as typed by a student (case and separators ignored)
+function normalizeVoucherCode(code) {
+  const compact = String(code || '').toUpperCase().replace(/[^A-Z0-9]/g, '');
+  return compact.match(/.{1,4}/g) ? compact.match(/.{1,4}/g).join('-') : '';
 }
 
 module.exports = {
   generateUserCode,
+  generateVoucherCode,
+  normalizeVoucherCode,
 };
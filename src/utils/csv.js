@@ -0,0 +1,72 @@
+// Minimal CSV support for admin imports/exports (RFC 4180 quoting; exports start with a UTF-8 BOM
+// so Excel shows Arabic text)
+
+// Text starting with one of these is run as a formula by spreadsheet apps; exports prefix it with `'`
+const FORMULA_START = /^[=+\-@\t\r]/;
+
+function escapeCell(value) {
+  if (value === null || typeof value === 'undefined') return '';
+  let text = value instanceof Date ? value.toISOString() : String(value);
+  if (typeof value === 'string' && FORMULA_START.test(text)) text = `'${text}`;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// columns: [{ header, value: (row) => any }]
+function toCsv(rows, columns) {
+  const lines = [columns.map((c) => escapeCell(c.header)).join(',')];
+  for (const row of rows) lines.push(columns.map((c) => escapeCell(c.value(row))).join(','));
+  return `\uFEFF${lines.join('\r\n')}\r\n`;
+}
+
+// Download file name limited to a header-safe charset
+function safeFilename(filename) {
+  return String(filename).replace(/[^A-Za-z0-9._-]/g, '_');
+}
+
+function sendCsv(res, filename, rows, columns) {
+  res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+  res.setHeader('Content-Disposition', `attachment; filename="${safeFilename(filename)}"`);
+  return res.send(toCsv(rows, columns));
+}
+
+// Parse CSV text into rows of strings. Accepts a BOM, CRLF/LF line ends, quoted fields with
+// embedded commas/quotes/newlines, and `;` as separator when the header row uses it (Excel in
+// some locales). The `'` that exports put before formula-like text is removed again.
+function parseCsv(text) {
+  const input = String(text).replace(/^\uFEFF/, '');
+  const firstLine = input.split(/\r?\n/, 1)[0] || '';
+  const separator = (firstLine.match(/;/g) || []).length > (firstLine.match(/,/g) || []).length ? ';' : ',';
+
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+  for (let i = 0; i < input.length; i++) {
+    const ch = input[i];
+    if (quoted) {
+      if (ch === '"' && input[i + 1] === '"') { field += '"'; i++; }
+      else if (ch === '"') quoted = false;
+      else field += ch;
+    } else if (ch === '"' && field === '') {
+      quoted = true;
+    } else if (ch === separator) {
+      row.push(field);
+      field = '';
+    } else if (ch === '\n' || ch === '\r') {
+      if (ch === '\r' && input[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += ch;
+    }
+  }
+  if (field !== '' || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+  return rows.map((r) => r.map((cell) => (cell[0] === "'" && FORMULA_START.test(cell.slice(1)) ? cell.slice(1) : cell)));
+}
+
+module.exports = { toCsv, sendCsv, parseCsv, safeFilename };
@@ -7,6 +7,19 @@ function getBucket() {
   return new mongoose.mongo.GridFSBucket(mongoose.connection.db, { bucketName: 'fs' });
 }
 
+// Canonical GridFS names for mirrored segments: videos/<videoId>/<quality>/segment-<n>.ts
+function segmentPrefix(videoId, quality) {
+  return quality ? `videos/${videoId}/${quality}/` : `videos/${videoId}/`;
+}
+
+function segmentFilename(videoId, quality, segmentNumber) {
+  return `${segmentPrefix(videoId, quality)}segment-${segmentNumber}.ts`;
+}
+
+function prefixQuery(prefix) {
+  return { filename: { $regex: `^${prefix.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}` } };
+}
+
 async function findFileByName(filename) {
   const bucket = getBucket();
   const files = await bucket.find({ filename }).toArray();
@@ -15,9 +28,14 @@ async function findFileByName(filename) {
 
 async function uploadStreamFromStream(videoId, quality, segmentNumber, readStream, contentType) {
   const bucket = getBucket();
-  const filename = `videos/${videoId}/${quality}/segment-${segmentNumber}.ts`;
+  const filename = segmentFilename(videoId, quality, segmentNumber);
   return new Promise((resolve, reject) => {
     const uploadStream = bucket.openUploadStream(filename, { contentType });
+    // abort on source errors so no partial chunks are left behind
+    readStream.on('error', (err) => {
+      uploadStream.abort().catch(() => {});
+      reject(err);
+    });
     readStream.pipe(uploadStream)
       .on('finish', () => resolve({ fileId: uploadStream.id, filename }))
       .on('error', (err) => reject(err));
@@ -34,9 +52,35 @@ function openDownloadStreamByName(filename) {
   return bucket.openDownloadStreamByName(filename);
 }
 
+async function countFilesByPrefix(prefix) {
+  return mongoose.connection.db.collection('fs.files').countDocuments(prefixQuery(prefix));
+}
+
+// Delete every file whose name starts with `prefix`; returns { deleted, bytes }
+async function deleteFilesByPrefix(prefix) {
+  const bucket = getBucket();
+  const files = await bucket.find(prefixQuery(prefix)).project({ _id: 1, length: 1 }).toArray();
+  let deleted = 0;
+  let bytes = 0;
+  for (const f of files) {
+    try {
+      await bucket.delete(f._id);
+      deleted += 1;
+      bytes += f.length || 0;
+    } catch (e) {
+      // file may have been removed concurrently
+    }
+  }
+  return { deleted, bytes };
+}
+
 module.exports = {
+  segmentPrefix,
+  segmentFilename,
   findFileByName,
   uploadStreamFromStream,
   openDownloadStreamById,
   openDownloadStreamByName,
+  countFilesByPrefix,
+  deleteFilesByPrefix,
 };
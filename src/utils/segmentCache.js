@@ -0,0 +1,237 @@
+/**
+ * Bounded on-disk LRU cache for proxied video segments.
+ * Index is kept in memory (Map insertion order = LRU order) and rebuilt from the
+ * cache directory on first use. Concurrent misses for the same segment share a
+ * single upstream fetch, whose result is not stored when the video is purged meanwhile.
+ * Disk access is asynchronous (fs.promises) so a slow disk never blocks the event loop;
+ * the in-memory index is updated synchronously.
+ * Configurable via env vars:
+ *  - SEGMENT_CACHE_DIR (default <tmpdir>/coursati-segments)
+ *  - SEGMENT_CACHE_MAX_MB (default 1024; 0 disables storing)
+ *  - SEGMENT_CACHE_TTL_SECONDS (default 86400)
+ */
+const fsp = require('fs').promises;
+const os = require('os');
+const path = require('path');
+
+const CACHE_DIR = process.env.SEGMENT_CACHE_DIR || path.join(os.tmpdir(), 'coursati-segments');
+const MAX_BYTES = Number(process.env.SEGMENT_CACHE_MAX_MB || '1024') * 1024 * 1024;
+const TTL_MS = Number(process.env.SEGMENT_CACHE_TTL_SECONDS || '86400') * 1000;
+const DEFAULT_CONTENT_TYPE = 'video/MP2T';
+
+// key -> { file, size, storedAt, contentType }
+const index = new Map();
+// key -> { promise: Promise<{ body, contentType }>, dropped } for upstream fetches in progress;
+// `dropped` is set when the video is purged meanwhile, so the stale result is not stored
+const inflight = new Map();
+// file -> Promise of a pending unlink, so a re-store of the same key never races its removal
+const unlinking = new Map();
+let totalBytes = 0;
+let _init = null;
+
+const metrics = { hits: 0, misses: 0, stores: 0, evictions: 0, expirations: 0, bytesServedFromCache: 0, upstreamErrors: 0, since: new Date() };
+
+function keyFor(videoId, quality, segmentNumber) {
+  return `${videoId}/${quality}/${segmentNumber}`;
+}
+
+// file names are the base64url-encoded key so the index can be rebuilt from disk
+function fileFor(key) {
+  return path.join(CACHE_DIR, `${Buffer.from(key).toString('base64url')}.seg`);
+}
+
+function keyFromFile(name) {
+  const m = name.match(/^([A-Za-z0-9_-]+)\.seg$/);
+  return m ? Buffer.from(m[1], 'base64url').toString('utf8') : null;
+}
+
+async function rebuildIndex() {
+  try {
+    await fsp.mkdir(CACHE_DIR, { recursive: true });
+    const entries = [];
+    for (const name of await fsp.readdir(CACHE_DIR)) {
+      const file = path.join(CACHE_DIR, name);
+      const key = keyFromFile(name);
+      if (!key) { await fsp.unlink(file).catch(() => {}); continue; }
+      try {
+        const st = await fsp.stat(file);
+        entries.push({ key, file, size: st.size, storedAt: st.mtimeMs, atime: st.atimeMs });
+      } catch (e) {}
+    }
+    // oldest access first so the most recently used end up at the tail
+    entries.sort((a, b) => a.atime - b.atime);
+    for (const e of entries) {
+      if (index.has(e.key)) continue;
+      index.set(e.key, { file: e.file, size: e.size, storedAt: e.storedAt, contentType: DEFAULT_CONTENT_TYPE });
+      totalBytes += e.size;
+    }
+    evictToFit(0);
+  } catch (e) {
+    console.warn('segmentCache init failed', e && e.message);
+  }
+}
+
+function init() {
+  if (!_init) _init = rebuildIndex();
+  return _init;
+}
+
+function unlinkFile(file) {
+  const pending = fsp.unlink(file).catch(() => {}).finally(() => {
+    if (unlinking.get(file) === pending) unlinking.delete(file);
+  });
+  unlinking.set(file, pending);
+  return pending;
+}
+
+function removeEntry(key) {
+  const entry = index.get(key);
+  if (!entry) return;
+  index.delete(key);
+  totalBytes -= entry.size;
+  unlinkFile(entry.file);
+}
+
+function evictToFit(incoming) {
+  for (const key of index.keys()) {
+    if (totalBytes + incoming <= MAX_BYTES) break;
+    removeEntry(key);
+    metrics.evictions += 1;
+  }
+}
+
+// Resolve { file, contentType, size } for a fresh cached segment, or null
+async function get(key) {
+  await init();
+  const entry = index.get(key);
+  if (!entry) return null;
+  if (Date.now() - entry.storedAt > TTL_MS) {
+    removeEntry(key);
+    metrics.expirations += 1;
+    return null;
+  }
+  // move to most-recently-used position
+  index.delete(key);
+  index.set(key, entry);
+  return entry;
+}
+
+// Store a segment. Its size is reserved before the write so concurrent stores cannot overshoot
+// MAX_BYTES; `isDropped()` is checked before and after the write to skip stale results.
+async function put(key, body, contentType, isDropped = () => false) {
+  await init();
+  if (!MAX_BYTES || body.length > MAX_BYTES || isDropped()) return;
+  removeEntry(key);
+  evictToFit(body.length);
+  // what is left is reserved by stores still being written: skip this one rather than overshoot
+  if (totalBytes + body.length > MAX_BYTES) return;
+  totalBytes += body.length;
+  const file = fileFor(key);
+  const tmp = `${file}.${process.pid}.${Date.now()}.tmp`;
+  try {
+    await fsp.writeFile(tmp, body);
+    if (unlinking.has(file)) await unlinking.get(file);
+    if (isDropped()) throw new Error('video purged during store');
+    await fsp.rename(tmp, file);
+  } catch (e) {
+    totalBytes -= body.length;
+    await fsp.unlink(tmp).catch(() => {});
+    if (!isDropped()) console.warn('segmentCache store failed', e && e.message);
+    return;
+  }
+  if (isDropped()) {
+    // purged while renaming: the file must not outlive the purge unless a newer store indexed it
+    totalBytes -= body.length;
+    if (!index.has(key)) unlinkFile(file);
+    return;
+  }
+  // another store of the same key may have finished meanwhile (same file, now overwritten)
+  const previous = index.get(key);
+  if (previous) {
+    index.delete(key);
+    totalBytes -= previous.size;
+  }
+  index.set(key, { file, size: body.length, storedAt: Date.now(), contentType: contentType || DEFAULT_CONTENT_TYPE });
+  metrics.stores += 1;
+}
+
+function recordHit(size) {
+  metrics.hits += 1;
+  metrics.bytesServedFromCache += size || 0;
+}
+
+// Fetch a missing segment once: concurrent callers for the same key share `fetcher()`,
+// which must resolve to { body: Buffer, contentType }. The result is stored in the cache.
+function fetchOnce(key, fetcher) {
+  metrics.misses += 1;
+  if (inflight.has(key)) return inflight.get(key).promise;
+  const job = { dropped: false };
+  job.promise = (async () => {
+    let result;
+    try {
+      result = await fetcher();
+    } catch (e) {
+      metrics.upstreamErrors += 1;
+      throw e;
+    }
+    await put(key, result.body, result.contentType, () => job.dropped);
+    return result;
+  })().finally(() => {
+    if (inflight.get(key) === job) inflight.delete(key);
+  });
+  inflight.set(key, job);
+  return job.promise;
+}
+
+// Fetches in progress for keys matching `match` must not store their result, and later
+// requests start a fresh fetch instead of joining them
+function dropInflight(match) {
+  for (const [key, job] of Array.from(inflight.entries())) {
+    if (!match(key)) continue;
+    job.dropped = true;
+    inflight.delete(key);
+  }
+}
+
+// Remove all cached segments of a video; resolves { removed, bytes }
+async function purgeVideo(videoId) {
+  await init();
+  const prefix = `${videoId}/`;
+  dropInflight((key) => key.startsWith(prefix));
+  let removed = 0;
+  let bytes = 0;
+  for (const [key, entry] of Array.from(index.entries())) {
+    if (!key.startsWith(prefix)) continue;
+    bytes += entry.size;
+    removeEntry(key);
+    removed += 1;
+  }
+  return { removed, bytes };
+}
+
+async function purgeAll() {
+  await init();
+  dropInflight(() => true);
+  const removed = index.size;
+  let bytes = 0;
+  for (const entry of index.values()) bytes += entry.size;
+  for (const key of Array.from(index.keys())) removeEntry(key);
+  return { removed, bytes };
+}
+
+async function getStats() {
+  await init();
+  const lookups = metrics.hits + metrics.misses;
+  return {
+    ...metrics,
+    hitRate: lookups > 0 ? Math.round((metrics.hits / lookups) * 10000) / 100 : 0,
+    entries: index.size,
+    sizeBytes: totalBytes,
+    maxBytes: MAX_BYTES,
+    ttlSeconds: TTL_MS / 1000,
+    inflight: inflight.size,
+    dir: CACHE_DIR,
+  };
+}
+
+module.exports = { keyFor, get, recordHit, fetchOnce, purgeVideo, purgeAll, getStats };
@@ -0,0 +1,67 @@
+const crypto = require('crypto');
+
+// HMAC-signed, per-user, per-segment tokens embedded in HLS playlists.
+// Token shape: base64url(JSON payload) + '.' + base64url(HMAC-SHA256(payload))
+// Payload: { v: videoId, q: quality, s: segmentNumber, u: userId, e: expiresAtSeconds }
+// Configurable via env vars:
+//  - VIDEO_SEGMENT_SECRET (required in production; random per-process secret otherwise)
+let _devSecret = null;
+
+function getSecret() {
+  const secret = process.env.VIDEO_SEGMENT_SECRET;
+  if (secret) return secret;
+  if (process.env.NODE_ENV === 'production') {
+    throw new Error('VIDEO_SEGMENT_SECRET is not configured');
+  }
+  if (!_devSecret) {
+    _devSecret = crypto.randomBytes(32).toString('hex');
+    console.warn('VIDEO_SEGMENT_SECRET not set; using a random per-process secret (tokens reset on restart)');
+  }
+  return _devSecret;
+}
+
+function hmac(data) {
+  return crypto.createHmac('sha256', getSecret()).update(data).digest('base64url');
+}
+
+function signSegmentToken({ videoId, quality, segmentNumber, userId, expiresAt }) {
+  const payload = {
+    v: String(videoId),
+    q: String(quality),
+    s: Number(segmentNumber),
+    u: String(userId),
+    e: Math.floor(Number(expiresAt)),
+  };
+  const encoded = Buffer.from(JSON.stringify(payload)).toString('base64url');
+  return `${encoded}.${hmac(encoded)}`;
+}
+
+// Returns { ok: true, payload } or { ok: false, reason: 'missing'|'malformed'|'invalid'|'expired'|'mismatch' }
+function verifySegmentToken(token, { videoId, quality, segmentNumber }) {
+  if (!token || typeof token !== 'string') return { ok: false, reason: 'missing' };
+  const parts = token.split('.');
+  if (parts.length !== 2 || !parts[0] || !parts[1]) return { ok: false, reason: 'malformed' };
+
+  const expected = Buffer.from(hmac(parts[0]));
+  const given = Buffer.from(parts[1]);
+  if (expected.length !== given.length || !crypto.timingSafeEqual(expected, given)) {
+    return { ok: false, reason: 'invalid' };
+  }
+
+  let payload = null;
+  try {
+    payload = JSON.parse(Buffer.from(parts[0], 'base64url').toString('utf8'));
+  } catch (e) {
+    return { ok: false, reason: 'malformed' };
+  }
+
+  if (!payload || !payload.e || Math.floor(Date.now() / 1000) > payload.e) {
+    return { ok: false, reason: 'expired' };
+  }
+  if (payload.v !== String(videoId) || payload.q !== String(quality) || payload.s !== Number(segmentNumber)) {
+    return { ok: false, reason: 'mismatch' };
+  }
+  return { ok: true, payload };
+}
+
+module.exports = { signSegmentToken, verifySegmentToken };
@@ -0,0 +1,81 @@
+// Helpers for deriving per-segment upstream URLs from a quality's `lastSegmentUrl`.
+// Upstream hosts name segments like `segment-41-v1-a1.ts`; the numeric group with the
+// largest value is taken to be the segment index.
+
+function estimateSegmentCountFromUrl(url) {
+  if (!url || typeof url !== 'string') return 1;
+  try {
+    // Find all digit groups in the filename and pick the largest (handles names like segment-41-v1-a1.ts)
+    const parts = url.split('/');
+    const last = parts[parts.length - 1];
+    const matches = last.match(/\d+/g);
+    if (matches && matches.length > 0) {
+      const nums = matches.map((s) => parseInt(s, 10)).filter((n) => !isNaN(n));
+      if (nums.length > 0) return Math.max(...nums);
+    }
+  } catch (err) {
+    // ignore
+  }
+  return 1;
+}
+
+// Build the upstream URL (and bare filename) for segment `segmentNumber`
+function buildSegmentUrl(lastSegmentUrl, segmentNumber) {
+  const parts = String(lastSegmentUrl || '').split('/');
+  const last = parts.pop();
+
+  // Find all numeric groups with their positions
+  const matches = [...last.matchAll(/\d+/g)];
+  let filename = last;
+  if (matches && matches.length > 0) {
+    // choose the numeric group with the largest numeric value (likely the segment index like 41 in segment-41-v1-a1)
+    let best = matches[0];
+    for (const mmm of matches) {
+      if (parseInt(mmm[0], 10) > parseInt(best[0], 10)) best = mmm;
+    }
+    const digits = best[0];
+    const idx = best.index;
+    const padded = String(segmentNumber).padStart(digits.length, '0');
+    filename = last.slice(0, idx) + padded + last.slice(idx + digits.length);
+  } else {
+    // fallback: append segmentNumber before ext or at end
+    const mm = last.match(/(\.[^.]+)$/);
+    if (mm) filename = last.replace(mm[1], `_${segmentNumber}${mm[1]}`);
+    else filename = `${last}_${segmentNumber}`;
+  }
+  parts.push(filename);
+  return { url: parts.join('/'), filename };
+}
+
+// Determine segmentCount for a quality with priority:
+// 1) explicit q.segmentCount (>1)
+// 2) estimate from lastSegmentUrl if it looks correct
+// 3) derive from stored video.duration using a default segment length
+function resolveSegmentCount(video, q) {
+  const vidDuration = Number(video && video.duration) || 0;
+  const defaultSegLen = Number(process.env.DEFAULT_SEGMENT_DURATION || 6); // seconds per segment when deriving from duration
+  let segmentCount = (q.segmentCount && q.segmentCount > 1) ? q.segmentCount : 0;
+  if (!segmentCount) {
+    const est = estimateSegmentCountFromUrl(q.lastSegmentUrl || q.last_segment_url || q.url || '');
+    if (est && est > 1) segmentCount = est;
+  }
+  if ((!segmentCount || segmentCount < 1) && vidDuration > 0) {
+    segmentCount = Math.max(1, Math.ceil(vidDuration / Math.max(1, defaultSegLen)));
+  }
+  if (!segmentCount || segmentCount < 1) segmentCount = 1;
+  return segmentCount;
+}
+
+// Shared axios options for upstream segment fetches.
+// Allow disabling upstream TLS certificate checks via env VIDEO_ALLOW_INSECURE_UPSTREAM=true
+function upstreamAxiosConfig(extra = {}) {
+  const allowInsecure = String(process.env.VIDEO_ALLOW_INSECURE_UPSTREAM || '').toLowerCase() === 'true';
+  const config = Object.assign({}, extra);
+  if (allowInsecure) {
+    const https = require('https');
+    config.httpsAgent = new https.Agent({ rejectUnauthorized: false });
+  }
+  return config;
+}
+
+module.exports = { estimateSegmentCountFromUrl, buildSegmentUrl, resolveSegmentCount, upstreamAxiosConfig };
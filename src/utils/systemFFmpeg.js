@@ -0,0 +1,39 @@
+const { spawn, spawnSync } = require('child_process');
+
+// Checked once per process (installing ffmpeg needs a restart anyway)
+let _available = null;
+
+function isFfmpegAvailable() {
+  if (_available !== null) return _available;
+  try {
+    const res = spawnSync('ffmpeg', ['-version'], { stdio: 'ignore' });
+    _available = !!res && res.status === 0;
+  } catch (e) {
+    _available = false;
+  }
+  return _available;
+}
+
+// Remux an MPEG-TS file into MP4 without re-encoding. `+faststart` moves the moov atom
+// to the front so players can start before the whole file arrives. Only video and (optional)
+// audio streams are kept: MP4 cannot hold the data / timed-metadata streams some HLS sources carry.
+function remuxToMp4(inputPath, outputPath) {
+  return new Promise((resolve, reject) => {
+    const args = ['-y', '-v', 'error', '-i', inputPath, '-map', '0:v', '-map', '0:a?', '-c', 'copy', '-bsf:a', 'aac_adtstoasc', '-movflags', '+faststart', outputPath];
+    let stderr = '';
+    let proc = null;
+    try {
+      proc = spawn('ffmpeg', args, { stdio: ['ignore', 'ignore', 'pipe'] });
+    } catch (e) {
+      return reject(new Error('ffmpeg failed to start: ' + (e && e.message)));
+    }
+    proc.stderr.on('data', (chunk) => { if (stderr.length < 4000) stderr += chunk.toString(); });
+    proc.on('error', (e) => reject(new Error('ffmpeg failed to start: ' + (e && e.message))));
+    proc.on('close', (code) => {
+      if (code === 0) return resolve({ outputPath });
+      return reject(new Error(`ffmpeg exited with code ${code}: ${stderr.trim()}`));
+    });
+  });
+}
+
+module.exports = { isFfmpegAvailable, remuxToMp4 };
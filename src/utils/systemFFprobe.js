@@ -1,31 +1,7 @@
-const { spawnSync, execFileSync } = require('child_process');
+const { spawnSync, execFile } = require('child_process');
 
-function isFfprobeAvailable() {
-  try {
-    const res = spawnSync('ffprobe', ['-version'], { stdio: 'ignore' });
-    return res && res.status === 0;
-  } catch (e) {
-    return false;
-  }
-}
-
-function probeFile(filePath) {
-  try {
-    const out = execFileSync(
-      'ffprobe',
-      ['-v', 'error', '-print_format', 'json', '-show_format', '-show_streams', filePath],
-      { encoding: 'utf8', maxBuffer: 10 * 1024 * 1024 }
-    );
-    return JSON.parse(out);
-  } catch (e) {
-    const err = new Error('ffprobe failed: ' + (e && e.message));
-    err.cause = e;
-    throw err;
-  }
-}
-
-module.exports = { isFfprobeAvailable, probeFile };
-const { spawnSync, execFileSync } = require('child_process');
+// ffprobe runs asynchronously and is killed after FFPROBE_TIMEOUT_MS (default 30000)
+const PROBE_TIMEOUT_MS = Number(process.env.FFPROBE_TIMEOUT_MS || '30000');
 
 function isFfprobeAvailable() {
   try {
@@ -36,19 +12,28 @@ function isFfprobeAvailable() {
   }
 }
 
-function probeFile(filePath) {
-  try {
-    const out = execFileSync(
+// Resolves ffprobe's JSON description (format + streams) of a file
+function probeFile(filePath, { timeoutMs = PROBE_TIMEOUT_MS } = {}) {
+  return new Promise((resolve, reject) => {
+    const fail = (e, message) => {
+      const err = new Error('ffprobe failed: ' + message);
+      err.cause = e;
+      reject(err);
+    };
+    execFile(
       'ffprobe',
       ['-v', 'error', '-print_format', 'json', '-show_format', '-show_streams', filePath],
-      { encoding: 'utf8', maxBuffer: 10 * 1024 * 1024 }
+      { encoding: 'utf8', maxBuffer: 10 * 1024 * 1024, timeout: timeoutMs, killSignal: 'SIGKILL' },
+      (e, stdout) => {
+        if (e) return fail(e, e.killed ? `timed out after ${timeoutMs}ms` : e.message);
+        try {
+          return resolve(JSON.parse(stdout));
+        } catch (parseErr) {
+          return fail(parseErr, parseErr.message);
+        }
+      }
     );
-    return JSON.parse(out);
-  } catch (e) {
-    const err = new Error('ffprobe failed: ' + (e && e.message));
-    err.cause = e;
-    throw err;
-  }
+  });
 }
 
 module.exports = { isFfprobeAvailable, probeFile };
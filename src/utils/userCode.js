@@ -0,0 +1,83 @@
+const crypto = require('crypto');
+
+// User codes are bearer credentials, so they are never stored in plaintext.
+// `codeHash` = HMAC-SHA256(USER_CODE_PEPPER, code), which keeps lookups a single indexed
+// query; `codePrefix` keeps the first few digits so admins can still recognise/search users.
+// Configurable via env vars:
+//  - USER_CODE_PEPPER (required in production; a fixed development value is used otherwise)
+//  - USER_CODE_PREFIX_LENGTH (default 3)
+const DEV_PEPPER = 'coursati-dev-user-code-pepper';
+const PREFIX_LENGTH = Math.max(0, Number(process.env.USER_CODE_PREFIX_LENGTH || '3'));
+let _warned = false;
+
+function getPepper() {
+  const pepper = process.env.USER_CODE_PEPPER;
+  if (pepper) return pepper;
+  if (process.env.NODE_ENV === 'production') {
+    throw new Error('USER_CODE_PEPPER is not configured');
+  }
+  if (!_warned) {
+    _warned = true;
+    console.warn('USER_CODE_PEPPER not set; using the development pepper');
+  }
+  return DEV_PEPPER;
+}
+
+function hashUserCode(code) {
+  return crypto.createHmac('sha256', getPepper()).update(String(code)).digest('hex');
+}
+
+function codePrefixOf(code) {
+  return String(code).slice(0, PREFIX_LENGTH);
+}
+
+// Masked code for display, e.g. "123******"
+function maskUserCode(prefix, length = 9) {
+  if (!prefix) return null;
+  return prefix + '*'.repeat(Math.max(0, length - prefix.length));
+}
+
+// Fields to store on a User for a (new) code
+function codeFields(code) {
+  return { codeHash: hashUserCode(code), codePrefix: codePrefixOf(code) };
+}
+
+// Find a user by plaintext code (soft-deleted users are never found). Accounts created before
+// hashing still have `code` set; they are migrated on their first successful lookup.
+async function findUserByCode(code, filter = {}) {
+  if (!code || typeof code !== 'string') return null;
+  const User = require('../models/User');
+  const user = await User.findOne({ ...filter, deletedAt: null, codeHash: hashUserCode(code) });
+  if (user) return user;
+
+  const legacy = await User.findOne({ ...filter, deletedAt: null, code });
+  if (!legacy) return null;
+  try {
+    await User.updateOne({ _id: legacy._id }, { $set: codeFields(code), $unset: { code: 1 } });
+    legacy.set(codeFields(code));
+    legacy.code = undefined;
+  } catch (e) {
+    console.warn('user code migration failed', String(legacy._id), e && e.message);
+  }
+  return legacy;
+}
+
+// One-off startup migration: hash all remaining plaintext codes and drop the old unique index
+async function migrateLegacyUserCodes() {
+  const User = require('../models/User');
+  try {
+    await User.collection.dropIndex('code_1');
+  } catch (e) {
+    // index already dropped
+  }
+  let migrated = 0;
+  const cursor = User.find({ code: { $type: 'string' } }).select('_id code').lean().cursor();
+  for await (const u of cursor) {
+    await User.updateOne({ _id: u._id }, { $set: codeFields(u.code), $unset: { code: 1 } });
+    migrated += 1;
+  }
+  if (migrated > 0) console.log(`migrated ${migrated} plaintext user code(s) to hashes`);
+  return migrated;
+}
+
+module.exports = { hashUserCode, codePrefixOf, maskUserCode, codeFields, findUserByCode, migrateLegacyUserCodes };
@@ -0,0 +1,277 @@
+const zlib = require('zlib');
+const { safeFilename } = require('./csv');
+
+// Minimal XLSX support for admin imports/exports, without a spreadsheet dependency:
+//  - readXlsxRows(buffer): cell text of the first worksheet as rows of strings
+//  - toXlsx(rows, columns) / sendXlsx(res, ...): a single-sheet workbook (same columns as utils/csv)
+// Formulas are read from their cached values; styles, dates formats and merged cells are ignored.
+
+// Upper bounds for untrusted uploads: inflated size of one zip entry, and columns per row (Excel's limit)
+const MAX_ENTRY_BYTES = 64 * 1024 * 1024;
+const MAX_COLUMNS = 16384;
+
+// ---- zip container ----
+
+function readZipEntries(buf) {
+  // End of central directory: last occurrence of its signature
+  let eocd = -1;
+  for (let i = buf.length - 22; i >= Math.max(0, buf.length - 65557); i--) {
+    if (buf.readUInt32LE(i) === 0x06054b50) { eocd = i; break; }
+  }
+  if (eocd === -1) throw new Error('Not a valid XLSX file');
+  const count = buf.readUInt16LE(eocd + 10);
+  let offset = buf.readUInt32LE(eocd + 16);
+  // offsets and sizes come from the upload itself: every structure must lie inside the buffer
+  const corrupt = () => new Error('Corrupt XLSX file');
+
+  const entries = new Map();
+  for (let n = 0; n < count; n++) {
+    if (offset + 46 > eocd || buf.readUInt32LE(offset) !== 0x02014b50) throw corrupt();
+    const method = buf.readUInt16LE(offset + 10);
+    const compressedSize = buf.readUInt32LE(offset + 20);
+    const nameLength = buf.readUInt16LE(offset + 28);
+    const extraLength = buf.readUInt16LE(offset + 30);
+    const commentLength = buf.readUInt16LE(offset + 32);
+    const localOffset = buf.readUInt32LE(offset + 42);
+    const next = offset + 46 + nameLength + extraLength + commentLength;
+    if (next > eocd) throw corrupt();
+    const name = buf.toString('utf8', offset + 46, offset + 46 + nameLength);
+    entries.set(name, { method, compressedSize, localOffset });
+    offset = next;
+  }
+
+  return (name) => {
+    const e = entries.get(name);
+    if (!e) return null;
+    if (e.localOffset + 30 > buf.length || buf.readUInt32LE(e.localOffset) !== 0x04034b50) throw corrupt();
+    const start = e.localOffset + 30 + buf.readUInt16LE(e.localOffset + 26) + buf.readUInt16LE(e.localOffset + 28);
+    if (start + e.compressedSize > buf.length) throw corrupt();
+    const data = buf.subarray(start, start + e.compressedSize);
+    if (e.method === 0) return data.toString('utf8');
+    if (e.method === 8) {
+      try {
+        return zlib.inflateRawSync(data, { maxOutputLength: MAX_ENTRY_BYTES }).toString('utf8');
+      } catch (err) {
+        if (err.code === 'ERR_BUFFER_TOO_LARGE') throw new Error(`XLSX entry ${name} is too large`);
+        throw corrupt();
+      }
+    }
+    throw new Error(`Unsupported XLSX compression method ${e.method}`);
+  };
+}
+
+const CRC_TABLE = (() => {
+  const table = new Uint32Array(256);
+  for (let n = 0; n < 256; n++) {
+    let c = n;
+    for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+    table[n] = c >>> 0;
+  }
+  return table;
+})();
+
+function crc32(buf) {
+  let c = 0xffffffff;
+  for (let i = 0; i < buf.length; i++) c = CRC_TABLE[(c ^ buf[i]) & 0xff] ^ (c >>> 8);
+  return (c ^ 0xffffffff) >>> 0;
+}
+
+// files: [{ name, data: Buffer }] -> zip Buffer (deflated)
+function writeZip(files) {
+  const locals = [];
+  const centrals = [];
+  let offset = 0;
+  for (const file of files) {
+    const name = Buffer.from(file.name, 'utf8');
+    const compressed = zlib.deflateRawSync(file.data);
+    const crc = crc32(file.data);
+
+    const local = Buffer.alloc(30);
+    local.writeUInt32LE(0x04034b50, 0);
+    local.writeUInt16LE(20, 4);
+    local.writeUInt16LE(0x0800, 6); // UTF-8 names
+    local.writeUInt16LE(8, 8);
+    local.writeUInt16LE(0, 10);
+    local.writeUInt16LE(0x21, 12); // 1980-01-01
+    local.writeUInt32LE(crc, 14);
+    local.writeUInt32LE(compressed.length, 18);
+    local.writeUInt32LE(file.data.length, 22);
+    local.writeUInt16LE(name.length, 26);
+    local.writeUInt16LE(0, 28);
+    locals.push(local, name, compressed);
+
+    const central = Buffer.alloc(46);
+    central.writeUInt32LE(0x02014b50, 0);
+    central.writeUInt16LE(20, 4);
+    central.writeUInt16LE(20, 6);
+    central.writeUInt16LE(0x0800, 8);
+    central.writeUInt16LE(8, 10);
+    central.writeUInt16LE(0, 12);
+    central.writeUInt16LE(0x21, 14);
+    central.writeUInt32LE(crc, 16);
+    central.writeUInt32LE(compressed.length, 20);
+    central.writeUInt32LE(file.data.length, 24);
+    central.writeUInt16LE(name.length, 28);
+    central.writeUInt32LE(offset, 42);
+    centrals.push(central, name);
+
+    offset += local.length + name.length + compressed.length;
+  }
+  const centralSize = centrals.reduce((sum, b) => sum + b.length, 0);
+  const eocd = Buffer.alloc(22);
+  eocd.writeUInt32LE(0x06054b50, 0);
+  eocd.writeUInt16LE(files.length, 8);
+  eocd.writeUInt16LE(files.length, 10);
+  eocd.writeUInt32LE(centralSize, 12);
+  eocd.writeUInt32LE(offset, 16);
+  return Buffer.concat([...locals, ...centrals, eocd]);
+}
+
+// ---- spreadsheet XML ----
+
+function decodeXml(text) {
+  return text
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&quot;/g, '"')
+    .replace(/&apos;/g, "'")
+    .replace(/&#x([0-9a-f]+);/gi, (m, h) => String.fromCodePoint(parseInt(h, 16)))
+    .replace(/&#(\d+);/g, (m, d) => String.fromCodePoint(Number(d)))
+    .replace(/&amp;/g, '&');
+}
+
+function encodeXml(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    // characters not allowed in XML 1.0
+    .replace(/[\u0000-\u0008\u000b\u000c\u000e-\u001f]/g, '');
+}
+
+// text of all <t> elements (rich text runs are concatenated)
+function textOf(xml) {
+  let out = '';
+  const re = /<t(?:\s[^>]*)?>([\s\S]*?)<\/t>/g;
+  let m;
+  while ((m = re.exec(xml))) out += decodeXml(m[1]);
+  return out;
+}
+
+function columnIndex(ref) {
+  const letters = (ref.match(/^[A-Z]+/) || [''])[0];
+  let n = 0;
+  for (const ch of letters) n = n * 26 + (ch.charCodeAt(0) - 64);
+  return n - 1;
+}
+
+function columnName(index) {
+  let name = '';
+  for (let n = index + 1; n > 0; n = Math.floor((n - 1) / 26)) name = String.fromCharCode(65 + ((n - 1) % 26)) + name;
+  return name;
+}
+
+// Path of the first worksheet in workbook order
+function firstSheetPath(read) {
+  const workbook = read('xl/workbook.xml');
+  const rels = read('xl/_rels/workbook.xml.rels');
+  const sheet = workbook && workbook.match(/<sheet\b[^>]*\br:id="([^"]+)"/);
+  if (sheet && rels) {
+    const rel = rels.match(new RegExp(`<Relationship\\b[^>]*\\bId="${sheet[1]}"[^>]*>`));
+    const target = rel && rel[0].match(/\bTarget="([^"]+)"/);
+    if (target) return target[1].startsWith('/') ? target[1].slice(1) : `xl/${target[1]}`;
+  }
+  return 'xl/worksheets/sheet1.xml';
+}
+
+// Rows of the first worksheet as arrays of strings (empty cells are '').
+// With `maxRows`, reading stops after maxRows + 1 rows (blank padding included), so callers
+// can still tell that the sheet was too long without materialising it.
+function readXlsxRows(buffer, { maxRows = Infinity } = {}) {
+  const read = readZipEntries(buffer);
+  const sheet = read(firstSheetPath(read));
+  if (!sheet) throw new Error('XLSX file has no worksheet');
+  const sharedXml = read('xl/sharedStrings.xml') || '';
+  const shared = (sharedXml.match(/<si>[\s\S]*?<\/si>/g) || []).map(textOf);
+
+  const rows = [];
+  const rowRe = /<row\b([^>]*)>([\s\S]*?)<\/row>/g;
+  let rowMatch;
+  while ((rowMatch = rowRe.exec(sheet))) {
+    const rowNumber = (rowMatch[1].match(/\br="(\d+)"/) || [])[1];
+    const row = [];
+    const cellRe = /<c\b([^>]*?)(?:\/>|>([\s\S]*?)<\/c>)/g;
+    let cellMatch;
+    while ((cellMatch = cellRe.exec(rowMatch[2]))) {
+      const attrs = cellMatch[1];
+      const body = cellMatch[2] || '';
+      const ref = (attrs.match(/\br="([A-Z]+\d+)"/) || [])[1];
+      const type = (attrs.match(/\bt="(\w+)"/) || [])[1];
+      const index = ref ? columnIndex(ref) : row.length;
+      if (index >= MAX_COLUMNS) throw new Error('Too many columns');
+      const v = (body.match(/<v>([\s\S]*?)<\/v>/) || [])[1];
+      let value = '';
+      if (type === 's') value = shared[Number(v)] || '';
+      else if (type === 'inlineStr') value = textOf(body);
+      else if (type === 'b') value = v === '1' ? 'TRUE' : 'FALSE';
+      else if (typeof v !== 'undefined') value = decodeXml(v);
+      while (row.length < index) row.push('');
+      row[index] = value;
+    }
+    // keep blank rows so row numbers in error reports match the spreadsheet
+    const limit = maxRows + 1;
+    if (rowNumber) while (rows.length < Math.min(Number(rowNumber) - 1, limit)) rows.push([]);
+    if (rows.length >= limit) break;
+    rows.push(row);
+  }
+  return rows;
+}
+
+// columns: [{ header, value: (row) => any }] -> XLSX Buffer with one sheet
+function toXlsx(rows, columns, sheetName = 'Sheet1') {
+  const cell = (value, c, r) => {
+    if (value === null || typeof value === 'undefined' || value === '') return '';
+    const ref = `${columnName(c)}${r}`;
+    if (typeof value === 'number' && Number.isFinite(value)) return `<c r="${ref}"><v>${value}</v></c>`;
+    const text = value instanceof Date ? value.toISOString() : String(value);
+    return `<c r="${ref}" t="inlineStr"><is><t xml:space="preserve">${encodeXml(text)}</t></is></c>`;
+  };
+  const lines = [columns.map((col) => col.header)].concat(rows.map((row) => columns.map((col) => col.value(row))));
+  const sheetRows = lines.map((values, i) => `<row r="${i + 1}">${values.map((v, c) => cell(v, c, i + 1)).join('')}</row>`).join('');
+
+  const files = {
+    '[Content_Types].xml': '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>'
+      + '<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">'
+      + '<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>'
+      + '<Default Extension="xml" ContentType="application/xml"/>'
+      + '<Override PartName="/xl/workbook.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.sheet.main+xml"/>'
+      + '<Override PartName="/xl/worksheets/sheet1.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.worksheet+xml"/>'
+      + '</Types>',
+    '_rels/.rels': '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>'
+      + '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">'
+      + '<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/officeDocument" Target="xl/workbook.xml"/>'
+      + '</Relationships>',
+    'xl/workbook.xml': '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>'
+      + '<workbook xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main" xmlns:r="http://schemas.openxmlformats.org/officeDocument/2006/relationships">'
+      + `<sheets><sheet name="${encodeXml(sheetName)}" sheetId="1" r:id="rId1"/></sheets>`
+      + '</workbook>',
+    'xl/_rels/workbook.xml.rels': '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>'
+      + '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">'
+      + '<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/worksheet" Target="worksheets/sheet1.xml"/>'
+      + '</Relationships>',
+    'xl/worksheets/sheet1.xml': '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>'
+      + '<worksheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main">'
+      + `<sheetData>${sheetRows}</sheetData>`
+      + '</worksheet>',
+  };
+  return writeZip(Object.entries(files).map(([name, xml]) => ({ name, data: Buffer.from(xml, 'utf8') })));
+}
+
+function sendXlsx(res, filename, rows, columns) {
+  res.setHeader('Content-Type', 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
+  res.setHeader('Content-Disposition', `attachment; filename="${safeFilename(filename)}"`);
+  return res.send(toXlsx(rows, columns));
+}
+
+module.exports = { readXlsxRows, toXlsx, sendXlsx };
@@ -0,0 +1,40 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { toCsv, parseCsv } = require('../src/utils/csv');
+
+const columns = [
+  { header: 'name', value: (r) => r.name },
+  { header: 'note', value: (r) => r.note },
+];
+
+test('quoted fields keep separators, quotes and line breaks', () => {
+  const rows = parseCsv('name,note\r\n"Doe, Jane","said ""hi""\nthen left"\r\nplain,x\r\n');
+  assert.deepEqual(rows, [['name', 'note'], ['Doe, Jane', 'said "hi"\nthen left'], ['plain', 'x']]);
+});
+
+test('a BOM is dropped and a last line without a line end is kept', () => {
+  assert.deepEqual(parseCsv('﻿name,phone\nأحمد,0100'), [['name', 'phone'], ['أحمد', '0100']]);
+});
+
+test('`;` is the separator when the header row uses it', () => {
+  assert.deepEqual(parseCsv('name;materials\nAli;"Math;Physics"\nSara;1,5\n'), [
+    ['name', 'materials'],
+    ['Ali', 'Math;Physics'],
+    ['Sara', '1,5'],
+  ]);
+});
+
+test('formula-like text is escaped on export and restored on import', () => {
+  const rows = [{ name: '=HYPERLINK("x")', note: '+20100' }, { name: '-5', note: 'a,b' }];
+  const csv = toCsv(rows, columns);
+  assert.ok(csv.startsWith('﻿'));
+  assert.ok(csv.includes(`"'=HYPERLINK(""x"")"`));
+  assert.ok(csv.includes("'+20100"));
+  assert.deepEqual(parseCsv(csv), [['name', 'note'], ['=HYPERLINK("x")', '+20100'], ['-5', 'a,b']]);
+});
+
+test('numbers and dates are not escaped as formulas', () => {
+  const date = new Date('2026-01-02T03:04:05Z');
+  const csv = toCsv([{ name: -5, note: date }], columns);
+  assert.deepEqual(parseCsv(csv)[1], ['-5', date.toISOString()]);
+});
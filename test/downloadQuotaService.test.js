@@ -0,0 +1,72 @@
+process.env.DOWNLOAD_QUOTA_PER_PERIOD = '3';
+process.env.DOWNLOAD_QUOTA_PER_DAY = '0';
+
+const { test, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const DownloadLog = require('../src/models/DownloadLog');
+const SubscriptionLog = require('../src/models/SubscriptionLog');
+const { getQuotaStatus } = require('../src/services/downloadQuotaService');
+
+const DAY = 24 * 60 * 60 * 1000;
+const daysAgo = (n) => new Date(Date.now() - n * DAY);
+
+// Evaluates the `action` clauses of a SubscriptionLog filter against an in-memory entry
+function matchesAction(filter, entry) {
+  if (!filter.$or) return true;
+  return filter.$or.some(({ action }) => {
+    if (action.$in) return action.$in.includes(entry.action);
+    if (action.$exists === false) return typeof entry.action === 'undefined';
+    return false;
+  });
+}
+
+// Newest-first SubscriptionLog lookup and DownloadLog counts over fixed in-memory data
+function stubLogs(subscriptionLogs, downloads) {
+  mock.method(SubscriptionLog, 'findOne', (filter) => {
+    const latest = subscriptionLogs
+      .filter((entry) => matchesAction(filter, entry))
+      .sort((a, b) => b.createdAt - a.createdAt)[0] || null;
+    const q = { sort: () => q, select: () => q, lean: () => Promise.resolve(latest) };
+    return q;
+  });
+  mock.method(DownloadLog, 'countDocuments', async (filter) => (
+    downloads.filter((d) => d.createdAt >= filter.createdAt.$gte).length
+  ));
+}
+
+const user = { _id: 'u1', createdAt: daysAgo(60) };
+
+afterEach(() => {
+  mock.restoreAll();
+});
+
+test('a credit does not start a new download period', async () => {
+  const assignedAt = daysAgo(10);
+  stubLogs(
+    [{ action: 'assign', createdAt: assignedAt }, { action: 'credit', createdAt: daysAgo(1) }],
+    [{ createdAt: daysAgo(5) }, { createdAt: daysAgo(3) }, { createdAt: daysAgo(2) }],
+  );
+  const status = await getQuotaStatus(user);
+  assert.equal(status.perPeriod.since.getTime(), assignedAt.getTime());
+  assert.equal(status.perPeriod.used, 3);
+  assert.equal(status.allowed, false);
+});
+
+test('a voucher redemption starts a new download period', async () => {
+  stubLogs(
+    [{ action: 'assign', createdAt: daysAgo(10) }, { action: 'redeem', createdAt: daysAgo(4) }],
+    [{ createdAt: daysAgo(5) }, { createdAt: daysAgo(3) }, { createdAt: daysAgo(2) }],
+  );
+  const status = await getQuotaStatus(user);
+  assert.equal(status.perPeriod.used, 2);
+  assert.equal(status.allowed, true);
+});
+
+test('log entries without an action count as assignments', async () => {
+  stubLogs(
+    [{ createdAt: daysAgo(4) }, { action: 'shorten', createdAt: daysAgo(1) }],
+    [{ createdAt: daysAgo(5) }, { createdAt: daysAgo(3) }],
+  );
+  const status = await getQuotaStatus(user);
+  assert.equal(status.perPeriod.used, 1);
+});
@@ -0,0 +1,121 @@
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-secret';
+process.env.LOGIN_MAX_ATTEMPTS_PER_DEVICE = '5';
+process.env.LOGIN_LOCKOUT_MINUTES = '15';
+
+const { test, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const LoginAttempt = require('../src/models/LoginAttempt');
+const LoginEvent = require('../src/models/LoginEvent');
+const User = require('../src/models/User');
+const { reserveAttempt } = require('../src/services/loginThrottle');
+const { authMiddleware } = require('../src/middleware/auth');
+
+// Counters returned by the atomic increment, per scope (`ip` / `device`)
+function counters(byScope) {
+  const increments = mock.method(LoginAttempt, 'findOneAndUpdate', async ({ scope, value }) => ({
+    _id: `${scope}:${value}`, scope, value, count: 1, lockedUntil: null, ...byScope[scope],
+  }));
+  const updates = mock.method(LoginAttempt, 'updateOne', () => Promise.resolve({ modifiedCount: 1 }));
+  return { increments, updates };
+}
+
+function fakeRes() {
+  const res = { statusCode: 200, headers: {}, body: null };
+  res.status = (code) => { res.statusCode = code; return res; };
+  res.json = (body) => { res.body = body; return res; };
+  res.set = (name, value) => { res.headers[name.toLowerCase()] = value; return res; };
+  return res;
+}
+
+async function runAuth(req) {
+  const res = fakeRes();
+  let nextCalled = false;
+  await authMiddleware({ headers: {}, query: {}, body: {}, ip: '10.0.0.1', ...req }, res, () => { nextCalled = true; });
+  return { res, nextCalled };
+}
+
+beforeEach(() => {
+  process.env.AUTH_ALLOW_USER_CODE = 'true';
+});
+
+afterEach(() => {
+  mock.restoreAll();
+  delete process.env.AUTH_ALLOW_USER_CODE;
+});
+
+test('a device is not locked out up to the attempt limit', async () => {
+  counters({ device: { count: 5 } });
+  assert.equal(await reserveAttempt({ ip: null, deviceId: 'dev-1' }), null);
+});
+
+test('the attempt over the limit locks the device out for the lockout window', async () => {
+  const { updates } = counters({ device: { count: 6 } });
+  const before = Date.now();
+  const lockout = await reserveAttempt({ ip: null, deviceId: 'dev-1' });
+  assert.equal(lockout.scope, 'device');
+  assert.ok(lockout.until.getTime() >= before + 15 * 60 * 1000);
+  assert.equal(updates.mock.callCount(), 1);
+  assert.equal(updates.mock.calls[0].arguments[1].$set.lockedUntil.getTime(), lockout.until.getTime());
+});
+
+test('a client stays locked out until the lockout ends, then counts again', async () => {
+  const until = new Date(Date.now() + 60 * 1000);
+  counters({ device: { count: 1, lockedUntil: until } });
+  assert.equal((await reserveAttempt({ ip: null, deviceId: 'dev-1' })).until.getTime(), until.getTime());
+  mock.restoreAll();
+  counters({ device: { count: 1, lockedUntil: new Date(Date.now() - 1000) } });
+  assert.equal(await reserveAttempt({ ip: null, deviceId: 'dev-1' }), null);
+});
+
+test('rotating device ids still hits the per-IP limit', async () => {
+  counters({ ip: { count: 21 }, device: { count: 1 } });
+  const lockout = await reserveAttempt({ ip: '10.0.0.1', deviceId: `dev-${Date.now()}` });
+  assert.equal(lockout.scope, 'ip');
+});
+
+test('raw user-code requests are refused with 429 while locked out, without looking up the code', async () => {
+  counters({ device: { lockedUntil: new Date(Date.now() + 60 * 1000) } });
+  const findOne = mock.method(User, 'findOne', async () => null);
+  const { res, nextCalled } = await runAuth({ headers: { 'user-code': '123456789', 'device-id': 'dev-1' } });
+  assert.equal(res.statusCode, 429);
+  assert.ok(Number(res.headers['retry-after']) > 0);
+  assert.equal(findOne.mock.callCount(), 0);
+  assert.equal(nextCalled, false);
+});
+
+test('an invalid raw user code is counted before the lookup and recorded as a failed login', async () => {
+  const { increments, updates } = counters({});
+  mock.method(User, 'findOne', async () => {
+    assert.equal(increments.mock.callCount(), 2);
+    return null;
+  });
+  const create = mock.method(LoginEvent, 'create', async () => ({}));
+  const { res } = await runAuth({ headers: { 'user-code': '123456789', 'device-id': 'dev-1' } });
+  assert.equal(res.statusCode, 401);
+  assert.equal(updates.mock.callCount(), 0);
+  assert.equal(create.mock.callCount(), 1);
+  const event = create.mock.calls[0].arguments[0];
+  assert.equal(event.type, 'failed');
+  assert.equal(event.reason, 'invalid_code');
+  assert.equal(event.deviceId, 'dev-1');
+});
+
+test('a valid raw user code gives the counted attempt back', async () => {
+  const { updates } = counters({});
+  mock.method(User, 'findOne', async () => ({ _id: 'u1', devices: [], isAdmin: false }));
+  mock.method(User, 'updateOne', () => Promise.resolve({}));
+  const { nextCalled } = await runAuth({ headers: { 'user-code': '123456789', 'device-id': 'dev-1' } });
+  assert.equal(nextCalled, true);
+  const releases = updates.mock.calls.map((c) => c.arguments);
+  assert.deepEqual(releases.map(([filter]) => filter.scope), ['ip', 'device']);
+  assert.ok(releases.every(([, update]) => update.$inc.count === -1));
+});
+
+test('raw user codes are refused unless AUTH_ALLOW_USER_CODE=true', async () => {
+  delete process.env.AUTH_ALLOW_USER_CODE;
+  const { increments } = counters({});
+  const { res } = await runAuth({ headers: { 'user-code': '123456789' } });
+  assert.equal(res.statusCode, 401);
+  assert.equal(res.body.message, 'Access token required');
+  assert.equal(increments.mock.callCount(), 0);
+});
@@ -0,0 +1,97 @@
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-secret';
+process.env.AUTH_USER_CACHE_SECONDS = '0';
+
+const { test, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+const User = require('../src/models/User');
+const { issueTokens, authenticateAccessToken, refreshSession, revokeUserSessions } = require('../src/services/sessionService');
+
+// In-memory user behind User.findById / User.updateOne, enough for sessionService's queries
+let stored;
+
+function deviceOf(filter) {
+  if (filter['devices.deviceId']) return stored.devices.find((d) => d.deviceId === filter['devices.deviceId']);
+  const match = filter.devices && filter.devices.$elemMatch;
+  if (!match) return null;
+  return stored.devices.find((d) => d.deviceId === match.deviceId && (d.refreshJti || null) === match.refreshJti) || null;
+}
+
+function updateOne(filter, update) {
+  if (String(filter._id) !== String(stored._id)) return Promise.resolve({ modifiedCount: 0 });
+  if (update.$inc) {
+    stored.tokenVersion += update.$inc.tokenVersion;
+    return Promise.resolve({ modifiedCount: 1 });
+  }
+  const device = deviceOf(filter);
+  if (!device) return Promise.resolve({ modifiedCount: 0 });
+  device.refreshJti = update.$set['devices.$.refreshJti'];
+  return Promise.resolve({ modifiedCount: 1 });
+}
+
+beforeEach(() => {
+  stored = {
+    _id: new mongoose.Types.ObjectId(),
+    name: 'Student',
+    isAdmin: false,
+    tokenVersion: 0,
+    deletedAt: null,
+    devices: [{ deviceId: 'dev-1', refreshJti: null }],
+  };
+  mock.method(User, 'findById', () => ({ lean: async () => JSON.parse(JSON.stringify(stored)) }));
+  mock.method(User, 'updateOne', updateOne);
+});
+
+afterEach(() => {
+  mock.restoreAll();
+});
+
+test('an access token is accepted until the user sessions are revoked', async () => {
+  const { accessToken } = await issueTokens(stored, { deviceId: 'dev-1' });
+  const before = await authenticateAccessToken(accessToken);
+  assert.equal(String(before.user._id), String(stored._id));
+
+  await revokeUserSessions(stored._id);
+  const after = await authenticateAccessToken(accessToken);
+  assert.equal(after.status, 401);
+  assert.equal(after.error, 'Session revoked');
+});
+
+test('a refresh token is rejected after the user sessions are revoked', async () => {
+  const { refreshToken } = await issueTokens(stored, { deviceId: 'dev-1' });
+  await revokeUserSessions(stored._id);
+  const result = await refreshSession(refreshToken);
+  assert.equal(result.status, 401);
+  assert.equal(result.error, 'Session revoked');
+});
+
+test('refreshing rotates the refresh token', async () => {
+  const first = await issueTokens(stored, { deviceId: 'dev-1' });
+  const second = await refreshSession(first.refreshToken);
+  assert.ok(second.refreshToken);
+  assert.notEqual(second.refreshToken, first.refreshToken);
+  const third = await refreshSession(second.refreshToken);
+  assert.ok(third.accessToken);
+});
+
+test('reusing a redeemed refresh token signs out every session', async () => {
+  const first = await issueTokens(stored, { deviceId: 'dev-1' });
+  const second = await refreshSession(first.refreshToken);
+
+  const reused = await refreshSession(first.refreshToken);
+  assert.equal(reused.status, 401);
+  assert.equal(stored.tokenVersion, 1);
+
+  // the legitimately rotated token is revoked too
+  const afterReuse = await refreshSession(second.refreshToken);
+  assert.equal(afterReuse.status, 401);
+  assert.equal((await authenticateAccessToken(second.accessToken)).error, 'Session revoked');
+});
+
+test('a refresh token of a removed device is rejected without revoking other sessions', async () => {
+  const { refreshToken } = await issueTokens(stored, { deviceId: 'dev-1' });
+  stored.devices = [];
+  const result = await refreshSession(refreshToken);
+  assert.equal(result.status, 401);
+  assert.equal(stored.tokenVersion, 0);
+});
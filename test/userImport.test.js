@@ -0,0 +1,60 @@
+const { test, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const Plan = require('../src/models/Plan');
+const Material = require('../src/models/Material');
+const User = require('../src/models/User');
+const { importUsers } = require('../src/services/userImport');
+const { toXlsx } = require('../src/utils/xlsx');
+
+function query(result) {
+  const q = { select: () => q, lean: () => Promise.resolve(result) };
+  return q;
+}
+
+beforeEach(() => {
+  mock.method(Plan, 'find', () => query([{ _id: 'p1', key: 'month', name: 'Monthly' }]));
+  mock.method(Material, 'find', () => query([{ _id: 'm1', title: 'Math' }, { _id: 'm2', title: 'Physics' }]));
+  mock.method(User, 'find', () => query([{ phone: '01000000003' }]));
+});
+
+afterEach(() => {
+  mock.restoreAll();
+});
+
+const csvFile = (text) => ({ originalname: 'students.csv', buffer: Buffer.from(text, 'utf8') });
+
+test('a `;` separated CSV with Arabic headers is validated row by row', async () => {
+  const result = await importUsers(csvFile([
+    '﻿الاسم;الهاتف;الخطة;المواد',
+    'Ali;0100 000 0001;monthly;"Math, physics"',
+    ';01000000002;;',
+    'Sara;01000000003;yearly;Chemistry',
+    'Omar;0100 000 0001;;',
+  ].join('\r\n')), { dryRun: true });
+
+  assert.equal(result.total, 4);
+  assert.equal(result.valid, 1);
+  assert.equal(result.created, 0);
+  assert.deepEqual(result.errors.map((e) => [e.row, e.errors]), [
+    [3, ['name is required']],
+    [4, ['unknown or inactive plan "yearly"', 'unknown material "Chemistry"', 'phone already registered']],
+    [5, ['duplicate phone (also on row 2)']],
+  ]);
+});
+
+test('phones Excel turned into numbers are reported from XLSX imports', async () => {
+  const buffer = toXlsx([{ name: 'Ali', phone: '2.01E+11' }], [
+    { header: 'name', value: (r) => r.name },
+    { header: 'phone', value: (r) => r.phone },
+  ]);
+  const result = await importUsers({ originalname: 'students.xlsx', buffer }, { dryRun: true });
+  assert.deepEqual(result.errors[0].errors, ['phone was stored as a number; format the phone column as text']);
+});
+
+test('unreadable files and missing columns are rejected before validation', async () => {
+  const corrupt = await importUsers({ originalname: 'students.xlsx', buffer: Buffer.from('PK\u0005\u0006'.padEnd(40, '\0')) });
+  assert.match(corrupt.error, /^Could not read file: /);
+
+  const missing = await importUsers(csvFile('name,email\nAli,a@example.com\n'));
+  assert.equal(missing.error, 'Missing column(s): phone');
+});
@@ -0,0 +1,103 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { readXlsxRows, toXlsx } = require('../src/utils/xlsx');
+
+// Uncompressed zip of { name: text } (CRCs are not checked by the reader)
+function storedZip(files) {
+  const locals = [];
+  const centrals = [];
+  let offset = 0;
+  for (const [fileName, text] of Object.entries(files)) {
+    const name = Buffer.from(fileName);
+    const data = Buffer.from(text);
+    const local = Buffer.alloc(30);
+    local.writeUInt32LE(0x04034b50, 0);
+    local.writeUInt32LE(data.length, 18);
+    local.writeUInt32LE(data.length, 22);
+    local.writeUInt16LE(name.length, 26);
+    locals.push(local, name, data);
+    const central = Buffer.alloc(46);
+    central.writeUInt32LE(0x02014b50, 0);
+    central.writeUInt32LE(data.length, 20);
+    central.writeUInt32LE(data.length, 24);
+    central.writeUInt16LE(name.length, 28);
+    central.writeUInt32LE(offset, 42);
+    centrals.push(central, name);
+    offset += local.length + name.length + data.length;
+  }
+  const count = Object.keys(files).length;
+  const eocd = Buffer.alloc(22);
+  eocd.writeUInt32LE(0x06054b50, 0);
+  eocd.writeUInt16LE(count, 8);
+  eocd.writeUInt16LE(count, 10);
+  eocd.writeUInt32LE(centrals.reduce((sum, b) => sum + b.length, 0), 12);
+  eocd.writeUInt32LE(offset, 16);
+  return Buffer.concat([...locals, ...centrals, eocd]);
+}
+
+const columns = [
+  { header: 'name', value: (r) => r.name },
+  { header: 'phone', value: (r) => r.phone },
+  { header: 'count', value: (r) => r.count },
+];
+
+test('an exported workbook reads back with the same cells', () => {
+  const rows = [
+    { name: 'أحمد & <Ali>', phone: '+201001234567', count: 3 },
+    { name: '=SUM(A1:A2)', phone: '', count: null },
+  ];
+  assert.deepEqual(readXlsxRows(toXlsx(rows, columns)), [
+    ['name', 'phone', 'count'],
+    ['أحمد & <Ali>', '+201001234567', '3'],
+    ['=SUM(A1:A2)'],
+  ]);
+});
+
+test('shared strings, booleans, formulas and gaps are read from a spreadsheet app workbook', () => {
+  const sheet = '<worksheet><sheetData>'
+    + '<row r="1"><c r="A1" t="s"><v>0</v></c><c r="C1" t="s"><v>1</v></c></row>'
+    + '<row r="3"><c r="A3" t="b"><v>1</v></c><c r="B3"><f>1+1</f><v>2</v></c><c r="C3" t="inlineStr"><is><t>x</t></is></c></row>'
+    + '</sheetData></worksheet>';
+  const buf = storedZip({
+    'xl/workbook.xml': '<workbook><sheets><sheet name="Data" sheetId="1" r:id="rId7"/></sheets></workbook>',
+    'xl/_rels/workbook.xml.rels': '<Relationships><Relationship Id="rId7" Target="worksheets/data.xml"/></Relationships>',
+    'xl/sharedStrings.xml': '<sst><si><t>name</t></si><si><r><t>pho</t></r><r><t xml:space="preserve">ne</t></r></si></sst>',
+    'xl/worksheets/data.xml': sheet,
+  });
+  assert.deepEqual(readXlsxRows(buf), [['name', '', 'phone'], [], ['TRUE', '2', 'x']]);
+});
+
+test('reading stops after maxRows + 1 rows', () => {
+  const rows = Array.from({ length: 10 }, (_, i) => ({ name: `n${i}`, phone: '1', count: i }));
+  assert.equal(readXlsxRows(toXlsx(rows, columns), { maxRows: 3 }).length, 4);
+});
+
+test('files that are not zips are rejected', () => {
+  assert.throws(() => readXlsxRows(Buffer.from('name,phone\nAli,0100\n')), /Not a valid XLSX file/);
+  assert.throws(() => readXlsxRows(Buffer.alloc(0)), /Not a valid XLSX file/);
+});
+
+test('truncated and corrupt zips are rejected as corrupt', () => {
+  const good = toXlsx([{ name: 'Ali', phone: '1', count: 1 }], columns);
+  const eocd = good.length - 22;
+
+  // central directory pointing past the end of the file
+  const badCentral = Buffer.from(good);
+  badCentral.writeUInt32LE(good.length + 100, eocd + 16);
+  assert.throws(() => readXlsxRows(badCentral), /Corrupt XLSX file/);
+
+  // more entries announced than the directory holds
+  const badCount = Buffer.from(good);
+  badCount.writeUInt16LE(500, eocd + 10);
+  assert.throws(() => readXlsxRows(badCount), /Corrupt XLSX file/);
+
+  // local headers cut off: only the central directory and the end record are left
+  const centralStart = good.readUInt32LE(eocd + 16);
+  const truncated = Buffer.concat([Buffer.alloc(10), good.subarray(centralStart)]);
+  assert.throws(() => readXlsxRows(truncated), /Corrupt XLSX file/);
+
+  // damaged compressed data
+  const badData = Buffer.from(good);
+  badData.fill(0xff, 40, centralStart - 40);
+  assert.throws(() => readXlsxRows(badData), /Corrupt XLSX file/);
+});